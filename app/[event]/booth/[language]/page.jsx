@@ -0,0 +1,19 @@
+import React from 'react'
+import { notFound } from 'next/navigation';
+import Broadcast from '@/components/Broadcast';
+import BoothAccessGate from '@/components/BoothAccessGate';
+import { eventHasLanguage, getEvent } from '@/services/EventService';
+import { isLanguageEnabled } from '@/services/LanguageService';
+
+const BroadcastPage = async ({ params }) => {
+  const { event: slug, language } = await params;
+  if (!eventHasLanguage(await getEvent(slug), language) || !(await isLanguageEnabled(language))) notFound();
+
+  return (
+    <BoothAccessGate>
+      <Broadcast />
+    </BoothAccessGate>
+  )
+}
+
+export default BroadcastPage
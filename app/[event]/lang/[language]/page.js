@@ -0,0 +1,14 @@
+import React from 'react'
+import { notFound } from 'next/navigation';
+import Listner from '@/components/Listner';
+import { eventHasLanguage, getEvent } from '@/services/EventService';
+import { isLanguageEnabled } from '@/services/LanguageService';
+
+const ListenerPage = async ({ params }) => {
+  const { event: slug, language } = await params;
+  if (!eventHasLanguage(await getEvent(slug), language) || !(await isLanguageEnabled(language))) notFound();
+
+  return <Listner />
+}
+
+export default ListenerPage
@@ -0,0 +1,22 @@
+import { notFound } from 'next/navigation';
+import { ChannelProvider } from '@/context/ChannelContext';
+import { EventProvider } from '@/context/EventContext';
+import { getEvent } from '@/services/EventService';
+
+export async function generateMetadata({ params }) {
+  const event = await getEvent((await params).event);
+  return event ? { title: event.name } : {};
+}
+
+export default async function EventLayout({ children, params }) {
+  const event = await getEvent((await params).event);
+  if (!event) notFound();
+
+  return (
+    <EventProvider event={event}>
+      <ChannelProvider eventSlug={event.slug}>
+        {children}
+      </ChannelProvider>
+    </EventProvider>
+  );
+}
@@ -0,0 +1,21 @@
+'use client'
+import { useEffect } from 'react'
+import LanguageSelect from '@/components/LanguageSelect';
+import LoadingBanner from '@/components/LoadingBanner';
+import { useChannel } from '@/context/ChannelContext';
+import { useAttribution } from '@/hooks/useAttribution';
+
+const ListenerPage = () => {
+  const { loadAlreadyDone, setLoadAlreadyDone } = useChannel();
+  useAttribution();
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setLoadAlreadyDone(true);
+    }, 5000);
+    return () => clearTimeout(timer);
+  }, [setLoadAlreadyDone]);
+
+  return !loadAlreadyDone ? <LoadingBanner/> : <LanguageSelect/>
+}
+
+export default ListenerPage
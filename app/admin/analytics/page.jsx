@@ -0,0 +1,14 @@
+'use client'
+import React from 'react'
+import OrganizerGate from '@/components/OrganizerGate';
+import ListenerAnalytics from '@/components/ListenerAnalytics';
+
+const AnalyticsAdminPage = () => {
+  return (
+    <OrganizerGate title="Listener Analytics">
+      <ListenerAnalytics />
+    </OrganizerGate>
+  )
+}
+
+export default AnalyticsAdminPage
@@ -0,0 +1,14 @@
+'use client'
+import React from 'react'
+import OrganizerGate from '@/components/OrganizerGate';
+import LanguageCatalogAdmin from '@/components/LanguageCatalogAdmin';
+
+const LanguagesAdminPage = () => {
+  return (
+    <OrganizerGate title="Language Catalog">
+      <LanguageCatalogAdmin />
+    </OrganizerGate>
+  )
+}
+
+export default LanguagesAdminPage
@@ -0,0 +1,14 @@
+'use client'
+import React from 'react'
+import OrganizerGate from '@/components/OrganizerGate';
+import ShortLinkAdmin from '@/components/ShortLinkAdmin';
+
+const ShortLinksAdminPage = () => {
+  return (
+    <OrganizerGate title="Short Links">
+      <ShortLinkAdmin />
+    </OrganizerGate>
+  )
+}
+
+export default ShortLinksAdminPage
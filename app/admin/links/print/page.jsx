@@ -0,0 +1,14 @@
+'use client'
+import React from 'react'
+import OrganizerGate from '@/components/OrganizerGate';
+import LinkPrintSheet from '@/components/LinkPrintSheet';
+
+const ShortLinksPrintPage = () => {
+  return (
+    <OrganizerGate title="QR Code Sheet">
+      <LinkPrintSheet />
+    </OrganizerGate>
+  )
+}
+
+export default ShortLinksPrintPage
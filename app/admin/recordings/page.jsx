@@ -0,0 +1,14 @@
+'use client'
+import React from 'react'
+import OrganizerGate from '@/components/OrganizerGate';
+import RecordingArchive from '@/components/RecordingArchive';
+
+const RecordingsAdminPage = () => {
+  return (
+    <OrganizerGate title="Recordings">
+      <RecordingArchive />
+    </OrganizerGate>
+  )
+}
+
+export default RecordingsAdminPage
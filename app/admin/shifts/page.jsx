@@ -0,0 +1,14 @@
+'use client'
+import React from 'react'
+import OrganizerGate from '@/components/OrganizerGate';
+import ShiftRotaAdmin from '@/components/ShiftRotaAdmin';
+
+const ShiftsAdminPage = () => {
+  return (
+    <OrganizerGate title="Shift Rota">
+      <ShiftRotaAdmin />
+    </OrganizerGate>
+  )
+}
+
+export default ShiftsAdminPage
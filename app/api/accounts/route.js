@@ -0,0 +1,16 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse } from '@/lib/apiError';
+import { listAccounts } from '@/services/AccountService';
+import { requireOrganizer } from '@/services/BoothSessionService';
+
+// Active accounts (no password hashes), for organizer tools such as the rota
+export async function GET() {
+  try {
+    await requireOrganizer(await cookies());
+    const accounts = await listAccounts();
+    return NextResponse.json({ accounts }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
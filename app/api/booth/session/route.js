@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { ApiError, errorResponse, readJsonBody } from '@/lib/apiError';
+import { authenticate, toPublicAccount } from '@/services/AccountService';
+import {
+  BOOTH_SESSION_COOKIE,
+  createBoothSession,
+  getSessionTtl,
+  requireInterpreter,
+  sessionCookieOptions,
+} from '@/services/BoothSessionService';
+
+export async function GET() {
+  try {
+    const { session, account } = await requireInterpreter(await cookies());
+    return NextResponse.json({ session, interpreter: toPublicAccount(account) });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { username, password } = await readJsonBody(request);
+
+    const account = await authenticate(username, password);
+    if (!account) {
+      throw new ApiError(401, 'INVALID_CREDENTIALS', 'Username or password is not valid');
+    }
+
+    const { session, value } = createBoothSession(account);
+    const cookieStore = await cookies();
+    cookieStore.set(BOOTH_SESSION_COOKIE, value, sessionCookieOptions(getSessionTtl()));
+
+    return NextResponse.json({ session, interpreter: toPublicAccount(account) });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+export async function DELETE() {
+  const cookieStore = await cookies();
+  cookieStore.set(BOOTH_SESSION_COOKIE, '', sessionCookieOptions(0));
+  return NextResponse.json({ ok: true });
+}
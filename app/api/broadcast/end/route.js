@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { endBroadcastSession } from '@/services/BroadcastSessionService';
+import { publishBoothChange } from '@/services/ChannelStatusService';
+
+// Also receives navigator.sendBeacon calls when a live booth tab is closed
+export async function POST(request) {
+  try {
+    const { account } = await requireInterpreter(await cookies());
+    const { sessionId, endTime, reconnectCount } = await readJsonBody(request);
+
+    const session = await endBroadcastSession({ sessionId, endTime, reconnectCount }, account);
+    await publishBoothChange(session);
+    return NextResponse.json({ session });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { ApiError, errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { updateBroadcastSession } from '@/services/BroadcastSessionService';
+import { publishBoothMute } from '@/services/ChannelStatusService';
+
+// POST { sessionId, muted }: the booth on air muted or unmuted its microphone
+export async function POST(request) {
+  try {
+    const { account } = await requireInterpreter(await cookies());
+    const { sessionId, muted } = await readJsonBody(request);
+    if (typeof muted !== 'boolean') {
+      throw new ApiError(400, 'INVALID_MUTE', 'muted must be true or false');
+    }
+
+    // Answers 409 SESSION_ENDED once the session is over, checked in the same
+    // store update that writes `muted`
+    const session = await updateBroadcastSession(sessionId, account, { muted });
+    await publishBoothMute(session);
+    return NextResponse.json({ session });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { formatTranscriptText, getSessionTranscript } from '@/services/CaptionService';
+
+// GET: the session's captions as JSON, or ?format=txt as a text download
+export async function GET(request, { params }) {
+  try {
+    await requireOrganizer(await cookies());
+    const { id } = await params;
+    const transcript = await getSessionTranscript(id);
+
+    if (new URL(request.url).searchParams.get('format') === 'txt') {
+      return new NextResponse(formatTranscriptText(transcript), {
+        headers: {
+          'Content-Type': 'text/plain; charset=utf-8',
+          'Content-Disposition': `attachment; filename="transcript-${transcript.event}-${transcript.language}-${id}.txt"`,
+        },
+      });
+    }
+    return NextResponse.json({ transcript }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { listBroadcastSessions, summarizeBroadcastSessions } from '@/services/BroadcastSessionService';
+
+// GET /api/broadcast/sessions?event=&language=&interpreter=&status=live|ended&from=<ms>&to=<ms>
+export async function GET(request) {
+  try {
+    await requireOrganizer(await cookies());
+
+    const { searchParams } = new URL(request.url);
+    const sessions = await listBroadcastSessions({
+      event: searchParams.get('event'),
+      language: searchParams.get('language'),
+      interpreter: searchParams.get('interpreter'),
+      status: searchParams.get('status'),
+      from: searchParams.get('from'),
+      to: searchParams.get('to'),
+    });
+
+    return NextResponse.json(
+      { sessions, summary: summarizeBroadcastSessions(sessions) },
+      { headers: { 'Cache-Control': 'no-store' } }
+    );
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { ApiError, errorResponse, readJsonBody } from '@/lib/apiError';
+import { canBroadcast } from '@/lib/permissions';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { startBroadcastSession } from '@/services/BroadcastSessionService';
+import { publishBoothChange } from '@/services/ChannelStatusService';
+import { resolveEventChannel } from '@/services/EventService';
+
+export async function POST(request) {
+  try {
+    const { account } = await requireInterpreter(await cookies());
+    const { sessionId, startTime, channelName, audioProfile } = await readJsonBody(request);
+
+    const { event, language } = await resolveEventChannel(channelName);
+    if (!canBroadcast(account, language)) {
+      throw new ApiError(403, 'LANGUAGE_NOT_ASSIGNED', 'You are not assigned to broadcast on this channel');
+    }
+
+    const session = await startBroadcastSession({ sessionId, startTime, event: event.slug, language, channelName, audioProfile }, account);
+    await publishBoothChange(session);
+    return NextResponse.json({ session }, { status: 201 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse } from '@/lib/apiError';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { getRecentCaptions, isCaptionsEnabled, transcribeSegment } from '@/services/CaptionService';
+import { resolveEventChannel } from '@/services/EventService';
+
+export const dynamic = 'force-dynamic';
+
+// GET: whether captions are on, plus the latest captions of the live booth
+export async function GET(request, { params }) {
+  try {
+    const { channel } = await params;
+    await resolveEventChannel(channel);
+
+    const enabled = isCaptionsEnabled();
+    const segments = enabled ? await getRecentCaptions(channel) : [];
+    return NextResponse.json({ enabled, segments }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// POST ?sessionId=&start=<ms>&end=<ms> with one self-contained audio segment as body
+export async function POST(request, { params }) {
+  try {
+    const { account } = await requireInterpreter(await cookies());
+    const { channel } = await params;
+    const { searchParams } = new URL(request.url);
+
+    const segment = await transcribeSegment({
+      channelName: channel,
+      sessionId: searchParams.get('sessionId'),
+      start: searchParams.get('start'),
+      end: searchParams.get('end'),
+      audio: Buffer.from(await request.arrayBuffer()),
+      mimeType: request.headers.get('content-type'),
+    }, account);
+
+    if (!segment) {
+      return new NextResponse(null, { status: 204 });
+    }
+    return NextResponse.json({ segment }, { status: 201 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { errorResponse } from '@/lib/apiError';
+import { getChannelStatus, getPublishedChannelStatus } from '@/services/ChannelStatusService';
+import { resolveEventChannel } from '@/services/EventService';
+
+export const dynamic = 'force-dynamic';
+
+// GET: broadcaster and audience counts for an event channel, in the shape of
+// Agora's channel-user API ({ success, data: { host_online, broadcasters, audience_total, ... } }),
+// plus `status`, the state last pushed on the channel's realtime status channel
+export async function GET(request, { params }) {
+  try {
+    const { channel } = await params;
+    // Only known event channels reach the upstream API
+    await resolveEventChannel(channel);
+
+    const body = await getChannelStatus(channel);
+    return NextResponse.json({ ...body, status: getPublishedChannelStatus(channel) }, {
+      headers: { 'Cache-Control': 'public, max-age=1, s-maxage=1' },
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
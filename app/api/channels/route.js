@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { errorResponse } from '@/lib/apiError';
+import { listEventChannelStatuses } from '@/services/ChannelStatusService';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/channels?event=<slug>: which of the event's languages are on air
+// and how many listen to each; every listener may ask
+export async function GET(request) {
+  try {
+    const event = new URL(request.url).searchParams.get('event');
+    const channels = await listEventChannelStatuses(event);
+    return NextResponse.json({ channels }, {
+      headers: { 'Cache-Control': 'public, max-age=1, s-maxage=1' },
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { recordBoothReport } from '@/services/ControlRoomService';
+
+// POST { channelName, boothId, onAir, level, networkQuality, handover }: an
+// open booth's periodic report for the control room
+export async function POST(request) {
+  try {
+    const { account } = await requireInterpreter(await cookies());
+    await recordBoothReport(await readJsonBody(request), account);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { getControlRoom } from '@/services/ControlRoomService';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/control?event=<slug>: the control room snapshot; changes follow on
+// the realtime channel "<slug>.control"
+export async function GET(request) {
+  try {
+    await requireOrganizer(await cookies());
+
+    const event = new URL(request.url).searchParams.get('event');
+    const controlRoom = await getControlRoom(event);
+    return NextResponse.json({ controlRoom }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,12 @@
+import { NextResponse } from 'next/server';
+import { errorResponse } from '@/lib/apiError';
+import { listEvents } from '@/services/EventService';
+
+export async function GET() {
+  try {
+    const events = await listEvents();
+    return NextResponse.json({ events }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { ApiError, errorResponse } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { getLanguageFlag, saveLanguageFlag } from '@/services/LanguageService';
+
+export async function GET(request, { params }) {
+  try {
+    const { language: value } = await params;
+    const { contentType, body } = await getLanguageFlag(value);
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': contentType,
+        // Flag URLs carry a version query, so they can be cached for good
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        // Uploaded SVGs must not be able to run script on our origin
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+        'X-Content-Type-Options': 'nosniff',
+      },
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// POST multipart/form-data with the image in the "flag" field
+export async function POST(request, { params }) {
+  try {
+    await requireOrganizer(await cookies());
+    const { language: value } = await params;
+
+    let formData;
+    try {
+      formData = await request.formData();
+    } catch {
+      throw new ApiError(400, 'INVALID_BODY', 'Expected a multipart form upload');
+    }
+
+    const language = await saveLanguageFlag(value, formData.get('flag'));
+    return NextResponse.json({ language });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { removeLanguage, updateLanguage } from '@/services/LanguageService';
+
+// PATCH { name?, enabled?, relay?, twoWay? }
+export async function PATCH(request, { params }) {
+  try {
+    await requireOrganizer(await cookies());
+    const { language: value } = await params;
+    const language = await updateLanguage(value, await readJsonBody(request));
+    return NextResponse.json({ language });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    await requireOrganizer(await cookies());
+    const { language: value } = await params;
+    await removeLanguage(value);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
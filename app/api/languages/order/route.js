@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { reorderLanguages } from '@/services/LanguageService';
+
+// PUT { order: ["italian", "english", ...] }
+export async function PUT(request) {
+  try {
+    await requireOrganizer(await cookies());
+    const { order } = await readJsonBody(request);
+    const languages = await reorderLanguages(order);
+    return NextResponse.json({ languages });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { createLanguage, listLanguages } from '@/services/LanguageService';
+
+// GET /api/languages          enabled languages, in display order (public)
+// GET /api/languages?all=1    every language including disabled ones (organizers)
+export async function GET(request) {
+  try {
+    const includeDisabled = new URL(request.url).searchParams.get('all') === '1';
+    if (includeDisabled) {
+      await requireOrganizer(await cookies());
+    }
+
+    const languages = await listLanguages({ includeDisabled });
+    return NextResponse.json({ languages }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+export async function POST(request) {
+  try {
+    await requireOrganizer(await cookies());
+    const language = await createLanguage(await readJsonBody(request));
+    return NextResponse.json({ language }, { status: 201 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,15 @@
+import { NextResponse } from 'next/server';
+import { errorResponse } from '@/lib/apiError';
+import { recordLinkListen } from '@/services/ShortLinkService';
+
+// POST: a listener who arrived through this link started playing. Public;
+// the listener page reports it once per browser session.
+export async function POST(request, { params }) {
+  try {
+    const { code } = await params;
+    await recordLinkListen(code);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,16 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { removeShortLink } from '@/services/ShortLinkService';
+
+export async function DELETE(request, { params }) {
+  try {
+    await requireOrganizer(await cookies());
+    const { code } = await params;
+    await removeShortLink(code);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
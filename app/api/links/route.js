@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { createShortLink, listShortLinks } from '@/services/ShortLinkService';
+
+// GET /api/links?event=
+export async function GET(request) {
+  try {
+    await requireOrganizer(await cookies());
+    const event = new URL(request.url).searchParams.get('event');
+    const links = await listShortLinks({ event });
+    return NextResponse.json({ links }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// POST { event, language?, source?, medium?, campaign? }
+// 201 with a new link, 200 with the existing one for the same target and tags
+export async function POST(request) {
+  try {
+    const { account } = await requireOrganizer(await cookies());
+    const { link, created } = await createShortLink(await readJsonBody(request), account);
+    return NextResponse.json({ link }, { status: created ? 201 : 200 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,114 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { ApiError, errorResponse, readJsonBody } from '@/lib/apiError';
+import { isCaptionsChannel } from '@/lib/captions';
+import { isStatusChannel } from '@/lib/channelStatus';
+import { isControlChannel } from '@/lib/controlRoom';
+import { canBroadcast } from '@/lib/permissions';
+import { REALTIME_CHANNEL_PATTERN, REALTIME_DRIVERS, REALTIME_EVENT_PATTERN, getRealtimeDriver } from '@/lib/realtime';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { resolveEventChannel } from '@/services/EventService';
+import { getRealtime, publish } from '@/services/realtime';
+
+export const dynamic = 'force-dynamic';
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const MAX_PAYLOAD_BYTES = 10 * 1024;
+
+const validateChannel = (channel) => {
+  if (!REALTIME_CHANNEL_PATTERN.test(channel || '')) {
+    throw new ApiError(400, 'INVALID_CHANNEL', 'Channel name is missing or invalid');
+  }
+};
+
+// GET: server-sent events for the local driver. Each message is
+// `data: {"event", "data"}`; comment lines keep idle proxies from closing it.
+export async function GET(request, { params }) {
+  try {
+    const { channel } = await params;
+    validateChannel(channel);
+    if (getRealtimeDriver() !== REALTIME_DRIVERS.LOCAL) {
+      throw new ApiError(404, 'REALTIME_DISABLED', 'The local realtime server is not enabled');
+    }
+
+    const encoder = new TextEncoder();
+    let cleanup = () => {};
+
+    const stream = new ReadableStream({
+      start(controller) {
+        const send = (chunk) => {
+          try {
+            controller.enqueue(encoder.encode(chunk));
+          } catch {
+            cleanup();
+          }
+        };
+
+        const unsubscribe = getRealtime().subscribe(channel, (event, data) => {
+          send(`data: ${JSON.stringify({ event, data })}\n\n`);
+        });
+        const heartbeat = setInterval(() => send(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+        cleanup = () => {
+          clearInterval(heartbeat);
+          unsubscribe();
+        };
+        request.signal.addEventListener('abort', () => {
+          cleanup();
+          try {
+            controller.close();
+          } catch {
+            // already closed
+          }
+        });
+
+        send(': connected\n\n');
+      },
+      cancel() {
+        cleanup();
+      },
+    });
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      },
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// POST { event, data }: booth signalling (handovers) through whichever
+// backend is configured. Only booth accounts assigned to the channel's
+// language may publish, so no booth can talk into another one's handovers.
+export async function POST(request, { params }) {
+  try {
+    const { account } = await requireInterpreter(await cookies());
+    const { channel } = await params;
+    validateChannel(channel);
+    if (isStatusChannel(channel) || isCaptionsChannel(channel) || isControlChannel(channel)) {
+      throw new ApiError(403, 'FORBIDDEN', 'This channel is published by the server');
+    }
+    const { language } = await resolveEventChannel(channel);
+    if (!canBroadcast(account, language)) {
+      throw new ApiError(403, 'LANGUAGE_NOT_ASSIGNED', 'You are not assigned to broadcast on this channel');
+    }
+
+    const { event, data } = await readJsonBody(request);
+    if (!REALTIME_EVENT_PATTERN.test(event || '')) {
+      throw new ApiError(400, 'INVALID_EVENT', 'Event name is missing or invalid');
+    }
+    if (Buffer.byteLength(JSON.stringify(data ?? null)) > MAX_PAYLOAD_BYTES) {
+      throw new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Realtime messages are limited to 10 KB');
+    }
+
+    await publish(channel, event, data ?? null);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
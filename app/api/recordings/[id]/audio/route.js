@@ -0,0 +1,46 @@
+import { Readable } from 'stream';
+import { cookies } from 'next/headers';
+import { errorResponse } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { getRecording, openRecordingFile } from '@/services/RecordingService';
+
+export const dynamic = 'force-dynamic';
+
+const parseRange = (header) => {
+  const match = /^bytes=(\d+)-(\d*)$/.exec(header || '');
+  if (!match) return null;
+  return { start: Number(match[1]), end: match[2] ? Number(match[2]) : undefined };
+};
+
+// GET: plays in <audio> (with byte ranges for seeking); ?download=1 saves the file
+export async function GET(request, { params }) {
+  try {
+    await requireOrganizer(await cookies());
+    const { id } = await params;
+    const recording = await getRecording(id);
+
+    const range = parseRange(request.headers.get('range'));
+    const { size, start, end, stream } = await openRecordingFile(recording, range);
+
+    const headers = {
+      'Content-Type': recording.mimeType,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-cache',
+    };
+    if (new URL(request.url).searchParams.get('download')) {
+      headers['Content-Disposition'] = `attachment; filename="${recording.file.split(/[\\/]/).join('-')}"`;
+    }
+
+    if (range) {
+      return new Response(Readable.toWeb(stream), {
+        status: 206,
+        headers: { ...headers, 'Content-Length': String(end - start + 1), 'Content-Range': `bytes ${start}-${end}/${size}` },
+      });
+    }
+    return new Response(Readable.toWeb(stream), {
+      headers: { ...headers, 'Content-Length': String(size) },
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
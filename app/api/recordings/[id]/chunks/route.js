@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse } from '@/lib/apiError';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { appendRecordingChunk } from '@/services/RecordingService';
+
+// POST /api/recordings/<id>/chunks?seq=<n> with the raw MediaRecorder blob as body
+export async function POST(request, { params }) {
+  try {
+    const { account } = await requireInterpreter(await cookies());
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+
+    const data = Buffer.from(await request.arrayBuffer());
+    const recording = await appendRecordingChunk(id, searchParams.get('seq'), data, account);
+    return NextResponse.json({ chunks: recording.chunks, bytes: recording.bytes });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
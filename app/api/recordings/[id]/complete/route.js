@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { completeRecording } from '@/services/RecordingService';
+
+// POST { endTime }: the booth stopped recording
+export async function POST(request, { params }) {
+  try {
+    const { account } = await requireInterpreter(await cookies());
+    const { id } = await params;
+    const { endTime } = await readJsonBody(request);
+
+    const recording = await completeRecording(id, { endTime }, account);
+    return NextResponse.json({ recording });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { removeRecording } from '@/services/RecordingService';
+
+export async function DELETE(request, { params }) {
+  try {
+    await requireOrganizer(await cookies());
+    const { id } = await params;
+
+    await removeRecording(id);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireInterpreter, requireOrganizer } from '@/services/BoothSessionService';
+import { listRecordings, startRecording } from '@/services/RecordingService';
+
+// GET /api/recordings?event=&language=&interpreter=&from=<ms>&to=<ms>
+export async function GET(request) {
+  try {
+    await requireOrganizer(await cookies());
+
+    const { searchParams } = new URL(request.url);
+    const recordings = await listRecordings({
+      event: searchParams.get('event'),
+      language: searchParams.get('language'),
+      interpreter: searchParams.get('interpreter'),
+      from: searchParams.get('from'),
+      to: searchParams.get('to'),
+    });
+
+    return NextResponse.json({ recordings }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// POST { channelName, broadcastSessionId, mimeType, startTime }: a booth starts recording
+export async function POST(request) {
+  try {
+    const { account } = await requireInterpreter(await cookies());
+    const body = await readJsonBody(request);
+
+    const recording = await startRecording(body, account);
+    return NextResponse.json({ recording }, { status: 201 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { removeShift, updateShift } from '@/services/ShiftService';
+
+// PATCH { interpreter?, start?, end? }
+export async function PATCH(request, { params }) {
+  try {
+    await requireOrganizer(await cookies());
+    const { id } = await params;
+    const shift = await updateShift(id, await readJsonBody(request));
+    return NextResponse.json({ shift });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    await requireOrganizer(await cookies());
+    const { id } = await params;
+    await removeShift(id);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse, readJsonBody } from '@/lib/apiError';
+import { requireInterpreter, requireOrganizer } from '@/services/BoothSessionService';
+import { createShift, listShifts } from '@/services/ShiftService';
+
+// GET /api/shifts?event=&language=&interpreter=&from=<ms>&to=<ms>
+// Any signed-in booth account can read the rota; only organizers edit it.
+export async function GET(request) {
+  try {
+    await requireInterpreter(await cookies());
+
+    const { searchParams } = new URL(request.url);
+    const shifts = await listShifts({
+      event: searchParams.get('event'),
+      language: searchParams.get('language'),
+      interpreter: searchParams.get('interpreter'),
+      from: searchParams.get('from'),
+      to: searchParams.get('to'),
+    });
+
+    return NextResponse.json({ shifts }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// POST { event, language, interpreter, start, end }
+export async function POST(request) {
+  try {
+    await requireOrganizer(await cookies());
+    const shift = await createShift(await readJsonBody(request));
+    return NextResponse.json({ shift }, { status: 201 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
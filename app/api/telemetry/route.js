@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { ApiError, errorResponse, readJsonBody } from '@/lib/apiError';
+import { ingestTelemetry } from '@/services/TelemetryService';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// POST { sessionId, channelName, attribution?, events: [{ type, at, data? }] }
+// Public: listeners aren't signed in. Also the target of navigator.sendBeacon
+// when a listener leaves the page.
+export async function POST(request) {
+  try {
+    if (Number(request.headers.get('content-length')) > MAX_BODY_BYTES) {
+      throw new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Telemetry batches are limited to 64 KB');
+    }
+    await ingestTelemetry(await readJsonBody(request));
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { errorResponse } from '@/lib/apiError';
+import { requireOrganizer } from '@/services/BoothSessionService';
+import { getTelemetrySummary } from '@/services/TelemetryService';
+
+// GET /api/telemetry/summary?event=&from=<ms>&to=<ms>
+export async function GET(request) {
+  try {
+    await requireOrganizer(await cookies());
+
+    const { searchParams } = new URL(request.url);
+    const summary = await getTelemetrySummary({
+      event: searchParams.get('event'),
+      from: searchParams.get('from'),
+      to: searchParams.get('to'),
+    });
+
+    return NextResponse.json({ summary }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
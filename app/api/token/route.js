@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { ApiError, errorResponse, readJsonBody } from '@/lib/apiError';
+import { canBroadcast } from '@/lib/permissions';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { resolveEventChannel } from '@/services/EventService';
+import { TOKEN_ROLES, buildRtcToken, validateTokenRequest } from '@/services/TokenService';
+
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+export async function POST(request) {
+  try {
+    const { role, channelName, clientId } = await readJsonBody(request);
+    validateTokenRequest({ role, channelName });
+    const { language } = await resolveEventChannel(channelName);
+
+    const tabId = typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId) ? clientId : null;
+    let subject = tabId;
+
+    if (role === TOKEN_ROLES.PUBLISHER) {
+      const { session, account } = await requireInterpreter(await cookies());
+      if (!canBroadcast(account, language)) {
+        throw new ApiError(403, 'LANGUAGE_NOT_ASSIGNED', 'You are not assigned to broadcast on this channel');
+      }
+      subject = `${session.id}:${tabId || 'default'}`;
+    }
+
+    const { token, uid, expiresAt } = buildRtcToken({ role, channelName, subject });
+
+    return NextResponse.json(
+      { token, uid, expiresAt, channelName },
+      { headers: { 'Cache-Control': 'no-store' } }
+    );
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -1,9 +1,7 @@
-'use client'
-import React from 'react'
-import Broadcast from '@/components/Broadcast';
+import { redirect } from 'next/navigation';
+import { getDefaultEventSlug } from '@/services/EventService';
 
-const BroadcastPage = () => {
-  return <Broadcast />
+export default async function LegacyBoothPage({ params }) {
+  const { language } = await params;
+  redirect(`/${getDefaultEventSlug()}/booth/${language}`);
 }
-
-export default BroadcastPage
\ No newline at end of file
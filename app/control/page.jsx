@@ -0,0 +1,14 @@
+'use client'
+import React from 'react'
+import OrganizerGate from '@/components/OrganizerGate';
+import ControlRoom from '@/components/ControlRoom';
+
+const ControlRoomPage = () => {
+  return (
+    <OrganizerGate title="Control Room">
+      <ControlRoom />
+    </OrganizerGate>
+  )
+}
+
+export default ControlRoomPage
@@ -1,9 +1,7 @@
-'use client'
-import React from 'react'
-import Listner from '@/components/Listner';
-const ListenerPage = () => {
+import { redirect } from 'next/navigation';
+import { getDefaultEventSlug } from '@/services/EventService';
 
-  return <Listner />
+export default async function LegacyListenerPage({ params }) {
+  const { language } = await params;
+  redirect(`/${getDefaultEventSlug()}/lang/${language}`);
 }
-
-export default ListenerPage
\ No newline at end of file
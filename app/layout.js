@@ -1,7 +1,7 @@
 import { Geist, Geist_Mono } from "next/font/google";
 import "./globals.css";
 import { Toaster } from "@/components/ui/sonner"
-import { ChannelProvider } from "@/context/ChannelContext"
+import ServiceWorkerRegistrar from "@/components/ServiceWorkerRegistrar";
 const geistSans = Geist({
   variable: "--font-geist-sans",
   subsets: ["latin"],
@@ -17,16 +17,29 @@ const geistMono = Geist_Mono({
 //   description: "Broadcaster",
 // };
 
+export const metadata = {
+  appleWebApp: {
+    capable: true,
+    statusBarStyle: "black",
+  },
+  icons: {
+    apple: "/icons/icon-192.png",
+  },
+};
+
+export const viewport = {
+  themeColor: "#111111",
+};
+
 export default function RootLayout({ children }) {
   return (
     <html lang="en">
       <body
         className={`${geistSans.variable} ${geistMono.variable} antialiased`}
       >
-        <ChannelProvider>
-          {children}
-          <Toaster />
-        </ChannelProvider>
+        {children}
+        <Toaster />
+        <ServiceWorkerRegistrar />
       </body>
     </html>
   );
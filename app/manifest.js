@@ -0,0 +1,23 @@
+import { getDefaultEventSlug, getEvent } from '@/services/EventService';
+
+export default async function manifest() {
+  const event = await getEvent(getDefaultEventSlug());
+  const name = event ? `${event.name} - Live Interpretation` : 'Live Interpretation';
+
+  return {
+    name,
+    short_name: event?.name || 'Interpretation',
+    description: 'Listen to the live interpretation of the event in your language',
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    orientation: 'portrait',
+    background_color: '#111111',
+    theme_color: '#111111',
+    icons: [
+      { src: '/icons/icon-192.png', sizes: '192x192', type: 'image/png', purpose: 'any' },
+      { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png', purpose: 'any' },
+      { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+    ],
+  };
+}
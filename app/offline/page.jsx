@@ -0,0 +1,146 @@
+'use client'
+import React, { useCallback, useEffect, useState } from 'react'
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Loader2, RefreshCw, Wifi, WifiOff } from 'lucide-react';
+import { DEFAULT_EVENT_SLUG } from '@/constants/events';
+import { getEventsRequest } from '@/http/adminHttp';
+import { getLanguagesRequest } from '@/http/languageHttp';
+
+const RETRY_SECONDS = 5;
+
+// Only same-site paths, the worker puts the page the listener wanted in ?from=
+const getTarget = () => {
+  const from = new URLSearchParams(window.location.search).get('from');
+  return from && from.startsWith('/') && !from.startsWith('//') ? from : '/';
+};
+
+// Shown by the service worker when a page can't be loaded. Retries on its own
+// and returns to the page the listener wanted as soon as the server answers.
+const OfflinePage = () => {
+  const [target, setTarget] = useState('/');
+  const [isOnline, setIsOnline] = useState(true);
+  const [countdown, setCountdown] = useState(RETRY_SECONDS);
+  const [checking, setChecking] = useState(false);
+  const [event, setEvent] = useState(null);
+  const [languages, setLanguages] = useState([]);
+
+  const retry = useCallback(async () => {
+    setChecking(true);
+    try {
+      const response = await fetch(target, { method: 'HEAD', cache: 'no-store' });
+      if (response.ok) {
+        window.location.replace(target);
+        return;
+      }
+    } catch {
+      // still unreachable
+    }
+    setChecking(false);
+    setCountdown(RETRY_SECONDS);
+  }, [target]);
+
+  useEffect(() => {
+    window.document.title = 'Offline';
+    const nextTarget = getTarget();
+    setTarget(nextTarget);
+    setIsOnline(navigator.onLine);
+
+    // Event details come from the worker's copy of the public catalog
+    const slug = nextTarget.split('/')[1] || DEFAULT_EVENT_SLUG;
+    Promise.all([getEventsRequest(), getLanguagesRequest()])
+      .then(([events, catalog]) => {
+        const current = events.find((e) => e.slug === slug) || events[0] || null;
+        setEvent(current);
+        setLanguages(current ? catalog.filter((language) => current.languages.includes(language.value)) : []);
+      })
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      retry();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [retry]);
+
+  useEffect(() => {
+    if (checking) return;
+    if (countdown <= 0) {
+      retry();
+      return;
+    }
+    const timer = setTimeout(() => setCountdown((value) => value - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [countdown, checking, retry]);
+
+  return (
+    <div className="min-h-screen w-full gradient-2 flex flex-col items-center justify-start py-10 px-8 pt-20">
+      {event && (
+        <img src={event.branding.headerLogo} alt={event.name} className="w-[14rem] md:w-[17rem] object-cover" />
+      )}
+
+      <Card className="gradient-3 border-0 rounded-2xl w-full max-w-xl mt-10 p-8 text-center">
+        <div className="flex justify-center mb-6">
+          {isOnline ? (
+            <Wifi className="h-14 w-14 text-chogan-pink" />
+          ) : (
+            <WifiOff className="h-14 w-14 text-chogan-pink" />
+          )}
+        </div>
+        <h1 className="text-white text-2xl md:text-3xl font-inter font-bold mb-3">
+          {isOnline ? "Can't reach the interpretation server" : 'You are offline'}
+        </h1>
+        <p className="text-white/80 font-inter mb-8">
+          {isOnline
+            ? 'Your device has a connection but the event server is not answering. The venue network may be busy.'
+            : 'Your device has no network connection. Check that Wi-Fi or mobile data is turned on.'}
+          {' '}Live interpretation needs a connection; this page reconnects on its own.
+        </p>
+
+        <Button
+          onClick={retry}
+          disabled={checking}
+          className="w-full text-lg px-8 py-6 bg-pink-600 text-white hover:bg-pink-600/90 font-bold font-inter rounded-xl"
+          size="lg"
+        >
+          {checking ? <Loader2 className="mr-2 h-5 w-5 animate-spin" /> : <RefreshCw className="mr-2 h-5 w-5" />}
+          {checking ? 'Checking connection...' : `Try again now (${countdown}s)`}
+        </Button>
+      </Card>
+
+      {event && (
+        <div className="w-full max-w-xl mt-10 text-center">
+          <h2 className="text-white text-xl uppercase language-title">{event.name}</h2>
+          {languages.length > 0 && (
+            <>
+              <p className="text-white/80 mt-2 font-light">Interpretation is available in</p>
+              <div className="flex flex-wrap justify-center gap-4 mt-4">
+                {languages.map((language) => (
+                  <div key={language.value} className="flex flex-col items-center gap-1">
+                    <img src={language.flag} alt={language.name} className="w-12 h-12 rounded-full object-cover" />
+                    <span className="text-white/80 text-sm">{language.name}</span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+          {event.support.email && (
+            <p className="text-white/70 text-sm mt-8">
+              Need help? <a href={`mailto:${event.support.email}`} className="underline">{event.support.email}</a>
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OfflinePage
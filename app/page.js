@@ -1,19 +1,7 @@
-'use client'
-  import React, { useEffect, useState } from 'react'
-import LanguageSelect from '@/components/LanguageSelect';
-import LoadingBanner from '@/components/LoadingBanner';
-import { useChannel } from '@/context/ChannelContext';
+import { redirect } from 'next/navigation';
+import { getDefaultEventSlug } from '@/services/EventService';
 
-const ListenerPage = () => {
-  const { loadAlreadyDone, setLoadAlreadyDone } = useChannel();
-  useEffect(() => {
-    setTimeout(() => {
-      setLoadAlreadyDone(true);
-    }, 5000);
-  }, []);
-
-  console.log(loadAlreadyDone);
-  return !loadAlreadyDone ? <LoadingBanner/> : <LanguageSelect/>
+// Links from before multi-event support land on the default event
+export default function HomePage() {
+  redirect(`/${getDefaultEventSlug()}`);
 }
-
-export default ListenerPage
\ No newline at end of file
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { getLinkTargetPath } from '@/lib/shortLinks';
+import { getShortLink, recordLinkClick } from '@/services/ShortLinkService';
+
+export const dynamic = 'force-dynamic';
+
+// Short links printed on posters. Unknown codes land on the default event
+// rather than an error, attendees often mistype them.
+export async function GET(request, { params }) {
+  const { code } = await params;
+  const link = await getShortLink(code.toLowerCase());
+  if (!link) {
+    return NextResponse.redirect(new URL('/', request.url));
+  }
+
+  try {
+    await recordLinkClick(link.code);
+  } catch (error) {
+    console.error(`Failed to count click on /s/${link.code}:`, error);
+  }
+  return NextResponse.redirect(new URL(getLinkTargetPath(link), request.url));
+}
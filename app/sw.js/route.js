@@ -0,0 +1,27 @@
+import { errorResponse } from '@/lib/apiError';
+import { getPrecacheManifest } from '@/services/PwaService';
+
+export const dynamic = 'force-dynamic';
+
+// The service worker: this build's precache list, then the static worker
+// logic from public/sw-core.js
+export async function GET() {
+  try {
+    const { version, urls } = await getPrecacheManifest();
+    const script = [
+      `self.PRECACHE_VERSION = ${JSON.stringify(version)};`,
+      `self.PRECACHE_URLS = ${JSON.stringify(urls)};`,
+      `importScripts(${JSON.stringify(`/sw-core.js?v=${version}`)});`,
+      '',
+    ].join('\n');
+
+    return new Response(script, {
+      headers: {
+        'Content-Type': 'application/javascript; charset=utf-8',
+        'Cache-Control': 'no-cache',
+      },
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,114 @@
+'use client'
+import React, { useCallback, useEffect, useState } from 'react'
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Loader2, Lock } from 'lucide-react';
+import { toast } from 'sonner';
+import { createBoothSessionRequest, endBoothSessionRequest, getBoothSessionRequest } from '@/http/boothHttp';
+import { BoothSessionProvider } from '@/context/BoothSessionContext';
+
+// Only signed-in interpreters may request PUBLISHER tokens, so the
+// dashboard is not rendered until someone has logged in. Admin pages reuse
+// the same sign-in with their own title.
+const BoothAccessGate = ({ children, title = 'Interpreter Booth', subtitle = 'Sign in with your interpreter account' }) => {
+  const [status, setStatus] = useState('checking');
+  const [interpreter, setInterpreter] = useState(null);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    getBoothSessionRequest()
+      .then((data) => {
+        setInterpreter(data.interpreter);
+        setStatus('signed-in');
+      })
+      .catch(() => setStatus('signed-out'));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const data = await createBoothSessionRequest(username, password);
+      setInterpreter(data.interpreter);
+      setPassword('');
+      setStatus('signed-in');
+    } catch (error) {
+      toast.error(error.message || 'Unable to sign in');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const signOut = useCallback(async () => {
+    try {
+      await endBoothSessionRequest();
+    } finally {
+      setInterpreter(null);
+      setStatus('signed-out');
+    }
+  }, []);
+
+  if (status === 'checking') {
+    return (
+      <div className="min-h-screen bg-zero-beige flex items-center justify-center">
+        <div className="w-16 h-16 border-4 border-zero-blue border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (status === 'signed-out') {
+    return (
+      <div className="min-h-screen bg-zero-beige flex items-center justify-center p-8 monstant-font">
+        <Card className="bg-white/90 backdrop-blur-xl shadow-2xl border-0 rounded-3xl w-full max-w-md">
+          <form onSubmit={handleSubmit} className="px-10 py-8 space-y-6">
+            <div className="text-center">
+              <Lock className="h-12 w-12 mx-auto mb-4 text-zero-green" />
+              <h1 className="text-3xl font-playfair font-bold text-zero-text">{title}</h1>
+              <p className="text-sm text-zero-text/60 mt-2">{subtitle}</p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="username">Username</Label>
+              <Input
+                id="username"
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="password">Password</Label>
+              <Input
+                id="password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+            <Button
+              type="submit"
+              disabled={submitting || !username || !password}
+              className="w-full bg-zero-green text-white hover:bg-zero-green/90 font-inter font-semibold py-6 rounded-xl"
+            >
+              {submitting ? <Loader2 className="h-5 w-5 animate-spin" /> : 'Sign In'}
+            </Button>
+          </form>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <BoothSessionProvider interpreter={interpreter} signOut={signOut}>
+      {children}
+    </BoothSessionProvider>
+  );
+}
+
+export default BoothAccessGate
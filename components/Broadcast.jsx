@@ -1,22 +1,42 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+'use client'
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import Link from 'next/link';
 import { Button } from "@/components/ui/button";
 import { Card } from "@/components/ui/card";
+import { Switch } from "@/components/ui/switch";
 import OnAirIndicator from '@/components/OnAirIndicator';
 import AudioLevelMeter from '@/components/AudioLevelMeter';
 import ListenerCountBadge from '@/components/ListenerCountBadge';
-import { Mic, MicOff, ArrowLeft, RefreshCcw, Monitor, Radio, BarChart3, Settings, Wifi, Clock, Users, Signal, Activity, Globe, Headphones, AlertCircle, CheckCircle, Play, Pause, Loader2 } from 'lucide-react';
+import { Mic, MicOff, ArrowLeft, RefreshCcw, Monitor, Radio, BarChart3, Settings, Wifi, Clock, Users, Signal, Activity, Globe, Headphones, AlertCircle, CheckCircle, Play, Pause, Loader2, LogOut, UserCircle, Ban } from 'lucide-react';
 import { toast } from 'sonner';
 import { getBroadcastInfoRequest } from '@/http/agoraHttp';
-import { generateToken } from '@/utils/generateToken';
-import Pusher from 'pusher-js';
-import { pushMessage } from '@/services/PusherService';
+import { fetchAgoraToken } from '@/http/tokenHttp';
+import { createTokenRenewer } from '@/lib/tokenRenewal';
 import Dialog from './Dialog';
 import { useChannel } from '@/context/ChannelContext';
+import { useEvent } from '@/context/EventContext';
+import { useBoothSession } from '@/context/BoothSessionContext';
+import { canBroadcast } from '@/lib/permissions';
 import { useParams } from 'next/navigation';
-import { flagsMapping, languages, twoWayLanguages, otherLanguageChannel } from '@/constants/flagsMapping';
+import { useLanguageCatalog } from '@/hooks/useLanguageCatalog';
+import { useRelayChannels } from '@/hooks/useRelayChannels';
+import { useHandover } from '@/hooks/useHandover';
+import { HANDOVER_PHASES } from '@/lib/handover';
+import { useShiftRota } from '@/hooks/useShiftRota';
+import { useBroadcastRecorder } from '@/hooks/useBroadcastRecorder';
+import { useCaptionFeed } from '@/hooks/useCaptionFeed';
+import { useBoothReport } from '@/hooks/useBoothReport';
+import { useAudioDevices } from '@/hooks/useAudioDevices';
+import { useAudioProfile } from '@/hooks/useAudioProfile';
+import { audioProfiles } from '@/constants/audioProfiles';
+import { formatShortcut, useMicMute } from '@/hooks/useMicMute';
+import { setBroadcastMutedRequest } from '@/http/broadcastHttp';
+import { AUTO_HANDOVER_ATTEMPTS, SHIFT_WARNING_MS, autoHandoverDelay, formatCountdown } from '@/lib/shifts';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 
+// Joining and publishing; a handover also cuts it off at GO_LIVE_TIMEOUT_MS
+const CONNECTION_TIMEOUT_MS = 15 * 1000;
+
 // Async Agora SDK loader
 const loadAgoraSDK = async () => {
   if (typeof window === 'undefined') return null;
@@ -30,6 +50,18 @@ const loadAgoraSDK = async () => {
   }
 };
 
+// Seconds left on a pending handover request
+const HandoverCountdown = ({ expiresAt }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  return `Expires in ${Math.max(0, Math.ceil((expiresAt - now) / 1000))}s`;
+};
+
 const Broadcast = () => {
   const params = useParams();
   const { language } = params;
@@ -38,9 +70,6 @@ const Broadcast = () => {
   const [sdkError, setSDKError] = useState(null);
   const [AgoraRTC, setAgoraRTC] = useState(null);
   const [broadcasterCount, setBroadcasterCount] = useState(0);
-  const [openRequestToHandoverPopup, setOpenRequestToHandoverPopup] = useState(false);
-  const [waitingForResponseToHandoverRquestPopup, setWaitingForResponseToHandoverRquestPopup] = useState(false);
-  const [handoverRequestResponse, setHandoverRequestResponse] = useState(null);
   const [loading, setLoading] = useState(false);
 
   // Basic state
@@ -62,24 +91,49 @@ const Broadcast = () => {
   const [networkQuality, setNetworkQuality] = useState('good');
   const [sessionId, setSessionId] = useState(null);
   const [connectionError, setConnectionError] = useState(null);
+  const [tokenStatus, setTokenStatus] = useState({ state: 'idle' });
+  const [recordingEnabled, setRecordingEnabled] = useState(false);
 
   // Refs for cleanup
   const isComponentMountedRef = useRef(true);
   const reconnectTimeoutRef = useRef(null);
   const streamStartTimeRef = useRef(null);
+  const broadcastSessionIdRef = useRef(null);
+  const reconnectCountRef = useRef(0);
   const isLiveRef = useRef(false);
   const maxReconnectAttempts = 8;
   const { channelName, setLanguage, getChannelName } = useChannel();
-  const [otherChannels, setOtherChannels] = useState({});
-  const otherChannelsPlayingRef = useRef({});
+  const event = useEvent();
+  const { languages: eventLanguages, flagsMapping, relayLanguages, twoWayLanguages } = useLanguageCatalog(event.languages);
+  // Every other booth of the event can be a relay source, pivot languages first
+  const relaySources = [
+    ...eventLanguages.filter((lang) => lang.relay),
+    ...eventLanguages.filter((lang) => !lang.relay),
+  ].filter((lang) => lang.value !== language);
+  // Two-way booths can also go out on the relay (pivot) language
+  const twoWayTarget = twoWayLanguages[language]
+    ? relayLanguages.find((lang) => lang.value !== language)?.value
+    : null;
   const [selectedLanguage, setSelectedLanguage] = useState(language);
-  const [selectedOtherChannel, setSelectedOtherChannel] = useState(null);
   const channelNameRef = useRef(channelName);
+  const { interpreter, signOut } = useBoothSession();
+  const isAssignedToChannel = canBroadcast(interpreter, selectedLanguage);
+  const localAudioTrackRef = useRef(null);
+  const tokenRenewerRef = useRef(null);
+  // Microphone and headphones chosen for this booth on this computer
+  const audioDevices = useAudioDevices({ AgoraRTC, boothKey: language, microphoneTrack: localAudioTrack });
+  const { profile: audioProfile, selectProfile: selectAudioProfile } = useAudioProfile(language);
+  // Hear the outgoing track with its processing before going on air
+  const [isPreviewing, setIsPreviewing] = useState(false);
 
   useEffect(() => {
     channelNameRef.current = channelName;
   }, [channelName]);
 
+  useEffect(() => {
+    localAudioTrackRef.current = localAudioTrack;
+  }, [localAudioTrack]);
+
   useEffect(() => {
     setLanguage(language);
   }, [language]);
@@ -141,17 +195,17 @@ const Broadcast = () => {
       try {
         const APP_ID = process.env.NEXT_PUBLIC_AGORA_APPID;
         const CHANNEL_NAME = channelName;
-        const { token, uid } = await generateToken("PUBLISHER", channelName);
-
         if (!APP_ID || !CHANNEL_NAME) {
           throw new Error(`Missing broadcast configuration`);
         }
 
+        const { token, uid, expiresAt } = await fetchAgoraToken("PUBLISHER", CHANNEL_NAME, sessionId);
+
         // Try to rejoin and republish with same session context
         await client.leave().catch(() => { }); // Ignore errors
         await client.setClientRole('host');
-        await client.join(APP_ID, CHANNEL_NAME, toast, uid);
-        console.info(token, uid)
+        await client.join(APP_ID, CHANNEL_NAME, token, uid);
+        tokenRenewerRef.current?.schedule(expiresAt);
         if (localAudioTrack) {
           await client.publish(localAudioTrack);
         }
@@ -160,6 +214,7 @@ const Broadcast = () => {
         setIsReconnecting(false);
         setReconnectAttempts(0);
         setConnectionError(null);
+        reconnectCountRef.current += 1;
 
         toast.success('Broadcast reconnected successfully! Listeners will reconnect automatically.', {
           id: 'reconnected',
@@ -183,7 +238,7 @@ const Broadcast = () => {
         }
       }
     }, delay);
-  }, [client, localAudioTrack, reconnectAttempts, maxReconnectAttempts]);
+  }, [client, localAudioTrack, reconnectAttempts, maxReconnectAttempts, sessionId]);
 
   // Handle connection loss with enhanced detection
   const handleConnectionLoss = useCallback(() => {
@@ -240,6 +295,9 @@ const Broadcast = () => {
         handleStopStream();
         window.alert("Connection lost, broadcast stopped, Please restart the broadcast");
       } else if (curState === 'RECONNECTING') {
+        if (isLiveRef.current) {
+          reconnectCountRef.current += 1;
+        }
         setConnectionStatus('reconnecting');
         toast.info('Connection unstable, attempting to stabilize...', {
           id: 'reconnecting',
@@ -301,101 +359,75 @@ const Broadcast = () => {
       }
     });
 
+    // Festival sessions run for hours, far beyond the token lifetime
+    const tokenRenewer = createTokenRenewer(
+      agoraClient,
+      () => fetchAgoraToken("PUBLISHER", channelNameRef.current, sessionId),
+      {
+        onStatusChange: (status) => {
+          setTokenStatus(status);
+          if (status.state === 'renewed') {
+            toast.success('Broadcast session renewed', { id: 'token-renewed', duration: 3000 });
+          } else if (status.state === 'failed') {
+            toast.warning('Could not renew the broadcast session, retrying...', { id: 'token-renew-failed' });
+          }
+        },
+        onExpired: async () => {
+          if (!isLiveRef.current) return;
+
+          const APP_ID = process.env.NEXT_PUBLIC_AGORA_APPID;
+          const { token, uid, expiresAt } = await fetchAgoraToken("PUBLISHER", channelNameRef.current, sessionId);
+          await agoraClient.leave().catch(() => { });
+          await agoraClient.join(APP_ID, channelNameRef.current, token, uid);
+          if (localAudioTrackRef.current) {
+            await agoraClient.publish(localAudioTrackRef.current);
+          }
+          tokenRenewer.schedule(expiresAt);
+          toast.info('Broadcast session expired and was restored', { id: 'token-restored' });
+        },
+      }
+    );
+    tokenRenewerRef.current = tokenRenewer;
+
     return () => {
       isComponentMountedRef.current = false;
       if (reconnectTimeoutRef.current) {
         clearTimeout(reconnectTimeoutRef.current);
       }
+      tokenRenewer.detach();
+      tokenRenewerRef.current = null;
       agoraClient.removeAllListeners();
     };
   }, [AgoraRTC, isSDKLoading]);
 
 
-  // subscribe to other channels
-  useEffect(() => {
-    if (!AgoraRTC || isSDKLoading) return;
-    console.log("loaderrrrrrr 1")
-    const clients = [];
-    otherLanguageChannel.filter((lang) => lang.value !== language).forEach((language) => {
-      const agoraClient = AgoraRTC.createClient({
-        mode: 'live',
-        codec: 'vp8',
-        role: 'audience'
-      });
-
-      clients.push(agoraClient);
-
-      // Enhanced event handlers
-      agoraClient.on('user-published', async (user, mediaType) => {
-        console.log("user-published");
-        if (mediaType === 'audio' && isComponentMountedRef.current && (channelNameRef.current !== getChannelName(language.value) ||
-          !isLiveRef.current)) {
-          console.log("user-published 1", language.value, channelNameRef.current);
-          try {
-            await agoraClient.subscribe(user, mediaType);
-            const audioTrack = user.audioTrack;
-            const isPlaying = otherChannelsPlayingRef.current[language.value];
-            if (isPlaying) {
-              audioTrack.setVolume(100);
-              await audioTrack.play();
-            }
-            setOtherChannels(prev => ({ ...prev, [language.value]: { ...prev[language.value], audioTrack, isLive: true, isPlaying: !!isPlaying } }));
-
-            toast.success(`${language.name} broadcast is live`, {
-              id: 'broadcast-live',
-              duration: 4000
-            });
-          } catch (error) {
-            console.error('Error subscribing to audio:', error);
-          }
-        }
-      });
-
-      agoraClient.on('user-unpublished', (user, mediaType) => {
-        if (mediaType === 'audio' && isComponentMountedRef.current) {
-          setOtherChannels(prev => ({ ...prev, [language.value]: { ...prev[language.value], audioTrack: null, isLive: false, isPlaying: false } }));
-          setSelectedOtherChannel(null);
-          toast.error(`${language.name} broadcast is offline`, {
-            id: 'broadcast-offline',
-            duration: 4000
-          });
-        }
-      });
-
-      // Enhanced channel joining with timeout
-      const joinChannel = async () => {
-
-        try {
-          const APP_ID = process.env.NEXT_PUBLIC_AGORA_APPID;
-          const CHANNEL_NAME = getChannelName(language.value);
-          const { token, uid } = await generateToken("SUBSCRIBER", CHANNEL_NAME);
-
-          if (!APP_ID || !CHANNEL_NAME) {
-            throw new Error(`Missing required Agora configuration`);
-          }
-
-          const joinPromise = (async () => {
-            await agoraClient.setClientRole('audience');
-            await agoraClient.join(APP_ID, CHANNEL_NAME, token, uid);
-          })();
-
+  // Monitor the other booths of the event as relay sources
+  const { relayChannels, playRelay, stopAllRelays } = useRelayChannels({
+    AgoraRTC,
+    enabled: !isSDKLoading && !!sessionId,
+    sources: relaySources,
+    getChannelName,
+    clientId: sessionId,
+    isOwnChannel: (channel) => isLiveRef.current && channelNameRef.current === channel,
+    playbackDeviceId: audioDevices.speakerId,
+  });
 
-          await Promise.race([joinPromise]);
-        } catch (error) {
-          console.error("Error joining channel:", error);
-        }
-      };
-
-      joinChannel();
+  useEffect(() => {
+    if (!isPreviewing || !localAudioTrack) return;
+    audioDevices.routeToSpeaker(localAudioTrack);
+    localAudioTrack.play();
+    return () => localAudioTrack.stop();
+  }, [isPreviewing, localAudioTrack, audioDevices.routeToSpeaker]);
 
-    })
+  // Listeners must not hear the booth's own loopback
+  useEffect(() => {
+    if (isLive) setIsPreviewing(false);
+  }, [isLive]);
 
-    return () => {
-      clients.forEach(client => {
-        client.removeAllListeners();
-      });
-    };
-  }, [AgoraRTC, isSDKLoading]);
+  // Partner audio plays on the booth's headphones too
+  useEffect(() => {
+    audioDevices.routeToSpeaker(remoteAudioTrack);
+  }, [remoteAudioTrack, audioDevices.routeToSpeaker]);
 
 
   // Initialize Agora client as listener
@@ -431,18 +463,30 @@ const Broadcast = () => {
       }
     });
 
+    const tokenRenewer = createTokenRenewer(
+      agoraClient,
+      () => fetchAgoraToken("SUBSCRIBER", getChannelName(language), sessionId),
+      {
+        onExpired: async () => {
+          await agoraClient.leave().catch(() => { });
+          await joinChannel();
+        },
+      }
+    );
+
     // Enhanced channel joining with timeout
     const joinChannel = async () => {
 
       try {
         const APP_ID = process.env.NEXT_PUBLIC_AGORA_APPID;
         const CHANNEL_NAME = getChannelName(language);
-        const { token, uid } = await generateToken("SUBSCRIBER", CHANNEL_NAME);
 
         if (!APP_ID || !CHANNEL_NAME) {
           throw new Error(`Missing required Agora configuration`);
         }
 
+        const { token, uid, expiresAt } = await fetchAgoraToken("SUBSCRIBER", CHANNEL_NAME, sessionId);
+
         const joinPromise = (async () => {
           await agoraClient.setClientRole('audience');
           await agoraClient.join(APP_ID, CHANNEL_NAME, token, uid);
@@ -450,6 +494,7 @@ const Broadcast = () => {
 
 
         await Promise.race([joinPromise]);
+        tokenRenewer.schedule(expiresAt);
       } catch (error) {
         console.error("Error joining channel:", error);
       }
@@ -460,13 +505,14 @@ const Broadcast = () => {
 
     return () => {
       console.log("loaderrrrrrr removeAllListeners 2");
+      tokenRenewer.detach();
       agoraClient.removeAllListeners();
       agoraClient.leave().catch(console.error);
     };
   }, [AgoraRTC, isSDKLoading]);
 
   // Enhanced microphone initialization with better error handling
-  const initializeMicrophone = async () => {
+  const initializeMicrophone = async (profile = audioProfile) => {
     if (!AgoraRTC) {
       toast.error('Audio system not ready. Please wait and try again.');
       return;
@@ -481,21 +527,19 @@ const Broadcast = () => {
         return;
       }
 
+      const microphoneId = await audioDevices.resolveMicrophoneId();
       const audioTrack = await AgoraRTC.createMicrophoneAudioTrack({
-        encoderConfig: {
-          sampleRate: 48000,
-          stereo: true,
-          bitrate: 128,
-        },
-        ANS: true, // Automatic Noise Suppression
-        AEC: true, // Acoustic Echo Cancellation
-        AGC: true, // Automatic Gain Control
+        microphoneId,
+        encoderConfig: profile.encoderConfig,
+        ANS: profile.ANS, // Automatic Noise Suppression
+        AEC: profile.AEC, // Acoustic Echo Cancellation
+        AGC: profile.AGC, // Automatic Gain Control
       });
 
       setLocalAudioTrack(audioTrack);
       setIsMicConnected(true);
       setConnectionError(null);
-      toast.success("Microphone connected successfully with noise cancellation!");
+      toast.success(`Microphone connected (${profile.name})`, { id: 'microphone-connected' });
 
       // Monitor audio levels with enhanced detection
       audioTrack.on("audio-volume-indication", (level) => {
@@ -523,7 +567,14 @@ const Broadcast = () => {
   };
 
   // Enhanced start broadcast with session tracking and timeout
-  const handleStartStream = async () => {
+  // Resolves to true once the booth is publishing; a handover passes a signal
+  // that calls the start off when it gives up waiting
+  const handleStartStream = async ({ signal } = {}) => {
+    if (!isAssignedToChannel) {
+      toast.error(`You are not assigned to broadcast in ${formatLanguage(selectedLanguage)}.`);
+      return false;
+    }
+
     setLoading(true);
     try {
       if (!isMicConnected) {
@@ -532,34 +583,56 @@ const Broadcast = () => {
 
         if (!isMicConnected) {
           toast.error("Cannot start broadcast without microphone access");
-          return;
+          return false;
         }
       }
+      if (signal?.aborted) return false;
 
       // Validate environment variables
       const APP_ID = process.env.NEXT_PUBLIC_AGORA_APPID;
       const CHANNEL_NAME = channelName;
-      const TOKEN = process.env.NEXT_PUBLIC_AGORA_TOKEN || null;
 
       if (!APP_ID || !CHANNEL_NAME) {
         toast.error("Broadcast configuration error. Please check environment settings.");
-        return;
+        return false;
       }
 
-      // Add connection timeout
-      const connectionTimeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Connection timeout')), 15000)
-      );
+      // Add connection timeout. Timing out (or the handover giving up) also
+      // calls the join off, so a join that completes late never publishes.
+      let settled = false;
+      let cancelled = false;
+      let timeoutId;
+      const connectionTimeout = new Promise((_, reject) => {
+        const callOff = (reason) => {
+          if (settled) return;
+          cancelled = true;
+          client.leave().catch(() => {});
+          reject(new Error(reason));
+        };
+        timeoutId = setTimeout(() => callOff('Connection timeout'), CONNECTION_TIMEOUT_MS);
+        signal?.addEventListener('abort', () => callOff('Handover timeout'), { once: true });
+      });
 
       const connectPromise = async () => {
         await client.setClientRole('host');
-        const { token, uid } = await generateToken("PUBLISHER", channelName);
+        const { token, uid, expiresAt } = await fetchAgoraToken("PUBLISHER", CHANNEL_NAME, sessionId);
+        if (cancelled) return;
         await client.join(APP_ID, CHANNEL_NAME, token, uid);
+        if (cancelled) return client.leave();
+        tokenRenewerRef.current?.schedule(expiresAt);
         await client.publish(localAudioTrack);
+        if (cancelled) return client.leave();
       };
 
       // Race between connection and timeout
-      await Promise.race([connectPromise(), connectionTimeout]);
+      const connecting = connectPromise();
+      connecting.catch(() => {});
+      try {
+        await Promise.race([connecting, connectionTimeout]);
+      } finally {
+        settled = true;
+        clearTimeout(timeoutId);
+      }
 
       setIsLive(true);
       setConnectionStatus('connected');
@@ -567,15 +640,20 @@ const Broadcast = () => {
       setReconnectAttempts(0); // Reset on successful start
       setConnectionError(null);
       streamStartTimeRef.current = Date.now();
+      // Each on-air stint is its own session in the audit log
+      broadcastSessionIdRef.current = `${sessionId}-${streamStartTimeRef.current}`;
+      reconnectCountRef.current = 0;
 
-      // Send session start notification to backend (if you have this endpoint)
+      // Send session start notification to backend
       try {
         await fetch('/api/broadcast/start', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            sessionId,
-            startTime: streamStartTimeRef.current
+            sessionId: broadcastSessionIdRef.current,
+            startTime: streamStartTimeRef.current,
+            channelName: CHANNEL_NAME,
+            audioProfile: audioProfile.id
           })
         });
       } catch (err) {
@@ -585,13 +663,18 @@ const Broadcast = () => {
       toast.success("🎙️ Broadcast started successfully! Listeners can now connect.", {
         duration: 4000
       });
+      return true;
 
     } catch (error) {
       console.error("Error starting stream:", error);
 
       // Provide more specific error messages
       let errorMessage = "Failed to start broadcast: ";
-      if (error.message.includes('timeout')) {
+      if (error.code === 'UNAUTHORIZED') {
+        errorMessage += "Your booth session has expired. Please refresh the page and sign in again.";
+      } else if (error.code === 'LANGUAGE_NOT_ASSIGNED') {
+        errorMessage += "You are not assigned to this language booth.";
+      } else if (error.message.includes('timeout')) {
         errorMessage += "Connection timeout. Please check your network connection.";
       } else if (error.message.includes('INVALID_CHANNEL')) {
         errorMessage += "Invalid channel configuration. Please contact support.";
@@ -604,9 +687,11 @@ const Broadcast = () => {
       setConnectionError(errorMessage);
       toast.error(errorMessage, { duration: 8000 });
 
-      // Reset state on failure
+      // Reset state on failure, without staying joined as a host
+      client.leave().catch(() => {});
       setIsLive(false);
       setConnectionStatus('error');
+      return false;
     } finally {
       setLoading(false);
     }
@@ -621,6 +706,8 @@ const Broadcast = () => {
       }
 
       await client.leave();
+      tokenRenewerRef.current?.cancel();
+      setTokenStatus({ state: 'idle' });
 
       setIsLive(false);
       setConnectionStatus('disconnected');
@@ -640,14 +727,16 @@ const Broadcast = () => {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            sessionId,
+            sessionId: broadcastSessionIdRef.current,
             endTime: Date.now(),
-            duration: streamDuration
+            duration: streamDuration,
+            reconnectCount: reconnectCountRef.current
           })
         });
       } catch (err) {
         console.log('Session tracking not available:', err);
       }
+      broadcastSessionIdRef.current = null;
 
       toast.info("Broadcast stopped. Thank you for your interpretation!", { duration: 4000 });
 
@@ -671,6 +760,22 @@ const Broadcast = () => {
     };
   }, [localAudioTrack]);
 
+  // Close the session log if the booth tab is closed while on air
+  useEffect(() => {
+    const handlePageHide = () => {
+      if (!isLiveRef.current || !broadcastSessionIdRef.current) return;
+      const payload = JSON.stringify({
+        sessionId: broadcastSessionIdRef.current,
+        endTime: Date.now(),
+        reconnectCount: reconnectCountRef.current
+      });
+      navigator.sendBeacon?.('/api/broadcast/end', new Blob([payload], { type: 'application/json' }));
+    };
+
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, []);
+
   // Stream duration timer with pause on disconnect
   useEffect(() => {
     if (!isLive || connectionStatus !== 'connected') return;
@@ -698,7 +803,7 @@ const Broadcast = () => {
           console.warn('No listeners detected while broadcasting');
         }
       } catch (error) {
-        console.error('Error fetching listener count:', error?.response?.data?.message || error.message);
+        console.error('Error fetching listener count:', error.message);
       }
     };
 
@@ -715,93 +820,186 @@ const Broadcast = () => {
 
 
 
-  // Initialize Pusher
+  // Booth-to-booth handover: the incoming booth publishes before we unpublish
+  const handoverIdentity = useMemo(
+    () => ({ id: sessionId, name: interpreter?.name || 'Interpreter' }),
+    [sessionId, interpreter?.name]
+  );
+  const {
+    handover,
+    request: requestHandover,
+    cancel: cancelHandover,
+    accept: acceptHandover,
+    reject: rejectHandover,
+    dismiss: dismissHandover,
+  } = useHandover({
+    channelName,
+    identity: handoverIdentity,
+    isLiveRef,
+    goLive: handleStartStream,
+    goOffAir: handleStopStream,
+  });
+
+  // Optional archive recording of what this booth sends out, one file per on-air stint
+  const recorder = useBroadcastRecorder({
+    track: localAudioTrack,
+    active: isLive && recordingEnabled,
+    channelName,
+    getBroadcastSessionId: () => broadcastSessionIdRef.current,
+  });
+
+  // Live captions for listeners, when the server has a speech-to-text provider
+  const captionFeed = useCaptionFeed({
+    track: localAudioTrack,
+    active: isLive,
+    channelName,
+    getBroadcastSessionId: () => broadcastSessionIdRef.current,
+  });
+
+  // Cough key: mutes the published track without leaving the channel
+  const micMute = useMicMute({
+    track: localAudioTrack,
+    active: isLive,
+    onChange: (muted) => {
+      if (!broadcastSessionIdRef.current) return;
+      setBroadcastMutedRequest(broadcastSessionIdRef.current, muted).catch((error) => {
+        console.error('Mute status not sent:', error.message);
+      });
+    },
+  });
+
+  // Organizers see this booth in the control room
+  useBoothReport({
+    channelName: isAssignedToChannel ? channelName : null,
+    boothId: sessionId,
+    isLive,
+    track: localAudioTrack,
+    muted: micMute.muted,
+    networkQuality,
+    handover,
+  });
+
   useEffect(() => {
+    if (recorder.status === 'error' && recorder.error) {
+      toast.error(`Recording problem: ${recorder.error}`, { id: 'recording-error' });
+    }
+  }, [recorder.status, recorder.error]);
 
-    const pusher = new Pusher(process.env.NEXT_PUBLIC_PUSHER_KEY, {
-      cluster: process.env.NEXT_PUBLIC_PUSHER_CLUSTER,
-    });
-    const CHANNEL_NAME = channelName;
-    const channel = pusher.subscribe(CHANNEL_NAME);
-    channel.bind('on-request-to-handover', (data) => {
-      console.log(isLiveRef.current, "hello");
-      if (isLiveRef.current) {
-        setOpenRequestToHandoverPopup(true);
-      }
-    });
+  useEffect(() => {
+    const peerName = handover.peer?.name || 'The other interpreter';
+    if (handover.phase === HANDOVER_PHASES.COMPLETED) {
+      toast.success(handover.role === 'requester' ? 'Handover complete, you are on air' : `Handover to ${peerName} complete`);
+      dismissHandover();
+    } else if (handover.phase === HANDOVER_PHASES.CANCELLED) {
+      toast.info(handover.reason === 'publish-failed'
+        ? `${peerName} could not go on air, you are still live`
+        : `${peerName} withdrew the handover request`);
+      dismissHandover();
+    } else if (handover.role === 'responder' && handover.phase === HANDOVER_PHASES.EXPIRED) {
+      toast.info('Handover request expired');
+      dismissHandover();
+    } else if (handover.role === 'responder' && handover.phase === HANDOVER_PHASES.FAILED) {
+      toast.error(`${peerName} did not come on air, you are still live`);
+      dismissHandover();
+    }
+  }, [handover.phase]);
 
-    channel.bind('on-accept-to-handover', (data) => {
-      setHandoverRequestResponse("accepted");
-    });
+  const sendRequestToHandover = () => {
+    if (!isAssignedToChannel) {
+      toast.error(`You are not assigned to broadcast in ${formatLanguage(selectedLanguage)}.`);
+      return;
+    }
+    requestHandover();
+  };
 
-    channel.bind('on-reject-to-handover', (data) => {
-      setHandoverRequestResponse("rejected");
-    });
+  // Shift rota: countdown, a warning before each change and an automatic
+  // handover request once our slot has started
+  const shiftRota = useShiftRota({ eventSlug: event.slug, language, username: interpreter?.username });
+  const shiftAlertsRef = useRef(new Set());
+  // Automatic handover of the current shift: attempts so far, when the next
+  // one is due and whether the handover under way is one of them
+  const autoHandoverRef = useRef({ shiftId: null, attempts: 0, nextAttemptAt: 0, pending: false });
 
-    return () => {
-      channel.unbind_all();
-      pusher.unsubscribe(CHANNEL_NAME);
-      pusher.disconnect();
+  useEffect(() => {
+    const { myCurrent, myNext, next, now } = shiftRota;
+    const alertOnce = (key, show) => {
+      if (shiftAlertsRef.current.has(key)) return;
+      shiftAlertsRef.current.add(key);
+      show();
     };
-  }, [channelName]);
-
 
-  const sendRequestToHandover = async () => {
-    setHandoverRequestResponse(null);
-    setWaitingForResponseToHandoverRquestPopup(true);
-    const CHANNEL_NAME = channelName;
-    await pushMessage("on-request-to-handover", {
-      message: "Can you handover the broadcast to me?",
-    }, CHANNEL_NAME);
-  };
+    if (myCurrent && next && next.interpreter !== myCurrent.interpreter && next.start > now && next.start - now <= SHIFT_WARNING_MS) {
+      alertOnce(`ending-${myCurrent.id}`, () => {
+        toast.warning(`${next.interpreterName} takes over in ${formatCountdown(next.start - now)}`, { duration: 10000 });
+      });
+    }
 
-  const sendAcceptToHandover = async () => {
-    await handleStopStream()
-    setOpenRequestToHandoverPopup(false);
-    const CHANNEL_NAME = channelName;
-    await pushMessage("on-accept-to-handover", {
-      message: "Yes, I will handover the broadcast to you.",
-    }, CHANNEL_NAME);
-  };
+    if (myNext && myNext.start - now <= SHIFT_WARNING_MS) {
+      alertOnce(`starting-${myNext.id}`, () => {
+        toast.warning(`Your turn starts in ${formatCountdown(myNext.start - now)}`, { duration: 10000 });
+      });
+    }
 
-  const sendRejectToHandover = async () => {
-    setOpenRequestToHandoverPopup(false);
-    const CHANNEL_NAME = channelName;
-    await pushMessage("on-reject-to-handover", {
-      message: "No, I will not handover the broadcast to you.",
-    }, CHANNEL_NAME);
-  };
+    if (myCurrent && !isLiveRef.current && handover.phase === HANDOVER_PHASES.IDLE) {
+      if (broadcasterCount === 0) {
+        alertOnce(`started-${myCurrent.id}`, () => {
+          toast.info('Your shift has started, go on air when ready', { duration: 10000 });
+        });
+      } else {
+        if (autoHandoverRef.current.shiftId !== myCurrent.id) {
+          autoHandoverRef.current = { shiftId: myCurrent.id, attempts: 0, nextAttemptAt: now, pending: false };
+        }
+        const auto = autoHandoverRef.current;
+        if (auto.attempts < AUTO_HANDOVER_ATTEMPTS && now >= auto.nextAttemptAt) {
+          toast.info(auto.attempts === 0 ? 'Your shift has started, requesting handover' : 'Requesting handover again');
+          auto.attempts += 1;
+          auto.pending = true;
+          sendRequestToHandover();
+        }
+      }
+    }
+  }, [shiftRota.now]);
 
-  const handlePlayOtherChannel = async (language) => {
-    if (otherChannels[language]?.isPlaying) {
-      otherChannels[language]?.audioTrack?.setVolume(0);
-      await otherChannels[language]?.audioTrack?.stop();
-      setOtherChannels(prev => ({ ...prev, [language]: { ...prev[language], isPlaying: false } }));
-      otherChannelsPlayingRef.current[language] = false;
+  // An automatic handover that did not go through is tried again later, and
+  // handed to the interpreter once the attempts run out
+  useEffect(() => {
+    const auto = autoHandoverRef.current;
+    if (!auto.pending || handover.role !== 'requester') return;
+    if (handover.phase === HANDOVER_PHASES.COMPLETED) {
+      auto.pending = false;
+      return;
+    }
+    if (![HANDOVER_PHASES.REJECTED, HANDOVER_PHASES.EXPIRED, HANDOVER_PHASES.FAILED].includes(handover.phase)) return;
+
+    auto.pending = false;
+    if (auto.attempts < AUTO_HANDOVER_ATTEMPTS) {
+      const delay = autoHandoverDelay(auto.attempts);
+      auto.nextAttemptAt = Date.now() + delay;
+      toast.warning(`Handover did not go through, trying again in ${formatCountdown(delay)}`, { id: 'auto-handover' });
+      dismissHandover();
     } else {
-      //if the other channel is playing then stop it
-      Object.keys(otherChannels).forEach(async (key) => {
-        if (otherChannels[key]?.isPlaying) {
-          otherChannels[key]?.audioTrack?.setVolume(0);
-          await otherChannels[key]?.audioTrack?.stop();
-          setOtherChannels(prev => ({ ...prev, [key]: { ...prev[key], isPlaying: false } }));
-          otherChannelsPlayingRef.current[key] = false;
-        }
+      toast.error('Your shift has started but the handover keeps failing. Take over by hand.', {
+        id: 'auto-handover',
+        duration: Infinity,
+        action: { label: 'Request handover', onClick: () => { dismissHandover(); sendRequestToHandover(); } },
       });
+    }
+  }, [handover.phase]);
 
-      //if the partner audio is playing then stop it
-      if (isPartnerAudioPlaying) {
-        remoteAudioTrack.setVolume(0);
-        await remoteAudioTrack.stop();
-        setIsPartnerAudioPlaying(false);
-      }
-
+  const handlePlayOtherChannel = async (language) => {
+    if (relayChannels[language]?.isPlaying) {
+      stopAllRelays();
+      return;
+    }
 
-      otherChannels[language]?.audioTrack?.setVolume(100);
-      await otherChannels[language]?.audioTrack?.play();
-      setOtherChannels(prev => ({ ...prev, [language]: { ...prev[language], isPlaying: true } }));
-      otherChannelsPlayingRef.current[language] = true;
+    //if the partner audio is playing then stop it
+    if (isPartnerAudioPlaying) {
+      remoteAudioTrack.setVolume(0);
+      await remoteAudioTrack.stop();
+      setIsPartnerAudioPlaying(false);
     }
+
+    playRelay(language);
   };
 
   const handleSelectLanguage = (language) => {
@@ -814,6 +1012,16 @@ const Broadcast = () => {
 
 
   // Utility functions
+  const formatLanguage = (value) => `${value?.slice(0, 1).toUpperCase()}${value?.slice(1).toLowerCase()}`;
+
+  const handleSignOut = async () => {
+    if (isLiveRef.current) {
+      toast.error('Go off air before signing out');
+      return;
+    }
+    await signOut();
+  };
+
   const formatDuration = (seconds) => {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -876,6 +1084,25 @@ const Broadcast = () => {
     }
   };
 
+  const getTokenStatusConfig = () => {
+    const formatTime = (seconds) => new Date(seconds * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    switch (tokenStatus.state) {
+      case 'valid':
+        return { text: `Valid until ${formatTime(tokenStatus.expiresAt)}`, className: 'text-zero-text' };
+      case 'renewed':
+        return { text: `Renewed, valid until ${formatTime(tokenStatus.expiresAt)}`, className: 'text-zero-status-good' };
+      case 'renewing':
+        return { text: 'Renewing...', className: 'text-blue-600' };
+      case 'expired':
+        return { text: 'Expired, rejoining...', className: 'text-zero-warning' };
+      case 'failed':
+        return { text: 'Renewal failed, retrying', className: 'text-zero-warning' };
+      default:
+        return { text: 'Not on air', className: 'text-gray-600' };
+    }
+  };
+
   const handleMicToggle = async () => {
     if (isMicConnected) {
       if (localAudioTrack) {
@@ -889,6 +1116,15 @@ const Broadcast = () => {
     }
   };
 
+  // Profiles are applied when the track is created, so a change rebuilds it
+  const handleAudioProfileChange = async (id) => {
+    if (isLive) return;
+    const profile = selectAudioProfile(id);
+    if (isMicConnected) {
+      await initializeMicrophone(profile);
+    }
+  };
+
   const handleReconnect = async () => {
     toast.info("Attempting to reconnect microphone...");
     await initializeMicrophone();
@@ -915,25 +1151,66 @@ const Broadcast = () => {
       await remoteAudioTrack.play();
       setIsPartnerAudioPlaying(true);
 
-      //if the other audio playing then stop it
-      Object.keys(otherChannels).forEach(async (key) => {
-        if (otherChannels[key]?.isPlaying) {
-          otherChannels[key]?.audioTrack?.setVolume(0);
-          await otherChannels[key]?.audioTrack?.stop();
-          setOtherChannels(prev => ({ ...prev, [key]: { ...prev[key], isPlaying: false } }));
-          otherChannelsPlayingRef.current[key] = false;
-        }
-      });
+      //if a relay channel is playing then stop it
+      stopAllRelays();
     }
   };
 
-  const handleSelectOtherChannel = (value) => {
-    setSelectedOtherChannel(value);
-    handlePlayOtherChannel(value);
-  };
+  // Relay sources, shown in the Incoming Audio panel both on and off air
+  const relaySourceList = relaySources.length > 0 ? (
+    relaySources.map((source) => (
+      <div key={source.value} className='flex items-center gap-2 justify-between relative px-1'>
+        {
+          relayChannels[source.value]?.isLive && (
+            <span className='h-2 w-2 rounded-full bg-blue-500 absolute top-1/2 -left-2 -translate-y-1/2 animate-pulse'></span>
+          )
+        }
+        <h3 className='flex items-center gap-2'>
+          {source.flag && <img src={source.flag} alt={source.value} className='w-5 h-5' />}
+          {source.name}
+          {source.relay && <span className='text-[10px] font-semibold uppercase text-zero-blue'>Pivot</span>}
+          {!relayChannels[source.value]?.isLive && <span className='text-xs text-zero-text/50'>Offline</span>}
+        </h3>
+
+        <Button
+          onClick={() => handlePlayOtherChannel(source.value)}
+          variant="outline"
+          size="icon"
+          className="border-zero-navy disabled:opacity-50 disabled:cursor-not-allowed bg-zero-green text-white hover:bg-zero-green hover:text-white font-inter font-medium border-none rounded-full cursor-pointer h-7 w-7"
+          disabled={!relayChannels[source.value]?.isLive}
+        >
+          {relayChannels[source.value]?.isPlaying ? <Pause className="h-5 w-5" /> : <Play className="h-5 w-5" />}
+        </Button>
+      </div>
+    ))
+  ) : (
+    <span className="text-zero-text/70 block mt-5">No Relay Channel</span>
+  );
 
   const statusConfig = getConnectionStatusConfig();
   const StatusIcon = statusConfig.icon;
+  const getShiftSummary = () => {
+    const { myCurrent, myNext, current, next, now } = shiftRota;
+    if (myCurrent) {
+      return {
+        title: `Your turn · ${formatCountdown(myCurrent.end - now)} left`,
+        detail: next && next.interpreter !== myCurrent.interpreter ? `Next: ${next.interpreterName}` : null,
+      };
+    }
+    if (myNext) {
+      return {
+        title: `Your turn in ${formatCountdown(myNext.start - now)}`,
+        detail: current ? `On air: ${current.interpreterName}` : null,
+      };
+    }
+    if (current) {
+      return { title: `${current.interpreterName} on air`, detail: `Until ${new Date(current.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` };
+    }
+    return { title: 'No shift scheduled', detail: null };
+  };
+
+  const tokenStatusConfig = getTokenStatusConfig();
+  const shiftSummary = getShiftSummary();
 
   // Loading component for async SDK loading
   const LoadingComponent = () => (
@@ -989,36 +1266,66 @@ const Broadcast = () => {
   return (
     <div className='monstant-font'>
       {
-        waitingForResponseToHandoverRquestPopup && (
+        handover.role === 'requester' && handover.phase !== HANDOVER_PHASES.IDLE && (
           <Dialog>
             {
-              handoverRequestResponse === "accepted" ? (
+              handover.phase === HANDOVER_PHASES.REQUESTING ? (
+                <>
+                  <p className='text-sm text-gray-500 text-center mb-2'>Waiting for response from the other broadcaster</p>
+                  <p className='text-xs text-gray-400 text-center mb-5'><HandoverCountdown expiresAt={handover.expiresAt} /></p>
+                  <div className='flex justify-center'>
+                    <Button onClick={cancelHandover} className='bg-gray-600 text-white hover:bg-gray-600/90'>Cancel Request</Button>
+                  </div>
+                </>
+              ) : (handover.phase === HANDOVER_PHASES.ACCEPTED || handover.phase === HANDOVER_PHASES.READY) ? (
+                <div className='flex flex-col items-center'>
+                  <Loader2 className='h-8 w-8 animate-spin text-zero-green mb-4' />
+                  <p className='text-sm text-green-500 text-center'>
+                    {handover.phase === HANDOVER_PHASES.ACCEPTED
+                      ? `${handover.peer?.name || 'The other broadcaster'} accepted. Going on air...`
+                      : `You are on air. Waiting for ${handover.peer?.name || 'the other broadcaster'} to go off air...`}
+                  </p>
+                </div>
+              ) : (
                 <>
-                  <p className='text-sm text-green-500 text-center mb-5'>Handover request accepted</p>
-                  <Button onClick={() => { setWaitingForResponseToHandoverRquestPopup(false); handleStartStream() }} className='bg-zero-green text-white hover:bg-zero-green/90'>On Air</Button>
+                  <p className='text-sm text-red-500 text-center mb-5'>
+                    {handover.phase === HANDOVER_PHASES.REJECTED
+                      ? (handover.reason === 'busy' ? 'The booth is handling another handover request' : 'Handover request rejected')
+                      : handover.phase === HANDOVER_PHASES.EXPIRED
+                        ? 'No response, the handover request expired'
+                        : 'Could not go on air, the other broadcaster stays live'}
+                  </p>
+                  <div className='flex justify-center'>
+                    <Button onClick={dismissHandover} className='bg-gray-600 text-white hover:bg-gray-600/90'>Close</Button>
+                  </div>
                 </>
-              )
-                : (handoverRequestResponse === "rejected") ? (
-                  <>
-                    <p className='text-sm text-red-500 text-center mb-5'>Handover request rejected</p>
-                    <Button onClick={() => setWaitingForResponseToHandoverRquestPopup(false)} className='bg-gray-600 text-white hover:bg-gray-600/90'>Close</Button>
-                  </>
-                ) : (
-                  <>
-                    <p className='text-sm text-gray-500 text-center mb-5'>Waiting for response from the other broadcaster</p>
-                  </>
-                )}
+              )}
           </Dialog>
         )
       }
       {
-        openRequestToHandoverPopup && (
+        handover.phase === HANDOVER_PHASES.INCOMING && (
           <Dialog>
             <h1 className='text-2xl font-bold text-center'>Request to Handover</h1>
-            <p className='text-sm text-gray-500 text-center'>Handover request received from the other broadcaster. Please accept or reject the request.</p>
+            <p className='text-sm text-gray-500 text-center'>{handover.peer?.name || 'The other broadcaster'} asks to take over the broadcast. You stay on air until they are live.</p>
+            <p className='text-xs text-gray-400 text-center mt-2'><HandoverCountdown expiresAt={handover.expiresAt} /></p>
             <div className='flex items-center gap-5 w-full justify-center mt-5'>
-              <Button onClick={sendAcceptToHandover} className='bg-zero-green text-white hover:bg-zero-green/90'>Accept</Button>
-              <Button onClick={sendRejectToHandover} className='bg-red-500 text-white hover:bg-red-500/90'>Reject</Button>
+              <Button onClick={acceptHandover} className='bg-zero-green text-white hover:bg-zero-green/90'>Accept</Button>
+              <Button onClick={rejectHandover} className='bg-red-500 text-white hover:bg-red-500/90'>Reject</Button>
+            </div>
+          </Dialog>
+        )
+      }
+      {
+        (handover.phase === HANDOVER_PHASES.AWAITING_READY || handover.phase === HANDOVER_PHASES.RELEASING) && (
+          <Dialog>
+            <div className='flex flex-col items-center'>
+              <Loader2 className='h-8 w-8 animate-spin text-zero-green mb-4' />
+              <p className='text-sm text-gray-500 text-center'>
+                {handover.phase === HANDOVER_PHASES.AWAITING_READY
+                  ? `Waiting for ${handover.peer?.name || 'the other broadcaster'} to come on air. Keep interpreting.`
+                  : `${handover.peer?.name || 'The other broadcaster'} is on air. Handing over...`}
+              </p>
             </div>
           </Dialog>
         )
@@ -1028,10 +1335,27 @@ const Broadcast = () => {
         <header className="bg-gray-200 text-white p-6 sticky top-0 z-50 backdrop-blur-xl border-b border-white/10">
           <div className="container mx-auto flex justify-between items-center">
             <div className="flex items-center gap-6">
-              <img src="/images/lingo-you-logo.png" alt="logo" className="w-[12rem] object-contain" />
+              <img src={event.branding.boothLogo} alt="logo" className="w-[12rem] object-contain" />
+              <span className="text-zero-text font-inter font-medium hidden md:inline">{event.name}</span>
             </div>
 
             <div className="flex items-center gap-6">
+              {interpreter && (
+                <div className="flex items-center gap-3 text-zero-text">
+                  <UserCircle className="w-5 h-5" />
+                  <span className="text-sm font-medium">{interpreter.name}</span>
+                  <Button
+                    onClick={handleSignOut}
+                    variant="outline"
+                    size="sm"
+                    disabled={isLive}
+                    className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white font-inter font-medium"
+                  >
+                    <LogOut className="h-4 w-4 mr-1" />
+                    Sign out
+                  </Button>
+                </div>
+              )}
               {/* Connection Status in Header */}
               <div className={`inline-flex items-center gap-2 px-4 py-2 rounded-full text-sm font-medium ${statusConfig.className}`}>
                 <StatusIcon className={`w-4 h-4 ${statusConfig.iconClass}`} />
@@ -1180,21 +1504,21 @@ const Broadcast = () => {
                 <div className="space-y-10">
                   {/* Main Action Button */}
                   {
-                    twoWayLanguages[language] && (
+                    twoWayTarget && (
                       <div className="bg-gray-300 grid grid-cols-2 gap-0">
                         <Button
                           onClick={() => handleSelectLanguage(language)}
-                          className={`px-2 py-2 cursor-pointer text-white ${selectedLanguage !== 'italian' ? 'bg-zero-green hover:bg-zero-green/90' : 'bg-gray-300 text-zero-text hover:bg-gray-300/90'}`}
+                          className={`px-2 py-2 cursor-pointer text-white ${selectedLanguage !== twoWayTarget ? 'bg-zero-green hover:bg-zero-green/90' : 'bg-gray-300 text-zero-text hover:bg-gray-300/90'}`}
                           size="lg"
                         >
                           {language?.slice(0, 1).toUpperCase()}{language?.slice(1).toLowerCase()}
                         </Button>
                         <Button
-                          onClick={() => handleSelectLanguage('italian')}
-                          className={`px-2 py-2 cursor-pointer text-white ${selectedLanguage === 'italian' ? 'bg-zero-green hover:bg-zero-green/90' : 'bg-gray-300 text-zero-text hover:bg-gray-300/90'}`}
+                          onClick={() => handleSelectLanguage(twoWayTarget)}
+                          className={`px-2 py-2 cursor-pointer text-white ${selectedLanguage === twoWayTarget ? 'bg-zero-green hover:bg-zero-green/90' : 'bg-gray-300 text-zero-text hover:bg-gray-300/90'}`}
                           size="lg"
                         >
-                          Italian
+                          {formatLanguage(twoWayTarget)}
                         </Button>
                       </div>
                     )
@@ -1211,6 +1535,7 @@ const Broadcast = () => {
                       ) : (broadcasterCount > 1 && !isLive && !loading) ? (
                         <Button
                           onClick={sendRequestToHandover}
+                          disabled={!isAssignedToChannel || handover.phase !== HANDOVER_PHASES.IDLE}
                           className="w-full bg-zero-green text-white hover:bg-zero-green/90 text-2xl px-12 py-10 font-bold transition-all duration-300 hover:scale-105 font-inter rounded-2xl shadow-xl"
                           size="lg"
                         >
@@ -1218,8 +1543,8 @@ const Broadcast = () => {
                         </Button>
                       ) : !isLive ? (
                         <Button
-                          onClick={handleStartStream}
-                          disabled={!isMicConnected || isReconnecting}
+                          onClick={() => handleStartStream()}
+                          disabled={!isMicConnected || isReconnecting || !isAssignedToChannel}
                           className="w-full bg-zero-green text-white hover:bg-zero-green/90 text-2xl px-12 py-10 font-bold transition-all duration-300 hover:scale-105 font-inter rounded-2xl shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
                           size="lg"
                         >
@@ -1239,6 +1564,82 @@ const Broadcast = () => {
                       )}
                   </div>
 
+                  {micMute.muted && (
+                    <div role="status" className="flex items-center justify-center gap-3 bg-zero-warning text-white rounded-2xl px-6 py-5 animate-pulse">
+                      <MicOff className="h-8 w-8" />
+                      <span className="text-2xl font-bold font-inter uppercase tracking-wide">
+                        {micMute.holding ? 'Cough - mic muted' : 'Mic muted'}
+                      </span>
+                    </div>
+                  )}
+
+                  <div className="bg-gray-50 rounded-2xl px-6 py-4 space-y-4">
+                    <div className="grid grid-cols-2 gap-4">
+                      <Button
+                        onPointerDown={micMute.startHold}
+                        onPointerUp={micMute.endHold}
+                        onPointerLeave={micMute.endHold}
+                        onContextMenu={(e) => e.preventDefault()}
+                        disabled={!isLive}
+                        variant="outline"
+                        className={`py-6 font-bold font-inter rounded-xl select-none touch-none ${micMute.holding ? 'bg-zero-warning text-white border-zero-warning hover:bg-zero-warning hover:text-white' : 'border-zero-navy text-zero-navy'}`}
+                      >
+                        Hold to cough
+                      </Button>
+                      <Button
+                        onClick={micMute.toggleLatch}
+                        disabled={!isLive}
+                        variant="outline"
+                        className={`py-6 font-bold font-inter rounded-xl ${micMute.latched ? 'bg-zero-warning text-white border-zero-warning hover:bg-zero-warning/90 hover:text-white' : 'border-zero-navy text-zero-navy'}`}
+                      >
+                        {micMute.latched ? <Mic className="mr-2 h-5 w-5" /> : <MicOff className="mr-2 h-5 w-5" />}
+                        {micMute.latched ? 'Unmute' : 'Mute'}
+                      </Button>
+                    </div>
+                    <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-zero-text/60 font-inter">
+                      <span>Keyboard shortcuts (click to change):</span>
+                      <div className="flex gap-2">
+                        {[['hold', 'Cough'], ['latch', 'Mute']].map(([action, label]) => (
+                          <button
+                            key={action}
+                            type="button"
+                            onClick={() => micMute.captureShortcut(action)}
+                            className="px-2 py-1 rounded-md border border-gray-300 bg-white hover:border-zero-navy"
+                          >
+                            {label}: <kbd className="font-mono font-bold text-zero-text">
+                              {micMute.capturing === action ? 'press a key…' : formatShortcut(micMute.shortcuts[action])}
+                            </kbd>
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+
+                  {recorder.isSupported && (
+                    <div className="flex items-center justify-between bg-gray-50 rounded-2xl px-6 py-4">
+                      <label htmlFor="record-broadcast" className="flex items-center gap-3 text-sm font-medium text-zero-text font-inter">
+                        <span className={`h-3 w-3 rounded-full ${recorder.status === 'recording' && isLive && recordingEnabled ? 'bg-red-500 animate-pulse' : 'bg-gray-300'}`} />
+                        Record this broadcast
+                      </label>
+                      <div className="flex items-center gap-4">
+                        {recordingEnabled && recorder.bytes > 0 && (
+                          <span className="text-xs text-zero-text/60 font-inter">
+                            {(recorder.bytes / (1024 * 1024)).toFixed(1)} MB saved
+                            {recorder.pendingChunks > 1 && ` · ${recorder.pendingChunks} chunks waiting`}
+                          </span>
+                        )}
+                        <Switch id="record-broadcast" checked={recordingEnabled} onCheckedChange={setRecordingEnabled} />
+                      </div>
+                    </div>
+                  )}
+
+                  {captionFeed.enabled && (
+                    <div className="flex items-center gap-3 bg-gray-50 rounded-2xl px-6 py-4 text-sm font-medium text-zero-text font-inter">
+                      <span className={`h-3 w-3 rounded-full ${isLive ? 'bg-zero-green animate-pulse' : 'bg-gray-300'}`} />
+                      {isLive ? 'Live captions are on for listeners' : 'Live captions start when you go on air'}
+                    </div>
+                  )}
+
                   {/* Connection Controls */}
                  {/* 
 {(connectionStatus === 'error' || isReconnecting || connectionError) && (
@@ -1261,6 +1662,16 @@ const Broadcast = () => {
 */}
 
 
+                  {!isAssignedToChannel && !isLive && (
+                    <div className="text-center bg-red-50 p-6 rounded-3xl border border-red-200">
+                      <Ban className="h-10 w-10 mx-auto mb-3 text-red-600" />
+                      <p className="text-red-800 font-bold text-lg font-inter">Not assigned to this booth</p>
+                      <p className="text-sm text-red-600 mt-2 font-inter">
+                        {interpreter?.name} is not allowed to broadcast in {formatLanguage(selectedLanguage)}. Ask an organizer to add this language to your account.
+                      </p>
+                    </div>
+                  )}
+
                   {!isMicConnected && (
                     <div className="text-center bg-orange-50 p-8 rounded-3xl border border-orange-200">
                       <MicOff className="h-12 w-12 mx-auto mb-4 text-orange-600" />
@@ -1293,6 +1704,73 @@ const Broadcast = () => {
                       </Button>
                     </div>
 
+                    <div className="space-y-2 mb-4">
+                      <span className="text-sm font-inter font-medium text-zero-text flex items-center gap-2">
+                        <Settings className="h-4 w-4" /> Audio profile
+                      </span>
+                      <div className="flex gap-3">
+                        <Select value={audioProfile.id} onValueChange={handleAudioProfileChange} disabled={isLive}>
+                          <SelectTrigger className="flex-1"><SelectValue /></SelectTrigger>
+                          <SelectContent>
+                            {audioProfiles.map((profile) => (
+                              <SelectItem key={profile.id} value={profile.id}>{profile.name}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <Button
+                          onClick={() => setIsPreviewing((value) => !value)}
+                          disabled={isLive || !isMicConnected}
+                          variant="outline"
+                          className={`font-inter font-medium ${isPreviewing ? 'bg-zero-navy text-white hover:bg-zero-navy/90 hover:text-white' : 'border-zero-navy text-zero-navy'}`}
+                        >
+                          <Headphones className="mr-2 h-4 w-4" />
+                          {isPreviewing ? 'Stop preview' : 'Preview'}
+                        </Button>
+                      </div>
+                      <p className="text-xs text-zero-text/60 font-inter">
+                        {audioProfile.description} {isLive ? 'Go off air to change it.' : 'Use headphones to preview, speakers will feed back.'}
+                      </p>
+                    </div>
+
+                    <div className={`grid gap-4 mb-6 ${audioDevices.canSelectOutput ? 'grid-cols-2' : 'grid-cols-1'}`}>
+                      <div className="space-y-2">
+                        <span className="text-sm font-inter font-medium text-zero-text flex items-center gap-2">
+                          <Mic className="h-4 w-4" /> Microphone
+                        </span>
+                        <Select
+                          value={audioDevices.microphoneId || ''}
+                          onValueChange={audioDevices.selectMicrophone}
+                          disabled={audioDevices.microphones.length === 0}
+                        >
+                          <SelectTrigger className="w-full"><SelectValue placeholder="Default microphone" /></SelectTrigger>
+                          <SelectContent>
+                            {audioDevices.microphones.map((device) => (
+                              <SelectItem key={device.deviceId} value={device.deviceId}>{device.label || 'Microphone'}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      {audioDevices.canSelectOutput && (
+                        <div className="space-y-2">
+                          <span className="text-sm font-inter font-medium text-zero-text flex items-center gap-2">
+                            <Headphones className="h-4 w-4" /> Headphones
+                          </span>
+                          <Select
+                            value={audioDevices.speakerId || ''}
+                            onValueChange={audioDevices.selectSpeaker}
+                            disabled={audioDevices.speakers.length === 0}
+                          >
+                            <SelectTrigger className="w-full"><SelectValue placeholder="Default output" /></SelectTrigger>
+                            <SelectContent>
+                              {audioDevices.speakers.map((device) => (
+                                <SelectItem key={device.deviceId} value={device.deviceId}>{device.label || 'Output'}</SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                      )}
+                    </div>
+
                     <AudioLevelMeter
                       level={micLevel}
                       isActive={isMicConnected}
@@ -1352,33 +1830,7 @@ const Broadcast = () => {
                         <div className="p-4 bg-gray-50 rounded-2xl">
                           <span className="text-zero-text font-bold block mb-1 uppercase">Relay Channel</span>
                           <div className='h-[8rem] rounded-2xl overflow-y-auto overflow-x-visible p-2 space-y-2'>
-                            {
-                              otherLanguageChannel.filter((lang) => (lang.value !== language)).length > 0 ? (
-                                otherLanguageChannel.filter((lang) => (lang.value !== language)).map((language) => (
-                                  <div key={language.value} className='flex items-center gap-2 justify-between relative px-1'>
-                                    {
-                                      otherChannels[language.value]?.isLive && (
-                                        <span className='h-2 w-2 rounded-full bg-blue-500 absolute top-1/2 -left-2 -translate-y-1/2 animate-pulse'></span>
-                                      )
-                                    }
-                                    <h3 className='flex items-center gap-2'><img src={language.flag} alt={language.value} className='w-5 h-5' />
-                                      {language.name}</h3>
-
-                                    <Button
-                                      onClick={() => handlePlayOtherChannel(language.value)}
-                                      variant="outline"
-                                      size="icon"
-                                      className="border-zero-navy disabled:opacity-50 disabled:cursor-not-allowed bg-zero-green text-white hover:bg-zero-green hover:text-white font-inter font-medium border-none rounded-full cursor-pointer h-7 w-7"
-                                      disabled={!otherChannels[language.value]?.isLive}
-                                    >
-                                      {otherChannels[language.value]?.isPlaying ? <Pause className="h-5 w-5" /> : <Play className="h-5 w-5" />}
-                                    </Button>
-                                  </div>
-                                ))
-                              ) : (
-                                <span className="text-zero-text/70 block mt-5">No Relay Channel</span>
-                              )
-                            }
+                            {relaySourceList}
                           </div>
                         </div>
                       </div>
@@ -1390,33 +1842,7 @@ const Broadcast = () => {
                       <div className="p-4 bg-gray-50 rounded-2xl">
                         <span className="text-zero-text font-bold block mb-1 uppercase">Relay Channel</span>
                         <div className='h-[8rem] rounded-2xl overflow-y-auto overflow-x-visible p-2 space-y-2'>
-                          {
-                            otherLanguageChannel.filter((lang) => (lang.value !== language)).length > 0 ? (
-                              otherLanguageChannel.filter((lang) => (lang.value !== language)).map((language) => (
-                                <div key={language.value} className='flex items-center gap-2 justify-between relative px-1'>
-                                  {
-                                    otherChannels[language.value]?.isLive && (
-                                      <span className='h-2 w-2 rounded-full bg-blue-500 absolute top-1/2 -left-2 -translate-y-1/2 animate-pulse'></span>
-                                    )
-                                  }
-                                  <h3 className='flex items-center gap-2'><img src={language.flag} alt={language.value} className='w-5 h-5' />
-                                    {language.name}</h3>
-
-                                  <Button
-                                    onClick={() => handlePlayOtherChannel(language.value)}
-                                    variant="outline"
-                                    size="icon"
-                                    className="border-zero-navy disabled:opacity-50 disabled:cursor-not-allowed bg-zero-green text-white hover:bg-zero-green hover:text-white font-inter font-medium border-none rounded-full cursor-pointer h-7 w-7"
-                                    disabled={!otherChannels[language.value]?.isLive}
-                                  >
-                                    {otherChannels[language.value]?.isPlaying ? <Pause className="h-5 w-5" /> : <Play className="h-5 w-5" />}
-                                  </Button>
-                                </div>
-                              ))
-                            ) : (
-                              <span className="text-zero-text/70 block mt-5">No Relay Channel</span>
-                            )
-                          }
+                          {relaySourceList}
                         </div>
                       </div>
                     )
@@ -1441,6 +1867,12 @@ const Broadcast = () => {
                           {isMicConnected ? 'Connected' : 'Disconnected'}
                         </div>
                       </div>
+                      <div className="p-4 bg-gray-50 rounded-2xl">
+                        <span className="text-zero-text/70 font-medium block mb-1">Session Token</span>
+                        <div className={`font-bold text-lg ${tokenStatusConfig.className}`}>
+                          {tokenStatusConfig.text}
+                        </div>
+                      </div>
                     </div>
 
                     <div className="space-y-6">
@@ -1458,6 +1890,13 @@ const Broadcast = () => {
                         <span className="text-zero-text/70 font-medium block mb-1">Duration</span>
                         <div className="font-bold text-lg text-zero-text">{formatDuration(streamDuration)}</div>
                       </div>
+                      <div className="p-4 bg-gray-50 rounded-2xl">
+                        <span className="text-zero-text/70 font-medium block mb-1">Shift</span>
+                        <div className="font-bold text-lg text-zero-text">{shiftSummary.title}</div>
+                        {shiftSummary.detail && (
+                          <div className="text-xs text-zero-text/60 mt-1">{shiftSummary.detail}</div>
+                        )}
+                      </div>
                     </div>
                   </div>
 
@@ -0,0 +1,245 @@
+'use client'
+import React, { useEffect, useState } from 'react'
+import { Card } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Button } from "@/components/ui/button";
+import { AlertTriangle, Headphones, Loader2, MicOff, RadioTower, Square } from 'lucide-react';
+import { toast } from 'sonner';
+import OnAirIndicator from '@/components/OnAirIndicator';
+import { useBoothSession } from '@/context/BoothSessionContext';
+import { useControlRoom } from '@/hooks/useControlRoom';
+import { useChannelMonitor } from '@/hooks/useChannelMonitor';
+import { getEventsRequest } from '@/http/adminHttp';
+import { getChannelAlerts, isBoothFresh } from '@/lib/controlRoom';
+
+const NETWORK_COLORS = {
+  good: 'text-green-600',
+  fair: 'text-yellow-600',
+  poor: 'text-red-600',
+};
+
+const formatDuration = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+const Stat = ({ label, children }) => (
+  <div>
+    <div className="text-xs text-zero-text/60">{label}</div>
+    <div className="text-sm font-medium text-zero-text">{children}</div>
+  </div>
+);
+
+const ChannelCard = ({ channel, now, isMonitored, isConnecting, onMonitor }) => {
+  if (!channel.offered) {
+    return (
+      <Card className="bg-white/50 shadow-none border-0 rounded-3xl px-6 py-5 opacity-60">
+        <div className="flex items-center gap-3">
+          <img src={channel.flag} alt={channel.name} className="w-8 h-8 rounded-full object-cover" />
+          <div>
+            <div className="font-bold text-zero-text">{channel.name}</div>
+            <div className="text-xs text-zero-text/60">Not offered at this event</div>
+          </div>
+        </div>
+      </Card>
+    );
+  }
+
+  const { status, session } = channel;
+  const booths = channel.booths.filter((booth) => isBoothFresh(booth, now));
+  const onAirBooth = booths.find((booth) => booth.onAir);
+  const alerts = getChannelAlerts(channel, now);
+  const isOnAir = !!status?.hostOnline;
+
+  return (
+    <Card className={`bg-white/90 shadow-2xl border-0 rounded-3xl px-6 py-5 ${alerts.length ? 'ring-2 ring-zero-warning' : ''}`}>
+      <div className="flex items-start justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <img src={channel.flag} alt={channel.name} className="w-10 h-10 rounded-full object-cover" />
+          <div>
+            <div className="font-bold text-zero-text">{channel.name}</div>
+            <div className="text-xs text-zero-text/60">{status?.interpreterName || session?.interpreterName || 'No interpreter on air'}</div>
+          </div>
+        </div>
+        {onAirBooth?.muted ? (
+          <span className="flex items-center gap-1 text-sm font-semibold text-zero-warning"><MicOff className="h-4 w-4" /> Muted</span>
+        ) : isOnAir ? <OnAirIndicator isLive size="sm" /> : <span className="text-sm text-zero-text/50">Off air</span>}
+      </div>
+
+      <div className="grid grid-cols-4 gap-3 mt-4">
+        <Stat label="Booths">{status?.broadcasters ?? 0}</Stat>
+        <Stat label="Listeners">{status?.listeners ?? 0}</Stat>
+        <Stat label="On air for">{isOnAir && session ? formatDuration(now - session.startTime) : '–'}</Stat>
+        <Stat label="Network">
+          <span className={NETWORK_COLORS[onAirBooth?.networkQuality] || 'text-zero-text/50'}>
+            {onAirBooth?.networkQuality || '–'}
+          </span>
+        </Stat>
+      </div>
+
+      <div className="mt-4">
+        <div className="flex justify-between text-xs text-zero-text/60 mb-1">
+          <span>Audio level</span>
+          <span>{onAirBooth ? `${onAirBooth.level}%` : '–'}</span>
+        </div>
+        <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full gradient-audio-level transition-all duration-500 ease-out"
+            style={{ width: `${onAirBooth?.level || 0}%` }}
+          />
+        </div>
+      </div>
+
+      {booths.length > 0 && (
+        <p className="text-xs text-zero-text/60 mt-3">
+          Open booths: {booths.map((booth) => `${booth.interpreterName}${booth.onAir ? ' (on air)' : ''}`).join(', ')}
+        </p>
+      )}
+
+      {alerts.length > 0 && (
+        <ul className="mt-3 space-y-1">
+          {alerts.map((alert) => (
+            <li key={alert.message} className="flex items-center gap-2 text-sm text-zero-warning">
+              <AlertTriangle className="h-4 w-4 shrink-0" />
+              {alert.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Button
+        onClick={() => onMonitor(channel.channelName)}
+        variant={isMonitored ? 'default' : 'outline'}
+        size="sm"
+        className="w-full mt-4"
+      >
+        {isMonitored && isConnecting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+        {isMonitored && !isConnecting && <Square className="h-4 w-4 mr-2" />}
+        {!isMonitored && <Headphones className="h-4 w-4 mr-2" />}
+        {isMonitored ? (isConnecting ? 'Connecting...' : 'Stop monitoring') : 'Monitor'}
+      </Button>
+    </Card>
+  );
+};
+
+// Every booth of an event at a glance, with one-click monitoring
+const ControlRoom = () => {
+  const { interpreter, signOut } = useBoothSession();
+  const [events, setEvents] = useState([]);
+  const [eventSlug, setEventSlug] = useState('');
+  const [tick, setTick] = useState(Date.now());
+  const { controlRoom, clockOffset, error } = useControlRoom(eventSlug);
+  const monitor = useChannelMonitor();
+
+  useEffect(() => {
+    window.document.title = 'Control Room';
+    getEventsRequest()
+      .then((eventList) => {
+        setEvents(eventList);
+        const requested = new URLSearchParams(window.location.search).get('event');
+        const initial = eventList.find((event) => event.slug === requested) || eventList[0];
+        if (initial) setEventSlug(initial.slug);
+      })
+      .catch((loadError) => toast.error(loadError.message || 'Unable to load events'));
+  }, []);
+
+  // Durations, silence and stale reports move on without new messages
+  useEffect(() => {
+    const interval = setInterval(() => setTick(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (error) toast.error(error, { id: 'control-room-error' });
+  }, [error]);
+
+  useEffect(() => {
+    if (monitor.error) toast.error(`Monitoring failed: ${monitor.error}`, { id: 'monitor-error' });
+  }, [monitor.error]);
+
+  // Leave the monitored channel when switching events
+  useEffect(() => {
+    monitor.stop();
+  }, [eventSlug]);
+
+  const now = tick + clockOffset;
+  const offered = controlRoom?.channels.filter((channel) => channel.offered) || [];
+  const onAirCount = offered.filter((channel) => channel.status?.hostOnline).length;
+  const listenerCount = offered.reduce((sum, channel) => sum + (channel.status?.listeners || 0), 0);
+  const alertCount = offered.filter((channel) => getChannelAlerts(channel, now).length > 0).length;
+
+  return (
+    <div className="min-h-screen bg-zero-beige monstant-font">
+      <header className="bg-gray-200 p-6 sticky top-0 z-50 border-b border-white/10">
+        <div className="container mx-auto flex justify-between items-center">
+          <div className="flex items-center gap-3 text-zero-text">
+            <RadioTower className="h-6 w-6" />
+            <h1 className="text-2xl font-playfair font-bold">Control Room</h1>
+          </div>
+          <div className="flex items-center gap-3 text-zero-text">
+            <span className="text-sm font-medium">{interpreter?.name}</span>
+            <Button onClick={signOut} variant="outline" size="sm" className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+              Sign out
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto p-8 space-y-8">
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          <div className="flex flex-wrap items-end gap-8">
+            <div className="space-y-2">
+              <Label>Event</Label>
+              <Select value={eventSlug} onValueChange={setEventSlug}>
+                <SelectTrigger className="w-[16rem]"><SelectValue placeholder="Event" /></SelectTrigger>
+                <SelectContent>
+                  {events.map((event) => (
+                    <SelectItem key={event.slug} value={event.slug}>{event.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {controlRoom ? (
+              <>
+                <Stat label="On air">{onAirCount} / {offered.length}</Stat>
+                <Stat label="Listeners">{listenerCount}</Stat>
+                <Stat label="Need attention">
+                  <span className={alertCount ? 'text-zero-warning' : ''}>{alertCount}</span>
+                </Stat>
+              </>
+            ) : (
+              eventSlug && <Loader2 className="h-6 w-6 animate-spin text-zero-blue mb-2" />
+            )}
+          </div>
+          <p className="text-xs text-zero-text/60 mt-3">
+            Open booths report every few seconds. Booths on air that stay silent, stop reporting or have a handover pending are flagged.
+          </p>
+        </Card>
+
+        {controlRoom && (
+          <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-6">
+            {controlRoom.channels.map((channel) => (
+              <ChannelCard
+                key={channel.channelName}
+                channel={channel}
+                now={now}
+                isMonitored={monitor.channelName === channel.channelName}
+                isConnecting={monitor.connecting}
+                onMonitor={monitor.monitor}
+              />
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default ControlRoom
@@ -0,0 +1,261 @@
+'use client'
+import React, { useEffect, useRef, useState } from 'react'
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { ArrowDown, ArrowUp, ImageUp, Languages, Loader2, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { useBoothSession } from '@/context/BoothSessionContext';
+import {
+  createLanguageRequest,
+  deleteLanguageRequest,
+  getLanguagesRequest,
+  reorderLanguagesRequest,
+  updateLanguageRequest,
+  uploadLanguageFlagRequest,
+} from '@/http/languageHttp';
+
+const FLAG_SETTINGS = [
+  { key: 'enabled', label: 'Enabled' },
+  { key: 'relay', label: 'Relay' },
+  { key: 'twoWay', label: 'Two-way' },
+];
+
+const LanguageRow = ({ language, index, total, onChange, onMove, onDelete }) => {
+  const [name, setName] = useState(language.name);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    setName(language.name);
+  }, [language.name]);
+
+  const handleFlagUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onChange(await uploadLanguageFlagRequest(language.value, file));
+      toast.success(`Flag updated for ${language.name}`);
+    } catch (error) {
+      toast.error(error.message || 'Unable to upload flag');
+    }
+  };
+
+  const handleUpdate = async (changes) => {
+    try {
+      onChange(await updateLanguageRequest(language.value, changes));
+    } catch (error) {
+      toast.error(error.message || 'Unable to update language');
+      setName(language.name);
+    }
+  };
+
+  return (
+    <div className={`flex flex-wrap items-center gap-4 p-4 rounded-2xl ${language.enabled ? 'bg-gray-50' : 'bg-gray-100 opacity-70'}`}>
+      <div className="flex flex-col gap-1">
+        <Button variant="ghost" size="icon" className="h-6 w-6" disabled={index === 0} onClick={() => onMove(index, -1)}>
+          <ArrowUp className="h-4 w-4" />
+        </Button>
+        <Button variant="ghost" size="icon" className="h-6 w-6" disabled={index === total - 1} onClick={() => onMove(index, 1)}>
+          <ArrowDown className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        className="relative w-12 h-12 rounded-full overflow-hidden bg-white border border-gray-200 flex items-center justify-center cursor-pointer group"
+        title="Upload flag"
+      >
+        {language.flag
+          ? <img src={language.flag} alt={language.value} className="w-full h-full object-cover" />
+          : <ImageUp className="h-5 w-5 text-zero-text/50" />}
+        <span className="absolute inset-0 bg-black/40 hidden group-hover:flex items-center justify-center">
+          <ImageUp className="h-4 w-4 text-white" />
+        </span>
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/svg+xml,image/png,image/jpeg,image/webp"
+        className="hidden"
+        onChange={handleFlagUpload}
+      />
+
+      <div className="flex-1 min-w-[12rem]">
+        <Input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={() => name.trim() && name !== language.name && handleUpdate({ name })}
+          className="font-semibold"
+        />
+        <span className="text-xs text-zero-text/60 font-mono">{language.value}</span>
+      </div>
+
+      {FLAG_SETTINGS.map(({ key, label }) => (
+        <div key={key} className="flex items-center gap-2">
+          <Switch
+            id={`${language.value}-${key}`}
+            checked={!!language[key]}
+            onCheckedChange={(checked) => handleUpdate({ [key]: checked })}
+          />
+          <Label htmlFor={`${language.value}-${key}`} className="text-sm">{label}</Label>
+        </div>
+      ))}
+
+      <Button
+        variant="outline"
+        size="icon"
+        onClick={() => onDelete(language)}
+        className="border-zero-warning text-zero-warning hover:bg-zero-warning hover:text-white"
+      >
+        <Trash2 className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+}
+
+const LanguageCatalogAdmin = () => {
+  const { interpreter, signOut } = useBoothSession();
+  const [languages, setLanguages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newValue, setNewValue] = useState('');
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    window.document.title = 'Language Catalog';
+    getLanguagesRequest({ all: true })
+      .then(setLanguages)
+      .catch((error) => toast.error(error.message || 'Unable to load languages'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const replaceLanguage = (updated) => {
+    setLanguages((prev) => prev.map((language) => language.value === updated.value ? updated : language));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const language = await createLanguageRequest({
+        value: newValue.trim().toLowerCase(),
+        name: newName.trim() || undefined,
+      });
+      setLanguages((prev) => [...prev, language]);
+      setNewValue('');
+      setNewName('');
+      toast.success(`${language.name} added`);
+    } catch (error) {
+      toast.error(error.message || 'Unable to add language');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const previous = languages;
+    const reordered = [...languages];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, moved);
+    setLanguages(reordered);
+
+    try {
+      setLanguages(await reorderLanguagesRequest(reordered.map((language) => language.value)));
+    } catch (error) {
+      setLanguages(previous);
+      toast.error(error.message || 'Unable to reorder languages');
+    }
+  };
+
+  const handleDelete = async (language) => {
+    if (!window.confirm(`Remove ${language.name} from the catalog? Events listing it will no longer show it.`)) return;
+    try {
+      await deleteLanguageRequest(language.value);
+      setLanguages((prev) => prev.filter((l) => l.value !== language.value));
+      toast.success(`${language.name} removed`);
+    } catch (error) {
+      toast.error(error.message || 'Unable to remove language');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-zero-beige monstant-font">
+      <header className="bg-gray-200 p-6 sticky top-0 z-50 border-b border-white/10">
+        <div className="container mx-auto flex justify-between items-center">
+          <div className="flex items-center gap-3 text-zero-text">
+            <Languages className="h-6 w-6" />
+            <h1 className="text-2xl font-playfair font-bold">Language Catalog</h1>
+          </div>
+          <div className="flex items-center gap-3 text-zero-text">
+            <span className="text-sm font-medium">{interpreter?.name}</span>
+            <Button onClick={signOut} variant="outline" size="sm" className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+              Sign out
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto p-8 space-y-8">
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="language-value">Value</Label>
+              <Input
+                id="language-value"
+                placeholder="spanish"
+                value={newValue}
+                onChange={(e) => setNewValue(e.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="language-name">Display name</Label>
+              <Input
+                id="language-name"
+                placeholder="SPANISH"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+              />
+            </div>
+            <Button type="submit" disabled={creating || !newValue.trim()} className="bg-zero-green text-white hover:bg-zero-green/90">
+              {creating ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4 mr-1" />}
+              Add language
+            </Button>
+          </form>
+          <p className="text-xs text-zero-text/60 mt-3">
+            The value is used in channel names and URLs (lowercase letters only) and can't be changed later.
+            Relay (pivot) languages are listed first in every booth's relay panel; two-way booths can switch their output to the pivot language.
+          </p>
+        </Card>
+
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <Loader2 className="h-8 w-8 animate-spin text-zero-blue" />
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {languages.map((language, index) => (
+                <LanguageRow
+                  key={language.value}
+                  language={language}
+                  index={index}
+                  total={languages.length}
+                  onChange={replaceLanguage}
+                  onMove={handleMove}
+                  onDelete={handleDelete}
+                />
+              ))}
+            </div>
+          )}
+        </Card>
+      </main>
+    </div>
+  );
+}
+
+export default LanguageCatalogAdmin
@@ -1,15 +1,19 @@
 import React, { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
-import { flagsMapping, languages } from '@/constants/flagsMapping';
 import Link from 'next/link';
+import { useEvent } from '@/context/EventContext';
+import { useLanguageCatalog } from '@/hooks/useLanguageCatalog';
 const LanguageSelect = () => {
+  const event = useEvent();
+  const { languages: eventLanguages } = useLanguageCatalog(event.languages);
+
   useEffect(() => {
-    window.document.title = `Language Select`;
-  }, []);
+    window.document.title = `${event.name} - Language Select`;
+  }, [event.name]);
 
   return (
     <div className='h-screen w-screen gradient-2 flex flex-col items-center justify-start py-10 px-8 pt-20 overflow-y-auto'>
-      <img src="/logo/livello.svg" alt="Livello Logo" className='w-[14rem] md:w-[17rem] object-cover' />
+      <img src={event.branding.headerLogo} alt={event.name} className='w-[14rem] md:w-[17rem] object-cover' />
 
       <div className='w-full flex flex-col items-center justify-center mt-10'>
         <h1 className='text-white text-2xl md:text-4xl uppercase language-title text-center'>Choose your language</h1>
@@ -19,8 +23,8 @@ const LanguageSelect = () => {
       <div className='w-full flex flex-col items-center justify-start mt-10 pb-10'>
         <div className='w-full grid grid-cols-2 md:grid-cols-3 gap-5'>
           {
-            languages.map((language) => (
-              <Link href={`/lang/${language.value}`} key={language.value}>
+            eventLanguages.map((language) => (
+              <Link href={`/${event.slug}/lang/${language.value}`} key={language.value}>
                 <div className='flex items-center justify-start gap-2 flex-col my-2'>
                   <img src={language.flag} alt={language.name} className='w-[130px] h-[130px] rounded-full object-cover' />
                   <p className='text-white text-lg font-normal'>{language.name}</p>
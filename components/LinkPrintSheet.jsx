@@ -0,0 +1,104 @@
+'use client'
+import React, { useEffect, useState } from 'react'
+import { Button } from "@/components/ui/button";
+import { Loader2, Printer } from 'lucide-react';
+import { toast } from 'sonner';
+import QrCodeImage from '@/components/QrCodeImage';
+import { getEventsRequest } from '@/http/adminHttp';
+import { createShortLinkRequest } from '@/http/linkHttp';
+import { useLanguageCatalog } from '@/hooks/useLanguageCatalog';
+import { getShortLinkUrl } from '@/lib/shortLinks';
+
+const TAGS = ['source', 'medium', 'campaign'];
+
+// A4 sheet with one QR card per language of an event. Links are created on
+// the fly with the tags from the query string, or reused if they exist.
+const LinkPrintSheet = () => {
+  const [event, setEvent] = useState(null);
+  const [tags, setTags] = useState({});
+  const [links, setLinks] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [origin, setOrigin] = useState('');
+  const { languages } = useLanguageCatalog(event?.languages || []);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const slug = params.get('event');
+    setOrigin(window.location.origin);
+    setTags(Object.fromEntries(TAGS.filter((tag) => params.get(tag)).map((tag) => [tag, params.get(tag)])));
+    getEventsRequest()
+      .then((eventList) => setEvent(eventList.find((e) => e.slug === slug) || eventList[0] || null))
+      .catch((error) => {
+        toast.error(error.message || 'Unable to load events');
+        setLoading(false);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!event) return;
+    window.document.title = `${event.name} - QR codes`;
+    // One at a time so identical requests can't race into duplicate links
+    (async () => {
+      const created = {};
+      try {
+        for (const language of event.languages) {
+          created[language] = await createShortLinkRequest({ event: event.slug, language, ...tags });
+        }
+      } catch (error) {
+        toast.error(error.message || 'Unable to create short links');
+      }
+      setLinks(created);
+      setLoading(false);
+    })();
+  }, [event, tags]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="h-8 w-8 animate-spin text-zero-blue" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white min-h-screen monstant-font">
+      <style>{'@page { size: A4; margin: 12mm; }'}</style>
+
+      <div className="print:hidden flex items-center justify-between gap-4 p-6 bg-gray-200">
+        <p className="text-sm text-zero-text/70">
+          {Object.keys(tags).length
+            ? `Tagged ${Object.entries(tags).map(([tag, value]) => `${tag}: ${value}`).join(', ')}`
+            : 'No tags, visits are counted per language only'}
+        </p>
+        <Button onClick={() => window.print()} className="bg-zero-green text-white hover:bg-zero-green/90">
+          <Printer className="h-4 w-4 mr-1" />
+          Print
+        </Button>
+      </div>
+
+      <div className="mx-auto w-[186mm] py-6 print:py-0">
+        <h1 className="text-center text-2xl font-playfair font-bold text-zero-text mb-6">
+          {event?.name} · Live Interpretation
+        </h1>
+        <div className="grid grid-cols-2 gap-[6mm]">
+          {languages.filter((language) => links[language.value]).map((language) => {
+            const url = getShortLinkUrl(links[language.value].code, origin);
+            return (
+              <div key={language.value} className="break-inside-avoid border border-gray-300 rounded-xl p-[5mm] flex flex-col items-center text-center">
+                <div className="flex items-center gap-3 mb-3">
+                  <img src={language.flag} alt="" className="w-10 h-10 rounded-full object-cover" />
+                  <span className="text-xl font-bold text-zero-text">{language.name}</span>
+                </div>
+                <QrCodeImage value={url} alt={`QR code for ${language.name}`} className="w-[50mm] h-[50mm]" />
+                <p className="text-sm text-zero-text/70 mt-2">Scan to listen in {language.name}</p>
+                <p className="font-mono text-sm text-zero-text">{url.replace(/^https?:\/\//, '')}</p>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LinkPrintSheet
@@ -0,0 +1,263 @@
+'use client'
+import React, { useCallback, useEffect, useState } from 'react'
+import { Area, AreaChart, Bar, BarChart, CartesianGrid, Cell, XAxis, YAxis } from 'recharts';
+import { Card } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { ChartContainer, ChartLegend, ChartLegendContent, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart";
+import { Button } from "@/components/ui/button";
+import { BarChart3, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { useBoothSession } from '@/context/BoothSessionContext';
+import { getEventsRequest } from '@/http/adminHttp';
+import { getTelemetrySummaryRequest } from '@/http/telemetryHttp';
+import { QUALITY_LEVELS, formatListenTime } from '@/lib/telemetry';
+
+const HOUR_MS = 60 * 60 * 1000;
+const RANGES = [
+  { value: '1h', label: 'Last hour', ms: HOUR_MS },
+  { value: '3h', label: 'Last 3 hours', ms: 3 * HOUR_MS },
+  { value: '12h', label: 'Last 12 hours', ms: 12 * HOUR_MS },
+  { value: '24h', label: 'Last 24 hours', ms: 24 * HOUR_MS },
+  { value: '7d', label: 'Last 7 days', ms: 7 * 24 * HOUR_MS },
+];
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+const QUALITY_COLORS = {
+  Excellent: '#16a34a',
+  Good: '#2563eb',
+  Fair: '#ca8a04',
+  Poor: '#ea580c',
+  Unknown: '#9ca3af',
+};
+
+const formatLanguage = (value) => `${value?.slice(0, 1).toUpperCase()}${value?.slice(1).toLowerCase()}`;
+
+const formatTick = (time, rangeMs) => new Date(time).toLocaleString([], rangeMs > 24 * HOUR_MS
+  ? { weekday: 'short', hour: '2-digit' }
+  : { hour: '2-digit', minute: '2-digit' });
+
+const formatNumber = (value, digits = 0, suffix = '') => (Number.isFinite(value) ? `${value.toFixed(digits)}${suffix}` : '–');
+
+const goodShare = (quality) => {
+  const rated = QUALITY_LEVELS.filter((level) => level !== 'Unknown').reduce((sum, level) => sum + quality[level], 0);
+  return rated ? `${Math.round(((quality.Excellent + quality.Good) / rated) * 100)}%` : '–';
+};
+
+const StatCard = ({ label, value }) => (
+  <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-8 py-6">
+    <div className="text-sm text-zero-text/60">{label}</div>
+    <div className="text-3xl font-bold text-zero-text mt-1">{value}</div>
+  </Card>
+);
+
+const ListenerAnalytics = () => {
+  const { interpreter, signOut } = useBoothSession();
+  const [events, setEvents] = useState([]);
+  const [eventSlug, setEventSlug] = useState('');
+  const [range, setRange] = useState(RANGES[1].value);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const rangeMs = RANGES.find((r) => r.value === range).ms;
+
+  useEffect(() => {
+    window.document.title = 'Listener Analytics';
+    getEventsRequest()
+      .then((eventList) => {
+        setEvents(eventList);
+        if (eventList[0]) setEventSlug(eventList[0].slug);
+      })
+      .catch((error) => toast.error(error.message || 'Unable to load events'));
+  }, []);
+
+  const loadSummary = useCallback(async () => {
+    if (!eventSlug) return;
+    try {
+      const to = Date.now();
+      setSummary(await getTelemetrySummaryRequest({ event: eventSlug, from: to - rangeMs, to }));
+    } catch (error) {
+      toast.error(error.message || 'Unable to load analytics', { id: 'analytics-error' });
+    }
+  }, [eventSlug, rangeMs]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadSummary().finally(() => setLoading(false));
+    const timer = setInterval(loadSummary, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadSummary]);
+
+  const languageConfig = Object.fromEntries((summary?.languages || []).map((language, index) => [
+    language,
+    { label: formatLanguage(language), color: `var(--chart-${(index % 5) + 1})` },
+  ]));
+  const qualityConfig = Object.fromEntries(QUALITY_LEVELS.map((level) => [level, { label: level, color: QUALITY_COLORS[level] }]));
+  const qualityData = QUALITY_LEVELS.map((level) => ({ level, samples: summary?.totals.quality[level] || 0 }));
+
+  return (
+    <div className="min-h-screen bg-zero-beige monstant-font">
+      <header className="bg-gray-200 p-6 sticky top-0 z-50 border-b border-white/10">
+        <div className="container mx-auto flex justify-between items-center">
+          <div className="flex items-center gap-3 text-zero-text">
+            <BarChart3 className="h-6 w-6" />
+            <h1 className="text-2xl font-playfair font-bold">Listener Analytics</h1>
+          </div>
+          <div className="flex items-center gap-3 text-zero-text">
+            <span className="text-sm font-medium">{interpreter?.name}</span>
+            <Button onClick={signOut} variant="outline" size="sm" className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+              Sign out
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto p-8 space-y-8">
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          <div className="flex flex-wrap items-end gap-6">
+            <div className="space-y-2">
+              <Label>Event</Label>
+              <Select value={eventSlug} onValueChange={setEventSlug}>
+                <SelectTrigger className="w-[16rem]"><SelectValue placeholder="Event" /></SelectTrigger>
+                <SelectContent>
+                  {events.map((event) => (
+                    <SelectItem key={event.slug} value={event.slug}>{event.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Period</Label>
+              <Select value={range} onValueChange={setRange}>
+                <SelectTrigger className="w-[12rem]"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {RANGES.map((r) => (
+                    <SelectItem key={r.value} value={r.value}>{r.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {loading && <Loader2 className="h-6 w-6 animate-spin text-zero-blue mb-2" />}
+          </div>
+          <p className="text-xs text-zero-text/60 mt-3">
+            Listeners report play/pause, reconnects and a quality sample every 30 seconds while playing. Refreshes every 30 seconds.
+          </p>
+        </Card>
+
+        {summary && (
+          <>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-6">
+              <StatCard label="Peak concurrent listeners" value={summary.totals.peak} />
+              <StatCard label="Listeners who played" value={summary.totals.listeners} />
+              <StatCard label="Average listen time" value={formatListenTime(summary.totals.avgListenMs)} />
+              <StatCard label="Good or excellent audio" value={goodShare(summary.totals.quality)} />
+            </div>
+
+            <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+              <h2 className="text-lg font-bold text-zero-text mb-4">Concurrent listeners by language</h2>
+              {summary.languages.length === 0 ? (
+                <p className="text-zero-text/60 text-center py-6">No listener activity in this period</p>
+              ) : (
+                <ChartContainer config={languageConfig} className="h-[320px] w-full aspect-auto">
+                  <AreaChart data={summary.series} margin={{ left: 0, right: 12 }}>
+                    <CartesianGrid vertical={false} />
+                    <XAxis
+                      dataKey="time"
+                      tickLine={false}
+                      axisLine={false}
+                      minTickGap={32}
+                      tickFormatter={(time) => formatTick(time, rangeMs)}
+                    />
+                    <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+                    <ChartTooltip content={<ChartTooltipContent labelFormatter={(_, payload) => formatTick(payload?.[0]?.payload.time, 0)} />} />
+                    <ChartLegend content={<ChartLegendContent />} />
+                    {summary.languages.map((language) => (
+                      <Area
+                        key={language}
+                        dataKey={language}
+                        type="stepAfter"
+                        stackId="listeners"
+                        stroke={`var(--color-${language})`}
+                        fill={`var(--color-${language})`}
+                        fillOpacity={0.4}
+                      />
+                    ))}
+                  </AreaChart>
+                </ChartContainer>
+              )}
+            </Card>
+
+            <div className="grid lg:grid-cols-3 gap-8">
+              <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6 lg:col-span-2">
+                <h2 className="text-lg font-bold text-zero-text mb-4">By language</h2>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-zero-text">
+                    <thead>
+                      <tr className="text-left text-zero-text/60">
+                        <th className="py-2 pr-4 font-medium">Language</th>
+                        <th className="py-2 pr-4 font-medium">Peak</th>
+                        <th className="py-2 pr-4 font-medium">Listeners</th>
+                        <th className="py-2 pr-4 font-medium">Avg listen</th>
+                        <th className="py-2 pr-4 font-medium">Reconnects</th>
+                        <th className="py-2 pr-4 font-medium">Latency</th>
+                        <th className="py-2 pr-4 font-medium">Packet loss</th>
+                        <th className="py-2 font-medium">Good audio</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {summary.byLanguage.map((row) => (
+                        <tr key={row.language} className="border-t border-gray-100">
+                          <td className="py-2 pr-4 font-medium">{formatLanguage(row.language)}</td>
+                          <td className="py-2 pr-4">{row.peak}</td>
+                          <td className="py-2 pr-4">{row.listeners}</td>
+                          <td className="py-2 pr-4">{formatListenTime(row.avgListenMs)}</td>
+                          <td className="py-2 pr-4">{row.reconnects}</td>
+                          <td className="py-2 pr-4">{formatNumber(row.avgLatency, 0, ' ms')}</td>
+                          <td className="py-2 pr-4">{formatNumber(row.avgPacketLoss, 1, '%')}</td>
+                          <td className="py-2">{goodShare(row.quality)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+
+              <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+                <h2 className="text-lg font-bold text-zero-text mb-4">Audio quality samples</h2>
+                <ChartContainer config={qualityConfig} className="h-[240px] w-full aspect-auto">
+                  <BarChart data={qualityData}>
+                    <CartesianGrid vertical={false} />
+                    <XAxis dataKey="level" tickLine={false} axisLine={false} />
+                    <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+                    <ChartTooltip content={<ChartTooltipContent hideLabel nameKey="level" />} />
+                    <Bar dataKey="samples" radius={4}>
+                      {qualityData.map((entry) => (
+                        <Cell key={entry.level} fill={`var(--color-${entry.level})`} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ChartContainer>
+
+                {summary.sources.length > 0 && (
+                  <div className="mt-6">
+                    <h3 className="text-sm font-bold text-zero-text mb-2">Where listeners came from</h3>
+                    <ul className="space-y-1 text-sm text-zero-text">
+                      {summary.sources.map((entry) => (
+                        <li key={`${entry.source}|${entry.ref}`} className="flex justify-between">
+                          <span>{entry.source || 'untagged'}{entry.ref && <span className="text-zero-text/50"> · /s/{entry.ref}</span>}</span>
+                          <span className="font-medium">{entry.sessions}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </Card>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default ListenerAnalytics
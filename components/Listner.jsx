@@ -3,15 +3,31 @@ import React, { useState, useEffect, useCallback, useRef, Suspense, lazy } from
 import Link from 'next/link';
 import { Button } from "@/components/ui/button";
 import { Card } from "@/components/ui/card";
-import { Volume, VolumeX, ArrowLeft, Play, Pause, Radio, Signal, Headphones, Users, Wifi, Globe, AlertCircle, CheckCircle, Chrome, Monitor } from 'lucide-react';
+import { Slider } from "@/components/ui/slider";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Volume, VolumeX, ArrowLeft, Play, Pause, Radio, Signal, Headphones, Users, Wifi, Globe, AlertCircle, CheckCircle, Chrome, Monitor, RotateCcw, Captions, CaptionsOff, AudioLines } from 'lucide-react';
 import { toast } from 'sonner';
 import debounce from 'lodash/debounce';
 import { getBroadcastInfoRequest } from '@/http/agoraHttp';
-import { generateToken } from '@/utils/generateToken';
+import { fetchAgoraToken } from '@/http/tokenHttp';
+import { createTokenRenewer } from '@/lib/tokenRenewal';
 import { useChannel } from '@/context/ChannelContext';
+import { useEvent } from '@/context/EventContext';
 import { useParams } from 'next/navigation';
-import { flagsMapping } from '@/constants/flagsMapping';
+import { useAttribution } from '@/hooks/useAttribution';
+import { useCaptions } from '@/hooks/useCaptions';
+import { useCatchUp } from '@/hooks/useCatchUp';
+import { useChannelStatus } from '@/hooks/useChannelStatus';
+import { useFloorAudio } from '@/hooks/useFloorAudio';
+import { useLanguageCatalog } from '@/hooks/useLanguageCatalog';
+import { useListenerTelemetry } from '@/hooks/useListenerTelemetry';
+import { useLiveLanguages } from '@/hooks/useLiveLanguages';
+import { useMediaSession } from '@/hooks/useMediaSession';
+import { useStreamMetrics } from '@/hooks/useStreamMetrics';
+import { formatBehind } from '@/lib/catchUpBuffer';
+import { STATUS_REASONS } from '@/lib/channelStatus';
 import Head from 'next/head';
+import TranscriptPane from './TranscriptPane';
 
 // 🚨 CRITICAL: Browser compatibility detection
 const getBrowserInfo = () => {
@@ -170,6 +186,27 @@ const loadAgoraSDKWithFallbacks = async () => {
   throw new Error('Failed to load Agora SDK from all sources');
 };
 
+// Stable per-tab listener id, also used to derive a deterministic Agora uid
+let fallbackListenerSessionId = null;
+const getListenerSessionId = () => {
+  try {
+    let id = sessionStorage?.getItem('listener-session-id');
+    if (!id) {
+      id = `listener-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      sessionStorage?.setItem('listener-session-id', id);
+    }
+    return id;
+  } catch {
+    if (!fallbackListenerSessionId) {
+      fallbackListenerSessionId = `listener-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+    return fallbackListenerSessionId;
+  }
+};
+
+// Agora's audience counts take a few seconds to follow a language switch
+const LISTENER_COUNT_SETTLE_MS = 5000;
+
 // 🚨 LAZY LOADING COMPONENTS
 const OnAirIndicator = lazy(() => import('@/components/OnAirIndicator').catch(() => ({ default: () => <div>Status</div> })));
 const AudioLevelMeter = lazy(() => import('@/components/AudioLevelMeter').catch(() => ({ default: () => <div>Audio Meter</div> })));
@@ -178,7 +215,8 @@ const ListenerCountBadge = lazy(() => import('@/components/ListenerCountBadge').
 const Listner = () => {
   // 🚨 BROWSER COMPATIBILITY STATE
   const params = useParams();
-  const { language } = params;
+  // Switching in the player changes the language without a new page
+  const [language, setCurrentLanguage] = useState(params.language);
   const [browserInfo, setBrowserInfo] = useState(null);
   const [showBrowserWarning, setShowBrowserWarning] = useState(false);
 
@@ -190,6 +228,8 @@ const Listner = () => {
   const [isMuted, setIsMuted] = useState(false);
   const [audioLevel, setAudioLevel] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
+  // The listener pressed play and has not paused since; the floor audio follows it
+  const [playRequested, setPlayRequested] = useState(false);
   const [showContactModal, setShowContactModal] = useState(false);
 
   // 🚨 ERROR TRACKING
@@ -208,7 +248,38 @@ const Listner = () => {
   const [sessionId, setSessionId] = useState(null);
   const [lastKnownBroadcasterState, setLastKnownBroadcasterState] = useState(null);
   const [broadcasterOnline, setBroadcasterOnline] = useState(false);
-  const { channelName, setLanguage } = useChannel();
+  // The booth on air holds or latched its cough key; it is still on air
+  const [interpreterMuted, setInterpreterMuted] = useState(false);
+  const { channelName, setLanguage, getChannelName } = useChannel();
+  const { status: channelStatus, refresh: refreshChannelStatus } = useChannelStatus(channelName);
+  const catchUp = useCatchUp({
+    mediaStreamTrack: remoteMediaStreamTrack,
+    liveTrack: remoteAudioTrack,
+    volume,
+    isMuted,
+  });
+  const [scrubValue, setScrubValue] = useState(null);
+  const captions = useCaptions(channelName);
+  const [showCaptions, setShowCaptions] = useState(true);
+  const { attribution, recordListen } = useAttribution();
+  const event = useEvent();
+  const { languages: eventLanguages, flagsMapping, relayLanguages } = useLanguageCatalog(event.languages);
+  const { channels: languageChannels, refresh: refreshLiveLanguages } = useLiveLanguages(event.slug);
+  // The pivot language's channel carries the floor; its own listeners already hear it
+  const floorLanguage = relayLanguages[0]?.value !== language ? relayLanguages[0] || null : null;
+  // Floor alone while no interpreter is on air. While catching up the
+  // interpretation runs behind the live floor, so the floor stays out of it.
+  const floorOnly = !isLive;
+  const floor = useFloorAudio({
+    AgoraRTC,
+    channelName: floorLanguage ? getChannelName(floorLanguage.value) : null,
+    playing: playRequested && (isPlaying || floorOnly),
+    floorOnly,
+    volume,
+    silenced: isMuted || (!floorOnly && catchUp.isBehind),
+  });
+  const isFloorPlaying = floorOnly && playRequested && floor.available;
+  const languageLabel = `${language?.slice(0, 1).toUpperCase()}${language?.slice(1).toLowerCase()}`;
 
 
   useEffect(() => {
@@ -225,13 +296,14 @@ const Listner = () => {
 
   // 🚨 AGGRESSIVE SETTINGS
   const maxReconnectAttempts = 25;
-  const heartbeatInterval = 1000;
 
   const isComponentMountedRef = useRef(true);
   const hasShownConnectedToastRef = useRef(false);
   const reconnectTimeoutRef = useRef(null);
-  const heartbeatIntervalRef = useRef(null);
   const startedAlreadyRef = useRef(false);
+  const tokenRenewerRef = useRef(null);
+  // Channel left by the last language switch, until its listener count is refreshed
+  const switchedFromRef = useRef(null);
   
 
   // 🚨 CRITICAL: Browser compatibility check on mount
@@ -287,50 +359,46 @@ const Listner = () => {
   }, [showBrowserWarning]);
 
   // 🚨 ENHANCED BROADCASTER DETECTION
-  const checkBroadcasterStatus = useCallback(async () => {
-    try {
-      const res = await getBroadcastInfoRequest(channelName);
-      const data = res.data?.data;
-      
-      if (data) {
-        const currentListeners = data.audience_total || 0;
-        const hostOnline = data.host_online === true;
-        
-        setListenerCount(currentListeners);
-        setBroadcasterOnline(hostOnline);
-        
-        // Auto-resume logic
-        if (hostOnline && isLive && remoteAudioTrack && wasPlayingBeforeDisconnect && !isPlaying) {
-          try {
-            await remoteAudioTrack.play();
-            console.log("auto-resume 4");
-            setIsPlaying(true);
-            setWasPlayingBeforeDisconnect(false);
-            toast.success('🎵 Audio resumed automatically!', { id: 'heartbeat-resume' });
-          } catch (error) {
-            console.log('Heartbeat auto-resume failed:', error);
-          }
-        }
-
-        // Force reconnection if needed
-        if (hostOnline && isConnected && !isLive && !remoteAudioTrack) {
-          setConnectionError('Broadcaster detected but audio not received - reconnecting...');
-          if (!isReconnecting && reconnectCount < maxReconnectAttempts) {
-            attemptReconnection();
-          }
-        }
+  // Pushed by the server on booth and audience changes, see useChannelStatus
+  useEffect(() => {
+    if (!channelStatus) return;
+    const { hostOnline, listeners } = channelStatus;
+
+    setListenerCount(listeners || 0);
+    setBroadcasterOnline(hostOnline);
+    setInterpreterMuted(hostOnline && !!channelStatus.muted);
+
+    // Auto-resume logic
+    if (hostOnline && isLive && remoteAudioTrack && wasPlayingBeforeDisconnect && !isPlaying) {
+      remoteAudioTrack.play()
+        .then(() => {
+          console.log("auto-resume 4");
+          setIsPlaying(true);
+          setWasPlayingBeforeDisconnect(false);
+          toast.success('🎵 Audio resumed automatically!', { id: 'heartbeat-resume' });
+        })
+        .catch((error) => console.log('Status auto-resume failed:', error));
+    }
 
-        if (hostOnline && connectionError) {
-          setConnectionError(null);
-        }
-      }
-    } catch (error) {
-      console.error('Broadcaster status check failed:', error);
-      if (!isReconnecting) {
-        setConnectionError('Unable to check broadcaster status');
+    // Force reconnection if needed
+    if (hostOnline && isConnected && !isLive && !remoteAudioTrack) {
+      setConnectionError('Broadcaster detected but audio not received - reconnecting...');
+      if (!isReconnecting && reconnectCount < maxReconnectAttempts) {
+        attemptReconnection();
       }
     }
-  }, [isConnected, isLive, remoteAudioTrack, isReconnecting, reconnectCount, connectionError, wasPlayingBeforeDisconnect, isPlaying, channelName]);
+
+    if (hostOnline && connectionError) {
+      setConnectionError(null);
+    }
+  }, [channelStatus, isConnected, isLive, remoteAudioTrack, isReconnecting, reconnectCount, wasPlayingBeforeDisconnect, isPlaying]);
+
+  // Let listeners know the voice is changing rather than dropping out
+  useEffect(() => {
+    if (channelStatus?.reason === STATUS_REASONS.HANDOVER && channelStatus.interpreterName) {
+      toast.info(`Interpreter changing: ${channelStatus.interpreterName}`, { id: 'interpreter-handover' });
+    }
+  }, [channelStatus?.updatedAt]);
 
   // 🚨 AGGRESSIVE RECONNECTION
   const attemptReconnection = useCallback(async () => {
@@ -348,15 +416,17 @@ const Listner = () => {
       try {
         const APP_ID = process.env.NEXT_PUBLIC_AGORA_APPID;
         const CHANNEL_NAME = channelName;
-        const TOKEN = process.env.NEXT_PUBLIC_AGORA_TOKEN || null;
 
         if (!APP_ID || !CHANNEL_NAME) {
           throw new Error(`Missing Agora configuration`);
         }
 
+        const { token, uid, expiresAt } = await fetchAgoraToken("SUBSCRIBER", CHANNEL_NAME, sessionId);
+
         await client.leave().catch(() => {});
         await client.setClientRole('audience');
-        await client.join(APP_ID, CHANNEL_NAME, TOKEN);
+        await client.join(APP_ID, CHANNEL_NAME, token, uid);
+        tokenRenewerRef.current?.schedule(expiresAt);
         
         setIsConnected(true);
         setIsReconnecting(false);
@@ -384,7 +454,7 @@ const Listner = () => {
         }
       }
     }, delay);
-  }, [client, reconnectCount, maxReconnectAttempts]);
+  }, [client, reconnectCount, maxReconnectAttempts, channelName, sessionId]);
 
   // 🚨 ENHANCED DISCONNECTION HANDLING
   const handleDisconnection = useCallback(() => {
@@ -416,6 +486,8 @@ const Listner = () => {
     if (!AgoraRTC || isSDKLoading) return;
 
     console.log('🚀 Initializing Universal Agora client...');
+    // The previous channel's cleanup cleared it when switching language
+    isComponentMountedRef.current = true;
 
     const agoraClient = AgoraRTC.createClient({
       mode: 'live',
@@ -485,6 +557,13 @@ const Listner = () => {
       }
     });
 
+    // setMuted on the booth's track arrives here, ahead of the status push
+    agoraClient.on('user-info-updated', (uid, message) => {
+      if (!isComponentMountedRef.current) return;
+      if (message === 'mute-audio') setInterpreterMuted(true);
+      if (message === 'unmute-audio') setInterpreterMuted(false);
+    });
+
     agoraClient.on('user-unpublished', (user, mediaType) => {
       if (mediaType === 'audio' && isComponentMountedRef.current) {
         if (isPlaying) {
@@ -523,18 +602,33 @@ const Listner = () => {
       }
     });
 
+    // Listener sessions can outlast the token, renew it without interrupting audio
+    const tokenRenewer = createTokenRenewer(
+      agoraClient,
+      () => fetchAgoraToken("SUBSCRIBER", channelName, getListenerSessionId()),
+      {
+        onExpired: async () => {
+          await agoraClient.leave().catch(() => {});
+          hasShownConnectedToastRef.current = false;
+          await joinChannel();
+        },
+      }
+    );
+    tokenRenewerRef.current = tokenRenewer;
+
     // Enhanced channel joining with timeout
     const joinChannel = async () => {
      
       try {
         const APP_ID = process.env.NEXT_PUBLIC_AGORA_APPID;
         const CHANNEL_NAME = channelName;
-        const {token,uid} =await generateToken("SUBSCRIBER", channelName);
         
         if (!APP_ID || !CHANNEL_NAME) {
           throw new Error(`Missing required Agora configuration`);
         }
 
+        const { token, uid, expiresAt } = await fetchAgoraToken("SUBSCRIBER", CHANNEL_NAME, getListenerSessionId());
+
         const joinPromise = (async () => {
           await agoraClient.setClientRole('audience');
           await agoraClient.join(APP_ID, CHANNEL_NAME, token,uid);
@@ -545,6 +639,7 @@ const Listner = () => {
         );
 
         await Promise.race([joinPromise, timeoutPromise]);
+        tokenRenewer.schedule(expiresAt);
         
         if (isComponentMountedRef.current && !hasShownConnectedToastRef.current) {
           setIsConnected(true);
@@ -552,7 +647,6 @@ const Listner = () => {
           hasShownConnectedToastRef.current = true;
           
           toast.success("Connected to interpretation service", { id: 'channel-connected' });
-          startHeartbeat();
         }
       } catch (error) {
         console.error("Error joining channel:", error);
@@ -576,7 +670,8 @@ const Listner = () => {
       if (reconnectTimeoutRef.current) {
         clearTimeout(reconnectTimeoutRef.current);
       }
-      stopHeartbeat();
+      tokenRenewer.detach();
+      tokenRenewerRef.current = null;
       agoraClient.removeAllListeners();
       if (remoteAudioTrack) {
         remoteAudioTrack.stop();
@@ -585,34 +680,9 @@ const Listner = () => {
     };
   }, [AgoraRTC, isSDKLoading, isMuted, volume, channelName]);
 
-  // 🚨 HEARTBEAT MANAGEMENT
-  const startHeartbeat = useCallback(() => {
-    if (heartbeatIntervalRef.current) return;
-    heartbeatIntervalRef.current = setInterval(checkBroadcasterStatus, heartbeatInterval);
-  }, [checkBroadcasterStatus, heartbeatInterval]);
-
-  const stopHeartbeat = useCallback(() => {
-    if (heartbeatIntervalRef.current) {
-      clearInterval(heartbeatIntervalRef.current);
-      heartbeatIntervalRef.current = null;
-    }
-  }, []);
-
   // Session ID generation
   useEffect(() => {
-    const generateSessionId = () => {
-      try {
-        let id = sessionStorage?.getItem('listener-session-id');
-        if (!id) {
-          id = `listener-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-          sessionStorage?.setItem('listener-session-id', id);
-        }
-        setSessionId(id);
-      } catch {
-        setSessionId(`listener-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
-      }
-    };
-    generateSessionId();
+    setSessionId(getListenerSessionId());
   }, []);
 
   // Volume handling
@@ -631,14 +701,21 @@ const Listner = () => {
 
   const handleVolumeChange = useCallback((newVolume) => {
     setVolume(newVolume);
-    if (!isMuted) {
+    // While catching up the live track stays silent; useCatchUp applies the volume
+    if (!isMuted && !catchUp.isBehind) {
       debouncedVolumeChange(newVolume, remoteAudioTrack, false);
     }
-  }, [remoteAudioTrack, isMuted, debouncedVolumeChange]);
+  }, [remoteAudioTrack, isMuted, debouncedVolumeChange, catchUp.isBehind]);
 
   const handlePlayPauseStream = useCallback(async () => {
 
     if (!remoteAudioTrack) {
+      // Off air the floor audio is all there is to play or pause
+      if (floor.enabled) {
+        startedAlreadyRef.current = !playRequested;
+        setPlayRequested(!playRequested);
+        return;
+      }
       setConnectionError('No audio stream available');
       // toast.error('No audio stream available. Please check connection.');
       return;
@@ -647,12 +724,15 @@ const Listner = () => {
     try {
       if (isPlaying) {
         startedAlreadyRef.current = false;
+        setPlayRequested(false);
+        catchUp.goLive();
         await remoteAudioTrack.stop();
         setIsPlaying(false);
         setWasPlayingBeforeDisconnect(false);
         toast.info("Stream paused", { id: 'stream-pause' });
       } else {
         startedAlreadyRef.current = true;
+        setPlayRequested(true);
         await remoteAudioTrack.play();
         console.log("auto-resume 3");
         setIsPlaying(true);
@@ -665,7 +745,42 @@ const Listner = () => {
       setConnectionError(`Playback error: ${error.message}`);
       toast.error("Failed to toggle playback", { id: 'playback-error' });
     }
-  }, [remoteAudioTrack, isPlaying, startedAlreadyRef]);
+  }, [remoteAudioTrack, isPlaying, startedAlreadyRef, catchUp.goLive, floor.enabled, playRequested]);
+
+  // Anonymous listening and stream-quality data for the organizers' analytics
+  const { metrics: streamMetrics } = useStreamMetrics(client, null, remoteAudioTrack, isPlaying);
+  useListenerTelemetry({
+    sessionId,
+    channelName,
+    isPlaying,
+    reconnectCount,
+    metrics: streamMetrics,
+    attribution,
+  });
+
+  useEffect(() => {
+    if (floor.error) toast.error('Floor audio is unavailable right now', { id: 'floor-error' });
+  }, [floor.error]);
+
+  // Credit the poster or link that brought this listener in
+  useEffect(() => {
+    if (isPlaying) recordListen();
+  }, [isPlaying, recordListen]);
+
+  // Lock-screen controls and background playback
+  const { unlock: unlockBackgroundAudio } = useMediaSession({
+    title: `${languageLabel} Interpretation`,
+    artist: event.name,
+    album: channelStatus?.interpreterName || undefined,
+    artwork: flagsMapping[language] || event.branding.headerLogo,
+    isPlaying: isPlaying || isFloorPlaying,
+    onPlay: () => {
+      if (!isPlaying && !isFloorPlaying) handlePlayPauseStream();
+    },
+    onPause: () => {
+      if (isPlaying || isFloorPlaying) handlePlayPauseStream();
+    },
+  });
 
   const toggleMute = useCallback(() => {
     if (!remoteAudioTrack) return;
@@ -676,7 +791,7 @@ const Listner = () => {
         remoteAudioTrack.setVolume(0);
         toast.info("Audio muted", { id: 'audio-mute' });
       } else {
-        remoteAudioTrack.setVolume(volume);
+        if (!catchUp.isBehind) remoteAudioTrack.setVolume(volume);
         toast.info("Audio unmuted", { id: 'audio-unmute' });
       }
       setIsMuted(newMutedState);
@@ -684,7 +799,49 @@ const Listner = () => {
       console.error('Mute error:', error);
       setConnectionError(`Mute error: ${error.message}`);
     }
-  }, [remoteAudioTrack, isMuted, volume]);
+  }, [remoteAudioTrack, isMuted, volume, catchUp.isBehind]);
+
+  // Leaves the current channel and joins the new one in place: the Agora
+  // client effect follows channelName, volume and mute carry over, and
+  // playback resumes on the new channel if it was on
+  const switchLanguage = useCallback((nextLanguage) => {
+    if (nextLanguage === language) return;
+
+    catchUp.reset();
+    remoteAudioTrack?.stop();
+    setRemoteAudioTrack(null);
+    setRemoteMediaStreamTrack(undefined);
+    setIsLive(false);
+    setIsPlaying(false);
+    setIsConnected(false);
+    setIsReconnecting(false);
+    setReconnectCount(0);
+    setBroadcasterOnline(false);
+    setInterpreterMuted(false);
+    setListenerCount(0);
+    setConnectionError(null);
+    hasShownConnectedToastRef.current = false;
+    switchedFromRef.current = channelName;
+
+    setCurrentLanguage(nextLanguage);
+    window.history.replaceState(null, '', `/${event.slug}/lang/${nextLanguage}${window.location.search}`);
+  }, [language, channelName, remoteAudioTrack, catchUp.reset, event.slug]);
+
+  // Agora's audience counts lag the switch; once they settle both channels
+  // are refreshed so their listeners see the count move
+  useEffect(() => {
+    if (!isConnected || !switchedFromRef.current) return;
+    const previousChannelName = switchedFromRef.current;
+    const timer = setTimeout(() => {
+      switchedFromRef.current = null;
+      refreshChannelStatus();
+      getBroadcastInfoRequest(previousChannelName).catch(() => {});
+    }, LISTENER_COUNT_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [isConnected, refreshChannelStatus]);
+
+  // The player's own channel is pushed, the others come from the poll
+  const isLanguageLive = (value) => (value === language ? broadcasterOnline : !!languageChannels[value]?.hostOnline);
 
   // Page visibility handling
   useEffect(() => {
@@ -695,18 +852,15 @@ const Listner = () => {
             handlePlayPauseStream();
           }, 500);
         }
-        
-        if (isConnected) {
-          startHeartbeat();
-        } else {
-          checkBroadcasterStatus();
-        }
+
+        // Realtime messages may have been missed while the tab was hidden
+        refreshChannelStatus();
       }
     };
 
     document.addEventListener('visibilitychange', handleVisibilityChange);
     return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
-  }, [isLive, remoteAudioTrack, wasPlayingBeforeDisconnect, isPlaying, isConnected, startHeartbeat, checkBroadcasterStatus, handlePlayPauseStream]);
+  }, [isLive, remoteAudioTrack, wasPlayingBeforeDisconnect, isPlaying, refreshChannelStatus, handlePlayPauseStream]);
 
   // Audio context handling
   useEffect(() => {
@@ -742,9 +896,8 @@ const Listner = () => {
   useEffect(() => {
     return () => {
       debouncedVolumeChange.cancel();
-      stopHeartbeat();
     };
-  }, [debouncedVolumeChange, stopHeartbeat]);
+  }, [debouncedVolumeChange]);
 
   // Status determination
   const getStreamStatus = () => {
@@ -753,8 +906,11 @@ const Listner = () => {
     // if (connectionError) return { status: 'error', message: connectionError };
     if (isReconnecting) return { status: 'reconnecting', message: `Reconnecting... (${reconnectCount}/${maxReconnectAttempts})` };
     if (!isConnected) return { status: 'disconnected', message: 'Connecting to service...' };
+    if (broadcasterOnline && interpreterMuted && !catchUp.isBehind) return { status: 'muted', message: 'The interpreter muted their microphone for a moment, stay tuned' };
     if (broadcasterOnline && !isLive) return { status: 'waiting', message: 'Broadcaster online, establishing audio...' };
+    if (isLive && catchUp.isBehind) return { status: 'live', message: `Catching up, ${formatBehind(catchUp.behindSeconds)} behind live` };
     if (isLive) return { status: 'live', message: 'Live stream active' };
+    if (isFloorPlaying) return { status: 'offline', message: 'No interpreter on air, playing the floor audio' };
     return { status: 'offline', message: 'Waiting for broadcaster...' };
   };
 
@@ -812,7 +968,7 @@ const Listner = () => {
   //           </Button>
             
   //           <p className="text-xs text-gray-600">
-  //             If problems persist, please contact support: info@rafiky.net
+  //             If problems persist, please contact support: {event.support.email}
   //           </p>
   //         </div>
   //       </div>
@@ -865,7 +1021,7 @@ const Listner = () => {
 
   useEffect(() => {
     window.document.title = `Listener - ${language?.slice(0, 1).toUpperCase()}${language?.slice(1).toLowerCase()}`;
-  }, []);
+  }, [language]);
 
   return (
     <>
@@ -877,8 +1033,8 @@ const Listner = () => {
         <div className="w-full overflow-hidden">
           <div className="w-screen relative left-1/2 right-1/2 -ml-[50vw] -mr-[50vw]">
             <img 
-              src="/logo/livello.svg" 
-              alt="Chogan"
+              src={event.branding.headerLogo}
+              alt={event.name}
               className="object-contain mx-auto mt-16"
               loading="eager"
               width="200"
@@ -893,6 +1049,38 @@ const Listner = () => {
             <h1 className="text-2xl sm:text-3xl md:text-4xl font-inter font-medium text-white mb-6 mt-5">
               Live <span className="text-gradient inline-block font-bold">{language?.slice(0, 1).toUpperCase()}{language?.slice(1).toLowerCase()}</span> Interpretation Service
             </h1>
+            {flagsMapping[language] && (
+              <img src={flagsMapping[language]} alt={language} className="w-12 h-12 rounded-full object-cover mx-auto -mt-2 mb-6" />
+            )}
+
+            {/* Language switcher: changes channel without leaving the player */}
+            {eventLanguages.length > 1 && (
+              <div className="flex justify-center mb-8">
+                <Select
+                  value={language}
+                  onValueChange={switchLanguage}
+                  onOpenChange={(open) => open && refreshLiveLanguages()}
+                >
+                  <SelectTrigger className="w-[15rem] bg-white/90 rounded-xl font-inter">
+                    <Globe className="h-4 w-4 mr-2 shrink-0" />
+                    <SelectValue placeholder="Language" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {eventLanguages.map((lang) => (
+                      <SelectItem key={lang.value} value={lang.value}>
+                        <span className="flex items-center gap-2">
+                          <img src={lang.flag} alt="" className="w-5 h-5 rounded-full object-cover" />
+                          {lang.name}
+                          {isLanguageLive(lang.value) && (
+                            <span className="text-xs font-semibold text-green-600">Live</span>
+                          )}
+                        </span>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
             
   
             {/* Status Indicators */}
@@ -929,10 +1117,12 @@ const Listner = () => {
                     ) : (
                       <AlertCircle className="w-4 h-4" />
                     )}
-                    {streamStatus.status === 'live' ? 'Connected' :
+                    {streamStatus.status === 'live' && catchUp.isBehind ? `${formatBehind(catchUp.behindSeconds)} behind` :
+                     streamStatus.status === 'live' ? 'Connected' :
                      streamStatus.status === 'reconnecting' ? `Reconnecting (${reconnectCount}/${maxReconnectAttempts})` :
                      streamStatus.status === 'loading' ? 'Loading' :
                      streamStatus.status === 'waiting' ? 'Connecting Audio' :
+                     streamStatus.status === 'muted' ? 'Interpreter Muted' :
                      'Offline'}
                   </div>
                 </>
@@ -978,6 +1168,7 @@ const Listner = () => {
                        streamStatus.status === 'loading' ? 'Loading Service' :
                        streamStatus.status === 'reconnecting' ? 'Reconnecting' :
                        streamStatus.status === 'waiting' ? 'Connecting Audio' :
+                       streamStatus.status === 'muted' ? 'Interpreter Muted' :
                        'Stream Offline'}
                     </h3>
                     
@@ -988,7 +1179,10 @@ const Listner = () => {
                     {/* Action Buttons */}
                     {streamStatus.status === 'live' && (
                       <Button 
-                        onClick={handlePlayPauseStream}
+                        onClick={() => {
+                          unlockBackgroundAudio();
+                          handlePlayPauseStream();
+                        }}
                         className={`w-full text-lg lg:text-xl px-8 py-6 lg:py-8 font-bold transition-all duration-300 hover:scale-105 font-inter rounded-xl ${
                           isPlaying 
                             ? 'bg-blue-600 text-white hover:bg-blue-600/90' 
@@ -1011,7 +1205,35 @@ const Listner = () => {
                       </Button>
                     )}
 
-                    {streamStatus.status !== 'live' && (
+                    {/* Off air the floor audio can still be played and paused */}
+                    {streamStatus.status !== 'live' && floor.enabled && floorOnly && (
+                      <Button
+                        onClick={() => {
+                          unlockBackgroundAudio();
+                          handlePlayPauseStream();
+                        }}
+                        className={`w-full text-lg lg:text-xl px-8 py-6 lg:py-8 font-bold transition-all duration-300 hover:scale-105 font-inter rounded-xl ${
+                          playRequested
+                            ? 'bg-blue-600 text-white hover:bg-blue-600/90'
+                            : 'bg-pink-600 text-white hover:bg-pink-600/90'
+                        }`}
+                        size="lg"
+                      >
+                        {playRequested ? (
+                          <>
+                            <Pause className="mr-2 h-5 w-5 lg:h-6 lg:w-6" />
+                            Pause Floor Audio
+                          </>
+                        ) : (
+                          <>
+                            <Play className="mr-2 h-5 w-5 lg:h-6 lg:w-6" />
+                            Play Floor Audio
+                          </>
+                        )}
+                      </Button>
+                    )}
+
+                    {streamStatus.status !== 'live' && !(floor.enabled && floorOnly) && (
                       <Button
                         className="w-full text-lg lg:text-xl px-8 py-6 lg:py-8 bg-chogan-blue text-white font-bold font-inter rounded-xl disabled:opacity-90 cursor-not-allowed"
                         size="lg"
@@ -1022,10 +1244,119 @@ const Listner = () => {
                       </Button>
                     )}
 
-                    
+                    {/* Catch-up: rewind the buffered interpretation */}
+                    {isPlaying && catchUp.canCatchUp && (
+                      <div className="mt-8 space-y-4 text-left">
+                        <div className="flex justify-between text-sm font-inter text-white/70">
+                          <span>-{formatBehind(catchUp.bufferedSeconds)}</span>
+                          <span className={`font-bold ${catchUp.isBehind ? 'text-white' : 'text-green-400'}`}>
+                            {catchUp.isBehind ? `${formatBehind(scrubValue ?? catchUp.behindSeconds)} behind live` : 'Live'}
+                          </span>
+                        </div>
+                        <Slider
+                          min={-Math.floor(catchUp.bufferedSeconds)}
+                          max={0}
+                          step={1}
+                          value={[-Math.round(scrubValue ?? catchUp.behindSeconds)]}
+                          onValueChange={([value]) => setScrubValue(-value)}
+                          onValueCommit={([value]) => {
+                            setScrubValue(null);
+                            catchUp.seekBehind(-value);
+                          }}
+                        />
+                        <div className="grid grid-cols-2 gap-3">
+                          <Button onClick={catchUp.jumpBack} variant="outline" className="font-inter rounded-xl">
+                            <RotateCcw className="mr-2 h-4 w-4" />
+                            Back {catchUp.jumpSeconds}s
+                          </Button>
+                          <Button onClick={catchUp.goLive} disabled={!catchUp.isBehind} className="bg-pink-600 text-white hover:bg-pink-600/90 font-inter rounded-xl">
+                            <Radio className="mr-2 h-4 w-4" />
+                            Back to live
+                          </Button>
+                        </div>
+                        <div className="flex items-center justify-center gap-2">
+                          <span className="text-xs text-white/70 font-inter mr-1">Speed</span>
+                          {catchUp.speeds.map((value) => (
+                            <Button
+                              key={value}
+                              size="sm"
+                              variant={catchUp.speed === value ? 'default' : 'outline'}
+                              onClick={() => catchUp.setSpeed(value)}
+                              className="font-inter rounded-lg"
+                            >
+                              {value}x
+                            </Button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Floor: the speaker's original voice under the interpretation */}
+                    {floorLanguage && (
+                      <div className="mt-8 space-y-4 text-left">
+                        <Button
+                          onClick={() => {
+                            unlockBackgroundAudio();
+                            // Switching the floor on with no interpreter on air means listening to it
+                            if (!floor.enabled && floorOnly) {
+                              startedAlreadyRef.current = true;
+                              setPlayRequested(true);
+                            }
+                            floor.toggle();
+                          }}
+                          variant={floor.enabled ? 'default' : 'outline'}
+                          className="w-full font-inter rounded-xl"
+                        >
+                          <AudioLines className="mr-2 h-4 w-4" />
+                          {floor.enabled ? 'Turn off floor audio' : 'Hear the speaker underneath'}
+                        </Button>
+                        {floor.enabled && (
+                          <>
+                            <div className="flex justify-between text-sm font-inter text-white/70">
+                              <span>Interpretation</span>
+                              <span className="font-bold text-white">
+                                {floor.connecting ? 'Connecting...' :
+                                 !floor.available ? 'No floor audio yet' :
+                                 floorOnly ? 'Floor only' :
+                                 `Floor ${floor.mix}%`}
+                              </span>
+                              <span>Floor</span>
+                            </div>
+                            <Slider
+                              min={0}
+                              max={100}
+                              step={5}
+                              value={[floor.mix]}
+                              onValueChange={([value]) => floor.selectMix(value)}
+                              disabled={floorOnly}
+                            />
+                            <p className="text-xs text-white/70 font-inter">
+                              {floorOnly
+                                ? 'No interpreter is on air, so you hear the floor on its own.'
+                                : `The ${floorLanguage.name} floor plays under the interpretation. Slide right to hear more of it.`}
+                            </p>
+                          </>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </Card>
 
+                {/* Live transcript from the booth's speech-to-text feed */}
+                {captions.available && (
+                  <div className="space-y-4">
+                    <Button
+                      onClick={() => setShowCaptions((prev) => !prev)}
+                      variant="outline"
+                      className="w-full font-inter rounded-xl"
+                    >
+                      {showCaptions ? <CaptionsOff className="mr-2 h-4 w-4" /> : <Captions className="mr-2 h-4 w-4" />}
+                      {showCaptions ? 'Hide captions' : 'Show captions'}
+                    </Button>
+                    {showCaptions && <TranscriptPane segments={captions.segments} />}
+                  </div>
+                )}
+
                 {/* Audio Controls */}
                 {/* <Card className="gradient-3 border-0 rounded-2xl">
                   <div className="p-8">
@@ -1150,11 +1481,11 @@ const Listner = () => {
                       <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
                         <span className="font-medium text-black">Service Status</span>
                         <span className={`font-bold ${
-                          streamStatus.status === 'live' ? 'text-chogan-blue' :
+                          streamStatus.status === 'live' || streamStatus.status === 'muted' ? 'text-chogan-blue' :
                           streamStatus.status === 'reconnecting' ? 'text-blue-600' :
                           'text-orange-600'
                         }`}>
-                          {streamStatus.status === 'live' ? 'Connected' :
+                          {streamStatus.status === 'live' || streamStatus.status === 'muted' ? 'Connected' :
                            streamStatus.status === 'reconnecting' ? 'Reconnecting' :
                            streamStatus.status === 'loading' ? 'Loading' :
                            'Connecting'}
@@ -1164,7 +1495,7 @@ const Listner = () => {
                       <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
                         <span className="font-medium text-black">Broadcaster</span>
                         <span className={`font-bold ${broadcasterOnline ? 'text-chogan-blue' : 'text-gray-600'}`}>
-                          {broadcasterOnline ? 'Online' : 'Offline'}
+                          {broadcasterOnline ? (interpreterMuted ? 'Muted' : 'Online') : 'Offline'}
                         </span>
                       </div>
                       
@@ -1231,13 +1562,13 @@ const Listner = () => {
                   </svg>
                 </div>
                 <h3 className="text-xl sm:text-2xl font-inter font-bold text-zero-text mb-2">Contact Support</h3>
-                <p className="text-sm sm:text-base text-zero-text/70 font-inter">Get help with the Live English Interpretation Service</p>
+                <p className="text-sm sm:text-base text-zero-text/70 font-inter">Get help with the Live {languageLabel} Interpretation Service</p>
               </div>
 
               <div className="bg-gray-50 rounded-xl sm:rounded-2xl p-4 sm:p-6 mb-4 sm:mb-6">
                 <div className="text-center">
                   <p className="text-xs sm:text-sm text-zero-text/70 font-inter mb-2">Email us at:</p>
-                  <p className="text-base sm:text-lg font-inter font-bold text-zero-text mb-3 sm:mb-4">info@rafiky.net</p>
+                  <p className="text-base sm:text-lg font-inter font-bold text-zero-text mb-3 sm:mb-4">{event.support.email}</p>
                   <p className="text-xs sm:text-sm text-zero-text/60 font-inter leading-relaxed">
                     We'll respond to your inquiry as soon as possible. Click below to open your email client.
                   </p>
@@ -1248,10 +1579,10 @@ const Listner = () => {
               <div className="flex flex-col gap-3">
                 <Button
                   onClick={() => {
-                    const subject = "Green&Blue Festival - Live English Interpretation Support";
+                    const subject = event.support.subject;
                     const body = `Hello,
 
-I need assistance with the Live English Interpretation Service.
+I need assistance with the Live ${languageLabel} Interpretation Service at ${event.name}.
 
 Browser Information:
 - Browser: ${browserInfo?.name || 'Unknown'} ${browserInfo?.version || ''}
@@ -1264,7 +1595,7 @@ Issue Description:
 
 Thank you!`;
                     
-                    window.location.href = `mailto:info@rafiky.net?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+                    window.location.href = `mailto:${event.support.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
                     setShowContactModal(false);
                   }}
                   className="w-full bg-gradient-to-r from-zero-green to-zero-blue text-white hover:from-zero-green/90 hover:to-zero-blue/90 font-inter font-semibold py-3 sm:py-4 rounded-xl transition-all duration-300 text-sm sm:text-base"
@@ -1,7 +1,9 @@
 "use client"
 import React, { useEffect, useState } from 'react'
+import { useEvent } from '@/context/EventContext'
 
 const LoadingBanner = () => {
+    const event = useEvent();
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
@@ -19,7 +21,7 @@ const LoadingBanner = () => {
         <div className='h-screen w-full bg-chogan-black flex items-center justify-center gradient-1'>
             {
                 loading && (
-                    <img src="/logo/Chogan.svg" alt="Loading Banner" className='w-[10rem] md:w-[12rem] object-cover' />
+                    <img src={event.branding.loadingLogo} alt={event.name} className='w-[10rem] md:w-[12rem] object-cover' />
                 )
             }
         </div>
@@ -0,0 +1,42 @@
+'use client'
+import React from 'react'
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { ShieldAlert } from 'lucide-react';
+import BoothAccessGate from '@/components/BoothAccessGate';
+import { useBoothSession } from '@/context/BoothSessionContext';
+
+const OrganizerOnly = ({ children }) => {
+  const { interpreter, signOut } = useBoothSession();
+
+  if (interpreter?.role !== 'organizer') {
+    return (
+      <div className="min-h-screen bg-zero-beige flex items-center justify-center p-8 monstant-font">
+        <Card className="bg-white/90 backdrop-blur-xl shadow-2xl border-0 rounded-3xl w-full max-w-md px-10 py-8 text-center">
+          <ShieldAlert className="h-12 w-12 mx-auto mb-4 text-zero-warning" />
+          <h1 className="text-2xl font-playfair font-bold text-zero-text">Organizer access required</h1>
+          <p className="text-sm text-zero-text/60 mt-2 mb-6">
+            {interpreter?.name} is signed in as an interpreter. Sign in with an organizer account to continue.
+          </p>
+          <Button onClick={signOut} variant="outline" className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+            Sign out
+          </Button>
+        </Card>
+      </div>
+    );
+  }
+
+  return children;
+}
+
+// Admin pages: sign in, then require the organizer role. The API routes
+// enforce the same rule, this only avoids rendering a page that can't work.
+const OrganizerGate = ({ children, title = 'Organizer Console' }) => {
+  return (
+    <BoothAccessGate title={title} subtitle="Sign in with your organizer account">
+      <OrganizerOnly>{children}</OrganizerOnly>
+    </BoothAccessGate>
+  )
+}
+
+export default OrganizerGate
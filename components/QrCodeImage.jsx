@@ -0,0 +1,24 @@
+'use client'
+import React, { useEffect, useState } from 'react'
+import { renderQrSvg, svgToDataUrl } from '@/lib/qrCodes';
+
+const QrCodeImage = ({ value, alt = 'QR code', className = "" }) => {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    renderQrSvg(value)
+      .then((svg) => !cancelled && setSrc(svgToDataUrl(svg)))
+      .catch((error) => console.error('Failed to render QR code:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [value]);
+
+  if (!src) {
+    return <div className={`bg-gray-100 animate-pulse ${className}`} />;
+  }
+  return <img src={src} alt={alt} className={className} />;
+}
+
+export default QrCodeImage
@@ -0,0 +1,170 @@
+'use client'
+import React, { useEffect, useState } from 'react'
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Archive, Download, Loader2, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { useBoothSession } from '@/context/BoothSessionContext';
+import { getEventsRequest } from '@/http/adminHttp';
+import { deleteRecordingRequest, getRecordingAudioUrl, getRecordingsRequest } from '@/http/recordingHttp';
+
+const ALL_LANGUAGES = 'all';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+const formatDuration = (seconds) => {
+  if (!Number.isFinite(seconds)) return 'in progress';
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const formatLanguage = (value) => `${value?.slice(0, 1).toUpperCase()}${value?.slice(1).toLowerCase()}`;
+
+const RecordingArchive = () => {
+  const { interpreter, signOut } = useBoothSession();
+  const [events, setEvents] = useState([]);
+  const [eventSlug, setEventSlug] = useState('');
+  const [language, setLanguage] = useState(ALL_LANGUAGES);
+  const [recordings, setRecordings] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    window.document.title = 'Recordings';
+    getEventsRequest()
+      .then((eventList) => {
+        setEvents(eventList);
+        if (eventList[0]) setEventSlug(eventList[0].slug);
+      })
+      .catch((error) => toast.error(error.message || 'Unable to load events'));
+  }, []);
+
+  useEffect(() => {
+    if (!eventSlug) return;
+    setLoading(true);
+    getRecordingsRequest({ event: eventSlug, ...(language !== ALL_LANGUAGES ? { language } : {}) })
+      .then(setRecordings)
+      .catch((error) => toast.error(error.message || 'Unable to load recordings'))
+      .finally(() => setLoading(false));
+  }, [eventSlug, language]);
+
+  const selectedEvent = events.find((event) => event.slug === eventSlug);
+
+  const handleEventChange = (slug) => {
+    setEventSlug(slug);
+    setLanguage(ALL_LANGUAGES);
+  };
+
+  const handleDelete = async (recording) => {
+    if (!window.confirm(`Delete the ${formatLanguage(recording.language)} recording from ${formatTime(recording.startTime)}?`)) return;
+    try {
+      await deleteRecordingRequest(recording.id);
+      setRecordings((prev) => prev.filter((r) => r.id !== recording.id));
+    } catch (error) {
+      toast.error(error.message || 'Unable to delete recording');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-zero-beige monstant-font">
+      <header className="bg-gray-200 p-6 sticky top-0 z-50 border-b border-white/10">
+        <div className="container mx-auto flex justify-between items-center">
+          <div className="flex items-center gap-3 text-zero-text">
+            <Archive className="h-6 w-6" />
+            <h1 className="text-2xl font-playfair font-bold">Recordings</h1>
+          </div>
+          <div className="flex items-center gap-3 text-zero-text">
+            <span className="text-sm font-medium">{interpreter?.name}</span>
+            <Button onClick={signOut} variant="outline" size="sm" className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+              Sign out
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto p-8 space-y-8">
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          <div className="flex flex-wrap gap-6">
+            <div className="space-y-2">
+              <Label>Event</Label>
+              <Select value={eventSlug} onValueChange={handleEventChange}>
+                <SelectTrigger className="w-[16rem]"><SelectValue placeholder="Event" /></SelectTrigger>
+                <SelectContent>
+                  {events.map((event) => (
+                    <SelectItem key={event.slug} value={event.slug}>{event.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Booth</Label>
+              <Select value={language} onValueChange={setLanguage}>
+                <SelectTrigger className="w-[12rem]"><SelectValue placeholder="Language" /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL_LANGUAGES}>All booths</SelectItem>
+                  {selectedEvent?.languages.map((value) => (
+                    <SelectItem key={value} value={value}>{formatLanguage(value)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <p className="text-xs text-zero-text/60 mt-3">
+            Booths record when the interpreter switches on &quot;Record this broadcast&quot;. Each on-air stint is saved as its own file.
+          </p>
+        </Card>
+
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <Loader2 className="h-8 w-8 animate-spin text-zero-blue" />
+            </div>
+          ) : recordings.length === 0 ? (
+            <p className="text-zero-text/60 text-center py-6">No recordings for this selection</p>
+          ) : (
+            <div className="space-y-3">
+              {recordings.map((recording) => (
+                <div key={recording.id} className="flex flex-wrap items-center gap-4 p-4 rounded-2xl bg-gray-50">
+                  <div className="min-w-[16rem]">
+                    <div className="font-medium text-zero-text">
+                      {formatLanguage(recording.language)} · {formatTime(recording.startTime)}
+                    </div>
+                    <div className="text-xs text-zero-text/60">
+                      {recording.interpreterName} · {formatDuration(recording.duration)} · {formatSize(recording.bytes)}
+                      {recording.status === 'recording' && ' · still recording'}
+                    </div>
+                  </div>
+                  <audio controls preload="none" src={getRecordingAudioUrl(recording.id)} className="flex-1 min-w-[16rem]" />
+                  <Button asChild variant="outline" size="icon" className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+                    <a href={getRecordingAudioUrl(recording.id, { download: true })} download>
+                      <Download className="h-4 w-4" />
+                    </a>
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    onClick={() => handleDelete(recording)}
+                    className="border-zero-warning text-zero-warning hover:bg-zero-warning hover:text-white"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+      </main>
+    </div>
+  );
+}
+
+export default RecordingArchive
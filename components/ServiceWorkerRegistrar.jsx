@@ -0,0 +1,28 @@
+'use client'
+import { useEffect } from 'react'
+
+// Registers /sw.js in production builds. Development chunks aren't hashed, so
+// caching them would serve stale code between edits.
+const ServiceWorkerRegistrar = () => {
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+    const register = () => {
+      navigator.serviceWorker.register('/sw.js').catch((error) => {
+        console.error('Service worker registration failed:', error);
+      });
+    };
+
+    // Don't compete with the page's own first requests
+    if (document.readyState === 'complete') {
+      register();
+    } else {
+      window.addEventListener('load', register, { once: true });
+      return () => window.removeEventListener('load', register);
+    }
+  }, []);
+
+  return null;
+}
+
+export default ServiceWorkerRegistrar
@@ -0,0 +1,258 @@
+'use client'
+import React, { useEffect, useMemo, useState } from 'react'
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { CalendarClock, Loader2, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { useBoothSession } from '@/context/BoothSessionContext';
+import { getAccountsRequest, getEventsRequest } from '@/http/adminHttp';
+import { createShiftRequest, deleteShiftRequest, getShiftsRequest, updateShiftRequest } from '@/http/shiftHttp';
+import { canBroadcast } from '@/lib/permissions';
+
+const DEFAULT_SHIFT_MINUTES = 30;
+
+// <input type="datetime-local"> works in local time without a zone suffix
+const toLocalInput = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+const formatLanguage = (value) => `${value?.slice(0, 1).toUpperCase()}${value?.slice(1).toLowerCase()}`;
+
+const ShiftRotaAdmin = () => {
+  const { interpreter, signOut } = useBoothSession();
+  const [events, setEvents] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [eventSlug, setEventSlug] = useState('');
+  const [language, setLanguage] = useState('');
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [newInterpreter, setNewInterpreter] = useState('');
+  const [newStart, setNewStart] = useState('');
+  const [newMinutes, setNewMinutes] = useState(DEFAULT_SHIFT_MINUTES);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    window.document.title = 'Shift Rota';
+    Promise.all([getEventsRequest(), getAccountsRequest()])
+      .then(([eventList, accountList]) => {
+        setEvents(eventList);
+        setAccounts(accountList);
+        if (eventList[0]) {
+          setEventSlug(eventList[0].slug);
+          setLanguage(eventList[0].languages[0] || '');
+        }
+      })
+      .catch((error) => toast.error(error.message || 'Unable to load events'));
+  }, []);
+
+  useEffect(() => {
+    if (!eventSlug || !language) return;
+    setLoading(true);
+    getShiftsRequest({ event: eventSlug, language })
+      .then(setShifts)
+      .catch((error) => toast.error(error.message || 'Unable to load shifts'))
+      .finally(() => setLoading(false));
+  }, [eventSlug, language]);
+
+  // New shifts default to starting when the last one ends
+  useEffect(() => {
+    const last = shifts[shifts.length - 1];
+    setNewStart(toLocalInput(last ? last.end : Date.now()));
+  }, [shifts]);
+
+  const selectedEvent = events.find((event) => event.slug === eventSlug);
+  const boothInterpreters = useMemo(
+    () => accounts.filter((account) => account.role === 'interpreter' && canBroadcast(account, language)),
+    [accounts, language]
+  );
+
+  const handleEventChange = (slug) => {
+    const event = events.find((e) => e.slug === slug);
+    setEventSlug(slug);
+    setLanguage(event?.languages[0] || '');
+  };
+
+  const sortByStart = (list) => [...list].sort((a, b) => a.start - b.start);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const start = new Date(newStart).getTime();
+    setSaving(true);
+    try {
+      const shift = await createShiftRequest({
+        event: eventSlug,
+        language,
+        interpreter: newInterpreter,
+        start,
+        end: start + Number(newMinutes) * 60 * 1000,
+      });
+      setShifts((prev) => sortByStart([...prev, shift]));
+      toast.success(`Shift added for ${shift.interpreterName}`);
+    } catch (error) {
+      toast.error(error.message || 'Unable to add shift');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReassign = async (shift, username) => {
+    try {
+      const updated = await updateShiftRequest(shift.id, { interpreter: username });
+      setShifts((prev) => prev.map((s) => s.id === updated.id ? updated : s));
+    } catch (error) {
+      toast.error(error.message || 'Unable to update shift');
+    }
+  };
+
+  const handleDelete = async (shift) => {
+    try {
+      await deleteShiftRequest(shift.id);
+      setShifts((prev) => prev.filter((s) => s.id !== shift.id));
+    } catch (error) {
+      toast.error(error.message || 'Unable to remove shift');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-zero-beige monstant-font">
+      <header className="bg-gray-200 p-6 sticky top-0 z-50 border-b border-white/10">
+        <div className="container mx-auto flex justify-between items-center">
+          <div className="flex items-center gap-3 text-zero-text">
+            <CalendarClock className="h-6 w-6" />
+            <h1 className="text-2xl font-playfair font-bold">Shift Rota</h1>
+          </div>
+          <div className="flex items-center gap-3 text-zero-text">
+            <span className="text-sm font-medium">{interpreter?.name}</span>
+            <Button onClick={signOut} variant="outline" size="sm" className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+              Sign out
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto p-8 space-y-8">
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          <div className="flex flex-wrap gap-6">
+            <div className="space-y-2">
+              <Label>Event</Label>
+              <Select value={eventSlug} onValueChange={handleEventChange}>
+                <SelectTrigger className="w-[16rem]"><SelectValue placeholder="Event" /></SelectTrigger>
+                <SelectContent>
+                  {events.map((event) => (
+                    <SelectItem key={event.slug} value={event.slug}>{event.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Booth</Label>
+              <Select value={language} onValueChange={setLanguage}>
+                <SelectTrigger className="w-[12rem]"><SelectValue placeholder="Language" /></SelectTrigger>
+                <SelectContent>
+                  {selectedEvent?.languages.map((value) => (
+                    <SelectItem key={value} value={value}>{formatLanguage(value)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </Card>
+
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-4">
+            <div className="space-y-2">
+              <Label>Interpreter</Label>
+              <Select value={newInterpreter} onValueChange={setNewInterpreter}>
+                <SelectTrigger className="w-[14rem]"><SelectValue placeholder="Choose interpreter" /></SelectTrigger>
+                <SelectContent>
+                  {boothInterpreters.map((account) => (
+                    <SelectItem key={account.username} value={account.username}>{account.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="shift-start">Start</Label>
+              <Input id="shift-start" type="datetime-local" value={newStart} onChange={(e) => setNewStart(e.target.value)} required />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="shift-minutes">Minutes</Label>
+              <Input
+                id="shift-minutes"
+                type="number"
+                min={5}
+                max={720}
+                step={5}
+                value={newMinutes}
+                onChange={(e) => setNewMinutes(e.target.value)}
+                className="w-[6rem]"
+                required
+              />
+            </div>
+            <Button type="submit" disabled={saving || !newInterpreter || !language} className="bg-zero-green text-white hover:bg-zero-green/90">
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4 mr-1" />}
+              Add shift
+            </Button>
+          </form>
+          <p className="text-xs text-zero-text/60 mt-3">
+            Booths show a countdown to the next change, warn both interpreters two minutes ahead and
+            send the handover request automatically when a shift starts.
+          </p>
+        </Card>
+
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <Loader2 className="h-8 w-8 animate-spin text-zero-blue" />
+            </div>
+          ) : shifts.length === 0 ? (
+            <p className="text-zero-text/60 text-center py-6">No shifts scheduled for this booth</p>
+          ) : (
+            <div className="space-y-3">
+              {shifts.map((shift) => (
+                <div
+                  key={shift.id}
+                  className={`flex flex-wrap items-center gap-4 p-4 rounded-2xl ${shift.end < Date.now() ? 'bg-gray-100 opacity-60' : 'bg-gray-50'}`}
+                >
+                  <div className="min-w-[14rem] font-medium text-zero-text">
+                    {formatTime(shift.start)} – {new Date(shift.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    <span className="text-xs text-zero-text/60 ml-2">{Math.round((shift.end - shift.start) / 60000)} min</span>
+                  </div>
+                  <Select value={shift.interpreter} onValueChange={(username) => handleReassign(shift, username)}>
+                    <SelectTrigger className="w-[14rem]"><SelectValue>{shift.interpreterName}</SelectValue></SelectTrigger>
+                    <SelectContent>
+                      {boothInterpreters.map((account) => (
+                        <SelectItem key={account.username} value={account.username}>{account.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    onClick={() => handleDelete(shift)}
+                    className="ml-auto border-zero-warning text-zero-warning hover:bg-zero-warning hover:text-white"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+      </main>
+    </div>
+  );
+}
+
+export default ShiftRotaAdmin
@@ -0,0 +1,259 @@
+'use client'
+import React, { useEffect, useState } from 'react'
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Copy, Download, Loader2, Plus, Printer, QrCode, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import QrCodeImage from '@/components/QrCodeImage';
+import { useBoothSession } from '@/context/BoothSessionContext';
+import { getEventsRequest } from '@/http/adminHttp';
+import { createShortLinkRequest, deleteShortLinkRequest, getShortLinksRequest } from '@/http/linkHttp';
+import { renderQrPng, renderQrSvg, svgToDataUrl } from '@/lib/qrCodes';
+import { getShortLinkUrl } from '@/lib/shortLinks';
+
+// Select items can't have an empty value
+const LANGUAGE_PICKER = 'picker';
+const DEFAULT_MEDIUM = 'qr';
+
+const formatLanguage = (value) => `${value?.slice(0, 1).toUpperCase()}${value?.slice(1).toLowerCase()}`;
+
+const describeLink = (link) => [
+  link.language ? formatLanguage(link.language) : 'Language picker',
+  ...['source', 'medium', 'campaign'].filter((tag) => link[tag]).map((tag) => `${tag}: ${link[tag]}`),
+].join(' · ');
+
+const getFileName = (link, extension) => [
+  'qr',
+  link.event,
+  link.language || 'all',
+  link.source,
+  link.code,
+].filter(Boolean).join('-') + `.${extension}`;
+
+const saveFile = (href, fileName) => {
+  const anchor = document.createElement('a');
+  anchor.href = href;
+  anchor.download = fileName;
+  anchor.click();
+};
+
+const ShortLinkAdmin = () => {
+  const { interpreter, signOut } = useBoothSession();
+  const [events, setEvents] = useState([]);
+  const [eventSlug, setEventSlug] = useState('');
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [language, setLanguage] = useState(LANGUAGE_PICKER);
+  const [source, setSource] = useState('');
+  const [medium, setMedium] = useState(DEFAULT_MEDIUM);
+  const [campaign, setCampaign] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [origin, setOrigin] = useState('');
+
+  useEffect(() => {
+    window.document.title = 'Short Links';
+    setOrigin(window.location.origin);
+    getEventsRequest()
+      .then((eventList) => {
+        setEvents(eventList);
+        if (eventList[0]) setEventSlug(eventList[0].slug);
+      })
+      .catch((error) => toast.error(error.message || 'Unable to load events'));
+  }, []);
+
+  useEffect(() => {
+    if (!eventSlug) return;
+    setLoading(true);
+    getShortLinksRequest({ event: eventSlug })
+      .then(setLinks)
+      .catch((error) => toast.error(error.message || 'Unable to load short links'))
+      .finally(() => setLoading(false));
+  }, [eventSlug]);
+
+  const selectedEvent = events.find((event) => event.slug === eventSlug);
+
+  const handleEventChange = (slug) => {
+    setEventSlug(slug);
+    setLanguage(LANGUAGE_PICKER);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const link = await createShortLinkRequest({
+        event: eventSlug,
+        language: language === LANGUAGE_PICKER ? null : language,
+        source,
+        medium,
+        campaign,
+      });
+      setLinks((prev) => [link, ...prev.filter((l) => l.code !== link.code)]);
+      toast.success(`Short link ${getShortLinkUrl(link.code, origin)} is ready`);
+    } catch (error) {
+      toast.error(error.message || 'Unable to create short link');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(getShortLinkUrl(link.code, origin));
+      toast.success('Link copied');
+    } catch {
+      toast.error('Unable to copy the link');
+    }
+  };
+
+  const handleDownload = async (link, format) => {
+    try {
+      const url = getShortLinkUrl(link.code, origin);
+      const href = format === 'svg' ? svgToDataUrl(await renderQrSvg(url)) : await renderQrPng(url);
+      saveFile(href, getFileName(link, format));
+    } catch (error) {
+      toast.error(error.message || 'Unable to create the QR code');
+    }
+  };
+
+  const handleDelete = async (link) => {
+    if (!window.confirm(`Delete ${getShortLinkUrl(link.code, origin)}? Printed QR codes using it will stop working.`)) return;
+    try {
+      await deleteShortLinkRequest(link.code);
+      setLinks((prev) => prev.filter((l) => l.code !== link.code));
+    } catch (error) {
+      toast.error(error.message || 'Unable to delete short link');
+    }
+  };
+
+  const printSheetHref = `/admin/links/print?${new URLSearchParams({
+    event: eventSlug,
+    ...(source ? { source } : {}),
+    ...(medium ? { medium } : {}),
+    ...(campaign ? { campaign } : {}),
+  })}`;
+
+  return (
+    <div className="min-h-screen bg-zero-beige monstant-font">
+      <header className="bg-gray-200 p-6 sticky top-0 z-50 border-b border-white/10">
+        <div className="container mx-auto flex justify-between items-center">
+          <div className="flex items-center gap-3 text-zero-text">
+            <QrCode className="h-6 w-6" />
+            <h1 className="text-2xl font-playfair font-bold">Short Links &amp; QR Codes</h1>
+          </div>
+          <div className="flex items-center gap-3 text-zero-text">
+            <span className="text-sm font-medium">{interpreter?.name}</span>
+            <Button onClick={signOut} variant="outline" size="sm" className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+              Sign out
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto p-8 space-y-8">
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-4">
+            <div className="space-y-2">
+              <Label>Event</Label>
+              <Select value={eventSlug} onValueChange={handleEventChange}>
+                <SelectTrigger className="w-[16rem]"><SelectValue placeholder="Event" /></SelectTrigger>
+                <SelectContent>
+                  {events.map((event) => (
+                    <SelectItem key={event.slug} value={event.slug}>{event.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Opens</Label>
+              <Select value={language} onValueChange={setLanguage}>
+                <SelectTrigger className="w-[12rem]"><SelectValue placeholder="Language" /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={LANGUAGE_PICKER}>Language picker</SelectItem>
+                  {selectedEvent?.languages.map((value) => (
+                    <SelectItem key={value} value={value}>{formatLanguage(value)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="link-source">Source</Label>
+              <Input id="link-source" value={source} onChange={(e) => setSource(e.target.value)} placeholder="poster-entrance" className="w-[12rem]" />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="link-medium">Medium</Label>
+              <Input id="link-medium" value={medium} onChange={(e) => setMedium(e.target.value)} className="w-[8rem]" />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="link-campaign">Campaign</Label>
+              <Input id="link-campaign" value={campaign} onChange={(e) => setCampaign(e.target.value)} placeholder="day-1" className="w-[10rem]" />
+            </div>
+            <Button type="submit" disabled={saving || !eventSlug} className="bg-zero-green text-white hover:bg-zero-green/90">
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4 mr-1" />}
+              Create link
+            </Button>
+            <Button asChild variant="outline" className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+              <a href={printSheetHref} target="_blank" rel="noreferrer">
+                <Printer className="h-4 w-4 mr-1" />
+                A4 sheet, all languages
+              </a>
+            </Button>
+          </form>
+          <p className="text-xs text-zero-text/60 mt-3">
+            Tags are optional and are passed on as utm_source, utm_medium and utm_campaign. Creating the same link twice
+            returns the existing one, so reprinted posters keep their codes. The A4 sheet uses the tags above.
+          </p>
+        </Card>
+
+        <Card className="bg-white/90 shadow-2xl border-0 rounded-3xl px-10 py-6">
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <Loader2 className="h-8 w-8 animate-spin text-zero-blue" />
+            </div>
+          ) : links.length === 0 ? (
+            <p className="text-zero-text/60 text-center py-6">No short links for this event yet</p>
+          ) : (
+            <div className="space-y-3">
+              {links.map((link) => (
+                <div key={link.code} className="flex flex-wrap items-center gap-4 p-4 rounded-2xl bg-gray-50">
+                  <QrCodeImage value={getShortLinkUrl(link.code, origin)} alt={`QR code for ${link.code}`} className="h-24 w-24 rounded-lg" />
+                  <div className="min-w-[16rem] flex-1">
+                    <div className="font-mono font-medium text-zero-text">{getShortLinkUrl(link.code, origin)}</div>
+                    <div className="text-xs text-zero-text/60">{describeLink(link)}</div>
+                    <div className="text-xs text-zero-text/60 mt-1">
+                      {link.clicks} {link.clicks === 1 ? 'visit' : 'visits'} · {link.listens} started listening
+                    </div>
+                  </div>
+                  <Button variant="outline" size="icon" onClick={() => handleCopy(link)} className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+                    <Copy className="h-4 w-4" />
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => handleDownload(link, 'svg')} className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+                    <Download className="h-4 w-4 mr-1" />
+                    SVG
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => handleDownload(link, 'png')} className="border-zero-navy text-zero-navy hover:bg-zero-navy hover:text-white">
+                    <Download className="h-4 w-4 mr-1" />
+                    PNG
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    onClick={() => handleDelete(link)}
+                    className="border-zero-warning text-zero-warning hover:bg-zero-warning hover:text-white"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+      </main>
+    </div>
+  );
+}
+
+export default ShortLinkAdmin
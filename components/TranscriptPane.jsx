@@ -0,0 +1,100 @@
+'use client'
+import React, { useEffect, useRef, useState } from 'react'
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { AArrowDown, AArrowUp, Captions } from 'lucide-react';
+import { CAPTION_FONT_SIZES } from '@/lib/captions';
+
+const FONT_SIZE_KEY = 'captionFontSize';
+// Auto-scroll only while the reader is near the bottom
+const STICKY_SCROLL_PX = 48;
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+const TranscriptPane = ({ segments, className = "" }) => {
+  const [fontSize, setFontSize] = useState(CAPTION_FONT_SIZES[1]);
+  const scrollRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+
+  useEffect(() => {
+    const saved = Number(window.localStorage.getItem(FONT_SIZE_KEY));
+    if (CAPTION_FONT_SIZES.includes(saved)) setFontSize(saved);
+  }, []);
+
+  useEffect(() => {
+    const pane = scrollRef.current;
+    if (pane && stickToBottomRef.current) {
+      pane.scrollTop = pane.scrollHeight;
+    }
+  }, [segments, fontSize]);
+
+  const changeFontSize = (step) => {
+    const index = CAPTION_FONT_SIZES.indexOf(fontSize) + step;
+    const next = CAPTION_FONT_SIZES[Math.max(0, Math.min(CAPTION_FONT_SIZES.length - 1, index))];
+    setFontSize(next);
+    window.localStorage.setItem(FONT_SIZE_KEY, String(next));
+  };
+
+  const handleScroll = () => {
+    const pane = scrollRef.current;
+    stickToBottomRef.current = pane.scrollHeight - pane.scrollTop - pane.clientHeight < STICKY_SCROLL_PX;
+  };
+
+  return (
+    <Card className={`gradient-3 border-0 rounded-2xl ${className}`}>
+      <div className="p-6 lg:p-8">
+        <div className="flex items-center justify-between mb-4">
+          <h4 className="text-xl lg:text-2xl font-inter font-bold text-white flex items-center gap-3">
+            <Captions className="h-6 w-6 text-zero-blue" />
+            Live Transcript
+          </h4>
+          <div className="flex items-center gap-2">
+            <Button
+              size="icon"
+              variant="outline"
+              onClick={() => changeFontSize(-1)}
+              disabled={fontSize === CAPTION_FONT_SIZES[0]}
+              aria-label="Smaller text"
+            >
+              <AArrowDown className="h-5 w-5" />
+            </Button>
+            <Button
+              size="icon"
+              variant="outline"
+              onClick={() => changeFontSize(1)}
+              disabled={fontSize === CAPTION_FONT_SIZES[CAPTION_FONT_SIZES.length - 1]}
+              aria-label="Larger text"
+            >
+              <AArrowUp className="h-5 w-5" />
+            </Button>
+          </div>
+        </div>
+
+        <div
+          ref={scrollRef}
+          onScroll={handleScroll}
+          className="h-72 lg:h-96 overflow-y-auto space-y-3 pr-2"
+          aria-live="polite"
+          role="log"
+        >
+          {segments.length === 0 ? (
+            <p className="text-white/70 font-inter text-center py-10">Captions appear here while the interpreter is speaking</p>
+          ) : (
+            segments.map((segment) => (
+              <p key={segment.id} className="text-white font-inter leading-snug" style={{ fontSize }}>
+                <span className="text-xs text-white/50 mr-2 align-middle">{formatTime(segment.start)}</span>
+                {segment.text}
+              </p>
+            ))
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+export default TranscriptPane
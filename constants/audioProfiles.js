@@ -0,0 +1,39 @@
+// Processing profiles for the booth's outgoing track. Each one sets Agora's
+// encoder config and the 3A switches (ANS noise suppression, AEC echo
+// cancellation, AGC gain control) passed to createMicrophoneAudioTrack.
+// The id of the profile in use is stored with each broadcast session.
+export const DEFAULT_AUDIO_PROFILE = 'laptop';
+
+export const audioProfiles = [
+  {
+    id: 'laptop',
+    name: 'Laptop mic',
+    description: 'Built-in or headset mic in an open room. Cleans up noise, echo and level.',
+    encoderConfig: { sampleRate: 48000, stereo: true, bitrate: 128 },
+    ANS: true,
+    AEC: true,
+    AGC: true,
+  },
+  {
+    id: 'console',
+    name: 'Console line-in',
+    description: 'Interpretation console or mixer. The console already shapes the sound, so processing is off.',
+    encoderConfig: { sampleRate: 48000, stereo: false, bitrate: 128 },
+    ANS: false,
+    AEC: false,
+    AGC: false,
+  },
+  {
+    id: 'low-bandwidth',
+    name: 'Low bandwidth',
+    description: 'Weak or shared uplink. Narrower speech-only encoding with processing on.',
+    encoderConfig: { sampleRate: 32000, stereo: false, bitrate: 32 },
+    ANS: true,
+    AEC: true,
+    AGC: true,
+  },
+];
+
+export const getAudioProfile = (id) =>
+  audioProfiles.find((profile) => profile.id === id)
+  || audioProfiles.find((profile) => profile.id === DEFAULT_AUDIO_PROFILE);
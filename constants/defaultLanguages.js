@@ -0,0 +1,96 @@
+// Seed for the language catalog. The catalog itself lives in the data store
+// and is managed from /admin/languages; these entries are only written the
+// first time the catalog is read.
+//
+// relay:  pivot language, listed first among a booth's relay sources
+// twoWay: the booth can switch its output to the pivot language
+export const defaultLanguages = [
+    {
+        value: 'italian',
+        name: 'ITALIAN',
+        flag: '/flags/it.svg',
+        enabled: true,
+        relay: true,
+        twoWay: false,
+    },
+    {
+        value: 'english',
+        name: 'ENGLISH',
+        flag: '/flags/gb-eng.svg',
+        enabled: true,
+        relay: false,
+        twoWay: true,
+    },
+    {
+        value: 'german',
+        name: 'GERMAN',
+        flag: '/flags/de.svg',
+        enabled: true,
+        relay: false,
+        twoWay: true,
+    },
+    {
+        value: 'french',
+        name: 'FRENCH',
+        flag: '/flags/fr.svg',
+        enabled: true,
+        relay: false,
+        twoWay: true,
+    },
+    {
+        value: 'romanian',
+        name: 'ROMANIAN',
+        flag: '/flags/ro.svg',
+        enabled: true,
+        relay: false,
+        twoWay: true,
+    },
+    {
+        value: 'croatian',
+        name: 'CROATIAN',
+        flag: '/flags/hr.svg',
+        enabled: true,
+        relay: false,
+        twoWay: true,
+    },
+    {
+        value: 'portuguese',
+        name: 'PORTUGUESE',
+        flag: '/flags/pt.svg',
+        enabled: true,
+        relay: false,
+        twoWay: true,
+    },
+    {
+        value: 'georgian',
+        name: 'GEORGIAN',
+        flag: '/flags/ge.svg',
+        enabled: true,
+        relay: false,
+        twoWay: true,
+    },
+    {
+        value: 'arabic',
+        name: 'ARABIC',
+        flag: '/flags/sa.svg',
+        enabled: true,
+        relay: false,
+        twoWay: true,
+    },
+    {
+        value: 'czech',
+        name: 'CZECH',
+        flag: '/flags/cz.svg',
+        enabled: true,
+        relay: false,
+        twoWay: true,
+    },
+    {
+        value: 'hungarian',
+        name: 'HUNGARIAN',
+        flag: '/flags/hu.svg',
+        enabled: true,
+        relay: false,
+        twoWay: true,
+    },
+]
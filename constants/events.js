@@ -0,0 +1,20 @@
+// Built-in events. Additional events (or overrides of these, matched by slug)
+// are read from the "events" collection of the data store. An event without a
+// `languages` list serves every enabled language of the catalog.
+export const DEFAULT_EVENT_SLUG = 'chogan';
+
+export const defaultEvents = [
+  {
+    slug: 'chogan',
+    name: 'Green & Blue Festival',
+    branding: {
+      loadingLogo: '/logo/Chogan.svg',
+      headerLogo: '/logo/livello.svg',
+      boothLogo: '/images/lingo-you-logo.png',
+    },
+    support: {
+      email: 'info@rafiky.net',
+      subject: 'Green&Blue Festival - Live Interpretation Support',
+    },
+  },
+]
@@ -1,98 +0,0 @@
-export const flagsMapping = {
-    english: '/flags/gb-eng.svg',
-    german: '/flags/de.svg',
-    french: '/flags/fr.svg',
-    italian: '/flags/it.svg',
-    romanian: '/flags/ro.svg',
-    croatian: '/flags/hr.svg',
-    portuguese: '/flags/pt.svg',
-    georgian: '/flags/ge.svg',
-    arabic: '/flags/sa.svg',
-    czech: '/flags/cz.svg',
-    hungarian: '/flags/hu.svg',
-}
-
-export const languages = [
-    {
-        name: 'ITALIAN',
-        value: 'italian',
-        flag: '/flags/it.svg',
-    },
-    {
-        name: 'ENGLISH',
-        value: 'english',
-        flag: '/flags/gb-eng.svg',
-    },
-    {
-        name: 'GERMAN',
-        value: 'german',
-        flag: '/flags/de.svg',
-    },
-    {
-        name: 'FRENCH',
-        value: 'french',
-        flag: '/flags/fr.svg',
-    },
-    {
-        name: 'ROMANIAN',
-        value: 'romanian',
-        flag: '/flags/ro.svg',
-    },
-    {
-        name: 'CROATIAN',
-        value: 'croatian',
-        flag: '/flags/hr.svg',
-    },
-    {
-        name: 'PORTUGUESE',
-        value: 'portuguese',
-        flag: '/flags/pt.svg',
-    },
-    {
-        name: 'GEORGIAN',
-        value: 'georgian',
-        flag: '/flags/ge.svg',
-    },
-    {
-        name: 'ARABIC',
-        value: 'arabic',
-        flag: '/flags/sa.svg',
-    },
-    {
-        name: 'CZECH',
-        value: 'czech',
-        flag: '/flags/cz.svg',
-    },
-    {
-        name: 'HUNGARIAN',
-        value: 'hungarian',
-        flag: '/flags/hu.svg',
-    },
-]
-
-
-export const otherLanguageChannel = [
-    {
-        name: 'ITALIAN',
-        value: 'italian',
-        flag: '/flags/it.svg',
-    },
-]
-
-
-
-
-export const twoWayLanguages = {
-    english: true,
-    german: true,
-    french: true,
-    georgian: true,
-    romanian: true,
-    croatian: true,
-    portuguese: true,
-    czech: true,
-    hungarian: true,
-    arabic: true,
-}
-
-
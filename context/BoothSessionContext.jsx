@@ -0,0 +1,26 @@
+'use client'
+
+import { createContext, useContext, useMemo } from 'react'
+
+// Signed-in interpreter for the booth, provided by BoothAccessGate
+const BoothSessionContext = createContext({
+  interpreter: null,
+  signOut: async () => {},
+})
+
+export const BoothSessionProvider = ({ interpreter, signOut, children }) => {
+  const value = useMemo(
+    () => ({ interpreter, signOut }),
+    [interpreter, signOut]
+  )
+
+  return (
+    <BoothSessionContext.Provider value={value}>
+      {children}
+    </BoothSessionContext.Provider>
+  )
+}
+
+export const useBoothSession = () => useContext(BoothSessionContext)
+
+export { BoothSessionContext }
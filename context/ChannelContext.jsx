@@ -1,6 +1,7 @@
 'use client'
 
 import { createContext, useContext, useMemo, useState, useEffect } from 'react'
+import { getChannelName as buildChannelName } from '@/lib/channels'
 
 // Shape of the context value
 const ChannelContext = createContext({
@@ -8,18 +9,19 @@ const ChannelContext = createContext({
   setChannelName: () => {},
 })
 
-export const ChannelProvider = ({ children}) => {
-  const [channelName, setChannelName] = useState('chogan-english');
+// eventSlug comes from the /[event] route, so every channel is scoped to its event
+export const ChannelProvider = ({ eventSlug, children }) => {
+  const [channelName, setChannelName] = useState(buildChannelName(eventSlug, 'english'));
   const [language, setLanguage] = useState('english');
   const [loadAlreadyDone, setLoadAlreadyDone] = useState(false);
 
 
   useEffect(() => {
-    setChannelName(`chogan-${language}`);
-  },[language])
+    setChannelName(buildChannelName(eventSlug, language));
+  },[eventSlug, language])
 
   const getChannelName = (lang) => {
-    return `chogan-${lang}`;
+    return buildChannelName(eventSlug, lang);
   }
 
 
@@ -28,7 +30,7 @@ export const ChannelProvider = ({ children}) => {
 
   const value = useMemo(
     () => ({ channelName, setChannelName, language, setLanguage, loadAlreadyDone, setLoadAlreadyDone,getChannelName }),
-    [channelName, language, loadAlreadyDone]
+    [channelName, language, loadAlreadyDone, eventSlug]
   )
 
   return (
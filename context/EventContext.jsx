@@ -0,0 +1,19 @@
+'use client'
+
+import { createContext, useContext } from 'react'
+
+// Event configuration (name, branding, languages, support contact) for the
+// current /[event] route, loaded on the server by app/[event]/layout.jsx
+const EventContext = createContext(null)
+
+export const EventProvider = ({ event, children }) => {
+  return (
+    <EventContext.Provider value={event}>
+      {children}
+    </EventContext.Provider>
+  )
+}
+
+export const useEvent = () => useContext(EventContext)
+
+export { EventContext }
@@ -0,0 +1,64 @@
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { recordLinkListenRequest } from '@/http/linkHttp';
+import { ATTRIBUTION_PARAMS, readAttribution } from '@/lib/shortLinks';
+
+const STORAGE_KEY = 'listenerAttribution';
+const LISTEN_KEY_PREFIX = 'listenerAttributionListen:';
+
+// sessionStorage throws in some private browsing modes
+const readStorage = (key) => {
+  try {
+    return window.sessionStorage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    if (value === null) {
+      window.sessionStorage.removeItem(key);
+    } else {
+      window.sessionStorage.setItem(key, value);
+    }
+  } catch {
+    // attribution is best effort
+  }
+};
+
+// Which poster or source brought this listener in. Tags from a short link's
+// redirect (?ref=&utm_*) are kept for the browser session, so they survive
+// the language picker and language switches, and removed from the address
+// bar so a shared URL doesn't carry them along.
+export const useAttribution = () => {
+  const [attribution, setAttribution] = useState(null);
+
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const fromUrl = readAttribution(url.searchParams);
+    if (fromUrl) {
+      writeStorage(STORAGE_KEY, JSON.stringify(fromUrl));
+      Object.values(ATTRIBUTION_PARAMS).forEach((param) => url.searchParams.delete(param));
+      window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+      setAttribution(fromUrl);
+      return;
+    }
+
+    try {
+      setAttribution(JSON.parse(readStorage(STORAGE_KEY)));
+    } catch {
+      setAttribution(null);
+    }
+  }, []);
+
+  // Counts a listen for the short link once per browser session
+  const recordListen = useCallback(() => {
+    const code = attribution?.ref;
+    if (!code || readStorage(`${LISTEN_KEY_PREFIX}${code}`)) return;
+    writeStorage(`${LISTEN_KEY_PREFIX}${code}`, '1');
+    recordLinkListenRequest(code).catch(() => writeStorage(`${LISTEN_KEY_PREFIX}${code}`, null));
+  }, [attribution]);
+
+  return { attribution, recordListen };
+};
@@ -0,0 +1,198 @@
+'use client';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'sonner';
+
+const STORAGE_PREFIX = 'booth-audio-devices';
+const DEFAULT_DEVICE_ID = 'default';
+
+const readPreferences = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writePreferences = (key, preferences) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(preferences));
+  } catch {
+    // private mode, the choice only lasts for this page
+  }
+};
+
+const labelOf = (devices, deviceId) => devices.find((device) => device.deviceId === deviceId)?.label || 'the default device';
+
+// Browsers without HTMLMediaElement.setSinkId can't route audio to a device
+const canSelectOutput = () => typeof window !== 'undefined'
+  && typeof window.HTMLMediaElement?.prototype.setSinkId === 'function';
+
+// AgoraRTC has a single onMicrophoneChanged / onPlaybackDeviceChanged slot, so
+// one dispatcher fills it and hands each change to every mounted hook
+const deviceSubscribers = new Set();
+
+const dispatchMicrophoneChange = (info) => deviceSubscribers.forEach((each) => each.onMicrophoneChanged(info));
+const dispatchPlaybackDeviceChange = (info) => deviceSubscribers.forEach((each) => each.onPlaybackDeviceChanged(info));
+
+const subscribeToDeviceChanges = (AgoraRTC, subscriber) => {
+  AgoraRTC.onMicrophoneChanged = dispatchMicrophoneChange;
+  AgoraRTC.onPlaybackDeviceChanged = dispatchPlaybackDeviceChange;
+  deviceSubscribers.add(subscriber);
+  return () => {
+    deviceSubscribers.delete(subscriber);
+  };
+};
+
+// Microphone and headphone choice for a booth, remembered per booth on this
+// computer. The microphone swaps on the live track (setDevice) so going
+// on air isn't interrupted; when the chosen device is unplugged the booth
+// falls back to the system default and returns once it is plugged back in.
+export const useAudioDevices = ({ AgoraRTC, boothKey, microphoneTrack }) => {
+  const storageKey = `${STORAGE_PREFIX}:${boothKey}`;
+  const [microphones, setMicrophones] = useState([]);
+  const [speakers, setSpeakers] = useState([]);
+  const [preferences, setPreferences] = useState({ microphoneId: null, speakerId: null });
+  // What is in use right now, which differs from the preference while it is unplugged
+  const [activeMicrophoneId, setActiveMicrophoneId] = useState(null);
+  const [activeSpeakerId, setActiveSpeakerId] = useState(null);
+  const [outputSelectable, setOutputSelectable] = useState(false);
+
+  const stateRef = useRef({});
+  useEffect(() => {
+    stateRef.current = { microphoneTrack, preferences, activeMicrophoneId, activeSpeakerId, microphones, speakers };
+  });
+
+  useEffect(() => {
+    setOutputSelectable(canSelectOutput());
+  }, []);
+
+  useEffect(() => {
+    const stored = readPreferences(storageKey);
+    setPreferences({ microphoneId: stored.microphoneId || null, speakerId: stored.speakerId || null });
+    setActiveSpeakerId(stored.speakerId || null);
+  }, [storageKey]);
+
+  const savePreferences = useCallback((changes) => {
+    setPreferences((current) => {
+      const next = { ...current, ...changes };
+      writePreferences(storageKey, next);
+      return next;
+    });
+  }, [storageKey]);
+
+  const refreshDevices = useCallback(async () => {
+    if (!AgoraRTC) return { microphones: [], speakers: [] };
+    const [nextMicrophones, nextSpeakers] = await Promise.all([
+      AgoraRTC.getMicrophones().catch(() => []),
+      canSelectOutput() ? AgoraRTC.getPlaybackDevices().catch(() => []) : [],
+    ]);
+    setMicrophones(nextMicrophones);
+    setSpeakers(nextSpeakers);
+    return { microphones: nextMicrophones, speakers: nextSpeakers };
+  }, [AgoraRTC]);
+
+  // For createMicrophoneAudioTrack: the remembered microphone if it is plugged in
+  const resolveMicrophoneId = useCallback(async () => {
+    const { microphones: available } = await refreshDevices();
+    const preferred = readPreferences(storageKey).microphoneId;
+    const microphoneId = available.some((device) => device.deviceId === preferred) ? preferred : undefined;
+    setActiveMicrophoneId(microphoneId || DEFAULT_DEVICE_ID);
+    return microphoneId;
+  }, [refreshDevices, storageKey]);
+
+  const switchMicrophone = useCallback(async (deviceId) => {
+    const track = stateRef.current.microphoneTrack;
+    if (track) {
+      await track.setDevice(deviceId);
+    }
+    setActiveMicrophoneId(deviceId);
+  }, []);
+
+  const selectMicrophone = useCallback(async (deviceId) => {
+    try {
+      await switchMicrophone(deviceId);
+      savePreferences({ microphoneId: deviceId });
+      toast.success(`Microphone: ${labelOf(stateRef.current.microphones, deviceId)}`, { id: 'microphone-device' });
+    } catch (error) {
+      console.error('Switching microphone failed:', error);
+      toast.error(`Could not switch microphone: ${error.message}`, { id: 'microphone-device' });
+    }
+  }, [switchMicrophone, savePreferences]);
+
+  const selectSpeaker = useCallback((deviceId) => {
+    savePreferences({ speakerId: deviceId });
+    setActiveSpeakerId(deviceId);
+  }, [savePreferences]);
+
+  // Sends a remote track (partner, relay) to the chosen headphones
+  const routeToSpeaker = useCallback((track) => {
+    if (!track?.setPlaybackDevice || !activeSpeakerId || !canSelectOutput()) return;
+    track.setPlaybackDevice(activeSpeakerId).catch((error) => {
+      console.error('Switching headphones failed:', error);
+    });
+  }, [activeSpeakerId]);
+
+  // Plugging and unplugging while the booth is open, on air or not
+  useEffect(() => {
+    if (!AgoraRTC) return;
+    refreshDevices();
+
+    const onMicrophoneChanged = async ({ state, device }) => {
+      const { microphones: available } = await refreshDevices();
+      const { preferences: preferred, activeMicrophoneId: activeId, microphoneTrack: track } = stateRef.current;
+
+      if (state === 'INACTIVE' && device.deviceId === activeId && track) {
+        const fallback = available.find((other) => other.deviceId === DEFAULT_DEVICE_ID) || available[0];
+        if (!fallback) {
+          toast.error(`${device.label || 'Microphone'} was unplugged and no other microphone is available`, { id: 'microphone-device' });
+          return;
+        }
+        try {
+          await switchMicrophone(fallback.deviceId);
+          toast.warning(`${device.label || 'Microphone'} was unplugged, using ${fallback.label || 'the default microphone'}`, { id: 'microphone-device' });
+        } catch (error) {
+          toast.error(`Microphone unplugged: ${error.message}`, { id: 'microphone-device' });
+        }
+      } else if (state === 'ACTIVE' && device.deviceId === preferred.microphoneId && activeId !== device.deviceId && track) {
+        try {
+          await switchMicrophone(device.deviceId);
+          toast.success(`${device.label || 'Microphone'} is back`, { id: 'microphone-device' });
+        } catch (error) {
+          console.error('Returning to the chosen microphone failed:', error);
+        }
+      }
+    };
+
+    const onPlaybackDeviceChanged = async ({ state, device }) => {
+      await refreshDevices();
+      const { preferences: preferred, activeSpeakerId: activeId } = stateRef.current;
+
+      if (state === 'INACTIVE' && device.deviceId === activeId) {
+        setActiveSpeakerId(DEFAULT_DEVICE_ID);
+        toast.warning(`${device.label || 'Headphones'} were unplugged, using the default output`, { id: 'speaker-device' });
+      } else if (state === 'ACTIVE' && device.deviceId === preferred.speakerId && activeId !== device.deviceId) {
+        setActiveSpeakerId(device.deviceId);
+        toast.success(`${device.label || 'Headphones'} are back`, { id: 'speaker-device' });
+      }
+    };
+
+    return subscribeToDeviceChanges(AgoraRTC, { onMicrophoneChanged, onPlaybackDeviceChanged });
+  }, [AgoraRTC, refreshDevices, switchMicrophone]);
+
+  // Labels are empty until the microphone permission is granted
+  useEffect(() => {
+    if (microphoneTrack) refreshDevices();
+  }, [microphoneTrack, refreshDevices]);
+
+  return {
+    microphones,
+    speakers,
+    canSelectOutput: outputSelectable,
+    microphoneId: activeMicrophoneId,
+    speakerId: activeSpeakerId,
+    resolveMicrophoneId,
+    selectMicrophone,
+    selectSpeaker,
+    routeToSpeaker,
+  };
+};
@@ -0,0 +1,37 @@
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { getAudioProfile } from '@/constants/audioProfiles';
+
+const STORAGE_PREFIX = 'booth-audio-profile';
+
+const readProfileId = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+// The processing profile picked for a booth on this computer
+export const useAudioProfile = (boothKey) => {
+  const storageKey = `${STORAGE_PREFIX}:${boothKey}`;
+  // Starts from the default so the server render matches, then loads the saved one
+  const [profile, setProfile] = useState(() => getAudioProfile(null));
+
+  useEffect(() => {
+    setProfile(getAudioProfile(readProfileId(storageKey)));
+  }, [storageKey]);
+
+  const selectProfile = useCallback((id) => {
+    const next = getAudioProfile(id);
+    try {
+      localStorage.setItem(storageKey, next.id);
+    } catch {
+      // private mode, keep it for this page
+    }
+    setProfile(next);
+    return next;
+  }, [storageKey]);
+
+  return { profile, selectProfile };
+};
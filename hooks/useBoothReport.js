@@ -0,0 +1,52 @@
+'use client';
+import { useEffect, useRef } from 'react';
+import { postBoothReportRequest } from '@/http/controlHttp';
+import { OFF_AIR_REPORT_MS, ON_AIR_REPORT_MS } from '@/lib/controlRoom';
+
+const LEVEL_SAMPLE_MS = 200;
+
+// Tells the organizers' control room what this booth is doing: on air or not,
+// muted or not, the loudest mic level since the last report, uplink quality and any
+// handover in progress. Reports stop when the booth tab closes.
+export const useBoothReport = ({ channelName, boothId, isLive, track, muted, networkQuality, handover }) => {
+  const peakLevelRef = useRef(0);
+  const stateRef = useRef({ muted, networkQuality, handover });
+  // Muting and handovers changing phase are reported right away
+  const handoverPhase = handover?.phase;
+
+  // Agora's local tracks report their volume (0-1) on request only
+  useEffect(() => {
+    if (!track?.getVolumeLevel) return;
+    const interval = setInterval(() => {
+      peakLevelRef.current = Math.max(peakLevelRef.current, track.getVolumeLevel() * 100);
+    }, LEVEL_SAMPLE_MS);
+    return () => clearInterval(interval);
+  }, [track]);
+
+  useEffect(() => {
+    stateRef.current = { muted, networkQuality, handover };
+  });
+
+  useEffect(() => {
+    if (!channelName || !boothId) return;
+
+    const report = () => {
+      const { muted: isMuted, networkQuality: quality, handover: state } = stateRef.current;
+      const level = peakLevelRef.current;
+      peakLevelRef.current = 0;
+      postBoothReportRequest({
+        channelName,
+        boothId,
+        onAir: isLive,
+        muted: isMuted,
+        level,
+        networkQuality: quality,
+        handover: state ? { phase: state.phase, role: state.role, peerName: state.peer?.name || null } : null,
+      }).catch((error) => console.error('Booth report failed:', error.message));
+    };
+
+    report();
+    const interval = setInterval(report, isLive ? ON_AIR_REPORT_MS : OFF_AIR_REPORT_MS);
+    return () => clearInterval(interval);
+  }, [channelName, boothId, isLive, muted, handoverPhase]);
+};
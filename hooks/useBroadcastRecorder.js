@@ -0,0 +1,121 @@
+'use client';
+import { useState, useEffect, useRef } from 'react';
+import { completeRecordingRequest, startRecordingRequest, uploadRecordingChunkRequest } from '@/http/recordingHttp';
+
+const CHUNK_INTERVAL = 5000;
+const MAX_UPLOAD_ATTEMPTS = 5;
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+const pickMimeType = () => MIME_TYPES.find((type) => window.MediaRecorder.isTypeSupported?.(type)) || '';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const initialState = { status: 'idle', bytes: 0, pendingChunks: 0, error: null };
+
+// Records the booth's outgoing microphone track while `active` and uploads it
+// every few seconds, so a closed tab loses at most the last chunk. Each
+// active stretch becomes one recording on the server.
+export const useBroadcastRecorder = ({ track, active, channelName, getBroadcastSessionId }) => {
+  const [state, setState] = useState(initialState);
+  const getSessionIdRef = useRef(getBroadcastSessionId);
+  const isSupported = typeof window !== 'undefined' && typeof window.MediaRecorder !== 'undefined';
+
+  useEffect(() => {
+    getSessionIdRef.current = getBroadcastSessionId;
+  });
+
+  useEffect(() => {
+    if (!active || !track || !channelName || !isSupported) return;
+
+    const preferredType = pickMimeType();
+    let recorder;
+    try {
+      recorder = new MediaRecorder(
+        new MediaStream([track.getMediaStreamTrack()]),
+        preferredType ? { mimeType: preferredType } : undefined
+      );
+    } catch (error) {
+      console.error('Unable to start recorder:', error);
+      setState({ ...initialState, status: 'error', error: error.message });
+      return;
+    }
+
+    const queue = [];
+    let sequence = 0;
+    let flushing = null;
+
+    const recordingPromise = startRecordingRequest({
+      channelName,
+      broadcastSessionId: getSessionIdRef.current?.() || null,
+      mimeType: recorder.mimeType || preferredType || 'audio/webm',
+      startTime: Date.now(),
+    });
+
+    // Uploads queued chunks in order, retrying each a few times before giving
+    // up until the next chunk arrives
+    const flush = () => {
+      if (!flushing) {
+        flushing = (async () => {
+          try {
+            const recording = await recordingPromise;
+            while (queue.length) {
+              const { seq, blob } = queue[0];
+              for (let attempt = 1; ; attempt++) {
+                try {
+                  const { bytes } = await uploadRecordingChunkRequest(recording.id, seq, blob);
+                  queue.shift();
+                  setState((prev) => ({ ...prev, bytes, pendingChunks: queue.length, error: null }));
+                  break;
+                } catch (error) {
+                  if (attempt >= MAX_UPLOAD_ATTEMPTS) throw error;
+                  await wait(1000 * attempt);
+                }
+              }
+            }
+          } catch (error) {
+            console.error('Recording upload failed:', error);
+            setState((prev) => ({ ...prev, status: 'error', pendingChunks: queue.length, error: error.message }));
+          } finally {
+            flushing = null;
+          }
+        })();
+      }
+      return flushing;
+    };
+
+    recorder.ondataavailable = (event) => {
+      if (!event.data?.size) return;
+      queue.push({ seq: sequence++, blob: event.data });
+      setState((prev) => ({ ...prev, pendingChunks: queue.length }));
+      flush();
+    };
+
+    recorder.onstop = async () => {
+      await flush();
+      try {
+        const recording = await recordingPromise;
+        await completeRecordingRequest(recording.id, Date.now());
+        setState((prev) => ({ ...prev, status: queue.length ? 'error' : 'idle' }));
+      } catch (error) {
+        console.error('Failed to complete recording:', error);
+        setState((prev) => ({ ...prev, status: 'error', error: error.message }));
+      }
+    };
+
+    recordingPromise.catch((error) => {
+      console.error('Failed to start recording:', error);
+      setState({ ...initialState, status: 'error', error: error.message });
+    });
+
+    setState({ ...initialState, status: 'recording' });
+    recorder.start(CHUNK_INTERVAL);
+
+    return () => {
+      if (recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+    };
+  }, [active, track, channelName, isSupported]);
+
+  return { isSupported, ...state };
+};
@@ -0,0 +1,92 @@
+'use client';
+import { useState, useEffect, useRef } from 'react';
+import { getCaptionsRequest, uploadCaptionSegmentRequest } from '@/http/captionHttp';
+
+const SEGMENT_MS = 6000;
+// Segments waiting on a slow provider beyond this are dropped, captions must stay live
+const MAX_PENDING_UPLOADS = 3;
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+const pickMimeType = () => MIME_TYPES.find((type) => window.MediaRecorder.isTypeSupported?.(type)) || '';
+
+// Feeds the booth's outgoing track to the server's caption provider while
+// `active`. Each segment is a separate recording so it can be decoded alone.
+export const useCaptionFeed = ({ track, active, channelName, getBroadcastSessionId }) => {
+  const [enabled, setEnabled] = useState(false);
+  const getSessionIdRef = useRef(getBroadcastSessionId);
+  const isSupported = typeof window !== 'undefined' && typeof window.MediaRecorder !== 'undefined';
+
+  useEffect(() => {
+    getSessionIdRef.current = getBroadcastSessionId;
+  });
+
+  useEffect(() => {
+    if (!channelName) return;
+    let cancelled = false;
+    getCaptionsRequest(channelName)
+      .then(({ enabled: captionsEnabled }) => !cancelled && setEnabled(captionsEnabled))
+      .catch(() => !cancelled && setEnabled(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [channelName]);
+
+  useEffect(() => {
+    if (!enabled || !active || !track || !channelName || !isSupported) return;
+
+    const stream = new MediaStream([track.getMediaStreamTrack()]);
+    const mimeType = pickMimeType();
+    let stopped = false;
+    let recorder = null;
+    let timer = null;
+    let pending = 0;
+    let uploads = Promise.resolve();
+
+    const upload = (blob, start, end) => {
+      const sessionId = getSessionIdRef.current?.();
+      if (!blob.size || !sessionId || pending >= MAX_PENDING_UPLOADS) return;
+      pending++;
+      uploads = uploads
+        .then(() => uploadCaptionSegmentRequest(channelName, blob, { sessionId, start, end }))
+        .catch((error) => console.error('Caption upload failed:', error.message))
+        .finally(() => {
+          pending--;
+        });
+    };
+
+    const recordSegment = () => {
+      const chunks = [];
+      const start = Date.now();
+      try {
+        recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      } catch (error) {
+        console.error('Unable to start caption recorder:', error);
+        return;
+      }
+
+      recorder.ondataavailable = (event) => {
+        if (event.data?.size) chunks.push(event.data);
+      };
+      recorder.onstop = () => {
+        const type = recorder.mimeType || mimeType || 'audio/webm';
+        if (!stopped) recordSegment();
+        upload(new Blob(chunks, { type }), start, Date.now());
+      };
+
+      recorder.start();
+      timer = setTimeout(() => {
+        if (recorder.state !== 'inactive') recorder.stop();
+      }, SEGMENT_MS);
+    };
+
+    recordSegment();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (recorder && recorder.state !== 'inactive') recorder.stop();
+    };
+  }, [enabled, active, track, channelName, isSupported]);
+
+  return { enabled: enabled && isSupported };
+};
@@ -0,0 +1,51 @@
+'use client';
+import { useState, useEffect } from 'react';
+import { getCaptionsRequest } from '@/http/captionHttp';
+import { CAPTION_EVENT, getCaptionsChannelName } from '@/lib/captions';
+import { createRealtimeClient } from '@/lib/realtimeClient';
+
+const MAX_SEGMENTS = 200;
+
+// Listener side of live captions: the latest captions of the live booth, then
+// every new one as the server pushes it
+export const useCaptions = (channelName) => {
+  const [available, setAvailable] = useState(false);
+  const [segments, setSegments] = useState([]);
+
+  useEffect(() => {
+    if (!channelName) return;
+    let cancelled = false;
+    let realtime = null;
+    const captionsChannelName = getCaptionsChannelName(channelName);
+    setSegments([]);
+
+    const appendSegment = (segment) => {
+      if (!segment?.id) return;
+      setSegments((prev) => prev.some((s) => s.id === segment.id)
+        ? prev
+        : [...prev, segment].sort((a, b) => a.start - b.start).slice(-MAX_SEGMENTS));
+    };
+
+    getCaptionsRequest(channelName)
+      .then(({ enabled, segments: recent }) => {
+        if (cancelled) return;
+        setAvailable(enabled);
+        if (!enabled) return;
+
+        recent.forEach(appendSegment);
+        realtime = createRealtimeClient();
+        realtime.subscribe(captionsChannelName).bind(CAPTION_EVENT, appendSegment);
+      })
+      .catch((error) => console.error('Failed to load captions:', error));
+
+    return () => {
+      cancelled = true;
+      if (realtime) {
+        realtime.unsubscribe(captionsChannelName);
+        realtime.disconnect();
+      }
+    };
+  }, [channelName]);
+
+  return { available, segments };
+};
@@ -0,0 +1,224 @@
+'use client';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { CatchUpBuffer, encodeWav } from '@/lib/catchUpBuffer';
+
+export const CATCH_UP_SPEEDS = [1, 1.25, 1.5];
+const SEGMENT_SECONDS = 20;
+const JUMP_SECONDS = 30;
+// Closer than this to live counts as live
+const LIVE_THRESHOLD = 1;
+const TICK_INTERVAL = 250;
+
+// Keeps the last few minutes of the remote track and plays them back on
+// request. While behind, the live track is silenced and the buffer is played
+// in short WAV segments through an <audio> element, which keeps the pitch
+// when sped up; reaching the live edge switches back to the live track.
+export const useCatchUp = ({ mediaStreamTrack, liveTrack, volume, isMuted }) => {
+  const bufferRef = useRef(null);
+  const playerRef = useRef(null);
+  const segmentRef = useRef(null);
+  const speedRef = useRef(CATCH_UP_SPEEDS[0]);
+  const liveTrackRef = useRef(liveTrack);
+  const outputRef = useRef({ volume, isMuted });
+  const playFromRef = useRef(null);
+  const [isBehind, setIsBehind] = useState(false);
+  const [behindSeconds, setBehindSeconds] = useState(0);
+  const [bufferedSeconds, setBufferedSeconds] = useState(0);
+  const [speed, setSpeedState] = useState(CATCH_UP_SPEEDS[0]);
+
+  useEffect(() => {
+    liveTrackRef.current = liveTrack;
+    outputRef.current = { volume, isMuted };
+  });
+
+  // Capture: the buffer survives track changes so a handover doesn't wipe it
+  useEffect(() => {
+    if (!mediaStreamTrack || typeof window === 'undefined') return;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    const context = new AudioContextClass();
+    if (!bufferRef.current || bufferRef.current.captureRate !== context.sampleRate) {
+      bufferRef.current = new CatchUpBuffer(context.sampleRate);
+    }
+    const buffer = bufferRef.current;
+
+    const stream = new MediaStream([mediaStreamTrack]);
+    // Chrome only feeds remote WebRTC audio into Web Audio while an element plays it
+    const sink = new Audio();
+    sink.muted = true;
+    sink.srcObject = stream;
+    sink.play().catch(() => {});
+
+    const source = context.createMediaStreamSource(stream);
+    const processor = context.createScriptProcessor(4096, 1, 1);
+    const silence = context.createGain();
+    silence.gain.value = 0;
+    processor.onaudioprocess = (event) => buffer.write(event.inputBuffer.getChannelData(0));
+    source.connect(processor);
+    processor.connect(silence);
+    silence.connect(context.destination);
+
+    // Autoplay rules keep the context suspended until the listener interacts
+    const resume = () => context.resume().catch(() => {});
+    resume();
+    document.addEventListener('click', resume);
+    document.addEventListener('touchstart', resume);
+
+    return () => {
+      document.removeEventListener('click', resume);
+      document.removeEventListener('touchstart', resume);
+      processor.onaudioprocess = null;
+      source.disconnect();
+      processor.disconnect();
+      silence.disconnect();
+      sink.srcObject = null;
+      context.close().catch(() => {});
+    };
+  }, [mediaStreamTrack]);
+
+  const applyLiveVolume = (audible) => {
+    const { volume: level, isMuted: muted } = outputRef.current;
+    try {
+      liveTrackRef.current?.setVolume(audible && !muted ? level : 0);
+    } catch (error) {
+      console.error('Volume control error:', error);
+    }
+  };
+
+  const stopSegment = () => {
+    const player = playerRef.current;
+    const segment = segmentRef.current;
+    if (player) {
+      player.pause();
+      player.removeAttribute('src');
+    }
+    if (segment) URL.revokeObjectURL(segment.url);
+    segmentRef.current = null;
+  };
+
+  const goLive = useCallback(() => {
+    stopSegment();
+    setIsBehind(false);
+    setBehindSeconds(0);
+    applyLiveVolume(true);
+  }, []);
+
+  const getPlayer = () => {
+    if (!playerRef.current) {
+      const player = new Audio();
+      player.preservesPitch = true;
+      player.mozPreservesPitch = true;
+      player.webkitPreservesPitch = true;
+      player.onended = () => {
+        const segment = segmentRef.current;
+        if (segment) playFromRef.current(segment.end);
+      };
+      playerRef.current = player;
+    }
+    return playerRef.current;
+  };
+
+  // Another channel: what was buffered belongs to the old one
+  const reset = useCallback(() => {
+    goLive();
+    bufferRef.current = null;
+    setBufferedSeconds(0);
+  }, [goLive]);
+
+  // Plays the buffer from a stream time, one segment at a time
+  const playFrom = useCallback((position) => {
+    const buffer = bufferRef.current;
+    if (!buffer) return;
+
+    const start = Math.max(position, buffer.earliestTime);
+    if (buffer.liveTime - start < LIVE_THRESHOLD) {
+      goLive();
+      return;
+    }
+    const end = Math.min(start + SEGMENT_SECONDS, buffer.liveTime);
+
+    stopSegment();
+    const url = URL.createObjectURL(encodeWav(buffer.slice(start, end), buffer.sampleRate));
+    segmentRef.current = { start, end, url };
+
+    const player = getPlayer();
+    const { volume: level, isMuted: muted } = outputRef.current;
+    player.src = url;
+    player.playbackRate = speedRef.current;
+    player.volume = muted ? 0 : level / 100;
+    applyLiveVolume(false);
+    setIsBehind(true);
+
+    player.play().catch((error) => {
+      console.error('Catch-up playback failed:', error);
+      goLive();
+    });
+  }, [goLive]);
+
+  useEffect(() => {
+    playFromRef.current = playFrom;
+  }, [playFrom]);
+
+  const seekBehind = useCallback((seconds) => {
+    const buffer = bufferRef.current;
+    if (!buffer) return;
+    if (seconds < LIVE_THRESHOLD) {
+      goLive();
+      return;
+    }
+    playFrom(buffer.liveTime - seconds);
+  }, [goLive, playFrom]);
+
+  const jumpBack = useCallback(() => {
+    const buffer = bufferRef.current;
+    const segment = segmentRef.current;
+    if (!buffer) return;
+    const position = segment ? segment.start + (playerRef.current?.currentTime || 0) : buffer.liveTime;
+    playFrom(position - JUMP_SECONDS);
+  }, [playFrom]);
+
+  const setSpeed = useCallback((value) => {
+    speedRef.current = value;
+    setSpeedState(value);
+    if (playerRef.current) playerRef.current.playbackRate = value;
+  }, []);
+
+  // Clock for the scrubber and the "behind live" label
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const buffer = bufferRef.current;
+      if (!buffer) return;
+      setBufferedSeconds(buffer.bufferedSeconds);
+      const segment = segmentRef.current;
+      if (segment) {
+        const position = segment.start + (playerRef.current?.currentTime || 0);
+        setBehindSeconds(Math.max(0, buffer.liveTime - position));
+      }
+    }, TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Volume changes and a republished live track while behind
+  useEffect(() => {
+    if (playerRef.current) playerRef.current.volume = isMuted ? 0 : volume / 100;
+    if (isBehind) applyLiveVolume(false);
+  }, [volume, isMuted, isBehind, liveTrack]);
+
+  useEffect(() => () => stopSegment(), []);
+
+  return {
+    isBehind,
+    behindSeconds,
+    bufferedSeconds,
+    canCatchUp: bufferedSeconds > LIVE_THRESHOLD,
+    speed,
+    speeds: CATCH_UP_SPEEDS,
+    jumpSeconds: JUMP_SECONDS,
+    seekBehind,
+    jumpBack,
+    goLive,
+    reset,
+    setSpeed,
+  };
+};
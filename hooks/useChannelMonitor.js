@@ -0,0 +1,81 @@
+'use client';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { fetchAgoraToken } from '@/http/tokenHttp';
+
+const JOIN_TIMEOUT_MS = 15 * 1000;
+
+// Listens to one channel at a time from the control room, as an ordinary
+// audience member. monitor() switches channels, calling it again stops.
+export const useChannelMonitor = () => {
+  const [channelName, setChannelName] = useState(null);
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState(null);
+  const clientRef = useRef(null);
+  const clientIdRef = useRef(`monitor-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`);
+  // Ignores joins that finished after the organizer picked another channel
+  const attemptRef = useRef(0);
+
+  const leave = useCallback(async () => {
+    const client = clientRef.current;
+    clientRef.current = null;
+    if (!client) return;
+    client.remoteUsers.forEach((user) => user.audioTrack?.stop());
+    client.removeAllListeners();
+    await client.leave().catch(() => {});
+  }, []);
+
+  const stop = useCallback(async () => {
+    attemptRef.current += 1;
+    setChannelName(null);
+    setConnecting(false);
+    await leave();
+  }, [leave]);
+
+  const monitor = useCallback(async (nextChannelName) => {
+    if (nextChannelName === channelName) {
+      await stop();
+      return;
+    }
+
+    const attempt = ++attemptRef.current;
+    setChannelName(nextChannelName);
+    setConnecting(true);
+    setError(null);
+    await leave();
+
+    try {
+      const AgoraRTC = (await import('agora-rtc-sdk-ng')).default;
+      const client = AgoraRTC.createClient({ mode: 'live', codec: 'vp8', role: 'audience' });
+      client.on('user-published', async (user, mediaType) => {
+        if (mediaType !== 'audio') return;
+        await client.subscribe(user, mediaType);
+        user.audioTrack?.play();
+      });
+      clientRef.current = client;
+
+      const { token, uid } = await fetchAgoraToken('SUBSCRIBER', nextChannelName, clientIdRef.current);
+      await Promise.race([
+        client.join(process.env.NEXT_PUBLIC_AGORA_APPID, nextChannelName, token, uid),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('Join timeout')), JOIN_TIMEOUT_MS)),
+      ]);
+      if (attempt !== attemptRef.current) {
+        client.removeAllListeners();
+        await client.leave().catch(() => {});
+        return;
+      }
+      setConnecting(false);
+    } catch (joinError) {
+      if (attempt !== attemptRef.current) return;
+      console.error('Monitoring failed:', joinError);
+      setError(joinError.message);
+      await stop();
+    }
+  }, [channelName, leave, stop]);
+
+  useEffect(() => () => {
+    attemptRef.current += 1;
+    leave();
+  }, [leave]);
+
+  return { channelName, connecting, error, monitor, stop };
+};
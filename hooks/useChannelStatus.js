@@ -0,0 +1,47 @@
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { getBroadcastInfoRequest } from '@/http/agoraHttp';
+import { CHANNEL_STATUS_EVENT, fromAgoraChannelInfo, getStatusChannelName, newerStatus } from '@/lib/channelStatus';
+import { createRealtimeClient } from '@/lib/realtimeClient';
+
+const FALLBACK_INTERVAL = 30 * 1000;
+
+// Broadcaster and listener state of a channel as the server pushes it, with a
+// slow poll of the status proxy in case realtime messages are missed
+export const useChannelStatus = (channelName) => {
+  const [status, setStatus] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!channelName) return;
+    try {
+      const res = await getBroadcastInfoRequest(channelName);
+      const next = res.data?.status || fromAgoraChannelInfo(res.data);
+      setStatus((current) => newerStatus(current, next));
+    } catch (error) {
+      console.error('Broadcaster status check failed:', error);
+    }
+  }, [channelName]);
+
+  useEffect(() => {
+    if (!channelName) return;
+    setStatus(null);
+    refresh();
+
+    const realtime = createRealtimeClient();
+    const statusChannelName = getStatusChannelName(channelName);
+    const channel = realtime.subscribe(statusChannelName);
+    channel.bind(CHANNEL_STATUS_EVENT, (next) => {
+      setStatus((current) => newerStatus(current, next));
+    });
+
+    const interval = setInterval(refresh, FALLBACK_INTERVAL);
+    return () => {
+      clearInterval(interval);
+      channel.unbind_all();
+      realtime.unsubscribe(statusChannelName);
+      realtime.disconnect();
+    };
+  }, [channelName, refresh]);
+
+  return { status, refresh };
+};
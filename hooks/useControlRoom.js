@@ -0,0 +1,72 @@
+'use client';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getControlRoomRequest } from '@/http/controlHttp';
+import { CHANNEL_STATUS_EVENT, STATUS_REASONS, newerStatus } from '@/lib/channelStatus';
+import { BOOTH_REPORT_EVENT, getControlChannelName } from '@/lib/controlRoom';
+import { createRealtimeClient } from '@/lib/realtimeClient';
+
+const FALLBACK_INTERVAL = 15 * 1000;
+
+// Every channel of an event as the control room shows it: a snapshot from
+// /api/control kept current by the event's control channel. `clockOffset`
+// maps the browser clock onto the server's, which stamps booth reports.
+export const useControlRoom = (eventSlug) => {
+  const [controlRoom, setControlRoom] = useState(null);
+  const [clockOffset, setClockOffset] = useState(0);
+  const [error, setError] = useState(null);
+  const refreshTimerRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    if (!eventSlug) return;
+    try {
+      const next = await getControlRoomRequest(eventSlug);
+      setControlRoom(next);
+      setClockOffset(next.serverTime - Date.now());
+      setError(null);
+    } catch (refreshError) {
+      setError(refreshError.message);
+    }
+  }, [eventSlug]);
+
+  const updateChannel = useCallback((channelName, update) => {
+    setControlRoom((current) => current && {
+      ...current,
+      channels: current.channels.map((channel) => (
+        channel.channelName === channelName ? { ...channel, ...update(channel) } : channel
+      )),
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!eventSlug) return;
+    setControlRoom(null);
+    refresh();
+
+    const realtime = createRealtimeClient();
+    const controlChannelName = getControlChannelName(eventSlug);
+    const channel = realtime.subscribe(controlChannelName);
+
+    channel.bind(BOOTH_REPORT_EVENT, ({ channelName, booths }) => {
+      updateChannel(channelName, () => ({ booths }));
+    });
+    channel.bind(CHANNEL_STATUS_EVENT, (status) => {
+      updateChannel(status.channelName, (current) => ({ status: newerStatus(current.status, status) }));
+      // Booths going on or off air change the live session, which only the snapshot has
+      if (status.reason !== STATUS_REASONS.LISTENERS) {
+        clearTimeout(refreshTimerRef.current);
+        refreshTimerRef.current = setTimeout(refresh, 500);
+      }
+    });
+
+    const interval = setInterval(refresh, FALLBACK_INTERVAL);
+    return () => {
+      clearInterval(interval);
+      clearTimeout(refreshTimerRef.current);
+      channel.unbind_all();
+      realtime.unsubscribe(controlChannelName);
+      realtime.disconnect();
+    };
+  }, [eventSlug, refresh, updateChannel]);
+
+  return { controlRoom, clockOffset, error, refresh };
+};
@@ -0,0 +1,132 @@
+'use client';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { fetchAgoraToken } from '@/http/tokenHttp';
+import { createTokenRenewer } from '@/lib/tokenRenewal';
+
+const STORAGE_KEY = 'listener-floor-mix';
+const DEFAULT_MIX = 25;
+const JOIN_TIMEOUT_MS = 15 * 1000;
+
+const readMix = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    const value = Number(saved);
+    return saved !== null && value >= 0 && value <= 100 ? value : DEFAULT_MIX;
+  } catch {
+    return DEFAULT_MIX;
+  }
+};
+
+// The floor (the speaker's own voice, on the pivot language's channel) played
+// under the interpretation. A second audience client joins the floor channel
+// only while the listener has it switched on. mix is the floor's level as a
+// percentage of the interpretation's; with floorOnly (no interpreter on air)
+// the floor plays at the full volume instead.
+export const useFloorAudio = ({ AgoraRTC, channelName, playing, floorOnly, volume, silenced }) => {
+  const [enabled, setEnabled] = useState(false);
+  const [mix, setMix] = useState(DEFAULT_MIX);
+  const [track, setTrack] = useState(null);
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState(null);
+  const clientIdRef = useRef(`floor-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`);
+
+  useEffect(() => {
+    setMix(readMix());
+  }, []);
+
+  useEffect(() => {
+    if (!AgoraRTC || !channelName || !enabled) return;
+
+    let cancelled = false;
+    const client = AgoraRTC.createClient({ mode: 'live', codec: 'vp8', role: 'audience' });
+    const fetchToken = () => fetchAgoraToken('SUBSCRIBER', channelName, clientIdRef.current);
+
+    const join = async () => {
+      setConnecting(true);
+      setError(null);
+      try {
+        const { token, uid, expiresAt } = await fetchToken();
+        await Promise.race([
+          client.join(process.env.NEXT_PUBLIC_AGORA_APPID, channelName, token, uid),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('Join timeout')), JOIN_TIMEOUT_MS)),
+        ]);
+        if (!cancelled) tokenRenewer.schedule(expiresAt);
+      } catch (joinError) {
+        if (cancelled) return;
+        console.error('Joining the floor channel failed:', joinError);
+        setError(joinError.message);
+      } finally {
+        if (!cancelled) setConnecting(false);
+      }
+    };
+
+    const tokenRenewer = createTokenRenewer(client, fetchToken, {
+      onExpired: async () => {
+        await client.leave().catch(() => {});
+        await join();
+      },
+    });
+
+    client.on('user-published', async (user, mediaType) => {
+      if (mediaType !== 'audio') return;
+      try {
+        await client.subscribe(user, mediaType);
+        if (!cancelled) setTrack(user.audioTrack);
+      } catch (subscribeError) {
+        console.error('Subscribing to the floor failed:', subscribeError);
+      }
+    });
+    client.on('user-unpublished', (user, mediaType) => {
+      if (mediaType !== 'audio') return;
+      setTrack((current) => (current === user.audioTrack ? null : current));
+    });
+
+    join();
+
+    return () => {
+      cancelled = true;
+      tokenRenewer.detach();
+      client.remoteUsers.forEach((user) => user.audioTrack?.stop());
+      client.removeAllListeners();
+      client.leave().catch(() => {});
+      setTrack(null);
+      setConnecting(false);
+    };
+  }, [AgoraRTC, channelName, enabled]);
+
+  const level = silenced ? 0 : Math.round(floorOnly ? volume : volume * mix / 100);
+
+  useEffect(() => {
+    track?.setVolume(level);
+  }, [track, level]);
+
+  useEffect(() => {
+    if (!track) return;
+    if (playing) {
+      track.play();
+    } else {
+      track.stop();
+    }
+  }, [track, playing]);
+
+  const selectMix = useCallback((value) => {
+    setMix(value);
+    try {
+      localStorage.setItem(STORAGE_KEY, String(value));
+    } catch {
+      // private mode, keep it for this page
+    }
+  }, []);
+
+  const toggle = useCallback(() => setEnabled((value) => !value), []);
+
+  return {
+    enabled,
+    toggle,
+    mix,
+    selectMix,
+    connecting,
+    available: !!track,
+    error,
+  };
+};
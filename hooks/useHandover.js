@@ -0,0 +1,183 @@
+'use client';
+import { useReducer, useEffect, useRef, useCallback } from 'react';
+import { publishRealtimeMessage } from '@/http/realtimeHttp';
+import { createRealtimeClient } from '@/lib/realtimeClient';
+import {
+  HANDOVER_EVENT,
+  HANDOVER_MESSAGES,
+  HANDOVER_PHASES,
+  REQUEST_TTL_MS,
+  createRequestId,
+  handoverReducer,
+  initialHandoverState,
+  isHandoverIdle,
+} from '@/lib/handover';
+
+// Runs the handover protocol from lib/handover.js over the booth's realtime
+// channel. `goLive({ signal })` must resolve to true once this booth is
+// publishing and call off its join when `signal` aborts; `goOffAir` is called
+// when the incoming booth reports it is on air, or to undo a late go-live.
+export const useHandover = ({ channelName, identity, isLiveRef, goLive, goOffAir }) => {
+  const [state, dispatch] = useReducer(handoverReducer, initialHandoverState);
+  const stateRef = useRef(state);
+  const identityRef = useRef(identity);
+  const actionsRef = useRef({ goLive, goOffAir });
+  // Aborted when the requester gives up going on air
+  const goLiveRef = useRef(null);
+
+  useEffect(() => {
+    stateRef.current = state;
+  }, [state]);
+
+  useEffect(() => {
+    identityRef.current = identity;
+    actionsRef.current = { goLive, goOffAir };
+  });
+
+  const send = useCallback(async (type, payload = {}) => {
+    try {
+      await publishRealtimeMessage(channelName, HANDOVER_EVENT, { type, from: identityRef.current, ...payload });
+    } catch (error) {
+      console.error(`Failed to send handover ${type}:`, error);
+    }
+  }, [channelName]);
+
+  // Incoming protocol messages
+  useEffect(() => {
+    const realtime = createRealtimeClient();
+    const channel = realtime.subscribe(channelName);
+
+    channel.bind(HANDOVER_EVENT, (message) => {
+      const self = identityRef.current;
+      if (!message?.from || !self?.id || message.from.id === self.id) return;
+      if (message.to && message.to !== self.id) return;
+
+      const { requestId, from, reason } = message;
+      switch (message.type) {
+        case HANDOVER_MESSAGES.REQUEST:
+          if (!isLiveRef.current) return;
+          // Already handling another booth's request
+          if (!isHandoverIdle(stateRef.current)) {
+            send(HANDOVER_MESSAGES.REJECT, { requestId, to: from.id, reason: 'busy' });
+            return;
+          }
+          dispatch({ type: 'RECEIVED_REQUEST', requestId, from, ttl: message.ttl, now: Date.now(), isLive: true });
+          break;
+        case HANDOVER_MESSAGES.CANCEL:
+          dispatch({ type: 'RECEIVED_CANCEL', requestId, reason });
+          break;
+        case HANDOVER_MESSAGES.ACCEPT:
+          dispatch({ type: 'RECEIVED_ACCEPT', requestId, from, now: Date.now() });
+          break;
+        case HANDOVER_MESSAGES.REJECT:
+          dispatch({ type: 'RECEIVED_REJECT', requestId, from, reason });
+          break;
+        case HANDOVER_MESSAGES.READY:
+          dispatch({ type: 'RECEIVED_READY', requestId });
+          break;
+        case HANDOVER_MESSAGES.COMPLETE:
+          dispatch({ type: 'RECEIVED_COMPLETE', requestId });
+          break;
+        default:
+          break;
+      }
+    });
+
+    return () => {
+      channel.unbind_all();
+      realtime.unsubscribe(channelName);
+      realtime.disconnect();
+    };
+  }, [channelName, isLiveRef, send]);
+
+  // Expire requests and stalled switch-overs
+  useEffect(() => {
+    if (!state.expiresAt) return;
+    const timer = setTimeout(
+      () => dispatch({ type: 'EXPIRE', now: Date.now() }),
+      Math.max(0, state.expiresAt - Date.now())
+    );
+    return () => clearTimeout(timer);
+  }, [state.expiresAt]);
+
+  // Side effects of entering a phase
+  useEffect(() => {
+    const { phase, requestId, role, peer } = state;
+
+    if (phase === HANDOVER_PHASES.ACCEPTED) {
+      const controller = new AbortController();
+      goLiveRef.current = controller;
+      (async () => {
+        let published = false;
+        try {
+          published = await actionsRef.current.goLive({ signal: controller.signal });
+        } catch (error) {
+          console.error('Handover go-live failed:', error);
+        }
+        if (controller.signal.aborted) {
+          // Went on air after the go-live deadline, the other booth is still live
+          if (published) await actionsRef.current.goOffAir();
+          return;
+        }
+        dispatch(published ? { type: 'PUBLISHED', now: Date.now() } : { type: 'PUBLISH_FAILED' });
+        if (published) send(HANDOVER_MESSAGES.READY, { requestId, to: peer?.id });
+      })();
+    }
+
+    // Timed out or could not publish: stop any join still under way and tell
+    // the other booth to stay live
+    if (phase === HANDOVER_PHASES.FAILED && role === 'requester') {
+      goLiveRef.current?.abort();
+      goLiveRef.current = null;
+      send(HANDOVER_MESSAGES.CANCEL, { requestId, to: peer?.id, reason: 'publish-failed' });
+    }
+
+    if (phase === HANDOVER_PHASES.RELEASING) {
+      (async () => {
+        try {
+          await actionsRef.current.goOffAir();
+        } finally {
+          dispatch({ type: 'RELEASED' });
+          send(HANDOVER_MESSAGES.COMPLETE, { requestId, to: peer?.id });
+        }
+      })();
+    }
+
+    if (phase === HANDOVER_PHASES.EXPIRED && role === 'requester') {
+      send(HANDOVER_MESSAGES.CANCEL, { requestId, reason: 'expired' });
+    }
+  }, [state.phase, state.requestId]);
+
+  const request = useCallback(() => {
+    if (!isHandoverIdle(stateRef.current)) return;
+    const requestId = createRequestId();
+    const expiresAt = Date.now() + REQUEST_TTL_MS;
+    dispatch({ type: 'REQUEST', requestId, expiresAt });
+    send(HANDOVER_MESSAGES.REQUEST, { requestId, ttl: REQUEST_TTL_MS });
+  }, [send]);
+
+  const cancel = useCallback(() => {
+    const { phase, requestId } = stateRef.current;
+    if (phase !== HANDOVER_PHASES.REQUESTING) return;
+    dispatch({ type: 'CANCEL' });
+    send(HANDOVER_MESSAGES.CANCEL, { requestId, reason: 'cancelled' });
+  }, [send]);
+
+  const accept = useCallback(() => {
+    const { phase, requestId, peer } = stateRef.current;
+    if (phase !== HANDOVER_PHASES.INCOMING) return;
+    dispatch({ type: 'ACCEPT', now: Date.now() });
+    send(HANDOVER_MESSAGES.ACCEPT, { requestId, to: peer?.id });
+  }, [send]);
+
+  const reject = useCallback(() => {
+    const { phase, requestId, peer } = stateRef.current;
+    if (phase !== HANDOVER_PHASES.INCOMING) return;
+    dispatch({ type: 'REJECT' });
+    send(HANDOVER_MESSAGES.REJECT, { requestId, to: peer?.id, reason: 'declined' });
+  }, [send]);
+
+  const dismiss = useCallback(() => dispatch({ type: 'DISMISS' }), []);
+
+  return { handover: state, request, cancel, accept, reject, dismiss };
+};
@@ -0,0 +1,64 @@
+'use client';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { getLanguagesRequest } from '@/http/languageHttp';
+
+// One request per page load, shared by every component using the catalog
+let catalogPromise = null;
+let cachedLanguages = null;
+
+const loadCatalog = (force = false) => {
+  if (!catalogPromise || force) {
+    catalogPromise = getLanguagesRequest()
+      .then((languages) => {
+        cachedLanguages = languages;
+        return languages;
+      })
+      .catch((error) => {
+        catalogPromise = null;
+        throw error;
+      });
+  }
+  return catalogPromise;
+};
+
+// Enabled languages from /api/languages, optionally limited to the values an
+// event serves. Also derives the lookups the old constants/flagsMapping exported.
+export const useLanguageCatalog = (allowedValues) => {
+  const [languages, setLanguages] = useState(cachedLanguages || []);
+  const [loading, setLoading] = useState(!cachedLanguages);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async (force = true) => {
+    try {
+      setLanguages(await loadCatalog(force));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load language catalog:', err);
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh(false);
+  }, [refresh]);
+
+  const allowedKey = allowedValues ? allowedValues.join(',') : null;
+
+  return useMemo(() => {
+    const visible = allowedKey === null
+      ? languages
+      : languages.filter((language) => allowedKey.split(',').includes(language.value));
+
+    return {
+      languages: visible,
+      flagsMapping: Object.fromEntries(visible.map((language) => [language.value, language.flag])),
+      relayLanguages: visible.filter((language) => language.relay),
+      twoWayLanguages: Object.fromEntries(visible.filter((language) => language.twoWay).map((language) => [language.value, true])),
+      loading,
+      error,
+      refresh,
+    };
+  }, [languages, allowedKey, loading, error, refresh]);
+};
@@ -0,0 +1,104 @@
+'use client';
+import { useEffect, useRef, useCallback } from 'react';
+import { postTelemetryRequest, sendTelemetryBeacon } from '@/http/telemetryHttp';
+import { MAX_BATCH_EVENTS, QUALITY_SAMPLE_MS, TELEMETRY_EVENTS } from '@/lib/telemetry';
+
+const FLUSH_INTERVAL_MS = 15 * 1000;
+// Events kept for retry while the network is down
+const MAX_QUEUED_EVENTS = 200;
+
+// Reports what a listener does (join/leave, play/pause, reconnects) and how
+// the stream sounds (samples of useStreamMetrics) to /api/telemetry in
+// batches. Whatever is queued when the page goes away is sent with a beacon.
+export const useListenerTelemetry = ({ sessionId, channelName, isPlaying, reconnectCount, metrics, attribution }) => {
+  const queueRef = useRef([]);
+  const contextRef = useRef({ sessionId, channelName, attribution });
+  const metricsRef = useRef(metrics);
+  const wasPlayingRef = useRef(false);
+  const reconnectCountRef = useRef(reconnectCount);
+
+  useEffect(() => {
+    contextRef.current = { sessionId, channelName, attribution };
+    metricsRef.current = metrics;
+  });
+
+  const flush = useCallback((useBeacon = false) => {
+    const { sessionId: id, channelName: channel, attribution: tags } = contextRef.current;
+    if (!id || !channel || queueRef.current.length === 0) return;
+
+    const events = queueRef.current.splice(0, MAX_BATCH_EVENTS);
+    const batch = { sessionId: id, channelName: channel, attribution: tags || undefined, events };
+    if (useBeacon && sendTelemetryBeacon(batch)) return;
+
+    postTelemetryRequest(batch).catch(() => {
+      queueRef.current = [...events, ...queueRef.current].slice(-MAX_QUEUED_EVENTS);
+    });
+  }, []);
+
+  const track = useCallback((type, data) => {
+    queueRef.current.push({ type, at: Date.now(), ...(data ? { data } : {}) });
+    if (queueRef.current.length >= MAX_BATCH_EVENTS) flush();
+  }, [flush]);
+
+  // One join/leave pair per channel; switching language leaves the old one
+  useEffect(() => {
+    if (!sessionId || !channelName) return;
+    track(TELEMETRY_EVENTS.JOIN);
+    return () => {
+      if (wasPlayingRef.current) track(TELEMETRY_EVENTS.PAUSE);
+      wasPlayingRef.current = false;
+      track(TELEMETRY_EVENTS.LEAVE);
+      flush(true);
+    };
+  }, [sessionId, channelName, track, flush]);
+
+  useEffect(() => {
+    if (isPlaying === wasPlayingRef.current) return;
+    wasPlayingRef.current = isPlaying;
+    track(isPlaying ? TELEMETRY_EVENTS.PLAY : TELEMETRY_EVENTS.PAUSE);
+  }, [isPlaying, track]);
+
+  useEffect(() => {
+    if (reconnectCount > reconnectCountRef.current) {
+      track(TELEMETRY_EVENTS.RECONNECT, { attempt: reconnectCount });
+    }
+    reconnectCountRef.current = reconnectCount;
+  }, [reconnectCount, track]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setInterval(() => {
+      const { bitrate, latency, packetLoss, audioQuality, networkType } = metricsRef.current || {};
+      track(TELEMETRY_EVENTS.QUALITY, { bitrate, latency, packetLoss, audioQuality, networkType });
+    }, QUALITY_SAMPLE_MS);
+    return () => clearInterval(timer);
+  }, [isPlaying, track]);
+
+  useEffect(() => {
+    const timer = setInterval(() => flush(), FLUSH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [flush]);
+
+  // Mobile browsers often kill hidden pages without unloading them
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flush(true);
+    };
+    const handlePageHide = () => {
+      track(TELEMETRY_EVENTS.LEAVE);
+      flush(true);
+    };
+    const handlePageShow = (event) => {
+      if (event.persisted) track(TELEMETRY_EVENTS.JOIN);
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handlePageHide);
+    window.addEventListener('pageshow', handlePageShow);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', handlePageHide);
+      window.removeEventListener('pageshow', handlePageShow);
+    };
+  }, [track, flush]);
+};
@@ -0,0 +1,30 @@
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { getEventChannelsRequest } from '@/http/agoraHttp';
+
+const REFRESH_INTERVAL = 30 * 1000;
+
+// On-air state of every language of an event, by language value. Polled
+// rather than pushed: one realtime subscription per language would use up the
+// browser's connections, and the player's own channel is pushed anyway.
+export const useLiveLanguages = (eventSlug) => {
+  const [channels, setChannels] = useState({});
+
+  const refresh = useCallback(async () => {
+    if (!eventSlug) return;
+    try {
+      const list = await getEventChannelsRequest(eventSlug);
+      setChannels(Object.fromEntries(list.map((channel) => [channel.language, channel])));
+    } catch (error) {
+      console.error('Live languages check failed:', error);
+    }
+  }, [eventSlug]);
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [refresh]);
+
+  return { channels, refresh };
+};
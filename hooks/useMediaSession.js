@@ -0,0 +1,98 @@
+'use client';
+import { useEffect, useRef, useCallback } from 'react';
+import { encodeWav } from '@/lib/catchUpBuffer';
+
+const KEEP_ALIVE_RATE = 8000;
+
+const hasMediaSession = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+// Lock-screen metadata and play/pause controls for the listener. Agora plays
+// through Web Audio, which the OS neither shows as media nor keeps alive in
+// the background, so a looping silent <audio> element plays alongside it.
+// `unlock` must be called from the click that starts playback: iOS only lets
+// an element start from a user gesture.
+export const useMediaSession = ({ title, artist, album, artwork, isPlaying, onPlay, onPause }) => {
+  const keepAliveRef = useRef(null);
+  const handlersRef = useRef({ onPlay, onPause });
+
+  useEffect(() => {
+    handlersRef.current = { onPlay, onPause };
+  });
+
+  const getKeepAlive = useCallback(() => {
+    if (!keepAliveRef.current && typeof window !== 'undefined') {
+      const element = new Audio();
+      element.loop = true;
+      element.preload = 'auto';
+      element.setAttribute('playsinline', '');
+      element.src = URL.createObjectURL(encodeWav(new Int16Array(KEEP_ALIVE_RATE), KEEP_ALIVE_RATE));
+      keepAliveRef.current = element;
+    }
+    return keepAliveRef.current;
+  }, []);
+
+  const unlock = useCallback(() => {
+    getKeepAlive()?.play().catch(() => {});
+  }, [getKeepAlive]);
+
+  useEffect(() => () => {
+    const element = keepAliveRef.current;
+    if (!element) return;
+    element.pause();
+    URL.revokeObjectURL(element.src);
+    element.removeAttribute('src');
+    keepAliveRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    const element = getKeepAlive();
+    if (!element) return;
+    if (isPlaying) {
+      element.play().catch((error) => console.warn('Keep-alive audio blocked:', error.message));
+    } else {
+      element.pause();
+    }
+    if (hasMediaSession()) {
+      navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+    }
+  }, [isPlaying, getKeepAlive]);
+
+  useEffect(() => {
+    if (!hasMediaSession() || typeof window.MediaMetadata === 'undefined') return;
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title,
+      artist,
+      album,
+      artwork: artwork ? [{ src: artwork }] : [],
+    });
+  }, [title, artist, album, artwork]);
+
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+    const actions = {
+      play: () => handlersRef.current.onPlay?.(),
+      pause: () => handlersRef.current.onPause?.(),
+      stop: () => handlersRef.current.onPause?.(),
+    };
+    Object.entries(actions).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch {
+        // action not supported by this browser
+      }
+    });
+    return () => {
+      Object.keys(actions).forEach((action) => {
+        try {
+          navigator.mediaSession.setActionHandler(action, null);
+        } catch {
+          // action not supported by this browser
+        }
+      });
+      navigator.mediaSession.metadata = null;
+      navigator.mediaSession.playbackState = 'none';
+    };
+  }, []);
+
+  return { unlock };
+};
@@ -0,0 +1,139 @@
+'use client';
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const STORAGE_KEY = 'booth-mute-shortcuts';
+
+// KeyboardEvent.code values, so shortcuts follow the key position on any layout
+export const DEFAULT_MUTE_SHORTCUTS = {
+  hold: 'KeyC',
+  latch: 'KeyM',
+};
+
+export const formatShortcut = (code) => {
+  if (!code) return '–';
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+  return code;
+};
+
+const readShortcuts = () => {
+  try {
+    return { ...DEFAULT_MUTE_SHORTCUTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_MUTE_SHORTCUTS;
+  }
+};
+
+// Typing in a field must never mute the booth
+const isEditable = (target) => target?.isContentEditable
+  || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
+
+// Cough key for the booth on air: hold to mute for as long as the key (or the
+// button) is down, or latch mute on and off. It mutes the published track
+// with setMuted, which keeps the booth in the channel and the microphone open,
+// so unmuting is instant; setEnabled would release the device and make
+// listeners see the booth unpublish. Everything is released off air.
+export const useMicMute = ({ track, active, onChange }) => {
+  const [holding, setHolding] = useState(false);
+  const [latched, setLatched] = useState(false);
+  const [shortcuts, setShortcuts] = useState(DEFAULT_MUTE_SHORTCUTS);
+  // Action waiting for its new key in the settings
+  const [capturing, setCapturing] = useState(null);
+  const muted = active && (holding || latched);
+  const onChangeRef = useRef(onChange);
+  const reportedRef = useRef(false);
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  });
+
+  useEffect(() => {
+    setShortcuts(readShortcuts());
+  }, []);
+
+  useEffect(() => {
+    if (!active) {
+      setHolding(false);
+      setLatched(false);
+    }
+  }, [active]);
+
+  useEffect(() => {
+    if (!track?.setMuted) return;
+    track.setMuted(muted).catch((error) => console.error('Muting the microphone failed:', error));
+  }, [track, muted]);
+
+  useEffect(() => {
+    if (muted === reportedRef.current) return;
+    reportedRef.current = muted;
+    if (active) onChangeRef.current?.(muted);
+  }, [muted, active]);
+
+  const setShortcut = useCallback((action, code) => {
+    setShortcuts((current) => {
+      const next = { ...current, [action]: code };
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      } catch {
+        // private mode, keep it for this page
+      }
+      return next;
+    });
+  }, []);
+
+  const toggleLatch = useCallback(() => {
+    if (active) setLatched((value) => !value);
+  }, [active]);
+
+  const startHold = useCallback(() => {
+    if (active) setHolding(true);
+  }, [active]);
+
+  const endHold = useCallback(() => setHolding(false), []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (capturing) {
+        event.preventDefault();
+        if (event.code !== 'Escape') setShortcut(capturing, event.code);
+        setCapturing(null);
+        return;
+      }
+      if (event.repeat || isEditable(event.target) || event.ctrlKey || event.metaKey || event.altKey) return;
+
+      if (event.code === shortcuts.hold) {
+        event.preventDefault();
+        startHold();
+      } else if (event.code === shortcuts.latch) {
+        event.preventDefault();
+        toggleLatch();
+      }
+    };
+    const handleKeyUp = (event) => {
+      if (event.code === shortcuts.hold) endHold();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    // A key released in another window would leave the booth muted
+    window.addEventListener('blur', endHold);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', endHold);
+    };
+  }, [shortcuts, capturing, setShortcut, startHold, endHold, toggleLatch]);
+
+  return {
+    muted,
+    holding: active && holding,
+    latched: active && latched,
+    shortcuts,
+    capturing,
+    captureShortcut: setCapturing,
+    startHold,
+    endHold,
+    toggleLatch,
+  };
+};
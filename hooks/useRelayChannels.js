@@ -0,0 +1,150 @@
+'use client';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'sonner';
+import { fetchAgoraToken } from '@/http/tokenHttp';
+import { createTokenRenewer } from '@/lib/tokenRenewal';
+
+// Keeps one audience client per relay source so a booth can monitor any other
+// booth of the event. Only one source plays at a time; a source that drops
+// while selected resumes when its booth comes back on air. Relays play on
+// `playbackDeviceId` when the booth chose headphones.
+export const useRelayChannels = ({ AgoraRTC, enabled, sources, getChannelName, clientId, isOwnChannel, playbackDeviceId }) => {
+  const [relayChannels, setRelayChannels] = useState({});
+  const tracksRef = useRef({});
+  const playingRef = useRef(null);
+  const isOwnChannelRef = useRef(isOwnChannel);
+  const playbackDeviceIdRef = useRef(playbackDeviceId);
+
+  useEffect(() => {
+    isOwnChannelRef.current = isOwnChannel;
+  }, [isOwnChannel]);
+
+  const routeTrack = useCallback((track) => {
+    if (!playbackDeviceIdRef.current || !track.setPlaybackDevice) return;
+    track.setPlaybackDevice(playbackDeviceIdRef.current).catch((error) => {
+      console.error('Relay output switch failed:', error);
+    });
+  }, []);
+
+  useEffect(() => {
+    playbackDeviceIdRef.current = playbackDeviceId;
+    Object.values(tracksRef.current).forEach(routeTrack);
+  }, [playbackDeviceId, routeTrack]);
+
+  const updateChannel = useCallback((value, changes) => {
+    setRelayChannels(prev => ({ ...prev, [value]: { ...prev[value], ...changes } }));
+  }, []);
+
+  const sourcesKey = sources.map((source) => source.value).join(',');
+
+  useEffect(() => {
+    if (!AgoraRTC || !enabled || !sourcesKey) return;
+
+    let active = true;
+    const clients = [];
+    const renewers = [];
+
+    sources.forEach((source) => {
+      const channelName = getChannelName(source.value);
+      const agoraClient = AgoraRTC.createClient({
+        mode: 'live',
+        codec: 'vp8',
+        role: 'audience'
+      });
+      clients.push(agoraClient);
+
+      agoraClient.on('user-published', async (user, mediaType) => {
+        // Never relay our own output back to ourselves
+        if (mediaType !== 'audio' || !active || isOwnChannelRef.current?.(channelName)) return;
+        try {
+          await agoraClient.subscribe(user, mediaType);
+          const audioTrack = user.audioTrack;
+          tracksRef.current[source.value] = audioTrack;
+
+          const isPlaying = playingRef.current === source.value;
+          if (isPlaying) {
+            routeTrack(audioTrack);
+            audioTrack.setVolume(100);
+            audioTrack.play();
+          }
+          updateChannel(source.value, { isLive: true, isPlaying });
+        } catch (error) {
+          console.error(`Error subscribing to ${source.name} relay:`, error);
+        }
+      });
+
+      agoraClient.on('user-unpublished', (user, mediaType) => {
+        if (mediaType !== 'audio' || !active) return;
+        delete tracksRef.current[source.value];
+        updateChannel(source.value, { isLive: false, isPlaying: false });
+
+        if (playingRef.current === source.value) {
+          toast.error(`${source.name} relay is offline`, {
+            id: `relay-${source.value}`,
+            duration: 4000
+          });
+        }
+      });
+
+      const tokenRenewer = createTokenRenewer(
+        agoraClient,
+        () => fetchAgoraToken("SUBSCRIBER", channelName, clientId),
+        {
+          onExpired: async () => {
+            await agoraClient.leave().catch(() => { });
+            await joinChannel();
+          },
+        }
+      );
+      renewers.push(tokenRenewer);
+
+      const joinChannel = async () => {
+        try {
+          const { token, uid, expiresAt } = await fetchAgoraToken("SUBSCRIBER", channelName, clientId);
+          if (!active) return;
+          await agoraClient.setClientRole('audience');
+          await agoraClient.join(process.env.NEXT_PUBLIC_AGORA_APPID, channelName, token, uid);
+          tokenRenewer.schedule(expiresAt);
+        } catch (error) {
+          console.error(`Error joining ${source.name} relay channel:`, error);
+        }
+      };
+
+      joinChannel();
+    });
+
+    return () => {
+      active = false;
+      renewers.forEach(renewer => renewer.detach());
+      Object.values(tracksRef.current).forEach(track => track.stop());
+      tracksRef.current = {};
+      clients.forEach(client => {
+        client.removeAllListeners();
+        client.leave().catch(() => { });
+      });
+      setRelayChannels({});
+    };
+  }, [AgoraRTC, enabled, sourcesKey]);
+
+  const stopAllRelays = useCallback(() => {
+    Object.entries(tracksRef.current).forEach(([value, track]) => {
+      track.setVolume(0);
+      track.stop();
+      updateChannel(value, { isPlaying: false });
+    });
+    playingRef.current = null;
+  }, [updateChannel]);
+
+  const playRelay = useCallback((value) => {
+    stopAllRelays();
+    const track = tracksRef.current[value];
+    if (!track) return;
+    routeTrack(track);
+    track.setVolume(100);
+    track.play();
+    playingRef.current = value;
+    updateChannel(value, { isPlaying: true });
+  }, [stopAllRelays, updateChannel, routeTrack]);
+
+  return { relayChannels, playRelay, stopAllRelays };
+};
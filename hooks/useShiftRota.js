@@ -0,0 +1,44 @@
+'use client';
+import { useState, useEffect, useMemo } from 'react';
+import { getShiftsRequest } from '@/http/shiftHttp';
+import { getShiftStatus } from '@/lib/shifts';
+
+const REFRESH_INTERVAL = 60 * 1000;
+const LOOKBACK_MS = 12 * 60 * 60 * 1000;
+
+// The booth's shift rota, refreshed every minute so organizer edits show up,
+// with a one-second clock for countdowns
+export const useShiftRota = ({ eventSlug, language, username }) => {
+  const [shifts, setShifts] = useState([]);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!eventSlug || !language || !username) return;
+    let cancelled = false;
+
+    const loadShifts = async () => {
+      try {
+        const data = await getShiftsRequest({ event: eventSlug, language, from: Date.now() - LOOKBACK_MS });
+        if (!cancelled) setShifts(data);
+      } catch (error) {
+        console.error('Failed to load shift rota:', error);
+      }
+    };
+
+    loadShifts();
+    const interval = setInterval(loadShifts, REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [eventSlug, language, username]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const status = useMemo(() => getShiftStatus(shifts, username, now), [shifts, username, now]);
+
+  return { shifts, now, ...status };
+};
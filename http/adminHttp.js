@@ -0,0 +1,11 @@
+import { apiClient } from "./apiClient";
+
+export const getAccountsRequest = async () => {
+  const res = await apiClient.get('/accounts');
+  return res.data.accounts;
+};
+
+export const getEventsRequest = async () => {
+  const res = await apiClient.get('/events');
+  return res.data.events;
+};
@@ -1,12 +1,11 @@
-import axios from "axios";
+import { apiClient } from "./apiClient";
 
+// Channel status goes through our proxy (/api/channels/[channel]/status), which
+// holds the Agora REST credential and caches answers for all callers
+export const getBroadcastInfoRequest = async (CHANNEL_NAME) =>
+  apiClient.get(`/channels/${encodeURIComponent(CHANNEL_NAME)}/status`);
 
-
-const APP_ID = process.env.NEXT_PUBLIC_AGORA_APPID;
-const TOKEN = process.env.NEXT_PUBLIC_REST_TOKEN;
-
-export const getBroadcastInfoRequest = async (CHANNEL_NAME) =>  axios.get(`https://api.agora.io/dev/v1/channel/user/${APP_ID}/${CHANNEL_NAME}`, {
-    headers: {
-      'Authorization': `Basic ${TOKEN}`
-    }
-  });
\ No newline at end of file
+export const getEventChannelsRequest = async (eventSlug) => {
+  const res = await apiClient.get('/channels', { params: { event: eventSlug } });
+  return res.data.channels;
+};
@@ -0,0 +1,22 @@
+import axios from "axios";
+
+// Axios instance for our own /api routes. Structured { error: { code, message } }
+// bodies are unwrapped into plain Errors carrying `code` and `status`, so
+// callers read error.message / error.code rather than error.response.
+export const apiClient = axios.create({
+  baseURL: '/api',
+  withCredentials: true,
+});
+
+apiClient.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const apiError = error?.response?.data?.error;
+    if (!apiError) return Promise.reject(error);
+
+    const wrapped = new Error(apiError.message);
+    wrapped.code = apiError.code;
+    wrapped.status = error.response.status;
+    return Promise.reject(wrapped);
+  }
+);
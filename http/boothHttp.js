@@ -0,0 +1,13 @@
+import { apiClient } from "./apiClient";
+
+export const getBoothSessionRequest = async () => {
+  const res = await apiClient.get('/booth/session');
+  return res.data;
+};
+
+export const createBoothSessionRequest = async (username, password) => {
+  const res = await apiClient.post('/booth/session', { username, password });
+  return res.data;
+};
+
+export const endBoothSessionRequest = () => apiClient.delete('/booth/session');
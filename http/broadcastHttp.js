@@ -0,0 +1,6 @@
+import { apiClient } from "./apiClient";
+
+export const setBroadcastMutedRequest = async (sessionId, muted) => {
+  const res = await apiClient.post('/broadcast/mute', { sessionId, muted });
+  return res.data.session;
+};
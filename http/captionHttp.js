@@ -0,0 +1,14 @@
+import { apiClient } from "./apiClient";
+
+export const getCaptionsRequest = async (channelName) => {
+  const res = await apiClient.get(`/captions/${encodeURIComponent(channelName)}`);
+  return res.data;
+};
+
+export const uploadCaptionSegmentRequest = async (channelName, blob, { sessionId, start, end }) => {
+  const res = await apiClient.post(`/captions/${encodeURIComponent(channelName)}`, blob, {
+    params: { sessionId, start, end },
+    headers: { 'Content-Type': blob.type || 'audio/webm' },
+  });
+  return res.data?.segment || null;
+};
@@ -0,0 +1,8 @@
+import { apiClient } from "./apiClient";
+
+export const getControlRoomRequest = async (event) => {
+  const res = await apiClient.get('/control', { params: { event } });
+  return res.data.controlRoom;
+};
+
+export const postBoothReportRequest = (report) => apiClient.post('/control/booths', report);
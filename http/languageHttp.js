@@ -0,0 +1,30 @@
+import { apiClient } from "./apiClient";
+
+export const getLanguagesRequest = async ({ all = false } = {}) => {
+  const res = await apiClient.get('/languages', { params: all ? { all: 1 } : undefined });
+  return res.data.languages;
+};
+
+export const createLanguageRequest = async (language) => {
+  const res = await apiClient.post('/languages', language);
+  return res.data.language;
+};
+
+export const updateLanguageRequest = async (value, changes) => {
+  const res = await apiClient.patch(`/languages/${value}`, changes);
+  return res.data.language;
+};
+
+export const deleteLanguageRequest = (value) => apiClient.delete(`/languages/${value}`);
+
+export const reorderLanguagesRequest = async (order) => {
+  const res = await apiClient.put('/languages/order', { order });
+  return res.data.languages;
+};
+
+export const uploadLanguageFlagRequest = async (value, file) => {
+  const formData = new FormData();
+  formData.append('flag', file);
+  const res = await apiClient.post(`/languages/${value}/flag`, formData);
+  return res.data.language;
+};
@@ -0,0 +1,15 @@
+import { apiClient } from "./apiClient";
+
+export const getShortLinksRequest = async (params) => {
+  const res = await apiClient.get('/links', { params });
+  return res.data.links;
+};
+
+export const createShortLinkRequest = async (link) => {
+  const res = await apiClient.post('/links', link);
+  return res.data.link;
+};
+
+export const deleteShortLinkRequest = (code) => apiClient.delete(`/links/${code}`);
+
+export const recordLinkListenRequest = (code) => apiClient.post(`/links/${code}/listens`);
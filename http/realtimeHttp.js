@@ -0,0 +1,5 @@
+import { apiClient } from "./apiClient";
+
+// Publishes through whichever realtime backend the server is configured with
+export const publishRealtimeMessage = (channel, event, data) =>
+  apiClient.post(`/realtime/${encodeURIComponent(channel)}`, { event, data });
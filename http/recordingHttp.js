@@ -0,0 +1,29 @@
+import { apiClient } from "./apiClient";
+
+export const getRecordingsRequest = async (params) => {
+  const res = await apiClient.get('/recordings', { params });
+  return res.data.recordings;
+};
+
+export const startRecordingRequest = async (recording) => {
+  const res = await apiClient.post('/recordings', recording);
+  return res.data.recording;
+};
+
+export const uploadRecordingChunkRequest = async (id, seq, blob) => {
+  const res = await apiClient.post(`/recordings/${id}/chunks`, blob, {
+    params: { seq },
+    headers: { 'Content-Type': blob.type || 'application/octet-stream' },
+  });
+  return res.data;
+};
+
+export const completeRecordingRequest = async (id, endTime) => {
+  const res = await apiClient.post(`/recordings/${id}/complete`, { endTime });
+  return res.data.recording;
+};
+
+export const deleteRecordingRequest = (id) => apiClient.delete(`/recordings/${id}`);
+
+export const getRecordingAudioUrl = (id, { download = false } = {}) =>
+  `/api/recordings/${id}/audio${download ? '?download=1' : ''}`;
@@ -0,0 +1,18 @@
+import { apiClient } from "./apiClient";
+
+export const getShiftsRequest = async (params) => {
+  const res = await apiClient.get('/shifts', { params });
+  return res.data.shifts;
+};
+
+export const createShiftRequest = async (shift) => {
+  const res = await apiClient.post('/shifts', shift);
+  return res.data.shift;
+};
+
+export const updateShiftRequest = async (id, changes) => {
+  const res = await apiClient.patch(`/shifts/${id}`, changes);
+  return res.data.shift;
+};
+
+export const deleteShiftRequest = (id) => apiClient.delete(`/shifts/${id}`);
@@ -0,0 +1,15 @@
+import { apiClient } from "./apiClient";
+
+export const postTelemetryRequest = (batch) => apiClient.post('/telemetry', batch);
+
+// Survives the page unloading; returns false when the browser refused it
+export const sendTelemetryBeacon = (batch) => {
+  if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') return false;
+  const body = new Blob([JSON.stringify(batch)], { type: 'application/json' });
+  return navigator.sendBeacon('/api/telemetry', body);
+};
+
+export const getTelemetrySummaryRequest = async (params) => {
+  const res = await apiClient.get('/telemetry/summary', { params });
+  return res.data.summary;
+};
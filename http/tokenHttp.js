@@ -0,0 +1,6 @@
+import { apiClient } from "./apiClient";
+
+export const fetchAgoraToken = async (role, channelName, clientId) => {
+  const res = await apiClient.post('/token', { role, channelName, clientId });
+  return res.data;
+};
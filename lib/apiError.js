@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+
+// Error thrown by route handlers and services; serialised as { error: { code, message } }
+export class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export const errorResponse = (error) => {
+  if (error instanceof ApiError) {
+    return NextResponse.json(
+      { error: { code: error.code, message: error.message } },
+      { status: error.status }
+    );
+  }
+
+  console.error('Unhandled API error:', error);
+  return NextResponse.json(
+    { error: { code: 'INTERNAL_ERROR', message: 'Something went wrong. Please try again.' } },
+    { status: 500 }
+  );
+};
+
+export const readJsonBody = async (request) => {
+  try {
+    return await request.json();
+  } catch {
+    throw new ApiError(400, 'INVALID_BODY', 'Request body must be valid JSON');
+  }
+};
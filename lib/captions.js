@@ -0,0 +1,39 @@
+// Live captions. The booth uploads short audio segments, the configured
+// provider transcribes them and the server pushes each caption on
+// "<channel name>.captions" as { id, start, end, text, language }.
+export const CAPTION_EVENT = 'caption';
+
+const CAPTIONS_SUFFIX = '.captions';
+
+export const getCaptionsChannelName = (channelName) => `${channelName}${CAPTIONS_SUFFIX}`;
+
+export const isCaptionsChannel = (channel) => typeof channel === 'string' && channel.endsWith(CAPTIONS_SUFFIX);
+
+// ISO 639-1 codes for speech-to-text engines; other languages are auto-detected
+const LANGUAGE_CODES = {
+  arabic: 'ar',
+  chinese: 'zh',
+  croatian: 'hr',
+  czech: 'cs',
+  dutch: 'nl',
+  english: 'en',
+  french: 'fr',
+  georgian: 'ka',
+  german: 'de',
+  greek: 'el',
+  hungarian: 'hu',
+  italian: 'it',
+  japanese: 'ja',
+  korean: 'ko',
+  polish: 'pl',
+  portuguese: 'pt',
+  romanian: 'ro',
+  russian: 'ru',
+  spanish: 'es',
+  turkish: 'tr',
+  ukrainian: 'uk',
+};
+
+export const getLanguageCode = (language) => LANGUAGE_CODES[language] || null;
+
+export const CAPTION_FONT_SIZES = [16, 20, 24, 30, 36];
@@ -0,0 +1,85 @@
+// Rolling PCM buffer behind the listener's catch-up controls. Audio is kept
+// as 16-bit mono at half the capture rate (24 kHz for a 48 kHz context),
+// which is plenty for speech: five minutes take about 14 MB.
+export const CATCH_UP_SECONDS = 5 * 60;
+const DECIMATION = 2;
+
+export class CatchUpBuffer {
+  constructor(captureRate, seconds = CATCH_UP_SECONDS) {
+    this.captureRate = captureRate;
+    this.sampleRate = captureRate / DECIMATION;
+    this.samples = new Int16Array(Math.ceil(this.sampleRate * seconds));
+    // Samples written since the buffer was created; the stream clock
+    this.written = 0;
+  }
+
+  // Takes Float32 samples at the capture rate
+  write(input) {
+    const { samples } = this;
+    for (let i = 0; i + DECIMATION <= input.length; i += DECIMATION) {
+      // Averaging pairs doubles as a crude low-pass before dropping every other sample
+      const value = Math.max(-1, Math.min(1, (input[i] + input[i + 1]) / 2));
+      samples[this.written % samples.length] = value < 0 ? value * 0x8000 : value * 0x7fff;
+      this.written++;
+    }
+  }
+
+  // Seconds of audio received so far, i.e. the position of "live"
+  get liveTime() {
+    return this.written / this.sampleRate;
+  }
+
+  get earliestTime() {
+    return Math.max(0, this.written - this.samples.length) / this.sampleRate;
+  }
+
+  get bufferedSeconds() {
+    return this.liveTime - this.earliestTime;
+  }
+
+  // Copy of the audio between two stream times, clamped to what is still held
+  slice(fromTime, toTime) {
+    const first = Math.max(Math.round(fromTime * this.sampleRate), this.written - this.samples.length, 0);
+    const last = Math.min(Math.round(toTime * this.sampleRate), this.written);
+    const out = new Int16Array(Math.max(0, last - first));
+    for (let i = 0; i < out.length; i++) {
+      out[i] = this.samples[(first + i) % this.samples.length];
+    }
+    return out;
+  }
+
+  clear() {
+    this.written = 0;
+  }
+}
+
+// 16-bit PCM mono WAV, playable by any <audio> element
+export const encodeWav = (samples, sampleRate) => {
+  const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  samples.forEach((sample, i) => view.setInt16(44 + i * 2, sample, true));
+
+  return new Blob([view], { type: 'audio/wav' });
+};
+
+export const formatBehind = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  const minutes = Math.floor(total / 60);
+  return minutes > 0 ? `${minutes}:${String(total % 60).padStart(2, '0')}` : `${total}s`;
+};
@@ -0,0 +1,36 @@
+// Broadcaster and listener state of a language channel. The server pushes it
+// on a companion realtime channel, "<channel name>.status", whenever a booth
+// goes on or off air, a handover switches booths, the interpreter mutes
+// (cough key) or the audience changes.
+export const CHANNEL_STATUS_EVENT = 'status';
+
+export const STATUS_REASONS = {
+  ON_AIR: 'on-air',
+  OFF_AIR: 'off-air',
+  HANDOVER: 'handover',
+  MUTED: 'muted',
+  LISTENERS: 'listeners',
+};
+
+const STATUS_SUFFIX = '.status';
+
+export const getStatusChannelName = (channelName) => `${channelName}${STATUS_SUFFIX}`;
+
+export const isStatusChannel = (channel) => typeof channel === 'string' && channel.endsWith(STATUS_SUFFIX);
+
+// Agora's channel-user body ({ success, data }) as a status
+export const fromAgoraChannelInfo = (body) => {
+  const data = body?.data || {};
+  return {
+    hostOnline: data.host_online === true,
+    broadcasters: data.broadcasters || 0,
+    listeners: data.audience_total || 0,
+  };
+};
+
+// Pushed and polled answers can arrive out of order; keep the newest
+export const newerStatus = (current, next) => {
+  if (!next) return current;
+  if (!current || !current.updatedAt || !next.updatedAt) return next;
+  return next.updatedAt >= current.updatedAt ? next : current;
+};
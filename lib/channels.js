@@ -0,0 +1,9 @@
+// Agora channel names are "<event slug>-<language>", e.g. "chogan-english".
+// Language values never contain a dash, so the last dash splits the two.
+export const getChannelName = (eventSlug, language) => `${eventSlug}-${language}`;
+
+export const parseChannelName = (channelName) => {
+  const index = typeof channelName === 'string' ? channelName.lastIndexOf('-') : -1;
+  if (index <= 0 || index === channelName.length - 1) return null;
+  return { eventSlug: channelName.slice(0, index), language: channelName.slice(index + 1) };
+};
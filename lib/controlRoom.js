@@ -0,0 +1,58 @@
+import { isHandoverIdle } from '@/lib/handover';
+
+// Organizer control room. Open booths report their state every few seconds;
+// the server keeps the latest reports and pushes them, together with every
+// channel status change, on the event's "<event slug>.control" channel.
+export const BOOTH_REPORT_EVENT = 'booth';
+
+const CONTROL_SUFFIX = '.control';
+
+export const getControlChannelName = (eventSlug) => `${eventSlug}${CONTROL_SUFFIX}`;
+
+export const isControlChannel = (channel) => typeof channel === 'string' && channel.endsWith(CONTROL_SUFFIX);
+
+// On air the level has to look live, off air the booth only says it is there
+export const ON_AIR_REPORT_MS = 1000;
+export const OFF_AIR_REPORT_MS = 5000;
+// Reports older than this mean the booth tab is gone or offline
+export const STALE_REPORT_MS = 12 * 1000;
+// Mic level (0-100) below which the booth counts as silent
+export const SILENCE_LEVEL = 3;
+export const SILENT_AFTER_MS = 20 * 1000;
+
+export const NETWORK_QUALITIES = ['good', 'fair', 'poor'];
+
+export const isHandoverPending = (booth) => !!booth?.handover && !isHandoverIdle(booth.handover);
+
+export const isBoothFresh = (booth, now = Date.now()) => now - booth.reportedAt <= STALE_REPORT_MS;
+
+// What an organizer should look at for one channel: { type, message } entries
+export const getChannelAlerts = ({ status, booths = [] }, now = Date.now()) => {
+  const alerts = [];
+  const fresh = booths.filter((booth) => isBoothFresh(booth, now));
+  const onAir = fresh.filter((booth) => booth.onAir);
+
+  const pending = fresh.find(isHandoverPending);
+  if (pending) {
+    const from = pending.handover.role === 'requester' ? pending.handover.peerName : pending.interpreterName;
+    const to = pending.handover.role === 'requester' ? pending.interpreterName : pending.handover.peerName;
+    alerts.push({ type: 'handover', message: `Handover pending: ${from || 'on-air booth'} → ${to || 'incoming booth'}` });
+  }
+
+  onAir
+    .filter((booth) => booth.silentSince && now - booth.silentSince >= SILENT_AFTER_MS)
+    .forEach((booth) => {
+      alerts.push({ type: 'silent', message: `${booth.interpreterName} silent for ${Math.round((now - booth.silentSince) / 1000)}s` });
+    });
+
+  onAir
+    .filter((booth) => booth.mutedSince && now - booth.mutedSince >= SILENT_AFTER_MS)
+    .forEach((booth) => {
+      alerts.push({ type: 'muted', message: `${booth.interpreterName} muted for ${Math.round((now - booth.mutedSince) / 1000)}s` });
+    });
+
+  if (status?.hostOnline && onAir.length === 0) {
+    alerts.push({ type: 'unreported', message: 'On air but the booth is not reporting' });
+  }
+  return alerts;
+};
@@ -0,0 +1,162 @@
+// Booth-to-booth handover protocol.
+//
+// The booth that wants to go on air (requester) asks the booth that is on air
+// (responder). Both booths run this reducer on their own copy of the state:
+//
+//   requester                               responder
+//   idle ── request ──────────────────────▶ incoming
+//   requesting ◀──────────────────── accept ┤        (or reject)
+//   accepted: publishes, then ── ready ───▶ releasing: unpublishes
+//   ready ◀────────────────────── complete ┤
+//   completed                               completed
+//
+// The responder stays on air until the requester has published, so listeners
+// never hear a gap. Requests expire, the requester can cancel until it is
+// accepted, and a responder that is already handling a request turns others
+// away as busy. The requester gives up going on air well before the responder
+// stops waiting for it, so a slow start can't leave both booths publishing.
+
+export const HANDOVER_EVENT = 'handover';
+
+export const REQUEST_TTL_MS = 30 * 1000;
+// Requester: from the accept to publishing (microphone, token, join, publish)
+export const GO_LIVE_TIMEOUT_MS = 20 * 1000;
+// Responder: from the accept to the ready message, with room for its delivery
+export const READY_TIMEOUT_MS = 30 * 1000;
+
+export const HANDOVER_PHASES = {
+  IDLE: 'idle',
+  REQUESTING: 'requesting',
+  INCOMING: 'incoming',
+  ACCEPTED: 'accepted',
+  AWAITING_READY: 'awaiting-ready',
+  READY: 'ready',
+  RELEASING: 'releasing',
+  COMPLETED: 'completed',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+};
+
+// Messages exchanged over the booth's realtime channel
+export const HANDOVER_MESSAGES = {
+  REQUEST: 'request',
+  CANCEL: 'cancel',
+  ACCEPT: 'accept',
+  REJECT: 'reject',
+  READY: 'ready',
+  COMPLETE: 'complete',
+};
+
+const { IDLE, REQUESTING, INCOMING, ACCEPTED, AWAITING_READY, READY, RELEASING, COMPLETED, REJECTED, EXPIRED, CANCELLED, FAILED } = HANDOVER_PHASES;
+
+const TERMINAL_PHASES = [COMPLETED, REJECTED, EXPIRED, CANCELLED, FAILED];
+
+export const initialHandoverState = {
+  phase: IDLE,
+  role: null,
+  requestId: null,
+  peer: null,
+  expiresAt: null,
+  reason: null,
+};
+
+export const isHandoverIdle = (state) => state.phase === IDLE || TERMINAL_PHASES.includes(state.phase);
+
+export const createRequestId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const finish = (state, phase, reason = null) => ({ ...state, phase, expiresAt: null, reason });
+
+const isCurrent = (state, action) => !!state.requestId && action.requestId === state.requestId;
+
+// Requests carry how long they stay open rather than a deadline, so clock
+// skew between booth computers doesn't matter; never longer than REQUEST_TTL_MS
+const requestTtl = (ttl) => (Number.isFinite(ttl) && ttl > 0 ? Math.min(ttl, REQUEST_TTL_MS) : REQUEST_TTL_MS);
+
+export const handoverReducer = (state, action) => {
+  switch (action.type) {
+    // Requester side
+    case 'REQUEST':
+      if (!isHandoverIdle(state)) return state;
+      return {
+        ...initialHandoverState,
+        phase: REQUESTING,
+        role: 'requester',
+        requestId: action.requestId,
+        expiresAt: action.expiresAt,
+      };
+
+    case 'CANCEL':
+      return state.phase === REQUESTING ? initialHandoverState : state;
+
+    case 'RECEIVED_ACCEPT':
+      if (state.phase !== REQUESTING || !isCurrent(state, action)) return state;
+      return { ...state, phase: ACCEPTED, peer: action.from, expiresAt: action.now + GO_LIVE_TIMEOUT_MS };
+
+    case 'RECEIVED_REJECT':
+      if (state.phase !== REQUESTING || !isCurrent(state, action)) return state;
+      return finish({ ...state, peer: action.from }, REJECTED, action.reason || null);
+
+    // Publishing after the go-live deadline is ignored; the booth takes itself off air
+    case 'PUBLISHED':
+      if (state.phase !== ACCEPTED) return state;
+      return { ...state, phase: READY, expiresAt: action.now + READY_TIMEOUT_MS };
+
+    case 'PUBLISH_FAILED':
+      return state.phase === ACCEPTED ? finish(state, FAILED, action.reason || 'publish-failed') : state;
+
+    case 'RECEIVED_COMPLETE':
+      if (state.phase !== READY || !isCurrent(state, action)) return state;
+      return finish(state, COMPLETED);
+
+    // Responder side
+    case 'RECEIVED_REQUEST':
+      if (!action.isLive || !isHandoverIdle(state)) return state;
+      return {
+        ...initialHandoverState,
+        phase: INCOMING,
+        role: 'responder',
+        requestId: action.requestId,
+        peer: action.from,
+        expiresAt: action.now + requestTtl(action.ttl),
+      };
+
+    case 'RECEIVED_CANCEL':
+      if (![INCOMING, AWAITING_READY].includes(state.phase) || !isCurrent(state, action)) return state;
+      return finish(state, CANCELLED, action.reason || null);
+
+    case 'ACCEPT':
+      if (state.phase !== INCOMING) return state;
+      return { ...state, phase: AWAITING_READY, expiresAt: action.now + READY_TIMEOUT_MS };
+
+    case 'REJECT':
+      return state.phase === INCOMING ? initialHandoverState : state;
+
+    case 'RECEIVED_READY':
+      if (state.phase !== AWAITING_READY || !isCurrent(state, action)) return state;
+      return { ...state, phase: RELEASING, expiresAt: null };
+
+    case 'RELEASED':
+      return state.phase === RELEASING ? finish(state, COMPLETED) : state;
+
+    // Both sides
+    case 'EXPIRE':
+      if (!state.expiresAt || action.now < state.expiresAt) return state;
+      if (state.phase === REQUESTING || state.phase === INCOMING) return finish(state, EXPIRED);
+      // Too slow to go on air: give up before the responder stops waiting
+      if (state.phase === ACCEPTED) return finish(state, FAILED, 'go-live-timeout');
+      // The requester never came on air: the responder simply stays live
+      if (state.phase === AWAITING_READY) return finish(state, FAILED, 'no-ready');
+      // We are on air but never heard back; the other booth has gone quiet
+      if (state.phase === READY) return finish(state, COMPLETED, 'no-complete');
+      return state;
+
+    case 'DISMISS':
+      return TERMINAL_PHASES.includes(state.phase) ? initialHandoverState : state;
+
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,5 @@
+// "*" in an account's languages grants every booth
+export const canBroadcast = (account, language) => {
+  const languages = account?.languages || [];
+  return languages.includes('*') || languages.includes(language);
+};
@@ -0,0 +1,12 @@
+import QRCode from 'qrcode';
+
+// Medium error correction survives a creased or partly covered poster
+// without making the code too dense to scan from a distance
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 2 };
+const PNG_WIDTH = 1024;
+
+export const renderQrSvg = (text) => QRCode.toString(text, { ...QR_OPTIONS, type: 'svg' });
+
+export const renderQrPng = (text) => QRCode.toDataURL(text, { ...QR_OPTIONS, width: PNG_WIDTH });
+
+export const svgToDataUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
@@ -0,0 +1,17 @@
+// Realtime messaging is either Pusher or the bundled server-sent-events hub
+// ("local"). Server and browser must agree, so both read the same public
+// variable; without one, Pusher is used whenever a Pusher key is configured.
+export const REALTIME_DRIVERS = {
+  PUSHER: 'pusher',
+  LOCAL: 'local',
+};
+
+export const getRealtimeDriver = () => {
+  const driver = process.env.NEXT_PUBLIC_REALTIME_DRIVER;
+  if (driver === REALTIME_DRIVERS.PUSHER || driver === REALTIME_DRIVERS.LOCAL) return driver;
+  return process.env.NEXT_PUBLIC_PUSHER_KEY ? REALTIME_DRIVERS.PUSHER : REALTIME_DRIVERS.LOCAL;
+};
+
+// Pusher's channel name rules, which the local hub follows too
+export const REALTIME_CHANNEL_PATTERN = /^[A-Za-z0-9_\-=@,.;]{1,164}$/;
+export const REALTIME_EVENT_PATTERN = /^[A-Za-z0-9_\-:.]{1,200}$/;
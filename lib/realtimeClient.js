@@ -0,0 +1,91 @@
+import Pusher from 'pusher-js';
+import { REALTIME_DRIVERS, getRealtimeDriver } from '@/lib/realtime';
+
+// Browser side of the realtime abstraction. Both drivers expose the pusher-js
+// surface used in this app:
+//
+//   const realtime = createRealtimeClient();
+//   const channel = realtime.subscribe('chogan-english');
+//   channel.bind('handover', (data) => { ... });
+//   channel.unbind_all();
+//   realtime.unsubscribe('chogan-english');
+//   realtime.disconnect();
+//
+// Messages are published through POST /api/realtime/[channel] (http/realtimeHttp.js).
+
+class LocalChannel {
+  constructor(name) {
+    this.name = name;
+    this.handlers = new Map();
+    // EventSource reconnects on its own after network drops
+    this.source = new EventSource(`/api/realtime/${encodeURIComponent(name)}`);
+    this.source.onmessage = (message) => {
+      let payload;
+      try {
+        payload = JSON.parse(message.data);
+      } catch {
+        return;
+      }
+      this.handlers.get(payload.event)?.forEach((handler) => handler(payload.data));
+    };
+  }
+
+  bind(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set());
+    }
+    this.handlers.get(event).add(handler);
+    return this;
+  }
+
+  unbind(event, handler) {
+    if (handler) {
+      this.handlers.get(event)?.delete(handler);
+    } else {
+      this.handlers.delete(event);
+    }
+    return this;
+  }
+
+  unbind_all() {
+    this.handlers.clear();
+    return this;
+  }
+
+  close() {
+    this.source.close();
+    this.handlers.clear();
+  }
+}
+
+class LocalRealtimeClient {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  subscribe(name) {
+    if (!this.channels.has(name)) {
+      this.channels.set(name, new LocalChannel(name));
+    }
+    return this.channels.get(name);
+  }
+
+  unsubscribe(name) {
+    this.channels.get(name)?.close();
+    this.channels.delete(name);
+  }
+
+  disconnect() {
+    this.channels.forEach((channel) => channel.close());
+    this.channels.clear();
+  }
+}
+
+export const createRealtimeClient = () => {
+  if (getRealtimeDriver() === REALTIME_DRIVERS.PUSHER) {
+    return new Pusher(process.env.NEXT_PUBLIC_PUSHER_KEY, {
+      cluster: process.env.NEXT_PUBLIC_PUSHER_CLUSTER,
+    });
+  }
+  return new LocalRealtimeClient();
+};
@@ -0,0 +1,42 @@
+// Shift rota helpers shared by the booth and the admin page. Shifts are
+// { id, event, language, interpreter, interpreterName, start, end } with
+// start/end in epoch milliseconds.
+
+// How long before a change both interpreters are warned
+export const SHIFT_WARNING_MS = 2 * 60 * 1000;
+
+// The automatic handover at the start of a shift is retried this many times,
+// waiting 15s, 30s, 60s... between attempts, before asking for a manual takeover
+export const AUTO_HANDOVER_ATTEMPTS = 4;
+const AUTO_HANDOVER_RETRY_MS = 15 * 1000;
+
+export const autoHandoverDelay = (attempt) => AUTO_HANDOVER_RETRY_MS * 2 ** Math.max(0, attempt - 1);
+
+export const sortShifts = (shifts) => [...shifts].sort((a, b) => a.start - b.start);
+
+export const shiftsOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+// The shift on air at `now`, the one after it, and this interpreter's own
+// current/next turn
+export const getShiftStatus = (shifts, username, now = Date.now()) => {
+  const sorted = sortShifts(shifts);
+  const current = sorted.find((shift) => shift.start <= now && now < shift.end) || null;
+  const next = sorted.find((shift) => shift.start >= (current ? current.end : now)) || null;
+  const mine = sorted.filter((shift) => shift.interpreter === username && shift.end > now);
+
+  return {
+    current,
+    next,
+    myCurrent: mine.find((shift) => shift.start <= now) || null,
+    myNext: mine.find((shift) => shift.start > now) || null,
+  };
+};
+
+export const formatCountdown = (ms) => {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+  const mmss = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+};
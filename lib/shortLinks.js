@@ -0,0 +1,43 @@
+// Short links for posters and flyers. A link is
+// { code, event, language, source, medium, campaign, clicks, listens, createdAt, createdBy }
+// where a null language points at the event's language picker. /s/<code>
+// redirects to the listener page with the tags below in the query string.
+
+export const LINK_TAG_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+export const LINK_CODE_PATTERN = /^[a-z0-9]{4,16}$/;
+
+// Query parameters that carry attribution to the listener page
+export const ATTRIBUTION_PARAMS = {
+  ref: 'ref',
+  source: 'utm_source',
+  medium: 'utm_medium',
+  campaign: 'utm_campaign',
+};
+
+export const getShortLinkPath = (code) => `/s/${code}`;
+
+// Printed links can use a shorter domain that forwards /s/* to this app
+export const getShortLinkUrl = (code, origin) => {
+  const base = process.env.NEXT_PUBLIC_SHORT_LINK_BASE_URL || origin;
+  return `${base.replace(/\/+$/, '')}${getShortLinkPath(code)}`;
+};
+
+export const getLinkTargetPath = (link) => {
+  const pathname = link.language ? `/${link.event}/lang/${link.language}` : `/${link.event}`;
+  const query = new URLSearchParams({ [ATTRIBUTION_PARAMS.ref]: link.code });
+  ['source', 'medium', 'campaign'].forEach((tag) => {
+    if (link[tag]) query.set(ATTRIBUTION_PARAMS[tag], link[tag]);
+  });
+  return `${pathname}?${query}`;
+};
+
+// { ref, source, medium, campaign } from a listener page's query string, or
+// null when it carries no attribution
+export const readAttribution = (searchParams) => {
+  const attribution = {};
+  Object.entries(ATTRIBUTION_PARAMS).forEach(([key, param]) => {
+    const value = searchParams.get(param);
+    if (value && LINK_TAG_PATTERN.test(value)) attribution[key] = value;
+  });
+  return Object.keys(attribution).length ? attribution : null;
+};
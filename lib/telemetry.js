@@ -0,0 +1,27 @@
+// Listener telemetry shared by the listener page, the ingest route and the
+// analytics dashboard. Listeners post batches of
+// { sessionId, channelName, attribution?, events: [{ type, at, data? }] }.
+
+export const TELEMETRY_EVENTS = {
+  JOIN: 'join',
+  LEAVE: 'leave',
+  PLAY: 'play',
+  PAUSE: 'pause',
+  RECONNECT: 'reconnect',
+  QUALITY: 'quality',
+};
+
+// Quality samples double as a heartbeat while a listener is playing
+export const QUALITY_SAMPLE_MS = 30 * 1000;
+export const MAX_BATCH_EVENTS = 50;
+
+// Same scale as useStreamMetrics' audioQuality
+export const QUALITY_LEVELS = ['Excellent', 'Good', 'Fair', 'Poor', 'Unknown'];
+
+export const LISTENER_SESSION_PATTERN = /^listener-[A-Za-z0-9-]{1,64}$/;
+
+export const formatListenTime = (ms) => {
+  const minutes = Math.round((ms || 0) / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+};
@@ -0,0 +1,98 @@
+// Keeps an Agora client's token fresh for sessions that outlive the token TTL.
+// Renewal is scheduled ahead of expiry from the token's `expiresAt`, and the
+// SDK's own will-expire event acts as a second trigger. If the token does
+// expire anyway the client has already been removed from the channel, so
+// `onExpired` is expected to rejoin.
+const DEFAULT_RENEW_AHEAD_SECONDS = 120;
+const MIN_RENEW_DELAY_MS = 5000;
+const RETRY_DELAY_MS = MIN_RENEW_DELAY_MS * 3;
+
+export const createTokenRenewer = (client, fetchToken, {
+  onStatusChange,
+  onExpired,
+  renewAheadSeconds = DEFAULT_RENEW_AHEAD_SECONDS,
+} = {}) => {
+  let timer = null;
+  let renewing = false;
+  let detached = false;
+
+  const setStatus = (state, extra = {}) => {
+    if (!detached) onStatusChange?.({ state, ...extra });
+  };
+
+  const cancel = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  const schedule = (expiresAt) => {
+    cancel();
+    if (!expiresAt || detached) return;
+
+    const delay = Math.max((expiresAt - renewAheadSeconds) * 1000 - Date.now(), MIN_RENEW_DELAY_MS);
+    timer = setTimeout(renew, delay);
+    setStatus('valid', { expiresAt });
+  };
+
+  const retryLater = () => {
+    cancel();
+    timer = setTimeout(renew, RETRY_DELAY_MS);
+  };
+
+  const renew = async () => {
+    if (renewing || detached) return;
+    // A reconnecting client can't take a new token yet; try again shortly
+    if (client.connectionState !== 'CONNECTED') {
+      retryLater();
+      return;
+    }
+
+    renewing = true;
+    setStatus('renewing');
+    try {
+      const { token, expiresAt } = await fetchToken();
+      await client.renewToken(token);
+      schedule(expiresAt);
+      setStatus('renewed', { expiresAt, renewedAt: Date.now() });
+    } catch (error) {
+      console.error('Token renewal failed:', error);
+      setStatus('failed', { error: error.message });
+      // Retry shortly; the will-expire event will also fire near the deadline
+      retryLater();
+    } finally {
+      renewing = false;
+    }
+  };
+
+  const handleWillExpire = () => {
+    renew();
+  };
+
+  const handleDidExpire = async () => {
+    cancel();
+    setStatus('expired');
+    try {
+      await onExpired?.();
+    } catch (error) {
+      console.error('Rejoin after token expiry failed:', error);
+      setStatus('failed', { error: error.message });
+    }
+  };
+
+  client.on('token-privilege-will-expire', handleWillExpire);
+  client.on('token-privilege-did-expire', handleDidExpire);
+
+  return {
+    schedule,
+    renew,
+    cancel,
+    detach: () => {
+      detached = true;
+      cancel();
+      client.off('token-privilege-will-expire', handleWillExpire);
+      client.off('token-privilege-did-expire', handleDidExpire);
+    },
+  };
+};
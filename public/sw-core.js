@@ -0,0 +1,122 @@
+/* Service worker logic, loaded by /sw.js after it sets PRECACHE_VERSION and
+ * PRECACHE_URLS. Pages are network-first with the cached copy as a fallback
+ * when the venue network is slow or gone; hashed build files, flags and logos
+ * come from the cache. Live data (tokens, status, realtime) is never cached. */
+const SHELL_CACHE = `shell-${self.PRECACHE_VERSION}`;
+const RUNTIME_CACHE = `runtime-${self.PRECACHE_VERSION}`;
+const OFFLINE_URL = '/offline';
+// A cached page is shown if the network has not answered by then
+const NAVIGATION_TIMEOUT_MS = 4000;
+// Public catalog data the offline page shows
+const CACHED_API_PATHS = ['/api/events', '/api/languages'];
+const FLAG_API_PATTERN = /^\/api\/languages\/[^/]+\/flag$/;
+const STATIC_ASSET_PATTERN = /^\/(flags|logo|icons|images)\//;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.add(new Request(OFFLINE_URL, { cache: 'reload' }));
+    // One missing asset must not keep the worker from installing
+    await Promise.all(self.PRECACHE_URLS.map((url) => (
+      cache.add(new Request(url, { cache: 'reload' })).catch((error) => {
+        console.warn(`Precache failed for ${url}:`, error.message);
+      })
+    )));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => !keep.includes(name)).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const putInCache = async (request, response) => {
+  // Redirected responses can't be replayed for navigations
+  if (response.ok && response.type === 'basic' && !response.redirected) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  return cached || putInCache(request, await fetch(request));
+};
+
+const networkFirst = async (request) => {
+  try {
+    return await putInCache(request, await fetch(request));
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const staleWhileRevalidate = async (request, event) => {
+  const cached = await caches.match(request);
+  const network = fetch(request).then((response) => putInCache(request, response));
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+};
+
+const offlineResponse = async (url) => {
+  if (url.pathname === OFFLINE_URL) {
+    return (await caches.match(OFFLINE_URL)) || Response.error();
+  }
+  // The offline page sends the listener back here once the server answers
+  const target = `${OFFLINE_URL}?from=${encodeURIComponent(url.pathname + url.search)}`;
+  return Response.redirect(target, 302);
+};
+
+const handleNavigation = async (request, event) => {
+  const url = new URL(request.url);
+  const network = fetch(request).then((response) => putInCache(request, response));
+  const cached = await caches.match(request, { ignoreSearch: url.pathname === OFFLINE_URL });
+
+  if (!cached) {
+    try {
+      return await network;
+    } catch {
+      return offlineResponse(url);
+    }
+  }
+
+  event.waitUntil(network.catch(() => {}));
+  return Promise.race([
+    network.catch(() => cached),
+    new Promise((resolve) => setTimeout(() => resolve(cached), NAVIGATION_TIMEOUT_MS)),
+  ]);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request, event));
+    return;
+  }
+  if (url.pathname.startsWith('/_next/static/') || FLAG_API_PATTERN.test(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+  if (CACHED_API_PATHS.includes(url.pathname) && !url.search) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  if (STATIC_ASSET_PATTERN.test(url.pathname) || url.pathname === '/manifest.webmanifest') {
+    event.respondWith(staleWhileRevalidate(request, event));
+  }
+});
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Creates or updates an interpreter account in the JSON data store.
+//
+//   npm run accounts:add -- --username maria --name "Maria Rossi" --languages english,italian
+//
+// The password is read from --password or prompted for. Use --languages "*" to
+// allow every booth, --role organizer for organizer access and --disable to
+// lock an account without deleting it.
+import { promises as fs } from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import { randomBytes, scrypt } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (!key.startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key.slice(2)] = true;
+    } else {
+      args[key.slice(2)] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+// Must match hashPassword in services/AccountService.js
+const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString('base64');
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('base64')}`;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.username || typeof args.username !== 'string') {
+    console.error('Usage: npm run accounts:add -- --username <name> [--name "Full Name"] [--languages a,b] [--role interpreter|organizer] [--password <pw>] [--disable]');
+    process.exit(1);
+  }
+
+  const dataDir = path.resolve(process.env.DATA_DIR || 'data');
+  const filePath = path.join(dataDir, 'accounts.json');
+  const username = args.username.toLowerCase();
+
+  let accounts = {};
+  try {
+    accounts = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const existing = accounts[username];
+  const role = typeof args.role === 'string' ? args.role : existing?.role || 'interpreter';
+  if (!['interpreter', 'organizer'].includes(role)) {
+    console.error(`Unknown role "${role}", expected interpreter or organizer`);
+    process.exit(1);
+  }
+
+  let password = typeof args.password === 'string' ? args.password : null;
+  if (!password && !existing) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    password = await rl.question(`Password for ${username}: `);
+    rl.close();
+  }
+
+  accounts[username] = {
+    ...existing,
+    username,
+    name: typeof args.name === 'string' ? args.name : existing?.name || username,
+    role,
+    languages: typeof args.languages === 'string'
+      ? args.languages.split(',').map((value) => value.trim().toLowerCase()).filter(Boolean)
+      : existing?.languages || [],
+    disabled: !!args.disable,
+    ...(password ? { passwordHash: await hashPassword(password) } : {}),
+    updatedAt: new Date().toISOString(),
+  };
+
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(accounts, null, 2));
+  console.log(`${existing ? 'Updated' : 'Created'} account "${username}" (${accounts[username].languages.join(', ') || 'no languages'})`);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// Stand-in for Agora's channel-user REST API, for offline development and tests.
+//
+//   npm run agora:mock -- --port 4010
+//   AGORA_REST_BASE_URL=http://localhost:4010 AGORA_REST_TOKEN=mock npm run dev
+//
+// GET  /dev/v1/channel/user/<appId>/<channel>  answers like Agora does
+// PUT  /mock/<channel> { host_online, broadcasters, audience_total }  sets a channel's state
+// GET  /mock/requests  returns how many upstream requests each channel received
+// Channels without a state report an empty channel.
+import http from 'http';
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (!key.startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key.slice(2)] = true;
+    } else {
+      args[key.slice(2)] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+const port = Number(args.port || process.env.MOCK_AGORA_PORT || 4010);
+const latency = Number(args.latency || 0);
+
+const channels = new Map();
+const requests = {};
+
+const channelBody = (state = {}) => {
+  const broadcasters = Number(state.broadcasters ?? (state.host_online ? 1 : 0));
+  const audienceTotal = Number(state.audience_total ?? 0);
+  return {
+    success: true,
+    data: {
+      channel_exist: broadcasters > 0 || audienceTotal > 0,
+      mode: 2,
+      broadcasters,
+      host_online: state.host_online ?? broadcasters > 0,
+      audience: [],
+      audience_total: audienceTotal,
+    },
+  };
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = async (req) => {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  try {
+    if (req.method === 'GET' && parts.slice(0, 3).join('/') === 'dev/v1/channel' && parts[3] === 'user' && parts.length === 6) {
+      if (!/^Basic\s+\S+/.test(req.headers.authorization || '')) {
+        return send(res, 401, { message: 'Invalid authentication credentials' });
+      }
+      const channel = parts[5];
+      requests[channel] = (requests[channel] || 0) + 1;
+      if (latency) await new Promise((resolve) => setTimeout(resolve, latency));
+      return send(res, 200, channelBody(channels.get(channel)));
+    }
+
+    if (req.method === 'GET' && url.pathname === '/mock/requests') {
+      return send(res, 200, requests);
+    }
+
+    if (req.method === 'PUT' && parts[0] === 'mock' && parts.length === 2) {
+      channels.set(parts[1], await readBody(req));
+      return send(res, 200, channelBody(channels.get(parts[1])));
+    }
+
+    send(res, 404, { message: 'Not found' });
+  } catch (error) {
+    send(res, 400, { message: error.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock Agora REST API on http://localhost:${port}${latency ? ` (${latency}ms latency)` : ''}`);
+});
@@ -0,0 +1,58 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { getStore } from '@/services/store';
+
+const scryptAsync = promisify(scrypt);
+
+const ACCOUNTS = 'accounts';
+
+export const ACCOUNT_ROLES = {
+  INTERPRETER: 'interpreter',
+  ORGANIZER: 'organizer',
+};
+const KEY_LENGTH = 64;
+
+// Stored as "scrypt$<salt>$<hash>", the format scripts/add-account.mjs writes
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString('base64');
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('base64')}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, salt, expected] = stored?.split('$') || [];
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, 'base64');
+  return expectedBuffer.length === hash.length && timingSafeEqual(hash, expectedBuffer);
+};
+
+// Never hand the password hash to callers outside this module
+export const toPublicAccount = (account) => account && {
+  username: account.username,
+  name: account.name || account.username,
+  role: account.role || ACCOUNT_ROLES.INTERPRETER,
+  languages: account.languages || [],
+};
+
+export const getAccount = async (username) => {
+  if (typeof username !== 'string' || !username) return null;
+  return getStore().get(ACCOUNTS, username.toLowerCase());
+};
+
+export const listAccounts = async () => {
+  const accounts = await getStore().list(ACCOUNTS);
+  return accounts
+    .filter((account) => !account.disabled)
+    .map(toPublicAccount)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const authenticate = async (username, password) => {
+  const account = await getAccount(username);
+  if (!account || account.disabled || typeof password !== 'string') return null;
+  return (await verifyPassword(password, account.passwordHash)) ? account : null;
+};
+
+export const isOrganizer = (account) => account?.role === ACCOUNT_ROLES.ORGANIZER;
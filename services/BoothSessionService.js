@@ -0,0 +1,88 @@
+import { createHash, createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { ApiError } from '@/lib/apiError';
+import { getAccount, isOrganizer } from '@/services/AccountService';
+
+export const BOOTH_SESSION_COOKIE = 'booth_session';
+
+const DEFAULT_SESSION_TTL = 12 * 60 * 60;
+
+const getSecret = () => {
+  const secret = process.env.BOOTH_SESSION_SECRET;
+  if (!secret) {
+    throw new ApiError(500, 'SESSION_CONFIG_MISSING', 'Booth sessions are not configured');
+  }
+  return secret;
+};
+
+export const getSessionTtl = () => {
+  const value = Number.parseInt(process.env.BOOTH_SESSION_TTL, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_SESSION_TTL;
+};
+
+const sign = (payload) => createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const digestA = createHash('sha256').update(a).digest();
+  const digestB = createHash('sha256').update(b).digest();
+  return timingSafeEqual(digestA, digestB);
+};
+
+// Cookie value is base64url(JSON payload) + "." + HMAC of that payload
+export const createBoothSession = (account) => {
+  const now = Math.floor(Date.now() / 1000);
+  const session = { id: randomUUID(), username: account.username, issuedAt: now, expiresAt: now + getSessionTtl() };
+  const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+  return { session, value: `${payload}.${sign(payload)}` };
+};
+
+export const verifyBoothSession = (value) => {
+  if (!value || typeof value !== 'string') return null;
+
+  const [payload, signature] = value.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!session?.id || !session.username || session.expiresAt <= Math.floor(Date.now() / 1000)) return null;
+    return session;
+  } catch {
+    return null;
+  }
+};
+
+export const readBoothSession = (cookieStore) => verifyBoothSession(cookieStore.get(BOOTH_SESSION_COOKIE)?.value);
+
+export const requireBoothSession = (cookieStore) => {
+  const session = readBoothSession(cookieStore);
+  if (!session) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Sign in to the booth to continue');
+  }
+  return session;
+};
+
+// Resolves the signed-in account on every request so that disabling an
+// account or changing its languages takes effect without a new sign-in
+export const requireInterpreter = async (cookieStore) => {
+  const session = requireBoothSession(cookieStore);
+  const account = await getAccount(session.username);
+  if (!account || account.disabled) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Sign in to the booth to continue');
+  }
+  return { session, account };
+};
+
+export const requireOrganizer = async (cookieStore) => {
+  const result = await requireInterpreter(cookieStore);
+  if (!isOrganizer(result.account)) {
+    throw new ApiError(403, 'FORBIDDEN', 'Only organizers can access this resource');
+  }
+  return result;
+};
+
+export const sessionCookieOptions = (maxAge) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/',
+  maxAge,
+});
@@ -0,0 +1,124 @@
+import { ApiError } from '@/lib/apiError';
+import { audioProfiles } from '@/constants/audioProfiles';
+import { getStore } from '@/services/store';
+
+const SESSIONS = 'broadcastSessions';
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+export const SESSION_STATUS = {
+  LIVE: 'live',
+  ENDED: 'ended',
+};
+
+const toTimestamp = (value, fallback) => {
+  const timestamp = Number(value);
+  return Number.isFinite(timestamp) && timestamp > 0 ? timestamp : fallback;
+};
+
+const validateSessionId = (sessionId) => {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+    throw new ApiError(400, 'INVALID_SESSION_ID', 'Session id is missing or invalid');
+  }
+};
+
+export const getBroadcastSession = (sessionId) => getStore().get(SESSIONS, sessionId);
+
+export const startBroadcastSession = async ({ sessionId, startTime, event, language, channelName, audioProfile }, account) => {
+  validateSessionId(sessionId);
+
+  const existing = await getBroadcastSession(sessionId);
+  if (existing && existing.interpreter !== account.username) {
+    throw new ApiError(409, 'SESSION_CONFLICT', 'This session belongs to another interpreter');
+  }
+
+  const session = {
+    id: sessionId,
+    interpreter: account.username,
+    interpreterName: account.name || account.username,
+    event,
+    language,
+    channelName,
+    startTime: toTimestamp(startTime, Date.now()),
+    endTime: null,
+    // Unknown or missing profiles are logged as null
+    audioProfile: audioProfiles.some((profile) => profile.id === audioProfile) ? audioProfile : null,
+    duration: null,
+    reconnectCount: 0,
+    status: SESSION_STATUS.LIVE,
+  };
+
+  return getStore().put(SESSIONS, sessionId, session);
+};
+
+// Reads and writes the session in one serialised store update, so a late
+// change can't bring back a session that was ended meanwhile
+const changeLiveSession = (sessionId, account, change) => {
+  validateSessionId(sessionId);
+
+  return getStore().update(SESSIONS, (sessions) => {
+    const session = Object.prototype.hasOwnProperty.call(sessions, sessionId) ? sessions[sessionId] : null;
+    if (!session) {
+      throw new ApiError(404, 'SESSION_NOT_FOUND', 'Broadcast session not found');
+    }
+    if (session.interpreter !== account.username) {
+      throw new ApiError(403, 'FORBIDDEN', 'This session belongs to another interpreter');
+    }
+    if (session.status !== SESSION_STATUS.LIVE) {
+      throw new ApiError(409, 'SESSION_ENDED', 'This broadcast session has ended');
+    }
+
+    sessions[sessionId] = { ...session, ...change(session) };
+    return sessions[sessionId];
+  });
+};
+
+// Partial updates to a live session (reconnects, later per-session metadata)
+export const updateBroadcastSession = (sessionId, account, changes) => (
+  changeLiveSession(sessionId, account, () => changes)
+);
+
+export const endBroadcastSession = ({ sessionId, endTime, reconnectCount }, account) => (
+  changeLiveSession(sessionId, account, (session) => {
+    const end = Math.max(toTimestamp(endTime, Date.now()), session.startTime);
+    return {
+      endTime: end,
+      // Computed from the recorded start rather than trusting the client's timer
+      duration: Math.round((end - session.startTime) / 1000),
+      reconnectCount: Number.isInteger(reconnectCount) && reconnectCount >= 0
+        ? reconnectCount
+        : session.reconnectCount || 0,
+      status: SESSION_STATUS.ENDED,
+    };
+  })
+);
+
+export const listBroadcastSessions = async ({ event, language, interpreter, status, from, to } = {}) => {
+  const fromTime = toTimestamp(from, 0);
+  const toTime = toTimestamp(to, Infinity);
+  const sessions = await getStore().list(SESSIONS);
+
+  return sessions
+    .filter((session) => !event || session.event === event)
+    .filter((session) => !language || session.language === language)
+    .filter((session) => !interpreter || session.interpreter === interpreter)
+    .filter((session) => !status || session.status === status)
+    .filter((session) => session.startTime >= fromTime && session.startTime <= toTime)
+    .sort((a, b) => b.startTime - a.startTime);
+};
+
+// Total on-air seconds per interpreter and language, live sessions counted up to now
+export const summarizeBroadcastSessions = (sessions, now = Date.now()) => {
+  const byInterpreter = {};
+  const byLanguage = {};
+
+  sessions.forEach((session) => {
+    const seconds = session.status === SESSION_STATUS.ENDED
+      ? session.duration || 0
+      : Math.round((now - session.startTime) / 1000);
+
+    byInterpreter[session.interpreter] = (byInterpreter[session.interpreter] || 0) + seconds;
+    byLanguage[session.language] = (byLanguage[session.language] || 0) + seconds;
+  });
+
+  return { sessionCount: sessions.length, byInterpreter, byLanguage };
+};
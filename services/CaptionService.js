@@ -0,0 +1,128 @@
+import { randomUUID } from 'crypto';
+import { ApiError } from '@/lib/apiError';
+import { CAPTION_EVENT, getCaptionsChannelName } from '@/lib/captions';
+import { canBroadcast } from '@/lib/permissions';
+import { SESSION_STATUS, getBroadcastSession, listBroadcastSessions } from '@/services/BroadcastSessionService';
+import { getCaptionProvider, getCaptionProviderName } from '@/services/captions';
+import { resolveEventChannel } from '@/services/EventService';
+import { publish } from '@/services/realtime';
+import { getStore } from '@/services/store';
+
+// Transcripts are kept per broadcast session, next to the session log. They
+// share one collection, so with the JSON store every caption rewrites the
+// transcripts of all sessions: a known cost, fine for the few hours of text a
+// conference produces, and the first thing to split up if it grows.
+const TRANSCRIPTS = 'transcripts';
+const MAX_SEGMENT_BYTES = 2 * 1024 * 1024;
+const MAX_SEGMENT_MS = 60 * 1000;
+const RECENT_SEGMENTS = 50;
+const AUDIO_TYPES = ['audio/webm', 'audio/ogg', 'audio/mp4'];
+
+export const isCaptionsEnabled = () => !!getCaptionProviderName();
+
+// Transcribes one audio segment from a live booth, stores the caption with
+// the session's transcript and pushes it to listeners. Resolves to null when
+// the provider heard nothing.
+export const transcribeSegment = async ({ channelName, sessionId, start, end, audio, mimeType }, account) => {
+  if (!isCaptionsEnabled()) {
+    throw new ApiError(404, 'CAPTIONS_DISABLED', 'Captions are not enabled');
+  }
+
+  const { event, language } = await resolveEventChannel(channelName);
+  if (!canBroadcast(account, language)) {
+    throw new ApiError(403, 'LANGUAGE_NOT_ASSIGNED', 'You are not assigned to broadcast on this channel');
+  }
+
+  const session = typeof sessionId === 'string' ? await getBroadcastSession(sessionId) : null;
+  if (!session || session.interpreter !== account.username || session.channelName !== channelName) {
+    throw new ApiError(404, 'SESSION_NOT_FOUND', 'Broadcast session not found');
+  }
+  if (session.status !== SESSION_STATUS.LIVE) {
+    throw new ApiError(409, 'SESSION_ENDED', 'This broadcast session has ended');
+  }
+
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  if (!AUDIO_TYPES.includes(type)) {
+    throw new ApiError(415, 'UNSUPPORTED_FORMAT', 'Caption audio must be WebM, Ogg or MP4');
+  }
+  if (!audio?.length || audio.length > MAX_SEGMENT_BYTES) {
+    throw new ApiError(413, 'INVALID_SEGMENT', 'Caption audio must be between 1 byte and 2 MB');
+  }
+
+  const startTime = Number(start);
+  const endTime = Number(end);
+  if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || endTime <= startTime || endTime - startTime > MAX_SEGMENT_MS) {
+    throw new ApiError(400, 'INVALID_SEGMENT', 'Segments need a start and end at most a minute apart');
+  }
+
+  let result;
+  try {
+    result = await getCaptionProvider().transcribe({ audio, mimeType: type, language, channelName });
+  } catch (error) {
+    console.error(`Transcription for ${channelName} failed:`, error.message);
+    throw new ApiError(502, 'CAPTIONS_UNAVAILABLE', 'Transcription failed for this segment');
+  }
+
+  const text = String(result?.text || '').trim();
+  if (!text) return null;
+
+  const segment = {
+    id: randomUUID(),
+    start: startTime,
+    end: endTime,
+    text,
+    language,
+    interpreterName: session.interpreterName,
+  };
+
+  // Segments of one booth can overlap in flight; append inside the store's
+  // serialised update so none of them is lost
+  await getStore().update(TRANSCRIPTS, (transcripts) => {
+    const transcript = transcripts[sessionId] || {
+      id: sessionId,
+      event: event.slug,
+      language,
+      channelName,
+      interpreter: session.interpreter,
+      segments: [],
+    };
+    transcripts[sessionId] = {
+      ...transcript,
+      segments: [...transcript.segments, segment],
+      updatedAt: Date.now(),
+    };
+  });
+
+  try {
+    await publish(getCaptionsChannelName(channelName), CAPTION_EVENT, segment);
+  } catch (error) {
+    console.error(`Publishing caption on ${channelName} failed:`, error.message);
+  }
+  return segment;
+};
+
+// Latest captions of the booths currently live on the channel, for listeners
+// who open the transcript mid-session
+export const getRecentCaptions = async (channelName) => {
+  const live = (await listBroadcastSessions({ status: SESSION_STATUS.LIVE }))
+    .filter((session) => session.channelName === channelName);
+  const transcripts = await Promise.all(live.map((session) => getStore().get(TRANSCRIPTS, session.id)));
+
+  return transcripts
+    .flatMap((transcript) => transcript?.segments || [])
+    .sort((a, b) => a.start - b.start)
+    .slice(-RECENT_SEGMENTS);
+};
+
+export const getSessionTranscript = async (sessionId) => {
+  const transcript = typeof sessionId === 'string' ? await getStore().get(TRANSCRIPTS, sessionId) : null;
+  if (!transcript) {
+    throw new ApiError(404, 'TRANSCRIPT_NOT_FOUND', 'No transcript for this session');
+  }
+  return transcript;
+};
+
+// Plain-text export with wall-clock timestamps
+export const formatTranscriptText = (transcript) => transcript.segments
+  .map((segment) => `[${new Date(segment.start).toISOString().slice(11, 19)}] ${segment.text}`)
+  .join('\n');
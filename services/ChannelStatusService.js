@@ -0,0 +1,216 @@
+import { ApiError } from '@/lib/apiError';
+import { CHANNEL_STATUS_EVENT, STATUS_REASONS, fromAgoraChannelInfo, getStatusChannelName } from '@/lib/channelStatus';
+import { getChannelName, parseChannelName } from '@/lib/channels';
+import { getControlChannelName } from '@/lib/controlRoom';
+import { SESSION_STATUS, listBroadcastSessions } from '@/services/BroadcastSessionService';
+import { getEvent } from '@/services/EventService';
+import { publish } from '@/services/realtime';
+
+// Server-side view of Agora's channel-user REST API. Every listener and booth
+// polls channel status, so answers are shared through a short-lived cache and
+// concurrent misses for the same channel wait on a single upstream request.
+const DEFAULT_BASE_URL = 'https://api.agora.io';
+const DEFAULT_CACHE_MS = 2000;
+// A failed refresh keeps serving the last answer for this long
+const MAX_STALE_MS = 30 * 1000;
+const UPSTREAM_TIMEOUT_MS = 5000;
+// Agora's counts lag a booth joining or leaving; session changes win for this long
+const SESSION_CHANGE_GRACE_MS = 10 * 1000;
+
+const getCacheTtl = () => {
+  const ttl = Number(process.env.AGORA_STATUS_CACHE_MS);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_MS;
+};
+
+// Kept on globalThis so dev-mode hot reloads share one cache
+const getCache = () => {
+  if (!globalThis.__channelStatusCache) {
+    globalThis.__channelStatusCache = new Map();
+  }
+  return globalThis.__channelStatusCache;
+};
+
+const getPublishedStatuses = () => {
+  if (!globalThis.__channelStatusPublished) {
+    globalThis.__channelStatusPublished = new Map();
+  }
+  return globalThis.__channelStatusPublished;
+};
+
+// Last status pushed for the channel, null until a booth or poll reported one
+export const getPublishedChannelStatus = (channelName) => getPublishedStatuses().get(channelName) || null;
+
+const publishChannelStatus = async (channelName, changes, reason) => {
+  const previous = getPublishedChannelStatus(channelName) || {
+    hostOnline: false,
+    broadcasters: 0,
+    listeners: 0,
+    interpreterName: null,
+    muted: false,
+  };
+  const status = { ...previous, ...changes, channelName, reason, updatedAt: Date.now() };
+  getPublishedStatuses().set(channelName, status);
+
+  // The event's control room watches every channel at once
+  const controlChannelName = getControlChannelName(parseChannelName(channelName)?.eventSlug);
+  try {
+    await Promise.all([
+      publish(getStatusChannelName(channelName), CHANNEL_STATUS_EVENT, status),
+      publish(controlChannelName, CHANNEL_STATUS_EVENT, status),
+    ]);
+  } catch (error) {
+    console.error(`Publishing status of ${channelName} failed:`, error.message);
+  }
+  return status;
+};
+
+// Pushes what a fresh upstream answer changed. Listener counts always come from
+// Agora; on-air state only once a recent booth change had time to show up there.
+// Only runs when a caller asks for the status (the clients' fallback poll, the
+// control room), so changes seen only by Agora are pushed that late.
+const syncFromUpstream = async (channelName, body) => {
+  const upstream = fromAgoraChannelInfo(body);
+  const previous = getPublishedChannelStatus(channelName);
+
+  if (!previous) {
+    getPublishedStatuses().set(channelName, { ...upstream, interpreterName: null, muted: false, channelName, reason: null, updatedAt: Date.now() });
+    return;
+  }
+
+  const settled = Date.now() - (previous.sessionChangedAt || 0) > SESSION_CHANGE_GRACE_MS;
+  if (settled && previous.hostOnline !== upstream.hostOnline) {
+    const reason = upstream.hostOnline ? STATUS_REASONS.ON_AIR : STATUS_REASONS.OFF_AIR;
+    await publishChannelStatus(channelName, {
+      ...upstream,
+      ...(upstream.hostOnline ? {} : { interpreterName: null, muted: false }),
+    }, reason);
+  } else if (previous.listeners !== upstream.listeners || (settled && previous.broadcasters !== upstream.broadcasters)) {
+    await publishChannelStatus(channelName, {
+      listeners: upstream.listeners,
+      ...(settled ? { broadcasters: upstream.broadcasters } : {}),
+    }, STATUS_REASONS.LISTENERS);
+  }
+};
+
+// Called by the broadcast start/end routes. Two live booths on one channel
+// means a handover is switching between them.
+export const publishBoothChange = async (session) => {
+  if (!session?.channelName) return null;
+
+  const live = (await listBroadcastSessions({ status: SESSION_STATUS.LIVE }))
+    .filter((other) => other.channelName === session.channelName);
+  const goingLive = session.status === SESSION_STATUS.LIVE;
+  const others = live.filter((other) => other.id !== session.id);
+
+  let reason = goingLive ? STATUS_REASONS.ON_AIR : STATUS_REASONS.OFF_AIR;
+  if (others.length > 0) reason = STATUS_REASONS.HANDOVER;
+
+  // Newest live booth is the one listeners hear after a handover
+  const onAir = goingLive ? session : others[0];
+
+  getCache().delete(session.channelName);
+  return publishChannelStatus(session.channelName, {
+    hostOnline: live.length > 0,
+    broadcasters: live.length,
+    interpreterName: onAir?.interpreterName || null,
+    muted: !!onAir?.muted,
+    sessionChangedAt: Date.now(),
+  }, reason);
+};
+
+// Called by the mute route when the booth on air holds or latches its cough
+// key. The booth stays published, listeners are told why it went quiet.
+export const publishBoothMute = async (session) => {
+  if (!session?.channelName || session.status !== SESSION_STATUS.LIVE) return null;
+  return publishChannelStatus(session.channelName, { muted: !!session.muted }, STATUS_REASONS.MUTED);
+};
+
+const fetchChannelStatus = async (channelName) => {
+  const appId = process.env.NEXT_PUBLIC_AGORA_APPID;
+  const token = process.env.AGORA_REST_TOKEN;
+  if (!appId || !token) {
+    throw new ApiError(503, 'STATUS_UNAVAILABLE', 'Channel status is not configured');
+  }
+
+  const baseUrl = (process.env.AGORA_REST_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  let response;
+  try {
+    response = await fetch(
+      `${baseUrl}/dev/v1/channel/user/${encodeURIComponent(appId)}/${encodeURIComponent(channelName)}`,
+      {
+        headers: { Authorization: `Basic ${token}` },
+        cache: 'no-store',
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+      }
+    );
+  } catch (error) {
+    console.error(`Channel status request for ${channelName} failed:`, error.message);
+    throw new ApiError(502, 'STATUS_UPSTREAM_ERROR', 'Channel status is temporarily unavailable');
+  }
+
+  if (response.status === 429) {
+    throw new ApiError(503, 'STATUS_RATE_LIMITED', 'Channel status is temporarily unavailable');
+  }
+  if (!response.ok) {
+    console.error(`Channel status request for ${channelName} returned ${response.status}`);
+    throw new ApiError(502, 'STATUS_UPSTREAM_ERROR', 'Channel status is temporarily unavailable');
+  }
+  return response.json();
+};
+
+// Resolves to Agora's { success, data } body for the channel
+export const getChannelStatus = async (channelName) => {
+  const cache = getCache();
+  const entry = cache.get(channelName) || {};
+  const now = Date.now();
+
+  if (entry.body && now < entry.expiresAt) {
+    return entry.body;
+  }
+  if (entry.pending) {
+    return entry.pending;
+  }
+
+  const pending = fetchChannelStatus(channelName)
+    .then(async (body) => {
+      cache.set(channelName, { body, fetchedAt: Date.now(), expiresAt: Date.now() + getCacheTtl() });
+      await syncFromUpstream(channelName, body);
+      return body;
+    })
+    .catch((error) => {
+      if (entry.body && Date.now() - entry.fetchedAt < MAX_STALE_MS) {
+        cache.set(channelName, entry);
+        return entry.body;
+      }
+      cache.delete(channelName);
+      throw error;
+    });
+
+  cache.set(channelName, { ...entry, pending });
+  return pending;
+};
+
+// GET /api/channels?event=: on-air state and audience of every channel an
+// event offers, for the listeners' language switcher
+export const listEventChannelStatuses = async (eventSlug) => {
+  const event = await getEvent(eventSlug);
+  if (!event) {
+    throw new ApiError(404, 'EVENT_NOT_FOUND', 'Event not found');
+  }
+
+  return Promise.all(event.languages.map(async (language) => {
+    const channelName = getChannelName(event.slug, language);
+    try {
+      await getChannelStatus(channelName);
+    } catch {
+      // Without the Agora REST API only booth changes are known
+    }
+    const status = getPublishedChannelStatus(channelName);
+    return {
+      language,
+      channelName,
+      hostOnline: !!status?.hostOnline,
+      listeners: status?.listeners || 0,
+    };
+  }));
+};
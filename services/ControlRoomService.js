@@ -0,0 +1,152 @@
+import { ApiError } from '@/lib/apiError';
+import { getChannelName } from '@/lib/channels';
+import {
+  BOOTH_REPORT_EVENT,
+  NETWORK_QUALITIES,
+  SILENCE_LEVEL,
+  STALE_REPORT_MS,
+  getControlChannelName,
+} from '@/lib/controlRoom';
+import { HANDOVER_PHASES } from '@/lib/handover';
+import { canBroadcast } from '@/lib/permissions';
+import { SESSION_STATUS, listBroadcastSessions } from '@/services/BroadcastSessionService';
+import { getChannelStatus, getPublishedChannelStatus } from '@/services/ChannelStatusService';
+import { getEvent, resolveEventChannel } from '@/services/EventService';
+import { listLanguages } from '@/services/LanguageService';
+import { publish } from '@/services/realtime';
+
+const BOOTH_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+// Closed booth tabs are forgotten after this
+const FORGET_AFTER_MS = 5 * 60 * 1000;
+
+// Latest report of every open booth, by channel and booth tab. Kept on
+// globalThis so dev-mode hot reloads share one view.
+const getBooths = () => {
+  if (!globalThis.__controlRoomBooths) {
+    globalThis.__controlRoomBooths = new Map();
+  }
+  return globalThis.__controlRoomBooths;
+};
+
+const listChannelBooths = (channelName, now = Date.now()) => {
+  const booths = getBooths().get(channelName);
+  if (!booths) return [];
+  booths.forEach((booth, id) => {
+    if (now - booth.reportedAt > FORGET_AFTER_MS) booths.delete(id);
+  });
+  return [...booths.values()].sort((a, b) => a.interpreterName.localeCompare(b.interpreterName));
+};
+
+const sanitizeHandover = (handover) => {
+  if (!handover || !Object.values(HANDOVER_PHASES).includes(handover.phase)) return null;
+  return {
+    phase: handover.phase,
+    role: handover.role === 'requester' || handover.role === 'responder' ? handover.role : null,
+    peerName: typeof handover.peerName === 'string' ? handover.peerName.slice(0, 80) : null,
+  };
+};
+
+// POST /api/control/booths: one booth tab says what it is doing. Silence is
+// tracked here so a booth that reconnects doesn't reset it.
+export const recordBoothReport = async ({ channelName, boothId, onAir, muted, level, networkQuality, handover }, account) => {
+  if (typeof boothId !== 'string' || !BOOTH_ID_PATTERN.test(boothId)) {
+    throw new ApiError(400, 'INVALID_BOOTH_ID', 'Booth id is missing or invalid');
+  }
+  const { event, language } = await resolveEventChannel(channelName);
+  if (!canBroadcast(account, language)) {
+    throw new ApiError(403, 'LANGUAGE_NOT_ASSIGNED', 'You are not assigned to broadcast on this channel');
+  }
+
+  const now = Date.now();
+  if (!getBooths().has(channelName)) {
+    getBooths().set(channelName, new Map());
+  }
+  const booths = getBooths().get(channelName);
+  const previous = booths.get(boothId);
+
+  const micLevel = Number.isFinite(level) ? Math.min(Math.max(level, 0), 100) : 0;
+  const isOnAir = onAir === true;
+  const isMuted = isOnAir && muted === true;
+  const continues = previous?.onAir && now - previous.reportedAt <= STALE_REPORT_MS;
+  // A muted booth is quiet on purpose, that is flagged separately
+  let silentSince = null;
+  if (isOnAir && !isMuted && micLevel < SILENCE_LEVEL) {
+    silentSince = continues && previous.silentSince ? previous.silentSince : now;
+  }
+  let mutedSince = null;
+  if (isMuted) {
+    mutedSince = continues && previous.mutedSince ? previous.mutedSince : now;
+  }
+
+  const booth = {
+    id: boothId,
+    interpreter: account.username,
+    interpreterName: account.name || account.username,
+    onAir: isOnAir,
+    muted: isMuted,
+    level: Math.round(micLevel),
+    networkQuality: NETWORK_QUALITIES.includes(networkQuality) ? networkQuality : null,
+    handover: sanitizeHandover(handover),
+    silentSince,
+    mutedSince,
+    reportedAt: now,
+  };
+  booths.set(boothId, booth);
+
+  try {
+    await publish(getControlChannelName(event.slug), BOOTH_REPORT_EVENT, {
+      channelName,
+      booths: listChannelBooths(channelName, now),
+    });
+  } catch (error) {
+    console.error(`Publishing booth report of ${channelName} failed:`, error.message);
+  }
+  return booth;
+};
+
+const refreshStatus = async (channelName) => {
+  try {
+    await getChannelStatus(channelName);
+  } catch {
+    // Without the Agora REST API only booth changes are known
+  }
+  return getPublishedChannelStatus(channelName);
+};
+
+// GET /api/control?event=: every catalog language with its channel status,
+// the live session on air (for the duration) and the open booths' reports
+export const getControlRoom = async (eventSlug) => {
+  const event = await getEvent(eventSlug);
+  if (!event) {
+    throw new ApiError(404, 'EVENT_NOT_FOUND', 'Event not found');
+  }
+
+  const [languages, liveSessions] = await Promise.all([
+    listLanguages(),
+    listBroadcastSessions({ event: event.slug, status: SESSION_STATUS.LIVE }),
+  ]);
+  const now = Date.now();
+
+  const channels = await Promise.all(languages.map(async (language) => {
+    const channelName = getChannelName(event.slug, language.value);
+    const offered = event.languages.includes(language.value);
+    if (!offered) {
+      return { language: language.value, name: language.name, flag: language.flag, channelName, offered, status: null, session: null, booths: [] };
+    }
+
+    // Newest live session is the booth listeners hear
+    const session = liveSessions.find((live) => live.language === language.value) || null;
+    return {
+      language: language.value,
+      name: language.name,
+      flag: language.flag,
+      channelName,
+      offered,
+      status: await refreshStatus(channelName),
+      session: session && { id: session.id, interpreterName: session.interpreterName, startTime: session.startTime },
+      booths: listChannelBooths(channelName, now),
+    };
+  }));
+
+  return { event: { slug: event.slug, name: event.name }, channels, serverTime: now };
+};
@@ -0,0 +1,57 @@
+import { DEFAULT_EVENT_SLUG, defaultEvents } from '@/constants/events';
+import { ApiError } from '@/lib/apiError';
+import { parseChannelName } from '@/lib/channels';
+import { isLanguageEnabled, listLanguages } from '@/services/LanguageService';
+import { getStore } from '@/services/store';
+
+const EVENTS = 'events';
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const builtInBranding = defaultEvents[0].branding;
+
+// Fill in anything a stored event leaves out so pages can rely on the shape.
+// Without its own list an event follows the catalog, so a language added at
+// /admin/languages reaches it without editing the event.
+const normalizeEvent = (event, catalogLanguages) => ({
+  slug: event.slug,
+  name: event.name || event.slug,
+  branding: { ...builtInBranding, ...event.branding },
+  languages: Array.isArray(event.languages) ? event.languages : catalogLanguages,
+  support: {
+    email: event.support?.email || null,
+    subject: event.support?.subject || `${event.name || event.slug} - Live Interpretation Support`,
+  },
+});
+
+export const getDefaultEventSlug = () => process.env.DEFAULT_EVENT || DEFAULT_EVENT_SLUG;
+
+export const listEvents = async () => {
+  const [stored, catalog] = await Promise.all([getStore().list(EVENTS), listLanguages()]);
+  const catalogLanguages = catalog.map((language) => language.value);
+  const bySlug = new Map(defaultEvents.map((event) => [event.slug, event]));
+  stored.forEach((event) => {
+    if (SLUG_PATTERN.test(event?.slug || '')) {
+      bySlug.set(event.slug, { ...bySlug.get(event.slug), ...event });
+    }
+  });
+  return [...bySlug.values()].map((event) => normalizeEvent(event, catalogLanguages));
+};
+
+export const getEvent = async (slug) => {
+  if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) return null;
+  const events = await listEvents();
+  return events.find((event) => event.slug === slug) || null;
+};
+
+export const eventHasLanguage = (event, language) => !!event?.languages.includes(language);
+
+// Maps an Agora channel back to its event and language, rejecting channels
+// that no configured event serves
+export const resolveEventChannel = async (channelName) => {
+  const parsed = parseChannelName(channelName);
+  const event = parsed && await getEvent(parsed.eventSlug);
+  if (!event || !eventHasLanguage(event, parsed.language) || !(await isLanguageEnabled(parsed.language))) {
+    throw new ApiError(404, 'UNKNOWN_CHANNEL', 'No event broadcasts on this channel');
+  }
+  return { event, language: parsed.language };
+};
@@ -0,0 +1,177 @@
+import { defaultLanguages } from '@/constants/defaultLanguages';
+import { ApiError } from '@/lib/apiError';
+import { getStore } from '@/services/store';
+
+const LANGUAGES = 'languages';
+const FLAGS = 'languageFlags';
+
+// Language values end up in channel names ("<event>-<language>"), so no dashes
+const VALUE_PATTERN = /^[a-z]{2,32}$/;
+const FLAG_TYPES = ['image/svg+xml', 'image/png', 'image/jpeg', 'image/webp'];
+const MAX_FLAG_BYTES = 256 * 1024;
+
+const byOrder = (a, b) => a.order - b.order;
+
+const validateValue = (value) => {
+  if (typeof value !== 'string' || !VALUE_PATTERN.test(value)) {
+    throw new ApiError(400, 'INVALID_LANGUAGE', 'Language value must be 2-32 lowercase letters');
+  }
+};
+
+// Only these fields can be set from the admin API
+const pickLanguageFields = (input) => {
+  const fields = {};
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw new ApiError(400, 'INVALID_LANGUAGE', 'Language name is required');
+    }
+    fields.name = input.name.trim();
+  }
+  ['enabled', 'relay', 'twoWay'].forEach((key) => {
+    if (input[key] !== undefined) fields[key] = !!input[key];
+  });
+  return fields;
+};
+
+const findLanguage = (languages, value) => (
+  Object.prototype.hasOwnProperty.call(languages, value) ? languages[value] : null
+);
+
+// The first read of an empty catalog seeds it from constants/defaultLanguages.js
+const seedLanguages = () => getStore().update(LANGUAGES, (languages) => {
+  if (Object.keys(languages).length === 0) {
+    const now = new Date().toISOString();
+    defaultLanguages.forEach((language, index) => {
+      languages[language.value] = { ...language, order: index, updatedAt: now };
+    });
+  }
+  return Object.values(languages);
+});
+
+// Catalog writes run inside the store's serialised update, so an edit and a
+// reorder made at the same time both land
+const updateCatalog = async (mutate) => {
+  await listLanguages();
+  return getStore().update(LANGUAGES, mutate);
+};
+
+export const listLanguages = async ({ includeDisabled = false } = {}) => {
+  let languages = await getStore().list(LANGUAGES);
+  if (languages.length === 0) {
+    languages = await seedLanguages();
+  }
+  return languages
+    .filter((language) => includeDisabled || language.enabled)
+    .sort(byOrder);
+};
+
+export const getLanguage = async (value) => {
+  const languages = await listLanguages({ includeDisabled: true });
+  return languages.find((language) => language.value === value) || null;
+};
+
+const requireLanguage = async (value) => {
+  const language = await getLanguage(value);
+  if (!language) {
+    throw new ApiError(404, 'LANGUAGE_NOT_FOUND', 'Language not found');
+  }
+  return language;
+};
+
+export const isLanguageEnabled = async (value) => !!(await getLanguage(value))?.enabled;
+
+export const createLanguage = async (input) => {
+  validateValue(input.value);
+  const fields = pickLanguageFields(input);
+
+  return updateCatalog((languages) => {
+    if (findLanguage(languages, input.value)) {
+      throw new ApiError(409, 'LANGUAGE_EXISTS', 'A language with this value already exists');
+    }
+    const orders = Object.values(languages).map((language) => language.order);
+    languages[input.value] = {
+      value: input.value,
+      name: input.value.toUpperCase(),
+      flag: null,
+      enabled: true,
+      relay: false,
+      twoWay: false,
+      ...fields,
+      order: orders.length ? Math.max(...orders) + 1 : 0,
+      updatedAt: new Date().toISOString(),
+    };
+    return languages[input.value];
+  });
+};
+
+// Merges `changes` into the stored language in one serialised update
+const changeLanguage = (value, changes) => updateCatalog((languages) => {
+  const language = findLanguage(languages, value);
+  if (!language) {
+    throw new ApiError(404, 'LANGUAGE_NOT_FOUND', 'Language not found');
+  }
+  languages[value] = { ...language, ...changes, updatedAt: new Date().toISOString() };
+  return languages[value];
+});
+
+export const updateLanguage = async (value, changes) => changeLanguage(value, pickLanguageFields(changes));
+
+export const removeLanguage = async (value) => {
+  await updateCatalog((languages) => {
+    if (!findLanguage(languages, value)) {
+      throw new ApiError(404, 'LANGUAGE_NOT_FOUND', 'Language not found');
+    }
+    if (Object.keys(languages).length === 1) {
+      throw new ApiError(400, 'LAST_LANGUAGE', 'The catalog needs at least one language');
+    }
+    delete languages[value];
+  });
+  return getStore().remove(FLAGS, value);
+};
+
+// `values` must list every language in the catalog, in the new order
+export const reorderLanguages = async (values) => {
+  const reordered = await updateCatalog((languages) => {
+    const known = new Set(Object.keys(languages));
+    if (!Array.isArray(values) || values.length !== known.size || !values.every((value) => known.delete(value))) {
+      throw new ApiError(400, 'INVALID_ORDER', 'Order must list every language exactly once');
+    }
+    values.forEach((value, order) => {
+      languages[value] = { ...languages[value], order };
+    });
+    return Object.values(languages);
+  });
+  return reordered.sort(byOrder);
+};
+
+// Flags are kept in the store (base64) so they work with every DATA_STORE
+// backend, and served by /api/languages/[language]/flag
+export const saveLanguageFlag = async (value, file) => {
+  await requireLanguage(value);
+  if (!file || typeof file.arrayBuffer !== 'function') {
+    throw new ApiError(400, 'INVALID_FLAG', 'Attach the flag image as "flag"');
+  }
+  if (!FLAG_TYPES.includes(file.type)) {
+    throw new ApiError(415, 'INVALID_FLAG', 'Flags must be SVG, PNG, JPEG or WebP images');
+  }
+  if (file.size > MAX_FLAG_BYTES) {
+    throw new ApiError(413, 'INVALID_FLAG', 'Flags must be 256 KB or smaller');
+  }
+
+  const updatedAt = new Date().toISOString();
+  await getStore().put(FLAGS, value, {
+    contentType: file.type,
+    data: Buffer.from(await file.arrayBuffer()).toString('base64'),
+    updatedAt,
+  });
+
+  return changeLanguage(value, { flag: `/api/languages/${value}/flag?v=${Date.parse(updatedAt)}` });
+};
+
+export const getLanguageFlag = async (value) => {
+  const flag = await getStore().get(FLAGS, value);
+  if (!flag) {
+    throw new ApiError(404, 'FLAG_NOT_FOUND', 'No uploaded flag for this language');
+  }
+  return { contentType: flag.contentType, body: Buffer.from(flag.data, 'base64') };
+};
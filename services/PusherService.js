@@ -1,17 +0,0 @@
-"use server"
-import Pusher from "pusher";
-
-const pusher = new Pusher({
-  appId: process.env.NEXT_PUBLIC_PUSHER_APP_ID,
-  key: process.env.NEXT_PUBLIC_PUSHER_KEY,
-  secret: process.env.NEXT_PUBLIC_PUSHER_SECRET,
-  cluster: process.env.NEXT_PUBLIC_PUSHER_CLUSTER,
-  useTLS: true,
-});
-
-export async function pushMessage(event, data, channel_name) {
-  await pusher.trigger(channel_name, event, {
-    data: data,
-  });
-  console.log("Message pushed successfully")
-}
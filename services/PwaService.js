@@ -0,0 +1,74 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { listEvents } from '@/services/EventService';
+import { listLanguages } from '@/services/LanguageService';
+
+// What the service worker (/sw.js) caches on install: the offline page, each
+// event's landing page and branding, language flags, app icons and the Agora
+// SDK chunk, so listeners on flaky venue Wi-Fi rarely need the network or the
+// SDK's CDN fallbacks.
+const BUILD_DIR = path.join(process.cwd(), '.next');
+const PUBLIC_DIR = path.join(process.cwd(), 'public');
+const PUBLIC_ASSET_DIRS = ['flags', 'logo', 'icons'];
+const SHELL_URLS = ['/offline', '/manifest.webmanifest'];
+const SDK_MODULE = 'agora-rtc-sdk-ng';
+
+const readBuildFile = async (name) => {
+  try {
+    return await fs.readFile(path.join(BUILD_DIR, name), 'utf8');
+  } catch {
+    return null;
+  }
+};
+
+const getBuildId = async () => (await readBuildFile('BUILD_ID'))?.trim() || 'development';
+
+// Dynamic import() chunks are listed in the client build's loadable manifest
+// under "<importing file> -> <module>"
+const getSdkChunkUrls = async () => {
+  try {
+    const manifest = JSON.parse(await readBuildFile('react-loadable-manifest.json'));
+    return Object.entries(manifest)
+      .filter(([key]) => key.endsWith(` -> ${SDK_MODULE}`))
+      .flatMap(([, entry]) => entry.files)
+      .map((file) => `/_next/${file}`);
+  } catch {
+    return [];
+  }
+};
+
+const getPublicAssetUrls = async () => {
+  const lists = await Promise.all(PUBLIC_ASSET_DIRS.map(async (dir) => {
+    try {
+      const files = await fs.readdir(path.join(PUBLIC_DIR, dir));
+      return files.filter((file) => !file.startsWith('.')).map((file) => `/${dir}/${file}`);
+    } catch {
+      return [];
+    }
+  }));
+  return lists.flat();
+};
+
+export const getPrecacheManifest = async () => {
+  const [buildId, events, languages, assets, sdkChunks] = await Promise.all([
+    getBuildId(),
+    listEvents(),
+    listLanguages(),
+    getPublicAssetUrls(),
+    getSdkChunkUrls(),
+  ]);
+
+  const urls = [...new Set([
+    ...SHELL_URLS,
+    ...events.flatMap((event) => [`/${event.slug}`, ...Object.values(event.branding)]),
+    ...languages.map((language) => language.flag).filter(Boolean),
+    ...assets,
+    ...sdkChunks,
+  ])].filter((url) => url.startsWith('/'));
+
+  // New builds, events or flags change the worker script, which makes
+  // browsers install it again with a fresh cache
+  const version = `${buildId}-${createHash('sha1').update(urls.join('\n')).digest('hex').slice(0, 10)}`;
+  return { version, urls };
+};
@@ -0,0 +1,218 @@
+import { randomUUID } from 'crypto';
+import { createReadStream, promises as fs } from 'fs';
+import path from 'path';
+import { ApiError } from '@/lib/apiError';
+import { canBroadcast } from '@/lib/permissions';
+import { resolveEventChannel } from '@/services/EventService';
+import { getStore } from '@/services/store';
+
+// Booth recordings. Metadata lives in the data store; audio is appended chunk
+// by chunk to `<RECORDINGS_DIR>/<event>/<language>/<YYYY-MM-DD>/<start>-<id>.<ext>`.
+const RECORDINGS = 'recordings';
+const MAX_CHUNK_BYTES = 5 * 1024 * 1024;
+const RECORDING_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+};
+
+export const RECORDING_STATUS = {
+  RECORDING: 'recording',
+  COMPLETE: 'complete',
+};
+
+const getRecordingsDir = () => path.resolve(
+  process.env.RECORDINGS_DIR || path.join(process.env.DATA_DIR || 'data', 'recordings')
+);
+
+const filePathFor = (recording) => path.join(getRecordingsDir(), recording.file);
+
+// MediaRecorder reports e.g. "audio/webm;codecs=opus"
+const baseMimeType = (mimeType) => String(mimeType || '').split(';')[0].trim().toLowerCase();
+
+// Kept on globalThis so dev-mode hot reloads share one set of queues
+const getRecordingQueues = () => {
+  if (!globalThis.__recordingQueues) {
+    globalThis.__recordingQueues = new Map();
+  }
+  return globalThis.__recordingQueues;
+};
+
+// Chunks and completion of one recording run one after another, so a chunk
+// retried while the first attempt is still being written waits for it and is
+// then recognised as already stored
+const inRecordingQueue = (id, task) => {
+  const queues = getRecordingQueues();
+  const next = (queues.get(id) || Promise.resolve()).catch(() => {}).then(task);
+  queues.set(id, next);
+  next.catch(() => {}).then(() => {
+    if (queues.get(id) === next) queues.delete(id);
+  });
+  return next;
+};
+
+const requireRecording = async (id) => {
+  const recording = typeof id === 'string' ? await getStore().get(RECORDINGS, id) : null;
+  if (!recording) {
+    throw new ApiError(404, 'RECORDING_NOT_FOUND', 'Recording not found');
+  }
+  return recording;
+};
+
+const requireOwnRecording = async (id, account) => {
+  const recording = await requireRecording(id);
+  if (recording.interpreter !== account.username) {
+    throw new ApiError(403, 'FORBIDDEN', 'This recording belongs to another interpreter');
+  }
+  return recording;
+};
+
+export const startRecording = async ({ channelName, broadcastSessionId, mimeType, startTime }, account) => {
+  const { event, language } = await resolveEventChannel(channelName);
+  if (!canBroadcast(account, language)) {
+    throw new ApiError(403, 'LANGUAGE_NOT_ASSIGNED', 'You are not assigned to broadcast on this channel');
+  }
+
+  const extension = RECORDING_TYPES[baseMimeType(mimeType)];
+  if (!extension) {
+    throw new ApiError(415, 'UNSUPPORTED_FORMAT', 'Recordings must be WebM, Ogg or MP4 audio');
+  }
+
+  const id = randomUUID();
+  const start = Number.isFinite(Number(startTime)) && Number(startTime) > 0 ? Number(startTime) : Date.now();
+  const day = new Date(start).toISOString().slice(0, 10);
+  const file = path.join(event.slug, language, day, `${start}-${id}.${extension}`);
+
+  await fs.mkdir(path.dirname(path.join(getRecordingsDir(), file)), { recursive: true });
+  await fs.writeFile(path.join(getRecordingsDir(), file), Buffer.alloc(0));
+
+  return getStore().put(RECORDINGS, id, {
+    id,
+    event: event.slug,
+    language,
+    channelName,
+    broadcastSessionId: typeof broadcastSessionId === 'string' ? broadcastSessionId : null,
+    interpreter: account.username,
+    interpreterName: account.name || account.username,
+    mimeType: baseMimeType(mimeType),
+    file,
+    startTime: start,
+    endTime: null,
+    duration: null,
+    bytes: 0,
+    chunks: 0,
+    status: RECORDING_STATUS.RECORDING,
+  });
+};
+
+// Chunks must arrive in order; a retried chunk that was already stored is
+// acknowledged without being written twice
+export const appendRecordingChunk = (id, sequence, data, account) => inRecordingQueue(id, async () => {
+  const recording = await requireOwnRecording(id, account);
+  if (recording.status !== RECORDING_STATUS.RECORDING) {
+    throw new ApiError(409, 'RECORDING_CLOSED', 'This recording has already been completed');
+  }
+
+  const seq = Number(sequence);
+  if (!Number.isInteger(seq) || seq < 0) {
+    throw new ApiError(400, 'INVALID_CHUNK', 'Chunk sequence number is missing or invalid');
+  }
+  if (seq < recording.chunks) {
+    return recording;
+  }
+  if (seq > recording.chunks) {
+    throw new ApiError(409, 'CHUNK_OUT_OF_ORDER', `Expected chunk ${recording.chunks}`);
+  }
+  if (!data?.length) {
+    throw new ApiError(400, 'INVALID_CHUNK', 'Chunk is empty');
+  }
+  if (data.length > MAX_CHUNK_BYTES) {
+    throw new ApiError(413, 'INVALID_CHUNK', 'Chunks must be 5 MB or smaller');
+  }
+
+  await fs.appendFile(filePathFor(recording), data);
+  return getStore().update(RECORDINGS, (recordings) => {
+    const current = recordings[id];
+    if (!current) {
+      throw new ApiError(404, 'RECORDING_NOT_FOUND', 'Recording not found');
+    }
+    recordings[id] = {
+      ...current,
+      bytes: current.bytes + data.length,
+      chunks: current.chunks + 1,
+      updatedAt: Date.now(),
+    };
+    return recordings[id];
+  });
+});
+
+export const completeRecording = (id, { endTime } = {}, account) => inRecordingQueue(id, async () => {
+  await requireOwnRecording(id, account);
+
+  return getStore().update(RECORDINGS, (recordings) => {
+    const recording = recordings[id];
+    if (!recording) {
+      throw new ApiError(404, 'RECORDING_NOT_FOUND', 'Recording not found');
+    }
+    if (recording.status === RECORDING_STATUS.COMPLETE) {
+      return recording;
+    }
+
+    const end = Math.max(Number(endTime) || Date.now(), recording.startTime);
+    recordings[id] = {
+      ...recording,
+      endTime: end,
+      // Computed from the recorded start rather than trusting the client's timer
+      duration: Math.round((end - recording.startTime) / 1000),
+      status: RECORDING_STATUS.COMPLETE,
+    };
+    return recordings[id];
+  });
+});
+
+export const listRecordings = async ({ event, language, interpreter, from, to } = {}) => {
+  const recordings = await getStore().list(RECORDINGS);
+  return recordings
+    .filter((recording) => !event || recording.event === event)
+    .filter((recording) => !language || recording.language === language)
+    .filter((recording) => !interpreter || recording.interpreter === interpreter)
+    .filter((recording) => !from || recording.startTime >= Number(from))
+    .filter((recording) => !to || recording.startTime <= Number(to))
+    .sort((a, b) => b.startTime - a.startTime);
+};
+
+export const getRecording = requireRecording;
+
+// Node stream of the audio file, optionally a byte range for seeking
+export const openRecordingFile = async (recording, range) => {
+  const filePath = filePathFor(recording);
+  let size;
+  try {
+    size = (await fs.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ApiError(404, 'RECORDING_NOT_FOUND', 'The audio file for this recording is missing');
+    }
+    throw error;
+  }
+
+  if (!range) {
+    return { size, stream: createReadStream(filePath) };
+  }
+  if (range.start >= size || (range.end !== undefined && range.end < range.start)) {
+    throw new ApiError(416, 'RANGE_NOT_SATISFIABLE', 'Requested range is outside the recording');
+  }
+  const start = range.start;
+  const end = Math.min(range.end ?? size - 1, size - 1);
+  return { size, start, end, stream: createReadStream(filePath, { start, end }) };
+};
+
+export const removeRecording = async (id) => {
+  const recording = await requireRecording(id);
+  try {
+    await fs.unlink(filePathFor(recording));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  await getStore().remove(RECORDINGS, id);
+};
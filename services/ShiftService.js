@@ -0,0 +1,108 @@
+import { randomUUID } from 'crypto';
+import { ApiError } from '@/lib/apiError';
+import { canBroadcast } from '@/lib/permissions';
+import { shiftsOverlap, sortShifts } from '@/lib/shifts';
+import { getAccount } from '@/services/AccountService';
+import { eventHasLanguage, getEvent } from '@/services/EventService';
+import { getStore } from '@/services/store';
+
+const SHIFTS = 'shifts';
+const MAX_SHIFT_MS = 12 * 60 * 60 * 1000;
+
+export const listShifts = async ({ event, language, interpreter, from, to } = {}) => {
+  const shifts = await getStore().list(SHIFTS);
+  return sortShifts(shifts
+    .filter((shift) => !event || shift.event === event)
+    .filter((shift) => !language || shift.language === language)
+    .filter((shift) => !interpreter || shift.interpreter === interpreter)
+    .filter((shift) => !from || shift.end > Number(from))
+    .filter((shift) => !to || shift.start < Number(to)));
+};
+
+// Validates a complete shift record against the event and the interpreter's
+// booth assignments. Overlaps are checked by saveShift.
+const validateShift = async (shift) => {
+  const start = Number(shift.start);
+  const end = Number(shift.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+    throw new ApiError(400, 'INVALID_SHIFT', 'Shift needs a start before its end');
+  }
+  if (end - start > MAX_SHIFT_MS) {
+    throw new ApiError(400, 'INVALID_SHIFT', 'Shifts cannot be longer than 12 hours');
+  }
+
+  const event = await getEvent(shift.event);
+  if (!eventHasLanguage(event, shift.language)) {
+    throw new ApiError(400, 'INVALID_SHIFT', 'The event has no booth for this language');
+  }
+
+  const account = await getAccount(shift.interpreter);
+  if (!account || account.disabled) {
+    throw new ApiError(400, 'INVALID_SHIFT', 'Unknown interpreter');
+  }
+  if (!canBroadcast(account, shift.language)) {
+    throw new ApiError(400, 'LANGUAGE_NOT_ASSIGNED', `${account.name || account.username} is not assigned to this booth`);
+  }
+
+  return {
+    ...shift,
+    interpreter: account.username,
+    interpreterName: account.name || account.username,
+    start,
+    end,
+  };
+};
+
+// Checks the other shifts of the same booth and writes in one serialised
+// update, so two overlapping shifts saved at once can't both get in
+const saveShift = (shift, { existing = false } = {}) => getStore().update(SHIFTS, (shifts) => {
+  if (existing && !Object.prototype.hasOwnProperty.call(shifts, shift.id)) {
+    throw new ApiError(404, 'SHIFT_NOT_FOUND', 'Shift not found');
+  }
+  const clash = sortShifts(Object.values(shifts)).find((other) => (
+    other.id !== shift.id
+    && other.event === shift.event
+    && other.language === shift.language
+    && shiftsOverlap(other, shift)
+  ));
+  if (clash) {
+    throw new ApiError(409, 'SHIFT_OVERLAP', `Overlaps ${clash.interpreterName}'s shift`);
+  }
+  shifts[shift.id] = shift;
+  return shift;
+});
+
+export const createShift = async ({ event, language, interpreter, start, end }) => {
+  const shift = await validateShift({
+    id: randomUUID(),
+    event,
+    language,
+    interpreter: typeof interpreter === 'string' ? interpreter.toLowerCase() : interpreter,
+    start,
+    end,
+  });
+  return saveShift(shift);
+};
+
+export const updateShift = async (id, changes) => {
+  const existing = await getStore().get(SHIFTS, id);
+  if (!existing) {
+    throw new ApiError(404, 'SHIFT_NOT_FOUND', 'Shift not found');
+  }
+
+  const { interpreter, start, end } = changes;
+  const shift = await validateShift({
+    ...existing,
+    ...(interpreter !== undefined ? { interpreter: String(interpreter).toLowerCase() } : {}),
+    ...(start !== undefined ? { start } : {}),
+    ...(end !== undefined ? { end } : {}),
+  });
+  return saveShift(shift, { existing: true });
+};
+
+export const removeShift = async (id) => {
+  const removed = await getStore().remove(SHIFTS, id);
+  if (!removed) {
+    throw new ApiError(404, 'SHIFT_NOT_FOUND', 'Shift not found');
+  }
+};
@@ -0,0 +1,105 @@
+import { randomInt } from 'crypto';
+import { ApiError } from '@/lib/apiError';
+import { LINK_CODE_PATTERN, LINK_TAG_PATTERN } from '@/lib/shortLinks';
+import { eventHasLanguage, getEvent } from '@/services/EventService';
+import { getStore } from '@/services/store';
+
+const LINKS = 'links';
+// No 0/o, 1/l/i: codes get typed in from printed posters
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const CODE_LENGTH = 6;
+
+const createCode = () => Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+
+const normalizeTag = (value, name) => {
+  const tag = typeof value === 'string' ? value.trim() : '';
+  if (!tag) return null;
+  if (!LINK_TAG_PATTERN.test(tag)) {
+    throw new ApiError(400, 'INVALID_LINK', `${name} may only use letters, digits, ".", "_" and "-"`);
+  }
+  return tag;
+};
+
+export const listShortLinks = async ({ event } = {}) => {
+  const links = await getStore().list(LINKS);
+  return links
+    .filter((link) => !event || link.event === event)
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const getShortLink = async (code) => {
+  if (typeof code !== 'string' || !LINK_CODE_PATTERN.test(code)) return null;
+  return getStore().get(LINKS, code);
+};
+
+// Asking twice for the same event, language and tags returns the existing
+// link, so a reprinted sheet keeps its codes
+export const createShortLink = async ({ event: eventSlug, language, source, medium, campaign }, account) => {
+  const event = await getEvent(eventSlug);
+  if (!event) {
+    throw new ApiError(400, 'INVALID_LINK', 'Unknown event');
+  }
+  const linkLanguage = language || null;
+  if (linkLanguage && !eventHasLanguage(event, linkLanguage)) {
+    throw new ApiError(400, 'INVALID_LINK', 'The event has no booth for this language');
+  }
+
+  const tags = {
+    source: normalizeTag(source, 'Source'),
+    medium: normalizeTag(medium, 'Medium'),
+    campaign: normalizeTag(campaign, 'Campaign'),
+  };
+
+  // Looked up and inserted in one serialised update, so a form sent twice
+  // still ends up with a single code
+  return getStore().update(LINKS, (links) => {
+    const existing = Object.values(links).find((link) => (
+      link.event === event.slug
+      && link.language === linkLanguage
+      && link.source === tags.source
+      && link.medium === tags.medium
+      && link.campaign === tags.campaign
+    ));
+    if (existing) return { link: existing, created: false };
+
+    let code = createCode();
+    while (Object.prototype.hasOwnProperty.call(links, code)) {
+      code = createCode();
+    }
+
+    links[code] = {
+      code,
+      event: event.slug,
+      language: linkLanguage,
+      ...tags,
+      clicks: 0,
+      listens: 0,
+      createdAt: Date.now(),
+      createdBy: account.username,
+    };
+    return { link: links[code], created: true };
+  });
+};
+
+// Counted inside the store's update so simultaneous scans all add up
+const countVisit = (code, counter) => getStore().update(LINKS, (links) => {
+  const link = typeof code === 'string' && LINK_CODE_PATTERN.test(code) ? links[code] : null;
+  if (!link || !Object.prototype.hasOwnProperty.call(links, code)) {
+    throw new ApiError(404, 'LINK_NOT_FOUND', 'Short link not found');
+  }
+  links[code] = { ...link, [counter]: (link[counter] || 0) + 1 };
+  return links[code];
+});
+
+// Someone scanned or opened the link
+export const recordLinkClick = (code) => countVisit(code, 'clicks');
+
+// A listener who arrived through the link started playing
+export const recordLinkListen = (code) => countVisit(code, 'listens');
+
+export const removeShortLink = async (code) => {
+  const removed = await getStore().remove(LINKS, code);
+  if (!removed) {
+    throw new ApiError(404, 'LINK_NOT_FOUND', 'Short link not found');
+  }
+};
@@ -0,0 +1,256 @@
+import { createReadStream, promises as fs } from 'fs';
+import path from 'path';
+import { createInterface } from 'readline';
+import { ApiError } from '@/lib/apiError';
+import { LINK_TAG_PATTERN } from '@/lib/shortLinks';
+import {
+  LISTENER_SESSION_PATTERN,
+  MAX_BATCH_EVENTS,
+  QUALITY_LEVELS,
+  QUALITY_SAMPLE_MS,
+  TELEMETRY_EVENTS,
+} from '@/lib/telemetry';
+import { resolveEventChannel } from '@/services/EventService';
+
+// Listener telemetry is append-only and can be large, so it bypasses the data
+// store: one JSON line per event in `<TELEMETRY_DIR>/<YYYY-MM-DD>.jsonl` (UTC).
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Accepted client clock skew; anything outside is stamped with the arrival time
+const MAX_PAST_MS = 60 * 60 * 1000;
+const MAX_FUTURE_MS = 60 * 1000;
+// A playing listener without events for this long has gone away
+const STALE_MS = 2 * QUALITY_SAMPLE_MS + 15 * 1000;
+// Events before `from` still matter for listeners who were already playing
+const LOOKBACK_MS = 2 * 60 * 60 * 1000;
+const MAX_RANGE_MS = 7 * DAY_MS;
+const DEFAULT_RANGE_MS = 3 * 60 * 60 * 1000;
+const MAX_BUCKETS = 120;
+const MIN_BUCKET_MS = 60 * 1000;
+const TOP_SOURCES = 10;
+
+const getTelemetryDir = () => path.resolve(
+  process.env.TELEMETRY_DIR || path.join(process.env.DATA_DIR || 'data', 'telemetry')
+);
+
+const dayOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+const fileFor = (day) => path.join(getTelemetryDir(), `${day}.jsonl`);
+
+const finiteOrNull = (value, max) => (Number.isFinite(value) ? Math.min(Math.max(value, 0), max) : null);
+
+const sanitizeQuality = (data = {}) => ({
+  bitrate: finiteOrNull(data.bitrate, 10000),
+  latency: finiteOrNull(data.latency, 60000),
+  packetLoss: finiteOrNull(data.packetLoss, 100),
+  audioQuality: QUALITY_LEVELS.includes(data.audioQuality) ? data.audioQuality : 'Unknown',
+  networkType: typeof data.networkType === 'string' ? data.networkType.slice(0, 16) : null,
+});
+
+const sanitizeAttribution = (attribution) => {
+  if (!attribution || typeof attribution !== 'object') return {};
+  return Object.fromEntries(['ref', 'source', 'medium', 'campaign']
+    .filter((key) => typeof attribution[key] === 'string' && LINK_TAG_PATTERN.test(attribution[key]))
+    .map((key) => [key, attribution[key]]));
+};
+
+export const ingestTelemetry = async ({ sessionId, channelName, attribution, events }) => {
+  if (typeof sessionId !== 'string' || !LISTENER_SESSION_PATTERN.test(sessionId)) {
+    throw new ApiError(400, 'INVALID_SESSION_ID', 'Listener session id is missing or invalid');
+  }
+  if (!Array.isArray(events) || events.length === 0 || events.length > MAX_BATCH_EVENTS) {
+    throw new ApiError(400, 'INVALID_TELEMETRY', `Send between 1 and ${MAX_BATCH_EVENTS} events`);
+  }
+  const { event, language } = await resolveEventChannel(channelName);
+
+  const receivedAt = Date.now();
+  const types = Object.values(TELEMETRY_EVENTS);
+  const tags = sanitizeAttribution(attribution);
+
+  const records = events
+    .filter((item) => types.includes(item?.type))
+    .map((item) => {
+      const at = Number(item.at);
+      const inRange = Number.isFinite(at) && at > receivedAt - MAX_PAST_MS && at < receivedAt + MAX_FUTURE_MS;
+      return {
+        at: inRange ? at : receivedAt,
+        type: item.type,
+        sessionId,
+        event: event.slug,
+        language,
+        ...(item.type === TELEMETRY_EVENTS.QUALITY ? sanitizeQuality(item.data) : {}),
+        ...(item.type === TELEMETRY_EVENTS.JOIN ? tags : {}),
+      };
+    });
+
+  const byDay = new Map();
+  records.forEach((record) => {
+    const day = dayOf(record.at);
+    byDay.set(day, `${byDay.get(day) || ''}${JSON.stringify(record)}\n`);
+  });
+
+  await fs.mkdir(getTelemetryDir(), { recursive: true });
+  await Promise.all([...byDay].map(([day, lines]) => fs.appendFile(fileFor(day), lines)));
+  return records.length;
+};
+
+const readRecords = async (eventSlug, from, to) => {
+  const records = [];
+  for (let day = Date.parse(dayOf(from)); day <= to; day += DAY_MS) {
+    const file = fileFor(dayOf(day));
+    try {
+      await fs.access(file);
+    } catch {
+      continue;
+    }
+
+    const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      try {
+        const record = JSON.parse(line);
+        if (record.event === eventSlug && record.at >= from && record.at <= to) records.push(record);
+      } catch {
+        // a torn line from a crash mid-append
+      }
+    }
+  }
+  return records.sort((a, b) => a.at - b.at);
+};
+
+// Rebuilds each listener's playing intervals from their events. Quality
+// samples only arrive while playing, so they also recover lost play events.
+const buildSessions = (records, now) => {
+  const sessions = new Map();
+
+  records.forEach((record) => {
+    const key = `${record.sessionId}:${record.language}`;
+    if (!sessions.has(key)) {
+      sessions.set(key, { language: record.language, intervals: [], playingSince: null, lastSeen: record.at, reconnects: 0, tags: {} });
+    }
+    const session = sessions.get(key);
+
+    if (session.playingSince !== null && record.at - session.lastSeen > STALE_MS) {
+      session.intervals.push([session.playingSince, session.lastSeen]);
+      session.playingSince = null;
+    }
+    session.lastSeen = record.at;
+
+    switch (record.type) {
+      case TELEMETRY_EVENTS.JOIN:
+        session.tags = { ref: record.ref, source: record.source };
+        break;
+      case TELEMETRY_EVENTS.PLAY:
+      case TELEMETRY_EVENTS.QUALITY:
+        if (session.playingSince === null) session.playingSince = record.at;
+        break;
+      case TELEMETRY_EVENTS.PAUSE:
+      case TELEMETRY_EVENTS.LEAVE:
+        if (session.playingSince !== null) {
+          session.intervals.push([session.playingSince, record.at]);
+          session.playingSince = null;
+        }
+        break;
+      case TELEMETRY_EVENTS.RECONNECT:
+        session.reconnects += 1;
+        break;
+      default:
+        break;
+    }
+  });
+
+  sessions.forEach((session) => {
+    if (session.playingSince !== null) {
+      session.intervals.push([session.playingSince, Math.min(now, session.lastSeen + STALE_MS)]);
+    }
+  });
+  return [...sessions.values()];
+};
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const emptyQuality = () => Object.fromEntries(QUALITY_LEVELS.map((level) => [level, 0]));
+
+// GET /api/telemetry/summary: concurrent listeners per language over time,
+// listen time, reconnects, quality distribution and the sources that
+// brought listeners in, for one event between `from` and `to`
+export const getTelemetrySummary = async ({ event, from, to }) => {
+  if (!event) {
+    throw new ApiError(400, 'INVALID_RANGE', 'Choose an event');
+  }
+  const now = Date.now();
+  const end = Math.min(Number(to) || now, now);
+  const start = Number(from) || end - DEFAULT_RANGE_MS;
+  if (start >= end || end - start > MAX_RANGE_MS) {
+    throw new ApiError(400, 'INVALID_RANGE', 'The range must be between a minute and 7 days');
+  }
+
+  const bucketMs = Math.max(MIN_BUCKET_MS, Math.ceil((end - start) / MAX_BUCKETS / MIN_BUCKET_MS) * MIN_BUCKET_MS);
+  const records = await readRecords(event, start - LOOKBACK_MS, end);
+  const sessions = buildSessions(records, now);
+  const languages = [...new Set(sessions.map((session) => session.language))].sort();
+
+  // Concurrent listeners: distinct sessions playing at some point in each bucket
+  const series = [];
+  for (let time = start; time < end; time += bucketMs) {
+    const point = { time, total: 0 };
+    languages.forEach((language) => { point[language] = 0; });
+    sessions.forEach((session) => {
+      if (session.intervals.some(([a, b]) => a < time + bucketMs && b > time)) {
+        point[session.language] += 1;
+        point.total += 1;
+      }
+    });
+    series.push(point);
+  }
+
+  const listenMsIn = (session) => session.intervals
+    .reduce((sum, [a, b]) => sum + Math.max(0, Math.min(b, end) - Math.max(a, start)), 0);
+  const inRange = records.filter((record) => record.at >= start);
+  const samples = inRange.filter((record) => record.type === TELEMETRY_EVENTS.QUALITY);
+  const activeSessions = sessions.filter((session) => session.lastSeen >= start);
+
+  const summarize = (list, sampleList, peakKey) => {
+    const listened = list.map(listenMsIn).filter((ms) => ms > 0);
+    const quality = emptyQuality();
+    sampleList.forEach((sample) => { quality[sample.audioQuality] += 1; });
+    return {
+      sessions: list.length,
+      listeners: listened.length,
+      avgListenMs: Math.round(average(listened) || 0),
+      peak: series.reduce((max, point) => Math.max(max, point[peakKey]), 0),
+      reconnects: list.reduce((sum, session) => sum + session.reconnects, 0),
+      quality,
+      avgLatency: average(sampleList.map((s) => s.latency).filter(Number.isFinite)),
+      avgPacketLoss: average(sampleList.map((s) => s.packetLoss).filter(Number.isFinite)),
+      avgBitrate: average(sampleList.map((s) => s.bitrate).filter(Number.isFinite)),
+    };
+  };
+
+  const sourceCounts = new Map();
+  activeSessions.forEach((session) => {
+    if (!session.tags.source && !session.tags.ref) return;
+    const key = `${session.tags.source || ''}|${session.tags.ref || ''}`;
+    const entry = sourceCounts.get(key) || { source: session.tags.source || null, ref: session.tags.ref || null, sessions: 0 };
+    entry.sessions += 1;
+    sourceCounts.set(key, entry);
+  });
+
+  return {
+    event,
+    from: start,
+    to: end,
+    bucketMs,
+    languages,
+    series,
+    totals: summarize(activeSessions, samples, 'total'),
+    byLanguage: languages.map((language) => ({
+      language,
+      ...summarize(
+        activeSessions.filter((session) => session.language === language),
+        samples.filter((sample) => sample.language === language),
+        language
+      ),
+    })),
+    sources: [...sourceCounts.values()].sort((a, b) => b.sessions - a.sessions).slice(0, TOP_SOURCES),
+  };
+};
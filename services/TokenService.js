@@ -0,0 +1,72 @@
+import { randomUUID } from 'crypto';
+import { RtcTokenBuilder, RtcRole } from 'agora-token';
+import { ApiError } from '@/lib/apiError';
+
+export const TOKEN_ROLES = {
+  PUBLISHER: 'PUBLISHER',
+  SUBSCRIBER: 'SUBSCRIBER',
+};
+
+const DEFAULT_TOKEN_TTL = 3600;
+
+// Publishers and subscribers draw uids from separate ranges so a booth's
+// host client never collides with its own partner/relay audience clients.
+const PUBLISHER_UID_RANGE = { min: 1, size: 999999 };
+const SUBSCRIBER_UID_RANGE = { min: 1000000, size: 2147483647 - 1000000 };
+
+const CHANNEL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const readTtl = (name) => {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TOKEN_TTL;
+};
+
+export const getTokenTtl = (role) => role === TOKEN_ROLES.PUBLISHER
+  ? readTtl('AGORA_PUBLISHER_TOKEN_TTL')
+  : readTtl('AGORA_SUBSCRIBER_TOKEN_TTL');
+
+// FNV-1a, enough to spread subjects evenly over the uid range
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+// The same subject always gets the same uid on a channel, which keeps the uid
+// stable across reconnects and token renewals.
+export const assignUid = (role, subject, channelName) => {
+  const range = role === TOKEN_ROLES.PUBLISHER ? PUBLISHER_UID_RANGE : SUBSCRIBER_UID_RANGE;
+  return range.min + (hashString(`${role}:${subject}:${channelName}`) % range.size);
+};
+
+export const validateTokenRequest = ({ role, channelName }) => {
+  if (!Object.values(TOKEN_ROLES).includes(role)) {
+    throw new ApiError(400, 'INVALID_ROLE', `Role must be one of ${Object.values(TOKEN_ROLES).join(', ')}`);
+  }
+  if (typeof channelName !== 'string' || !CHANNEL_NAME_PATTERN.test(channelName)) {
+    throw new ApiError(400, 'INVALID_CHANNEL', 'Channel name is missing or invalid');
+  }
+};
+
+export const buildRtcToken = ({ role, channelName, subject }) => {
+  const appId = process.env.NEXT_PUBLIC_AGORA_APPID;
+  const appCertificate = process.env.AGORA_APP_CERTIFICATE;
+
+  if (!appId || !appCertificate) {
+    throw new ApiError(500, 'TOKEN_CONFIG_MISSING', 'Token service is not configured');
+  }
+
+  const uid = assignUid(role, subject || randomUUID(), channelName);
+  const ttl = getTokenTtl(role);
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const agoraRole = role === TOKEN_ROLES.PUBLISHER ? RtcRole.PUBLISHER : RtcRole.SUBSCRIBER;
+
+  const token = RtcTokenBuilder.buildTokenWithUid(
+    appId, appCertificate, channelName, uid, agoraRole, ttl, ttl
+  );
+
+  return { token, uid, expiresAt };
+};
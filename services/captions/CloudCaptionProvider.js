@@ -0,0 +1,38 @@
+import { getLanguageCode } from '@/lib/captions';
+
+const DEFAULT_API_URL = 'https://api.openai.com/v1/audio/transcriptions';
+const DEFAULT_MODEL = 'whisper-1';
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// Any OpenAI-compatible transcription endpoint. The key is server-only.
+export class CloudCaptionProvider {
+  constructor() {
+    if (!process.env.CAPTIONS_API_KEY) {
+      throw new Error('Cloud captions need CAPTIONS_API_KEY');
+    }
+    this.url = process.env.CAPTIONS_API_URL || DEFAULT_API_URL;
+    this.model = process.env.CAPTIONS_MODEL || DEFAULT_MODEL;
+    this.apiKey = process.env.CAPTIONS_API_KEY;
+  }
+
+  async transcribe({ audio, mimeType, language }) {
+    const form = new FormData();
+    const extension = mimeType.includes('ogg') ? 'ogg' : mimeType.includes('mp4') ? 'm4a' : 'webm';
+    form.append('file', new Blob([audio], { type: mimeType }), `segment.${extension}`);
+    form.append('model', this.model);
+    const code = getLanguageCode(language);
+    if (code) form.append('language', code);
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      body: form,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Transcription API returned ${response.status}`);
+    }
+    const { text } = await response.json();
+    return { text: text || '' };
+  }
+}
@@ -0,0 +1,31 @@
+import { promises as fs } from 'fs';
+
+// File-driven provider for demos and tests: ignores the audio and returns the
+// next line of CAPTIONS_STUB_FILE (plain text, one caption per line), or a
+// numbered placeholder when no file is configured.
+export class StubCaptionProvider {
+  constructor() {
+    this.file = process.env.CAPTIONS_STUB_FILE || null;
+    this.lines = null;
+    this.counters = new Map();
+  }
+
+  async loadLines() {
+    if (!this.lines) {
+      const text = this.file ? await fs.readFile(this.file, 'utf8') : '';
+      this.lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    }
+    return this.lines;
+  }
+
+  async transcribe({ language, channelName }) {
+    const lines = await this.loadLines();
+    const index = this.counters.get(channelName) || 0;
+    this.counters.set(channelName, index + 1);
+
+    if (lines.length === 0) {
+      return { text: `[${language}] caption ${index + 1}` };
+    }
+    return { text: lines[index % lines.length] };
+  }
+}
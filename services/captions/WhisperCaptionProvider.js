@@ -0,0 +1,32 @@
+import { getLanguageCode } from '@/lib/captions';
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// A local whisper.cpp server (`whisper-server --convert`, so it accepts WebM
+// and Ogg) at WHISPER_URL, e.g. a laptop in the venue without internet.
+export class WhisperCaptionProvider {
+  constructor() {
+    if (!process.env.WHISPER_URL) {
+      throw new Error('Whisper captions need WHISPER_URL');
+    }
+    this.url = `${process.env.WHISPER_URL.replace(/\/+$/, '')}/inference`;
+  }
+
+  async transcribe({ audio, mimeType, language }) {
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mimeType }), 'segment');
+    form.append('response_format', 'json');
+    form.append('language', getLanguageCode(language) || 'auto');
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      body: form,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Whisper server returned ${response.status}`);
+    }
+    const { text } = await response.json();
+    return { text: text || '' };
+  }
+}
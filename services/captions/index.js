@@ -0,0 +1,35 @@
+import { CloudCaptionProvider } from './CloudCaptionProvider';
+import { StubCaptionProvider } from './StubCaptionProvider';
+import { WhisperCaptionProvider } from './WhisperCaptionProvider';
+
+// Every provider exposes transcribe({ audio, mimeType, language, channelName })
+// resolving to { text }. Pick one with CAPTIONS_PROVIDER ("whisper", "cloud"
+// or "stub"); captions are off when it is unset.
+export const CAPTION_PROVIDERS = {
+  WHISPER: 'whisper',
+  CLOUD: 'cloud',
+  STUB: 'stub',
+};
+
+export const getCaptionProviderName = () => process.env.CAPTIONS_PROVIDER || null;
+
+const createCaptionProvider = () => {
+  switch (getCaptionProviderName()) {
+    case CAPTION_PROVIDERS.WHISPER:
+      return new WhisperCaptionProvider();
+    case CAPTION_PROVIDERS.CLOUD:
+      return new CloudCaptionProvider();
+    case CAPTION_PROVIDERS.STUB:
+      return new StubCaptionProvider();
+    default:
+      throw new Error(`Unknown CAPTIONS_PROVIDER "${getCaptionProviderName()}"`);
+  }
+};
+
+// Kept on globalThis so dev-mode hot reloads share one instance
+export const getCaptionProvider = () => {
+  if (!globalThis.__captionProvider) {
+    globalThis.__captionProvider = createCaptionProvider();
+  }
+  return globalThis.__captionProvider;
+};
@@ -0,0 +1,39 @@
+// In-process pub/sub behind the /api/realtime/[channel] event stream. Messages
+// only reach subscribers of the same server process, so this backend is meant
+// for a single `next start` instance (e.g. a venue laptop), not serverless.
+export class LocalRealtime {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  async trigger(channel, event, data) {
+    const listeners = this.channels.get(channel);
+    if (!listeners) return;
+    listeners.forEach((listener) => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error(`Realtime listener on ${channel} failed:`, error);
+      }
+    });
+  }
+
+  // Returns the unsubscribe function
+  subscribe(channel, listener) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(listener);
+
+    return () => {
+      const listeners = this.channels.get(channel);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) this.channels.delete(channel);
+    };
+  }
+
+  subscriberCount(channel) {
+    return this.channels.get(channel)?.size || 0;
+  }
+}
@@ -0,0 +1,24 @@
+import Pusher from 'pusher';
+
+// Server side of the Pusher backend. The secret is server-only (PUSHER_SECRET);
+// the key and cluster are public because the browser needs them too.
+export class PusherRealtime {
+  constructor() {
+    const { PUSHER_APP_ID, PUSHER_SECRET, NEXT_PUBLIC_PUSHER_KEY, NEXT_PUBLIC_PUSHER_CLUSTER } = process.env;
+    if (!PUSHER_APP_ID || !PUSHER_SECRET || !NEXT_PUBLIC_PUSHER_KEY) {
+      throw new Error('Pusher realtime needs PUSHER_APP_ID, PUSHER_SECRET and NEXT_PUBLIC_PUSHER_KEY');
+    }
+
+    this.pusher = new Pusher({
+      appId: PUSHER_APP_ID,
+      key: NEXT_PUBLIC_PUSHER_KEY,
+      secret: PUSHER_SECRET,
+      cluster: NEXT_PUBLIC_PUSHER_CLUSTER,
+      useTLS: true,
+    });
+  }
+
+  async trigger(channel, event, data) {
+    await this.pusher.trigger(channel, event, data);
+  }
+}
@@ -0,0 +1,26 @@
+import { REALTIME_DRIVERS, getRealtimeDriver } from '@/lib/realtime';
+import { LocalRealtime } from './LocalRealtime';
+import { PusherRealtime } from './PusherRealtime';
+
+// Every backend exposes trigger(channel, event, data); the local hub also
+// has subscribe(channel, listener) for the event-stream route.
+const createRealtime = () => {
+  switch (getRealtimeDriver()) {
+    case REALTIME_DRIVERS.PUSHER:
+      return new PusherRealtime();
+    case REALTIME_DRIVERS.LOCAL:
+      return new LocalRealtime();
+    default:
+      throw new Error(`Unknown realtime driver "${getRealtimeDriver()}"`);
+  }
+};
+
+// Kept on globalThis so dev-mode hot reloads share one hub and its subscribers
+export const getRealtime = () => {
+  if (!globalThis.__realtime) {
+    globalThis.__realtime = createRealtime();
+  }
+  return globalThis.__realtime;
+};
+
+export const publish = (channel, event, data) => getRealtime().trigger(channel, event, data);
@@ -0,0 +1,70 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// One JSON file per collection (`<dataDir>/<collection>.json`) holding an
+// object keyed by record id. Writes go through a temp file + rename and are
+// serialised per collection so concurrent requests don't clobber each other.
+export class JsonFileStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.writeQueues = new Map();
+  }
+
+  filePath(name) {
+    return path.join(this.dataDir, `${name}.json`);
+  }
+
+  async read(name) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async write(name, records) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const tmpPath = `${this.filePath(name)}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(records, null, 2));
+    await fs.rename(tmpPath, this.filePath(name));
+  }
+
+  // `mutate` gets the collection's records keyed by id and changes them in
+  // place; it runs after every earlier write to the collection has landed
+  update(name, mutate) {
+    const previous = this.writeQueues.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const records = await this.read(name);
+      const result = mutate(records);
+      await this.write(name, records);
+      return result;
+    });
+    this.writeQueues.set(name, next);
+    return next;
+  }
+
+  async list(name) {
+    return Object.values(await this.read(name));
+  }
+
+  async get(name, id) {
+    const records = await this.read(name);
+    return Object.prototype.hasOwnProperty.call(records, id) ? records[id] : null;
+  }
+
+  put(name, id, record) {
+    return this.update(name, (records) => {
+      records[id] = record;
+      return record;
+    });
+  }
+
+  remove(name, id) {
+    return this.update(name, (records) => {
+      const existed = Object.prototype.hasOwnProperty.call(records, id);
+      delete records[id];
+      return existed;
+    });
+  }
+}
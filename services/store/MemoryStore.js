@@ -0,0 +1,47 @@
+// Volatile store, handy for tests and throwaway demo deployments
+export class MemoryStore {
+  constructor(seed = {}) {
+    this.collections = new Map(
+      Object.entries(seed).map(([name, records]) => [name, new Map(Object.entries(records))])
+    );
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  async list(name) {
+    return [...this.collection(name).values()].map((record) => structuredClone(record));
+  }
+
+  async get(name, id) {
+    const record = this.collection(name).get(id);
+    return record ? structuredClone(record) : null;
+  }
+
+  async put(name, id, record) {
+    this.collection(name).set(id, structuredClone(record));
+    return record;
+  }
+
+  async remove(name, id) {
+    return this.collection(name).delete(id);
+  }
+
+  // Same contract as JsonFileStore.update: `mutate` changes the collection's
+  // records (an object keyed by id) in place and nothing else runs meanwhile
+  async update(name, mutate) {
+    const records = Object.fromEntries(
+      [...this.collection(name)].map(([id, record]) => [id, structuredClone(record)])
+    );
+    const result = mutate(records);
+    this.collections.set(
+      name,
+      new Map(Object.entries(records).map(([id, record]) => [id, structuredClone(record)]))
+    );
+    return result;
+  }
+}
@@ -0,0 +1,27 @@
+import path from 'path';
+import { JsonFileStore } from './JsonFileStore';
+import { MemoryStore } from './MemoryStore';
+
+// Every store exposes the same async API:
+//   list(collection), get(collection, id), put(collection, id, record), remove(collection, id)
+//   update(collection, mutate): read-modify-write of the whole collection, serialised
+//     with every other write to it; `mutate(records)` must be synchronous
+// Pick one with DATA_STORE ("json" by default, or "memory").
+const createStore = () => {
+  switch (process.env.DATA_STORE || 'json') {
+    case 'memory':
+      return new MemoryStore();
+    case 'json':
+      return new JsonFileStore(path.resolve(process.env.DATA_DIR || 'data'));
+    default:
+      throw new Error(`Unknown DATA_STORE "${process.env.DATA_STORE}"`);
+  }
+};
+
+// Kept on globalThis so dev-mode hot reloads share one instance
+export const getStore = () => {
+  if (!globalThis.__dataStore) {
+    globalThis.__dataStore = createStore();
+  }
+  return globalThis.__dataStore;
+};
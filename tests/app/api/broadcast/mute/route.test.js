@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { JsonFileStore } from '@/services/store/JsonFileStore';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { endBroadcastSession, getBroadcastSession, startBroadcastSession } from '@/services/BroadcastSessionService';
+import { publishBoothMute } from '@/services/ChannelStatusService';
+import { POST } from '@/app/api/broadcast/mute/route';
+
+vi.mock('next/headers', () => ({ cookies: async () => ({}) }));
+
+vi.mock('@/services/BoothSessionService', () => ({ requireInterpreter: vi.fn() }));
+
+vi.mock('@/services/ChannelStatusService', () => ({ publishBoothMute: vi.fn(async () => null) }));
+
+const MARIA = { username: 'maria', name: 'Maria' };
+const SESSION_ID = 'session-1';
+
+const postMute = (body) => POST(new Request('http://localhost/api/broadcast/mute', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+}));
+
+describe('POST /api/broadcast/mute', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'mute-'));
+    globalThis.__dataStore = new JsonFileStore(dataDir);
+    requireInterpreter.mockResolvedValue({ session: { username: 'maria' }, account: MARIA });
+    publishBoothMute.mockClear();
+    await startBroadcastSession({ sessionId: SESSION_ID, event: 'chogan', language: 'english', channelName: 'chogan-english' }, MARIA);
+  });
+
+  afterEach(async () => {
+    delete globalThis.__dataStore;
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('mutes the live session and pushes it', async () => {
+    const response = await postMute({ sessionId: SESSION_ID, muted: true });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).session.muted).toBe(true);
+    expect(publishBoothMute).toHaveBeenCalledWith(expect.objectContaining({ id: SESSION_ID, muted: true }));
+  });
+
+  it('answers 409 for an ended session and leaves it ended', async () => {
+    await endBroadcastSession({ sessionId: SESSION_ID }, MARIA);
+
+    const response = await postMute({ sessionId: SESSION_ID, muted: true });
+
+    expect(response.status).toBe(409);
+    expect((await response.json()).error.code).toBe('SESSION_ENDED');
+    expect(publishBoothMute).not.toHaveBeenCalled();
+    expect(await getBroadcastSession(SESSION_ID)).toMatchObject({ status: 'ended' });
+    expect((await getBroadcastSession(SESSION_ID)).muted).toBeUndefined();
+  });
+
+  it('cannot bring back a session whose end races the cough key', async () => {
+    const [, response] = await Promise.all([
+      endBroadcastSession({ sessionId: SESSION_ID }, MARIA),
+      postMute({ sessionId: SESSION_ID, muted: true }),
+    ]);
+
+    expect(response.status).toBe(409);
+    expect((await getBroadcastSession(SESSION_ID)).status).toBe('ended');
+  });
+
+  it('rejects a muted flag that is not a boolean', async () => {
+    const response = await postMute({ sessionId: SESSION_ID, muted: 'yes' });
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ApiError } from '@/lib/apiError';
+import { parseChannelName } from '@/lib/channels';
+import { requireInterpreter } from '@/services/BoothSessionService';
+import { getRealtime } from '@/services/realtime';
+import { GET, POST } from '@/app/api/realtime/[channel]/route';
+
+vi.mock('next/headers', () => ({ cookies: async () => ({}) }));
+
+vi.mock('@/services/BoothSessionService', () => ({ requireInterpreter: vi.fn() }));
+
+vi.mock('@/services/EventService', () => ({
+  resolveEventChannel: vi.fn(async (channelName) => {
+    const parsed = parseChannelName(channelName);
+    if (parsed?.eventSlug !== 'chogan') {
+      throw new ApiError(404, 'UNKNOWN_CHANNEL', 'No event broadcasts on this channel');
+    }
+    return { event: { slug: 'chogan' }, language: parsed.language };
+  }),
+}));
+
+const ENGLISH_BOOTH = { username: 'maria', languages: ['english'] };
+
+const context = (channel) => ({ params: Promise.resolve({ channel }) });
+
+const postMessage = (channel, body) => POST(
+  new Request(`http://localhost/api/realtime/${channel}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }),
+  context(channel)
+);
+
+// Opens the event stream and returns a reader of its decoded chunks
+const openStream = async (channel) => {
+  const abort = new AbortController();
+  const response = await GET(new Request(`http://localhost/api/realtime/${channel}`, { signal: abort.signal }), context(channel));
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  return {
+    response,
+    abort,
+    read: async () => decoder.decode((await reader.read()).value),
+  };
+};
+
+describe('/api/realtime/[channel]', () => {
+  beforeEach(() => {
+    vi.stubEnv('NEXT_PUBLIC_REALTIME_DRIVER', 'local');
+    delete globalThis.__realtime;
+    requireInterpreter.mockResolvedValue({ session: { username: 'maria' }, account: ENGLISH_BOOTH });
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    delete globalThis.__realtime;
+  });
+
+  describe('GET', () => {
+    it('streams messages published on the channel', async () => {
+      const stream = await openStream('chogan-english');
+      expect(stream.response.headers.get('Content-Type')).toBe('text/event-stream');
+      expect(await stream.read()).toBe(': connected\n\n');
+
+      await getRealtime().trigger('chogan-english', 'handover', { type: 'request' });
+      expect(await stream.read()).toBe(`data: ${JSON.stringify({ event: 'handover', data: { type: 'request' } })}\n\n`);
+
+      stream.abort.abort();
+    });
+
+    it('unsubscribes when the client goes away', async () => {
+      const stream = await openStream('chogan-english');
+      await stream.read();
+      expect(getRealtime().subscriberCount('chogan-english')).toBe(1);
+
+      stream.abort.abort();
+      expect(getRealtime().subscriberCount('chogan-english')).toBe(0);
+    });
+
+    it('is not served with the Pusher driver', async () => {
+      vi.stubEnv('NEXT_PUBLIC_REALTIME_DRIVER', 'pusher');
+      const response = await GET(new Request('http://localhost/api/realtime/chogan-english'), context('chogan-english'));
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST', () => {
+    it('publishes from a booth assigned to the language', async () => {
+      const stream = await openStream('chogan-english');
+      await stream.read();
+
+      const response = await postMessage('chogan-english', { event: 'handover', data: { type: 'ready' } });
+
+      expect(response.status).toBe(204);
+      expect(await stream.read()).toContain('"type":"ready"');
+      stream.abort.abort();
+    });
+
+    it("rejects a booth publishing into another language's channel", async () => {
+      const listener = vi.fn();
+      getRealtime().subscribe('chogan-german', listener);
+
+      const response = await postMessage('chogan-german', { event: 'handover', data: { type: 'request' } });
+
+      expect(response.status).toBe(403);
+      expect((await response.json()).error.code).toBe('LANGUAGE_NOT_ASSIGNED');
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('rejects channels no event serves', async () => {
+      const response = await postMessage('expo-english', { event: 'handover', data: null });
+      expect(response.status).toBe(404);
+    });
+
+    it('keeps server-only channels to the server', async () => {
+      const response = await postMessage('chogan-english.status', { event: 'status', data: { hostOnline: true } });
+      expect(response.status).toBe(403);
+      expect((await response.json()).error.code).toBe('FORBIDDEN');
+    });
+
+    it('requires a signed-in booth', async () => {
+      requireInterpreter.mockRejectedValue(new ApiError(401, 'UNAUTHORIZED', 'Sign in to the booth to continue'));
+      const response = await postMessage('chogan-english', { event: 'handover', data: null });
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { apiClient } from '@/http/apiClient';
+
+const [{ rejected: unwrap }] = apiClient.interceptors.response.handlers;
+
+describe('apiClient error interceptor', () => {
+  it('turns an API error body into an Error with code and status', async () => {
+    const error = await unwrap({
+      response: { status: 409, data: { error: { code: 'SESSION_ENDED', message: 'This broadcast session has ended' } } },
+    }).catch((rejection) => rejection);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ message: 'This broadcast session has ended', code: 'SESSION_ENDED', status: 409 });
+  });
+
+  it('passes other failures through', async () => {
+    const networkError = new Error('Network Error');
+    await expect(unwrap(networkError)).rejects.toBe(networkError);
+  });
+});
@@ -0,0 +1,13 @@
+import { describe, it, expect } from 'vitest';
+import { defaultLanguages } from '@/constants/defaultLanguages';
+import { getLanguageCode } from '@/lib/captions';
+
+describe('getLanguageCode', () => {
+  it.each(defaultLanguages.map((language) => language.value))('knows the ISO code of %s', (language) => {
+    expect(getLanguageCode(language)).toMatch(/^[a-z]{2}$/);
+  });
+
+  it('leaves unknown languages to auto-detection', () => {
+    expect(getLanguageCode('klingon')).toBeNull();
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest';
+import {
+  GO_LIVE_TIMEOUT_MS,
+  HANDOVER_PHASES,
+  READY_TIMEOUT_MS,
+  REQUEST_TTL_MS,
+  handoverReducer,
+  initialHandoverState,
+} from '@/lib/handover';
+
+const NOW = 1_000_000;
+const REQUEST_ID = 'req-1';
+const REQUESTER = { id: 'booth-a', name: 'Maria' };
+const RESPONDER = { id: 'booth-b', name: 'Ana' };
+
+const run = (actions, state = initialHandoverState) => actions.reduce(handoverReducer, state);
+
+const requesting = () => run([{ type: 'REQUEST', requestId: REQUEST_ID, expiresAt: NOW + REQUEST_TTL_MS }]);
+const accepted = () => run([{ type: 'RECEIVED_ACCEPT', requestId: REQUEST_ID, from: RESPONDER, now: NOW }], requesting());
+const ready = () => run([{ type: 'PUBLISHED', now: NOW }], accepted());
+
+const incoming = () => run([{
+  type: 'RECEIVED_REQUEST',
+  requestId: REQUEST_ID,
+  from: REQUESTER,
+  ttl: REQUEST_TTL_MS,
+  now: NOW,
+  isLive: true,
+}]);
+const awaitingReady = () => run([{ type: 'ACCEPT', now: NOW }], incoming());
+const releasing = () => run([{ type: 'RECEIVED_READY', requestId: REQUEST_ID }], awaitingReady());
+
+describe('handoverReducer', () => {
+  describe('full handover', () => {
+    it('takes the requester from request to complete', () => {
+      expect(requesting()).toMatchObject({ phase: HANDOVER_PHASES.REQUESTING, role: 'requester', requestId: REQUEST_ID });
+      expect(accepted()).toMatchObject({ phase: HANDOVER_PHASES.ACCEPTED, peer: RESPONDER, expiresAt: NOW + GO_LIVE_TIMEOUT_MS });
+      expect(ready()).toMatchObject({ phase: HANDOVER_PHASES.READY, expiresAt: NOW + READY_TIMEOUT_MS });
+
+      const completed = handoverReducer(ready(), { type: 'RECEIVED_COMPLETE', requestId: REQUEST_ID });
+      expect(completed).toMatchObject({ phase: HANDOVER_PHASES.COMPLETED, expiresAt: null, reason: null });
+    });
+
+    it('takes the responder from incoming to complete', () => {
+      expect(incoming()).toMatchObject({ phase: HANDOVER_PHASES.INCOMING, role: 'responder', peer: REQUESTER });
+      expect(awaitingReady()).toMatchObject({ phase: HANDOVER_PHASES.AWAITING_READY, expiresAt: NOW + READY_TIMEOUT_MS });
+      expect(releasing()).toMatchObject({ phase: HANDOVER_PHASES.RELEASING, expiresAt: null });
+
+      const completed = handoverReducer(releasing(), { type: 'RELEASED' });
+      expect(completed.phase).toBe(HANDOVER_PHASES.COMPLETED);
+    });
+
+    it('times an incoming request by its own clock', () => {
+      const received = (ttl) => handoverReducer(initialHandoverState, {
+        type: 'RECEIVED_REQUEST', requestId: REQUEST_ID, from: REQUESTER, ttl, now: NOW, isLive: true,
+      });
+      expect(received(10 * 1000).expiresAt).toBe(NOW + 10 * 1000);
+      expect(received(REQUEST_TTL_MS * 10).expiresAt).toBe(NOW + REQUEST_TTL_MS);
+      expect(received(undefined).expiresAt).toBe(NOW + REQUEST_TTL_MS);
+    });
+
+    it('ignores messages about another request', () => {
+      const state = requesting();
+      expect(handoverReducer(state, { type: 'RECEIVED_ACCEPT', requestId: 'other', from: RESPONDER })).toBe(state);
+      expect(handoverReducer(awaitingReady(), { type: 'RECEIVED_READY', requestId: 'other' }).phase)
+        .toBe(HANDOVER_PHASES.AWAITING_READY);
+    });
+  });
+
+  describe('busy responder', () => {
+    it('keeps handling the first request', () => {
+      const state = incoming();
+      const next = handoverReducer(state, {
+        type: 'RECEIVED_REQUEST',
+        requestId: 'req-2',
+        from: { id: 'booth-c' },
+        ttl: REQUEST_TTL_MS,
+        now: NOW,
+        isLive: true,
+      });
+      expect(next).toBe(state);
+    });
+
+    it('rejects the requester with the busy reason', () => {
+      const next = handoverReducer(requesting(), {
+        type: 'RECEIVED_REJECT',
+        requestId: REQUEST_ID,
+        from: RESPONDER,
+        reason: 'busy',
+      });
+      expect(next).toMatchObject({ phase: HANDOVER_PHASES.REJECTED, reason: 'busy', peer: RESPONDER, expiresAt: null });
+    });
+
+    it('only answers requests while on air', () => {
+      const next = handoverReducer(initialHandoverState, {
+        type: 'RECEIVED_REQUEST',
+        requestId: REQUEST_ID,
+        from: REQUESTER,
+        ttl: REQUEST_TTL_MS,
+        now: NOW,
+        isLive: false,
+      });
+      expect(next).toBe(initialHandoverState);
+    });
+  });
+
+  describe('cancel', () => {
+    it('returns the requester to idle until accepted', () => {
+      expect(handoverReducer(requesting(), { type: 'CANCEL' })).toBe(initialHandoverState);
+      expect(handoverReducer(accepted(), { type: 'CANCEL' }).phase).toBe(HANDOVER_PHASES.ACCEPTED);
+    });
+
+    it('ends the responder side while incoming or awaiting ready', () => {
+      const cancel = { type: 'RECEIVED_CANCEL', requestId: REQUEST_ID, reason: 'cancelled' };
+      expect(handoverReducer(incoming(), cancel)).toMatchObject({ phase: HANDOVER_PHASES.CANCELLED, reason: 'cancelled' });
+      expect(handoverReducer(awaitingReady(), cancel).phase).toBe(HANDOVER_PHASES.CANCELLED);
+      expect(handoverReducer(releasing(), cancel).phase).toBe(HANDOVER_PHASES.RELEASING);
+    });
+  });
+
+  describe('EXPIRE', () => {
+    it('does nothing before the deadline', () => {
+      const state = requesting();
+      expect(handoverReducer(state, { type: 'EXPIRE', now: NOW + REQUEST_TTL_MS - 1 })).toBe(state);
+    });
+
+    it('expires a pending request on both sides', () => {
+      const expire = { type: 'EXPIRE', now: NOW + REQUEST_TTL_MS };
+      expect(handoverReducer(requesting(), expire)).toMatchObject({ phase: HANDOVER_PHASES.EXPIRED, expiresAt: null });
+      expect(handoverReducer(incoming(), expire).phase).toBe(HANDOVER_PHASES.EXPIRED);
+    });
+
+    it('fails the responder when the requester never comes on air', () => {
+      const next = handoverReducer(awaitingReady(), { type: 'EXPIRE', now: NOW + READY_TIMEOUT_MS });
+      expect(next).toMatchObject({ phase: HANDOVER_PHASES.FAILED, reason: 'no-ready' });
+    });
+
+    it('completes the requester that never hears back', () => {
+      const next = handoverReducer(ready(), { type: 'EXPIRE', now: NOW + READY_TIMEOUT_MS });
+      expect(next).toMatchObject({ phase: HANDOVER_PHASES.COMPLETED, reason: 'no-complete' });
+    });
+
+    it('leaves phases without a deadline alone', () => {
+      const state = releasing();
+      expect(handoverReducer(state, { type: 'EXPIRE', now: NOW * 10 })).toBe(state);
+    });
+  });
+
+  describe('late ready', () => {
+    it('gives the requester up well before the responder stops waiting', () => {
+      expect(GO_LIVE_TIMEOUT_MS).toBeLessThan(READY_TIMEOUT_MS);
+      // The requester's clock starts when the accept arrives, after the responder's
+      const giveUp = handoverReducer(accepted(), { type: 'EXPIRE', now: NOW + GO_LIVE_TIMEOUT_MS });
+      expect(giveUp).toMatchObject({ phase: HANDOVER_PHASES.FAILED, reason: 'go-live-timeout' });
+      expect(handoverReducer(awaitingReady(), { type: 'EXPIRE', now: NOW + GO_LIVE_TIMEOUT_MS }).phase)
+        .toBe(HANDOVER_PHASES.AWAITING_READY);
+    });
+
+    it('ignores publishing after the requester gave up', () => {
+      const giveUp = handoverReducer(accepted(), { type: 'EXPIRE', now: NOW + GO_LIVE_TIMEOUT_MS });
+      expect(handoverReducer(giveUp, { type: 'PUBLISHED', now: NOW + GO_LIVE_TIMEOUT_MS + 1000 })).toBe(giveUp);
+    });
+
+    it('keeps the responder on air when ready arrives after its timeout', () => {
+      const failed = handoverReducer(awaitingReady(), { type: 'EXPIRE', now: NOW + READY_TIMEOUT_MS });
+      const late = handoverReducer(failed, { type: 'RECEIVED_READY', requestId: REQUEST_ID });
+      expect(late).toMatchObject({ phase: HANDOVER_PHASES.FAILED, reason: 'no-ready' });
+    });
+  });
+
+  describe('PUBLISH_FAILED', () => {
+    it('fails an accepted handover', () => {
+      expect(handoverReducer(accepted(), { type: 'PUBLISH_FAILED' }))
+        .toMatchObject({ phase: HANDOVER_PHASES.FAILED, reason: 'publish-failed' });
+      expect(handoverReducer(accepted(), { type: 'PUBLISH_FAILED', reason: 'no-mic' }).reason).toBe('no-mic');
+    });
+
+    it('is ignored in other phases', () => {
+      const state = ready();
+      expect(handoverReducer(state, { type: 'PUBLISH_FAILED' })).toBe(state);
+    });
+  });
+
+  it('dismisses a finished handover back to idle', () => {
+    const rejected = handoverReducer(requesting(), { type: 'RECEIVED_REJECT', requestId: REQUEST_ID, from: RESPONDER });
+    expect(handoverReducer(rejected, { type: 'DISMISS' })).toBe(initialHandoverState);
+    expect(handoverReducer(requesting(), { type: 'DISMISS' }).phase).toBe(HANDOVER_PHASES.REQUESTING);
+  });
+});
@@ -0,0 +1,9 @@
+import { describe, it, expect } from 'vitest';
+import { AUTO_HANDOVER_ATTEMPTS, autoHandoverDelay } from '@/lib/shifts';
+
+describe('autoHandoverDelay', () => {
+  it('doubles the wait after each failed attempt', () => {
+    const delays = Array.from({ length: AUTO_HANDOVER_ATTEMPTS - 1 }, (_, index) => autoHandoverDelay(index + 1));
+    expect(delays).toEqual([15 * 1000, 30 * 1000, 60 * 1000]);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createTokenRenewer } from '@/lib/tokenRenewal';
+
+const NOW = Date.UTC(2026, 0, 1);
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// The part of Agora's IAgoraRTCClient the renewer uses
+const createFakeClient = () => {
+  const handlers = new Map();
+  return {
+    connectionState: 'CONNECTED',
+    renewToken: vi.fn(async () => {}),
+    on: vi.fn((event, handler) => handlers.set(event, handler)),
+    off: vi.fn((event, handler) => {
+      if (handlers.get(event) === handler) handlers.delete(event);
+    }),
+    emit: (event) => handlers.get(event)?.(),
+    listens: (event) => handlers.has(event),
+  };
+};
+
+const tokenFetcher = (ttlSeconds = 3600) => {
+  let count = 0;
+  return vi.fn(async () => {
+    count += 1;
+    return { token: `token-${count}`, expiresAt: nowSeconds() + ttlSeconds };
+  });
+};
+
+describe('createTokenRenewer', () => {
+  let client;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    client = createFakeClient();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('renews ahead of the scheduled expiry', async () => {
+    const fetchToken = tokenFetcher();
+    const onStatusChange = vi.fn();
+    const renewer = createTokenRenewer(client, fetchToken, { onStatusChange, renewAheadSeconds: 120 });
+
+    renewer.schedule(nowSeconds() + 600);
+    expect(onStatusChange).toHaveBeenLastCalledWith(expect.objectContaining({ state: 'valid' }));
+
+    await vi.advanceTimersByTimeAsync(479 * 1000);
+    expect(client.renewToken).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(fetchToken).toHaveBeenCalledTimes(1);
+    expect(client.renewToken).toHaveBeenCalledWith('token-1');
+    expect(onStatusChange).toHaveBeenLastCalledWith(expect.objectContaining({ state: 'renewed' }));
+  });
+
+  it('renews on the will-expire event', async () => {
+    const fetchToken = tokenFetcher();
+    createTokenRenewer(client, fetchToken);
+
+    client.emit('token-privilege-will-expire');
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(client.renewToken).toHaveBeenCalledWith('token-1');
+  });
+
+  it('retries a failed renewal', async () => {
+    const fetchToken = vi.fn()
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValue({ token: 'token-2', expiresAt: nowSeconds() + 3600 });
+    const onStatusChange = vi.fn();
+    const renewer = createTokenRenewer(client, fetchToken, { onStatusChange });
+
+    await renewer.renew();
+    expect(onStatusChange).toHaveBeenLastCalledWith({ state: 'failed', error: 'offline' });
+    expect(client.renewToken).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(15 * 1000);
+    expect(client.renewToken).toHaveBeenCalledWith('token-2');
+  });
+
+  it('retries while the client is reconnecting', async () => {
+    const fetchToken = tokenFetcher();
+    const renewer = createTokenRenewer(client, fetchToken);
+
+    client.connectionState = 'RECONNECTING';
+    await renewer.renew();
+    expect(fetchToken).not.toHaveBeenCalled();
+
+    client.connectionState = 'CONNECTED';
+    await vi.advanceTimersByTimeAsync(15 * 1000);
+    expect(client.renewToken).toHaveBeenCalledWith('token-1');
+  });
+
+  it('calls onExpired when the token did expire', async () => {
+    const onExpired = vi.fn(async () => {});
+    const onStatusChange = vi.fn();
+    const renewer = createTokenRenewer(client, tokenFetcher(), { onExpired, onStatusChange });
+    renewer.schedule(nowSeconds() + 600);
+
+    client.emit('token-privilege-did-expire');
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(onExpired).toHaveBeenCalledTimes(1);
+    expect(onStatusChange).toHaveBeenCalledWith({ state: 'expired' });
+    // The scheduled renewal was dropped with the expired token
+    await vi.advanceTimersByTimeAsync(600 * 1000);
+    expect(client.renewToken).not.toHaveBeenCalled();
+  });
+
+  it('stops renewing once detached', async () => {
+    const fetchToken = tokenFetcher();
+    const onStatusChange = vi.fn();
+    const renewer = createTokenRenewer(client, fetchToken, { onStatusChange });
+    renewer.schedule(nowSeconds() + 600);
+    onStatusChange.mockClear();
+
+    renewer.detach();
+    expect(client.listens('token-privilege-will-expire')).toBe(false);
+    expect(client.listens('token-privilege-did-expire')).toBe(false);
+
+    await vi.advanceTimersByTimeAsync(600 * 1000);
+    await renewer.renew();
+    expect(fetchToken).not.toHaveBeenCalled();
+    expect(onStatusChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { JsonFileStore } from '@/services/store/JsonFileStore';
+import {
+  SESSION_STATUS,
+  endBroadcastSession,
+  getBroadcastSession,
+  startBroadcastSession,
+  updateBroadcastSession,
+} from '@/services/BroadcastSessionService';
+
+const MARIA = { username: 'maria', name: 'Maria' };
+const SESSION_ID = 'session-1';
+const START = Date.UTC(2026, 9, 19, 9);
+
+describe('BroadcastSessionService', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'sessions-'));
+    globalThis.__dataStore = new JsonFileStore(dataDir);
+    await startBroadcastSession({
+      sessionId: SESSION_ID,
+      startTime: START,
+      event: 'chogan',
+      language: 'english',
+      channelName: 'chogan-english',
+    }, MARIA);
+  });
+
+  afterEach(async () => {
+    delete globalThis.__dataStore;
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('stays ended when an update races the end call', async () => {
+    const [ended, updated] = await Promise.allSettled([
+      endBroadcastSession({ sessionId: SESSION_ID, endTime: START + 60 * 1000 }, MARIA),
+      updateBroadcastSession(SESSION_ID, MARIA, { muted: true }),
+    ]);
+
+    expect(ended.status).toBe('fulfilled');
+    expect(updated.reason).toMatchObject({ status: 409, code: 'SESSION_ENDED' });
+    expect(await getBroadcastSession(SESSION_ID)).toMatchObject({ status: SESSION_STATUS.ENDED, duration: 60 });
+  });
+
+  it('keeps an update that lands before the end', async () => {
+    await Promise.all([
+      updateBroadcastSession(SESSION_ID, MARIA, { muted: true }),
+      endBroadcastSession({ sessionId: SESSION_ID, endTime: START + 60 * 1000 }, MARIA),
+    ]);
+
+    expect(await getBroadcastSession(SESSION_ID)).toMatchObject({ status: SESSION_STATUS.ENDED, muted: true });
+  });
+
+  it('refuses to end a session twice or on behalf of another interpreter', async () => {
+    await expect(endBroadcastSession({ sessionId: SESSION_ID }, { username: 'ana' }))
+      .rejects.toMatchObject({ status: 403 });
+    await endBroadcastSession({ sessionId: SESSION_ID, endTime: START + 60 * 1000 }, MARIA);
+    await expect(endBroadcastSession({ sessionId: SESSION_ID, endTime: START + 120 * 1000 }, MARIA))
+      .rejects.toMatchObject({ status: 409 });
+    expect((await getBroadcastSession(SESSION_ID)).duration).toBe(60);
+  });
+
+  it('reports unknown sessions', async () => {
+    await expect(updateBroadcastSession('missing', MARIA, { muted: true })).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { JsonFileStore } from '@/services/store/JsonFileStore';
+import { endBroadcastSession, startBroadcastSession } from '@/services/BroadcastSessionService';
+import { getSessionTranscript, transcribeSegment } from '@/services/CaptionService';
+
+vi.mock('@/services/EventService', () => ({
+  resolveEventChannel: vi.fn(async () => ({ event: { slug: 'chogan' }, language: 'english' })),
+}));
+
+vi.mock('@/services/realtime', () => ({ publish: vi.fn(async () => {}) }));
+
+const MARIA = { username: 'maria', name: 'Maria', languages: ['english'] };
+const SESSION_ID = 'session-1';
+const START = Date.UTC(2026, 9, 19, 9);
+
+const segment = (index) => ({
+  channelName: 'chogan-english',
+  sessionId: SESSION_ID,
+  start: START + index * 5000,
+  end: START + (index + 1) * 5000,
+  audio: Buffer.from('audio'),
+  mimeType: 'audio/webm;codecs=opus',
+});
+
+describe('transcribeSegment', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'captions-'));
+    vi.stubEnv('CAPTIONS_PROVIDER', 'stub');
+    delete globalThis.__captionProvider;
+    globalThis.__dataStore = new JsonFileStore(dataDir);
+    await startBroadcastSession({ sessionId: SESSION_ID, event: 'chogan', language: 'english', channelName: 'chogan-english' }, MARIA);
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    delete globalThis.__captionProvider;
+    delete globalThis.__dataStore;
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps every segment of a live session', async () => {
+    await Promise.all([0, 1, 2].map((index) => transcribeSegment(segment(index), MARIA)));
+    expect((await getSessionTranscript(SESSION_ID)).segments).toHaveLength(3);
+  });
+
+  it('rejects segments once the session has ended', async () => {
+    await endBroadcastSession({ sessionId: SESSION_ID }, MARIA);
+
+    await expect(transcribeSegment(segment(0), MARIA)).rejects.toMatchObject({ status: 409, code: 'SESSION_ENDED' });
+    await expect(getSessionTranscript(SESSION_ID)).rejects.toMatchObject({ status: 404 });
+  });
+});
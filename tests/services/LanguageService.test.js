@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { defaultLanguages } from '@/constants/defaultLanguages';
+import { JsonFileStore } from '@/services/store/JsonFileStore';
+import {
+  createLanguage,
+  getLanguage,
+  listLanguages,
+  removeLanguage,
+  reorderLanguages,
+  updateLanguage,
+} from '@/services/LanguageService';
+
+const DEFAULT_VALUES = defaultLanguages.map((language) => language.value);
+
+describe('LanguageService', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'languages-'));
+    globalThis.__dataStore = new JsonFileStore(dataDir);
+  });
+
+  afterEach(async () => {
+    delete globalThis.__dataStore;
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('seeds the default catalog once however many first reads race', async () => {
+    const lists = await Promise.all([listLanguages({ includeDisabled: true }), listLanguages({ includeDisabled: true })]);
+    lists.forEach((languages) => expect(languages.map((language) => language.value)).toEqual(DEFAULT_VALUES));
+  });
+
+  it('keeps both an edit and a reorder made at the same time', async () => {
+    const reversed = [...DEFAULT_VALUES].reverse();
+    const [edited] = DEFAULT_VALUES;
+
+    await Promise.all([
+      reorderLanguages(reversed),
+      updateLanguage(edited, { name: 'Renamed' }),
+    ]);
+
+    const languages = await listLanguages({ includeDisabled: true });
+    expect(languages.map((language) => language.value)).toEqual(reversed);
+    expect((await getLanguage(edited)).name).toBe('Renamed');
+  });
+
+  it('creates a language once when the same form is sent twice', async () => {
+    const results = await Promise.allSettled([
+      createLanguage({ value: 'polish', name: 'Polish' }),
+      createLanguage({ value: 'polish', name: 'Polish' }),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason).toMatchObject({ status: 409 });
+    expect((await getLanguage('polish')).order).toBe(DEFAULT_VALUES.length);
+  });
+
+  it('rejects an order that does not list every language once', async () => {
+    await expect(reorderLanguages(DEFAULT_VALUES.slice(1))).rejects.toMatchObject({ status: 400, code: 'INVALID_ORDER' });
+    await expect(reorderLanguages([DEFAULT_VALUES[0], ...DEFAULT_VALUES.slice(0, -1)])).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('removes languages but never the last one', async () => {
+    await Promise.all(DEFAULT_VALUES.slice(1).map((value) => removeLanguage(value)));
+    await expect(removeLanguage(DEFAULT_VALUES[0])).rejects.toMatchObject({ status: 400, code: 'LAST_LANGUAGE' });
+    await expect(updateLanguage(DEFAULT_VALUES[1], { name: 'Gone' })).rejects.toMatchObject({ status: 404 });
+  });
+});
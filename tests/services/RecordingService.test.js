@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { JsonFileStore } from '@/services/store/JsonFileStore';
+import {
+  RECORDING_STATUS,
+  appendRecordingChunk,
+  completeRecording,
+  getRecording,
+  openRecordingFile,
+  startRecording,
+} from '@/services/RecordingService';
+
+vi.mock('@/services/EventService', () => ({
+  resolveEventChannel: vi.fn(async () => ({ event: { slug: 'chogan' }, language: 'english' })),
+}));
+
+const MARIA = { username: 'maria', name: 'Maria', languages: ['english'] };
+
+describe('RecordingService', () => {
+  let dataDir;
+  let recording;
+
+  const audioOf = async (id) => readFile(path.join(dataDir, 'recordings', (await getRecording(id)).file), 'utf8');
+
+  beforeEach(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'recordings-'));
+    vi.stubEnv('RECORDINGS_DIR', path.join(dataDir, 'recordings'));
+    globalThis.__dataStore = new JsonFileStore(dataDir);
+    recording = await startRecording({ channelName: 'chogan-english', mimeType: 'audio/webm;codecs=opus' }, MARIA);
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    delete globalThis.__dataStore;
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('writes a chunk retried while the first attempt is in flight only once', async () => {
+    const results = await Promise.all([
+      appendRecordingChunk(recording.id, 0, Buffer.from('aaa'), MARIA),
+      appendRecordingChunk(recording.id, 0, Buffer.from('aaa'), MARIA),
+      appendRecordingChunk(recording.id, 1, Buffer.from('bb'), MARIA),
+    ]);
+
+    expect(results.map((result) => result.chunks)).toEqual([1, 1, 2]);
+    expect(await audioOf(recording.id)).toBe('aaabb');
+    expect(await getRecording(recording.id)).toMatchObject({ chunks: 2, bytes: 5 });
+  });
+
+  it('stays complete when a chunk races the completion', async () => {
+    const [chunk, completed] = await Promise.allSettled([
+      appendRecordingChunk(recording.id, 0, Buffer.from('aaa'), MARIA),
+      completeRecording(recording.id, {}, MARIA),
+      appendRecordingChunk(recording.id, 1, Buffer.from('bb'), MARIA),
+    ]);
+
+    expect(chunk.status).toBe('fulfilled');
+    expect(completed.value.status).toBe(RECORDING_STATUS.COMPLETE);
+    expect(await getRecording(recording.id)).toMatchObject({ status: RECORDING_STATUS.COMPLETE, chunks: 1 });
+    expect(await audioOf(recording.id)).toBe('aaa');
+  });
+
+  it('rejects chunks out of order', async () => {
+    await expect(appendRecordingChunk(recording.id, 1, Buffer.from('bb'), MARIA))
+      .rejects.toMatchObject({ status: 409, code: 'CHUNK_OUT_OF_ORDER' });
+  });
+
+  it('answers 416 for ranges it cannot serve', async () => {
+    await appendRecordingChunk(recording.id, 0, Buffer.from('0123456789'), MARIA);
+    const stored = await getRecording(recording.id);
+
+    await expect(openRecordingFile(stored, { start: 8, end: 2 })).rejects.toMatchObject({ status: 416, code: 'RANGE_NOT_SATISFIABLE' });
+    await expect(openRecordingFile(stored, { start: 10 })).rejects.toMatchObject({ status: 416 });
+
+    const { start, end, stream } = await openRecordingFile(stored, { start: 2, end: 4 });
+    stream.destroy();
+    expect([start, end]).toEqual([2, 4]);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { JsonFileStore } from '@/services/store/JsonFileStore';
+import { createShift, listShifts, updateShift } from '@/services/ShiftService';
+
+vi.mock('@/services/EventService', () => ({
+  getEvent: vi.fn(async (slug) => ({ slug, languages: ['english', 'german'] })),
+  eventHasLanguage: (event, language) => event.languages.includes(language),
+}));
+
+vi.mock('@/services/AccountService', () => ({
+  getAccount: vi.fn(async (username) => ({ username, name: username, languages: ['*'] })),
+}));
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2026, 9, 19, 9);
+
+const shift = (interpreter, start, end, language = 'english') => ({ event: 'chogan', language, interpreter, start, end });
+
+describe('ShiftService', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'shifts-'));
+    globalThis.__dataStore = new JsonFileStore(dataDir);
+  });
+
+  afterEach(async () => {
+    delete globalThis.__dataStore;
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('lets only one of two overlapping shifts saved at once in', async () => {
+    const results = await Promise.allSettled([
+      createShift(shift('maria', START, START + HOUR)),
+      createShift(shift('ana', START + HOUR / 2, START + 2 * HOUR)),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason).toMatchObject({ status: 409, code: 'SHIFT_OVERLAP' });
+    expect(await listShifts({ event: 'chogan' })).toHaveLength(1);
+  });
+
+  it('only checks overlaps within the same booth', async () => {
+    await createShift(shift('maria', START, START + HOUR));
+    await createShift(shift('ana', START, START + HOUR, 'german'));
+    expect(await listShifts({ event: 'chogan' })).toHaveLength(2);
+  });
+
+  it('does not count a shift against itself when it is moved', async () => {
+    const created = await createShift(shift('maria', START, START + HOUR));
+    const moved = await updateShift(created.id, { end: START + 2 * HOUR });
+    expect(moved).toMatchObject({ id: created.id, end: START + 2 * HOUR });
+  });
+
+  it('rejects moving a shift onto another one', async () => {
+    await createShift(shift('maria', START, START + HOUR));
+    const later = await createShift(shift('ana', START + HOUR, START + 2 * HOUR));
+
+    await expect(updateShift(later.id, { start: START + HOUR / 2 })).rejects.toMatchObject({ code: 'SHIFT_OVERLAP' });
+    expect((await listShifts({ interpreter: 'ana' }))[0].start).toBe(START + HOUR);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { JsonFileStore } from '@/services/store/JsonFileStore';
+import { createShortLink, getShortLink, listShortLinks, recordLinkClick, recordLinkListen } from '@/services/ShortLinkService';
+
+vi.mock('@/services/EventService', () => ({
+  getEvent: vi.fn(async (slug) => (slug === 'chogan' ? { slug, languages: ['english', 'german'] } : null)),
+  eventHasLanguage: (event, language) => event.languages.includes(language),
+}));
+
+const CODE = 'poster';
+
+describe('ShortLinkService', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'links-'));
+    globalThis.__dataStore = new JsonFileStore(dataDir);
+    await globalThis.__dataStore.put('links', CODE, { code: CODE, event: 'chogan', clicks: 0, listens: 0 });
+  });
+
+  afterEach(async () => {
+    delete globalThis.__dataStore;
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('counts every one of many simultaneous scans', async () => {
+    await Promise.all(Array.from({ length: 25 }, () => recordLinkClick(CODE)));
+    await Promise.all(Array.from({ length: 5 }, () => recordLinkListen(CODE)));
+
+    expect(await getShortLink(CODE)).toMatchObject({ clicks: 25, listens: 5 });
+  });
+
+  it('rejects unknown codes without creating them', async () => {
+    await expect(recordLinkClick('unknown')).rejects.toMatchObject({ status: 404, code: 'LINK_NOT_FOUND' });
+    await expect(recordLinkClick('constructor')).rejects.toMatchObject({ status: 404 });
+    expect(await globalThis.__dataStore.get('links', 'unknown')).toBeNull();
+  });
+
+  it('creates one code when the same poster form is sent twice at once', async () => {
+    const poster = { event: 'chogan', language: 'german', source: 'poster', medium: 'print' };
+    const [first, second] = await Promise.all([
+      createShortLink(poster, { username: 'ana' }),
+      createShortLink(poster, { username: 'ana' }),
+    ]);
+
+    expect(first.created).toBe(true);
+    expect(second).toEqual({ link: first.link, created: false });
+    expect((await listShortLinks({ event: 'chogan' })).filter((link) => link.language === 'german')).toHaveLength(1);
+  });
+
+  it('gives different tags their own code', async () => {
+    const { link: poster } = await createShortLink({ event: 'chogan', source: 'poster' }, { username: 'ana' });
+    const { link: flyer } = await createShortLink({ event: 'chogan', source: 'flyer' }, { username: 'ana' });
+    expect(flyer.code).not.toBe(poster.code);
+  });
+});
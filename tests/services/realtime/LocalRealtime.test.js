@@ -0,0 +1,53 @@
+import { describe, it, expect, vi } from 'vitest';
+import { LocalRealtime } from '@/services/realtime/LocalRealtime';
+
+describe('LocalRealtime', () => {
+  it('delivers messages to the subscribers of a channel only', async () => {
+    const hub = new LocalRealtime();
+    const english = vi.fn();
+    const german = vi.fn();
+    hub.subscribe('chogan-english', english);
+    hub.subscribe('chogan-german', german);
+
+    await hub.trigger('chogan-english', 'handover', { type: 'request' });
+
+    expect(english).toHaveBeenCalledWith('handover', { type: 'request' });
+    expect(german).not.toHaveBeenCalled();
+  });
+
+  it('forgets a channel once its last subscriber leaves', async () => {
+    const hub = new LocalRealtime();
+    const first = vi.fn();
+    const unsubscribeFirst = hub.subscribe('chogan-english', first);
+    const unsubscribeSecond = hub.subscribe('chogan-english', vi.fn());
+    expect(hub.subscriberCount('chogan-english')).toBe(2);
+
+    unsubscribeFirst();
+    await hub.trigger('chogan-english', 'handover', null);
+    expect(first).not.toHaveBeenCalled();
+
+    unsubscribeSecond();
+    unsubscribeSecond();
+    expect(hub.subscriberCount('chogan-english')).toBe(0);
+    expect(hub.channels.has('chogan-english')).toBe(false);
+  });
+
+  it('keeps delivering when one subscriber throws', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const hub = new LocalRealtime();
+    const healthy = vi.fn();
+    hub.subscribe('chogan-english', () => {
+      throw new Error('broken tab');
+    });
+    hub.subscribe('chogan-english', healthy);
+
+    await hub.trigger('chogan-english', 'handover', { type: 'ready' });
+
+    expect(healthy).toHaveBeenCalledWith('handover', { type: 'ready' });
+    vi.restoreAllMocks();
+  });
+
+  it('accepts messages for channels nobody listens to', async () => {
+    await expect(new LocalRealtime().trigger('chogan-english', 'handover', null)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { JsonFileStore } from '@/services/store/JsonFileStore';
+import { MemoryStore } from '@/services/store/MemoryStore';
+
+const append = (store, item) => store.update('transcripts', (records) => {
+  const transcript = records.session || { id: 'session', segments: [] };
+  records.session = { ...transcript, segments: [...transcript.segments, item] };
+});
+
+describe.each([
+  ['JsonFileStore', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'store-'));
+    return { store: new JsonFileStore(dir), cleanup: () => rm(dir, { recursive: true, force: true }) };
+  }],
+  ['MemoryStore', async () => ({ store: new MemoryStore(), cleanup: async () => {} })],
+])('%s.update', (name, create) => {
+  let store;
+  let cleanup;
+
+  beforeEach(async () => {
+    ({ store, cleanup } = await create());
+  });
+
+  afterEach(() => cleanup());
+
+  it('keeps every one of many overlapping appends', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, index) => append(store, index)));
+    const transcript = await store.get('transcripts', 'session');
+    expect([...transcript.segments].sort((a, b) => a - b)).toEqual(Array.from({ length: 20 }, (_, index) => index));
+  });
+
+  it('resolves to what mutate returns and writes nothing when it throws', async () => {
+    await store.put('links', 'poster', { clicks: 1 });
+    await expect(store.update('links', (records) => {
+      records.poster.clicks += 1;
+      return records.poster.clicks;
+    })).resolves.toBe(2);
+
+    await expect(store.update('links', (records) => {
+      records.poster.clicks = 100;
+      throw new Error('rejected');
+    })).rejects.toThrow('rejected');
+    expect((await store.get('links', 'poster')).clicks).toBe(2);
+  });
+});
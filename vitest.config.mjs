@@ -0,0 +1,14 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+const root = fileURLToPath(new URL('.', import.meta.url));
+
+export default defineConfig({
+  resolve: {
+    alias: [{ find: /^@\//, replacement: root }],
+  },
+  test: {
+    environment: 'node',
+    include: ['tests/**/*.test.js'],
+  },
+});